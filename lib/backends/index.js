@@ -0,0 +1,28 @@
+'use strict';
+
+/**
+ * Backends which can be supplied to `init()` (via the `backend` option) in
+ * place of the Stormpath client.
+ *
+ * A backend is an event emitter which implements the parts of the Stormpath
+ * client this library relies on:
+ *
+ *  - `init(opts)` -- loads the configuration from the user supplied options
+ *    onto `backend.config`, then emits `ready`.
+ *  - `getApplication(href, callback)`, `getAccount(href, callback)` and
+ *    `getCurrentTenant(callback)` -- return resources with the same methods as
+ *    the Stormpath SDK resources (`createAccount`, `sendPasswordResetEmail`,
+ *    `verifyPasswordResetToken`, `getCustomData`, `getGroups`, etc.).
+ *  - `createAuthenticator(type)` -- returns the `password`, `refresh_token`
+ *    and `jwt` authenticators.
+ *  - `revokeToken(token, callback)` and `revokeAccountTokens(account,
+ *    callback)` -- revoke a single access / refresh token, or every token
+ *    issued to an account.
+ *  - `introspectToken(token, callback)` -- calls back with the verified JWT of
+ *    an active access / refresh token, or `null`.
+ *
+ * @property backends
+ */
+module.exports = {
+  MemoryBackend: require('./memory')
+};
@@ -0,0 +1,253 @@
+'use strict';
+
+var uuid = require('uuid');
+
+var ApiKey = require('./api-key');
+var Collection = require('./collection');
+var CustomData = require('./custom-data');
+var utils = require('./utils');
+
+var FIELDS = ['createdAt', 'email', 'fullName', 'givenName', 'href', 'middleName', 'modifiedAt', 'status', 'surname', 'username'];
+
+/**
+ * An in-memory account.  Exposes the same fields, links and methods as the
+ * Stormpath SDK's `Account` resource (the ones this library relies on).
+ *
+ * @class
+ * @private
+ *
+ * @param {Object} backend - The memory backend.
+ * @param {Object} record - The stored account record.
+ */
+function Account(backend, record) {
+  var self = this;
+
+  utils.hide(this, '_backend', backend);
+
+  FIELDS.forEach(function(field) {
+    self[field] = record[field];
+  });
+
+  ['apiKeys', 'customData', 'directory', 'groupMemberships', 'groups', 'providerData', 'tenant'].forEach(function(link) {
+    self[link] = { href: self.href + '/' + link };
+  });
+}
+
+/**
+ * Retrieve the custom data of this account.
+ *
+ * @method
+ *
+ * @param {Function} callback - Called with `(err, customData)`.
+ */
+Account.prototype.getCustomData = function(callback) {
+  utils.respond(callback, null, new CustomData(this._backend, this.href));
+};
+
+/**
+ * Retrieve the groups this account is a member of.
+ *
+ * @method
+ *
+ * @param {Object} [options] - Unused, kept for SDK compatibility.
+ * @param {Function} callback - Called with `(err, collection)`.
+ */
+Account.prototype.getGroups = function() {
+  var args = utils.optionsAndCallback(arguments);
+  var backend = this._backend;
+  var record = backend.store.accounts[this.href];
+
+  var groups = (record ? record.groups : []).map(function(groupHref) {
+    return backend.buildGroup(backend.store.groups[groupHref]);
+  });
+
+  Collection.respond(groups, args.callback);
+};
+
+/**
+ * Retrieve the group memberships of this account.
+ *
+ * @method
+ *
+ * @param {Object} [options] - Unused, kept for SDK compatibility.
+ * @param {Function} callback - Called with `(err, collection)`.
+ */
+Account.prototype.getGroupMemberships = function() {
+  var args = utils.optionsAndCallback(arguments);
+  var href = this.href;
+  var record = this._backend.store.accounts[href];
+
+  var memberships = (record ? record.groups : []).map(function(groupHref) {
+    return { account: { href: href }, group: { href: groupHref } };
+  });
+
+  Collection.respond(memberships, args.callback);
+};
+
+/**
+ * Add this account to a group.
+ *
+ * @method
+ *
+ * @param {Object|String} group - The group (or group href) to join.
+ * @param {Function} callback - Called with `(err)`.
+ */
+Account.prototype.addToGroup = function(group, callback) {
+  this._backend.addGroupMembership(this.href, typeof group === 'string' ? group : group.href, callback);
+};
+
+/**
+ * Retrieve the API keys of this account.
+ *
+ * @method
+ *
+ * @param {Object} [options] - Supports an `id` property to filter by key id.
+ * @param {Function} callback - Called with `(err, collection)`.
+ */
+Account.prototype.getApiKeys = function() {
+  var args = utils.optionsAndCallback(arguments);
+  var backend = this._backend;
+  var href = this.href;
+
+  var apiKeys = Object.keys(backend.store.apiKeys).filter(function(id) {
+    return backend.store.apiKeys[id].accountHref === href && (!args.options.id || args.options.id === id);
+  }).map(function(id) {
+    return new ApiKey(backend, backend.store.apiKeys[id]);
+  });
+
+  Collection.respond(apiKeys, args.callback);
+};
+
+/**
+ * Create a new API key for this account.
+ *
+ * @method
+ *
+ * @param {Object} [options] - Ignored: the SDK sends them as query parameters,
+ *   so the API doesn't store them.  Set the fields and save the key instead.
+ * @param {Function} callback - Called with `(err, apiKey)`.
+ */
+Account.prototype.createApiKey = function() {
+  var args = utils.optionsAndCallback(arguments);
+  var id = uuid.v4().replace(/-/g, '').toUpperCase();
+
+  var record = this._backend.store.apiKeys[id] = {
+    accountHref: this.href,
+    href: 'memory://apiKeys/' + id,
+    id: id,
+    secret: uuid.v4() + uuid.v4(),
+    status: 'ENABLED'
+  };
+
+  utils.respond(args.callback, null, new ApiKey(this._backend, record));
+};
+
+/**
+ * Retrieve the directory of this account.  All in-memory accounts live in a
+ * single directory.
+ *
+ * @method
+ *
+ * @param {Function} callback - Called with `(err, directory)`.
+ */
+Account.prototype.getDirectory = function(callback) {
+  utils.respond(callback, null, this._backend.directory);
+};
+
+/**
+ * Retrieve the provider data of this account.
+ *
+ * @method
+ *
+ * @param {Function} callback - Called with `(err, providerData)`.
+ */
+Account.prototype.getProviderData = function(callback) {
+  var record = this._backend.store.accounts[this.href];
+  var providerData = utils.clone(record && record.providerData) || { providerId: 'stormpath' };
+
+  providerData.href = this.providerData.href;
+  utils.respond(callback, null, providerData);
+};
+
+/**
+ * Retrieve the tenant of this account.
+ *
+ * @method
+ *
+ * @param {Function} callback - Called with `(err, tenant)`.
+ */
+Account.prototype.getTenant = function(callback) {
+  this._backend.getCurrentTenant(callback);
+};
+
+/**
+ * Persist the core fields of this account.  If a `password` property is set,
+ * it is hashed and stored, then removed from the resource.  If custom data
+ * was expanded onto the account, it is saved as well.
+ *
+ * @method
+ *
+ * @param {Function} callback - Called with `(err, account)`.
+ */
+Account.prototype.save = function(callback) {
+  var self = this;
+  var backend = this._backend;
+  var record = backend.store.accounts[this.href];
+
+  callback = callback || function() {};
+
+  if (!record) {
+    return utils.respond(callback, utils.createError(404, 404, 'The requested resource does not exist.'));
+  }
+
+  var providerId = record.providerData && record.providerData.providerId;
+  var conflict = backend.findAccountRecord({ email: this.email, providerId: providerId }) || (this.username && backend.findAccountRecord({ username: this.username, providerId: providerId }));
+
+  if (conflict && conflict.href !== this.href) {
+    return utils.respond(callback, utils.createError(409, 2001, 'Account with that email or username already exists.'));
+  }
+
+  if (this.password !== undefined) {
+    var err = backend.setPassword(record, this.password);
+
+    if (err) {
+      return utils.respond(callback, err);
+    }
+
+    delete this.password;
+  }
+
+  ['email', 'givenName', 'middleName', 'status', 'surname'].forEach(function(field) {
+    record[field] = self[field];
+  });
+
+  record.username = this.username || this.email;
+  record.fullName = [record.givenName, record.middleName, record.surname].filter(Boolean).join(' ');
+  record.modifiedAt = new Date().toISOString();
+
+  this.username = record.username;
+  this.fullName = record.fullName;
+  this.modifiedAt = record.modifiedAt;
+
+  if (this.customData instanceof CustomData) {
+    return this.customData.save(function(err) {
+      callback(err, err ? undefined : self);
+    });
+  }
+
+  utils.respond(callback, null, this);
+};
+
+/**
+ * Delete this account, along with its custom data, API keys and tokens.
+ *
+ * @method
+ *
+ * @param {Function} callback - Called with `(err)`.
+ */
+Account.prototype.delete = function(callback) {
+  this._backend.deleteAccountRecord(this.href);
+  utils.respond(callback || function() {});
+};
+
+module.exports = Account;
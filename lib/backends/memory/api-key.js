@@ -0,0 +1,72 @@
+'use strict';
+
+var utils = require('./utils');
+
+var FIELDS = ['description', 'href', 'id', 'name', 'secret', 'status'];
+
+/**
+ * An in-memory API key.
+ *
+ * @class
+ * @private
+ *
+ * @param {Object} backend - The memory backend.
+ * @param {Object} record - The stored API key record.
+ */
+function ApiKey(backend, record) {
+  var self = this;
+
+  utils.hide(this, '_backend', backend);
+
+  FIELDS.forEach(function(field) {
+    self[field] = record[field];
+  });
+
+  this.account = { href: record.accountHref };
+}
+
+/**
+ * Retrieve the account which owns this API key.
+ *
+ * @method
+ *
+ * @param {Function} callback - Called with `(err, account)`.
+ */
+ApiKey.prototype.getAccount = function(callback) {
+  this._backend.getAccount(this.account.href, callback);
+};
+
+/**
+ * Persist the mutable fields (status, name and description) of this API key.
+ *
+ * @method
+ *
+ * @param {Function} callback - Called with `(err, apiKey)`.
+ */
+ApiKey.prototype.save = function(callback) {
+  var record = this._backend.store.apiKeys[this.id];
+
+  if (!record) {
+    return utils.respond(callback, utils.createError(404, 404, 'The requested resource does not exist.'));
+  }
+
+  record.description = this.description;
+  record.name = this.name;
+  record.status = this.status;
+
+  utils.respond(callback, null, this);
+};
+
+/**
+ * Delete this API key.
+ *
+ * @method
+ *
+ * @param {Function} callback - Called with `(err)`.
+ */
+ApiKey.prototype.delete = function(callback) {
+  delete this._backend.store.apiKeys[this.id];
+  utils.respond(callback || function() {});
+};
+
+module.exports = ApiKey;
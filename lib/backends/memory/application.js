@@ -0,0 +1,338 @@
+'use strict';
+
+var ApiKey = require('./api-key');
+var Collection = require('./collection');
+var utils = require('./utils');
+
+/**
+ * An in-memory application.  Exposes the same methods as the Stormpath SDK's
+ * `Application` resource (the ones this library relies on).
+ *
+ * @class
+ * @private
+ *
+ * @param {Object} backend - The memory backend.
+ * @param {Object} data - The application's `href` and `name`.
+ */
+function Application(backend, data) {
+  utils.hide(this, '_backend', backend);
+
+  this.href = data.href;
+  this.name = data.name;
+  this.status = 'ENABLED';
+  this.oAuthPolicy = backend.oAuthPolicy;
+}
+
+/**
+ * Create a new account.
+ *
+ * @method
+ *
+ * @param {Object} accountData - The account fields, including `password` and
+ *   optionally `customData`.
+ * @param {Object} [options] - Unused, kept for SDK compatibility.
+ * @param {Function} callback - Called with `(err, account)`.
+ */
+Application.prototype.createAccount = function(accountData) {
+  var args = utils.optionsAndCallback(Array.prototype.slice.call(arguments, 1));
+  var backend = this._backend;
+  var record = backend.createAccountRecord(accountData);
+
+  if (record instanceof Error) {
+    return utils.respond(args.callback, record);
+  }
+
+  utils.respond(args.callback, null, backend.buildAccount(record));
+};
+
+/**
+ * Retrieve the accounts of this application.
+ *
+ * @method
+ *
+ * @param {Object} [options] - Supports `email` and `username` filters, and
+ *   custom data filters like Stormpath's search: `{ 'customData.a.b': value }`
+ *   matches the accounts whose custom data has `value` at `a.b`.
+ * @param {Function} callback - Called with `(err, collection)`.
+ */
+Application.prototype.getAccounts = function() {
+  var args = utils.optionsAndCallback(arguments);
+  var backend = this._backend;
+
+  var customDataFilters = Object.keys(args.options).filter(function(key) {
+    return key.indexOf('customData.') === 0;
+  });
+
+  var accounts = Object.keys(backend.store.accounts).map(function(href) {
+    return backend.store.accounts[href];
+  }).filter(function(record) {
+    return ['email', 'username'].every(function(field) {
+      return !args.options[field] || String(args.options[field]).toLowerCase() === String(record[field]).toLowerCase();
+    });
+  }).filter(function(record) {
+    return customDataFilters.every(function(key) {
+      var value = key.split('.').slice(1).reduce(function(data, field) {
+        return data !== null && typeof data === 'object' ? data[field] : undefined;
+      }, backend.store.customData[record.href]);
+
+      return value !== undefined && String(value) === String(args.options[key]);
+    });
+  }).map(function(record) {
+    return backend.buildAccount(record);
+  });
+
+  Collection.respond(accounts, args.callback);
+};
+
+/**
+ * Retrieve (or create) an account from social provider data.
+ *
+ * The memory backend can't talk to social providers, so it relies on the
+ * `socialProviders` resolvers given to its constructor.
+ *
+ * @method
+ *
+ * @param {Object} providerData - An object with a `providerData` property.
+ * @param {Object} [options] - Unused, kept for SDK compatibility.
+ * @param {Function} callback - Called with `(err, { account, created })`.
+ */
+Application.prototype.getAccount = function(providerData) {
+  var args = utils.optionsAndCallback(Array.prototype.slice.call(arguments, 1));
+
+  if (!providerData || !providerData.providerData || typeof providerData.providerData.providerId !== 'string') {
+    throw new Error('Incorrect usage. Usage: Application.getAccount(providerData, [options], callback);');
+  }
+
+  this._backend.resolveProviderAccount(providerData.providerData, args.callback);
+};
+
+/**
+ * Retrieve the groups of this application.
+ *
+ * @method
+ *
+ * @param {Object} [options] - Supports a `name` filter.
+ * @param {Function} callback - Called with `(err, collection)`.
+ */
+Application.prototype.getGroups = function() {
+  var args = utils.optionsAndCallback(arguments);
+  var backend = this._backend;
+
+  var groups = Object.keys(backend.store.groups).map(function(href) {
+    return backend.store.groups[href];
+  }).filter(function(record) {
+    return !args.options.name || args.options.name === record.name;
+  }).map(function(record) {
+    return backend.buildGroup(record);
+  });
+
+  Collection.respond(groups, args.callback);
+};
+
+/**
+ * Create a new group.
+ *
+ * @method
+ *
+ * @param {Object} groupData - The group fields (`name` is required).
+ * @param {Object} [options] - Unused, kept for SDK compatibility.
+ * @param {Function} callback - Called with `(err, group)`.
+ */
+Application.prototype.createGroup = function(groupData) {
+  var args = utils.optionsAndCallback(Array.prototype.slice.call(arguments, 1));
+  var backend = this._backend;
+  var record = backend.createGroupRecord(groupData);
+
+  if (record instanceof Error) {
+    return utils.respond(args.callback, record);
+  }
+
+  utils.respond(args.callback, null, backend.buildGroup(record));
+};
+
+/**
+ * Retrieve the OAuth policy of this application.
+ *
+ * @method
+ *
+ * @param {Function} callback - Called with `(err, oAuthPolicy)`.
+ */
+Application.prototype.getOAuthPolicy = function() {
+  var args = utils.optionsAndCallback(arguments);
+  utils.respond(args.callback, null, this.oAuthPolicy);
+};
+
+/**
+ * Authenticate an account by username (or email) and password.
+ *
+ * @method
+ *
+ * @param {Object} authcRequest - An object with `username` and `password`.
+ * @param {Function} callback - Called with `(err, authenticationResult)`.
+ */
+Application.prototype.authenticateAccount = function(authcRequest, callback) {
+  var backend = this._backend;
+  var record = backend.authenticateRecord(authcRequest.username, authcRequest.password);
+
+  if (record instanceof Error) {
+    return utils.respond(callback, record);
+  }
+
+  var account = backend.buildAccount(record);
+
+  utils.respond(callback, null, {
+    account: account,
+    application: this,
+    getAccount: function(cb) {
+      utils.respond(cb, null, account);
+    }
+  });
+};
+
+/**
+ * Send a password reset email.  The email is delivered to the backend's
+ * outbox.
+ *
+ * @method
+ *
+ * @param {String|Object} emailOrOptions - An email address, or an object with
+ *   an `email` property.
+ * @param {Function} callback - Called with `(err, passwordResetToken)`.
+ */
+Application.prototype.sendPasswordResetEmail = function(emailOrOptions, callback) {
+  var backend = this._backend;
+  var email = typeof emailOrOptions === 'string' ? emailOrOptions : (emailOrOptions || {}).email;
+  var record = email && backend.findAccountRecord({ email: email });
+
+  if (!record) {
+    return utils.respond(callback, utils.createError(400, 2016, 'The email address you entered was not found.'));
+  }
+
+  var token = backend.createEmailToken('passwordReset', record);
+  utils.respond(callback, null, backend.buildPasswordResetToken(token));
+};
+
+/**
+ * Verify a password reset token.  The returned token resource can be given a
+ * new `password` and saved to reset the account's password.
+ *
+ * @method
+ *
+ * @param {String} token - The token from the password reset email.
+ * @param {Function} callback - Called with `(err, passwordResetToken)`.
+ */
+Application.prototype.verifyPasswordResetToken = function(token, callback) {
+  var backend = this._backend;
+
+  if (!backend.findEmailToken('passwordReset', token)) {
+    return utils.respond(callback, utils.createError(404, 404, 'This password reset request does not exist. Please request a new password reset.'));
+  }
+
+  utils.respond(callback, null, backend.buildPasswordResetToken(token));
+};
+
+/**
+ * Reset an account's password with a password reset token.
+ *
+ * @method
+ *
+ * @param {String} token - The token from the password reset email.
+ * @param {String} password - The new password.
+ * @param {Function} callback - Called with `(err, passwordResetToken)`.
+ */
+Application.prototype.resetPassword = function(token, password, callback) {
+  this.verifyPasswordResetToken(token, function(err, result) {
+    if (err) {
+      return callback(err);
+    }
+
+    result.password = password;
+    result.save(callback);
+  });
+};
+
+/**
+ * Resend the account verification email of an unverified account.
+ *
+ * @method
+ *
+ * @param {Object} options - An object with a `login` (email or username)
+ *   property.
+ * @param {Function} callback - Called with `(err)`.
+ */
+Application.prototype.resendVerificationEmail = function(options, callback) {
+  var backend = this._backend;
+  var login = (options || {}).login;
+  var record = login && (backend.findAccountRecord({ email: login }) || backend.findAccountRecord({ username: login }));
+
+  if (!record) {
+    return utils.respond(callback, utils.createError(400, 2016, 'The email address you entered was not found.'));
+  }
+
+  if (record.status === 'UNVERIFIED') {
+    backend.createEmailToken('emailVerification', record);
+  }
+
+  utils.respond(callback, null, { login: login });
+};
+
+/**
+ * Authenticate a request with API key (HTTP Basic) or OAuth bearer token
+ * credentials, and handle the `client_credentials` grant.
+ *
+ * @method
+ *
+ * @param {Object} options - An object with a `request` property, and
+ *   optionally `ttl` and `scopeFactory` properties.
+ * @param {Function} callback - Called with `(err, authenticationResult)`.
+ */
+Application.prototype.authenticateApiRequest = function(options, callback) {
+  if (typeof options !== 'object' || typeof options.request !== 'object') {
+    throw new Error('options.request must be an object');
+  }
+
+  this._backend.authenticateRequest(options, callback);
+};
+
+/**
+ * Retrieve an API key of an account of this application by its ID.
+ *
+ * @method
+ *
+ * @param {String} id - The API key ID.
+ * @param {Object} [options] - Ignored, for compatibility with the SDK.
+ * @param {Function} callback - Called with `(err, apiKey)`.
+ */
+Application.prototype.getApiKey = function(id) {
+  var args = utils.optionsAndCallback(Array.prototype.slice.call(arguments, 1));
+  var record = this._backend.store.apiKeys[id];
+
+  if (!record) {
+    return utils.respond(args.callback, utils.createError(404, 404, 'The requested resource does not exist.'));
+  }
+
+  utils.respond(args.callback, null, new ApiKey(this._backend, record));
+};
+
+/**
+ * ID Site is a hosted Stormpath service, which isn't available offline.
+ *
+ * @method
+ */
+Application.prototype.createIdSiteUrl = function() {
+  throw new Error('ID Site is not supported by the memory backend.');
+};
+
+/**
+ * ID Site is a hosted Stormpath service, which isn't available offline.
+ *
+ * @method
+ *
+ * @param {String} responseUri - The ID Site callback URL.
+ * @param {Function} callback - Called with `(err)`.
+ */
+Application.prototype.handleIdSiteCallback = function(responseUri, callback) {
+  utils.respond(callback, new Error('ID Site is not supported by the memory backend.'));
+};
+
+module.exports = Application;
@@ -0,0 +1,60 @@
+'use strict';
+
+var async = require('async');
+
+var utils = require('./utils');
+
+/**
+ * A collection of in-memory resources.  This mirrors the parts of the
+ * Stormpath SDK's `CollectionResource` that this library relies on.
+ *
+ * @class
+ * @private
+ *
+ * @param {Object[]} items - The resources in this collection.
+ */
+function Collection(items) {
+  this.items = items || [];
+  this.offset = 0;
+  this.limit = this.items.length;
+  this.size = this.items.length;
+}
+
+/**
+ * Asynchronously iterate over every resource in the collection.
+ *
+ * @method
+ *
+ * @param {Function} iterator - Called with `(item, callback)` for each item.
+ * @param {Function} callback - Called once iteration has finished.
+ */
+Collection.prototype.each = function(iterator, callback) {
+  async.eachSeries(this.items, iterator, callback || function() {});
+};
+
+/**
+ * Asynchronously map every resource in the collection.
+ *
+ * @method
+ *
+ * @param {Function} iterator - Called with `(item, callback)` for each item.
+ * @param {Function} callback - Called with `(err, results)` when done.
+ */
+Collection.prototype.map = function(iterator, callback) {
+  async.mapSeries(this.items, iterator, callback);
+};
+
+/**
+ * Build a collection and hand it to a callback asynchronously.
+ *
+ * @method
+ * @private
+ *
+ * @param {Object[]} items - The resources in the collection.
+ * @param {Function} callback - The callback to run.
+ */
+Collection.respond = function(items, callback) {
+  utils.respond(callback, null, new Collection(items));
+};
+
+module.exports = Collection;
@@ -0,0 +1,88 @@
+'use strict';
+
+var utils = require('./utils');
+
+var RESERVED_FIELDS = ['createdAt', 'href', 'modifiedAt'];
+
+/**
+ * The custom data of an in-memory account or group.
+ *
+ * @class
+ * @private
+ *
+ * @param {Object} backend - The memory backend.
+ * @param {String} ownerHref - The href of the owning account or group.
+ */
+function CustomData(backend, ownerHref) {
+  var self = this;
+  var data = backend.store.customData[ownerHref] || {};
+
+  utils.hide(this, '_backend', backend);
+  utils.hide(this, '_ownerHref', ownerHref);
+
+  this.href = ownerHref + '/customData';
+
+  Object.keys(data).forEach(function(key) {
+    self[key] = utils.clone(data[key]);
+  });
+}
+
+/**
+ * Remove a field.  The removal is persisted the next time this resource is
+ * saved.
+ *
+ * @method
+ *
+ * @param {String} fieldName - The field to remove.
+ */
+CustomData.prototype.remove = function(fieldName) {
+  if (RESERVED_FIELDS.indexOf(fieldName) === -1) {
+    delete this[fieldName];
+  }
+};
+
+/**
+ * Persist all fields of this resource.
+ *
+ * @method
+ *
+ * @param {Function} callback - Called with `(err, customData)`.
+ */
+CustomData.prototype.save = function(callback) {
+  var self = this;
+  var data = {};
+
+  Object.keys(this).forEach(function(key) {
+    if (RESERVED_FIELDS.indexOf(key) === -1 && self[key] !== undefined) {
+      data[key] = utils.clone(self[key]);
+    }
+  });
+
+  data.createdAt = (this._backend.store.customData[this._ownerHref] || {}).createdAt || new Date().toISOString();
+  data.modifiedAt = new Date().toISOString();
+
+  this._backend.store.customData[this._ownerHref] = data;
+  this.createdAt = data.createdAt;
+  this.modifiedAt = data.modifiedAt;
+
+  if (callback) {
+    utils.respond(callback, null, this);
+  }
+};
+
+/**
+ * Delete all fields of this resource.
+ *
+ * @method
+ *
+ * @param {Function} callback - Called with `(err)`.
+ */
+CustomData.prototype.delete = function(callback) {
+  delete this._backend.store.customData[this._ownerHref];
+
+  if (callback) {
+    utils.respond(callback);
+  }
+};
+
+module.exports = CustomData;
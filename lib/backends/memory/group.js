@@ -0,0 +1,122 @@
+'use strict';
+
+var Collection = require('./collection');
+var CustomData = require('./custom-data');
+var utils = require('./utils');
+
+var FIELDS = ['createdAt', 'description', 'href', 'modifiedAt', 'name', 'status'];
+
+/**
+ * An in-memory group.
+ *
+ * @class
+ * @private
+ *
+ * @param {Object} backend - The memory backend.
+ * @param {Object} record - The stored group record.
+ */
+function Group(backend, record) {
+  var self = this;
+
+  utils.hide(this, '_backend', backend);
+
+  FIELDS.forEach(function(field) {
+    self[field] = record[field];
+  });
+
+  this.customData = { href: this.href + '/customData' };
+}
+
+/**
+ * Retrieve the accounts which are members of this group.
+ *
+ * @method
+ *
+ * @param {Object} [options] - Unused, kept for SDK compatibility.
+ * @param {Function} callback - Called with `(err, collection)`.
+ */
+Group.prototype.getAccounts = function() {
+  var args = utils.optionsAndCallback(arguments);
+  var backend = this._backend;
+  var href = this.href;
+
+  var accounts = Object.keys(backend.store.accounts).filter(function(accountHref) {
+    return backend.store.accounts[accountHref].groups.indexOf(href) > -1;
+  }).map(function(accountHref) {
+    return backend.buildAccount(backend.store.accounts[accountHref]);
+  });
+
+  Collection.respond(accounts, args.callback);
+};
+
+/**
+ * Add an account to this group.
+ *
+ * @method
+ *
+ * @param {Object|String} account - The account (or account href) to add.
+ * @param {Function} callback - Called with `(err)`.
+ */
+Group.prototype.addAccount = function(account, callback) {
+  this._backend.addGroupMembership(typeof account === 'string' ? account : account.href, this.href, callback);
+};
+
+/**
+ * Retrieve the custom data of this group.
+ *
+ * @method
+ *
+ * @param {Function} callback - Called with `(err, customData)`.
+ */
+Group.prototype.getCustomData = function(callback) {
+  utils.respond(callback, null, new CustomData(this._backend, this.href));
+};
+
+/**
+ * Persist the core fields of this group.
+ *
+ * @method
+ *
+ * @param {Function} callback - Called with `(err, group)`.
+ */
+Group.prototype.save = function(callback) {
+  var record = this._backend.store.groups[this.href];
+
+  if (!record) {
+    return utils.respond(callback, utils.createError(404, 404, 'The requested resource does not exist.'));
+  }
+
+  record.description = this.description;
+  record.name = this.name;
+  record.status = this.status;
+  record.modifiedAt = new Date().toISOString();
+
+  utils.respond(callback, null, this);
+};
+
+/**
+ * Delete this group, removing it from every account.
+ *
+ * @method
+ *
+ * @param {Function} callback - Called with `(err)`.
+ */
+Group.prototype.delete = function(callback) {
+  var backend = this._backend;
+  var href = this.href;
+
+  Object.keys(backend.store.accounts).forEach(function(accountHref) {
+    var groups = backend.store.accounts[accountHref].groups;
+
+    if (groups.indexOf(href) > -1) {
+      groups.splice(groups.indexOf(href), 1);
+    }
+  });
+
+  delete backend.store.groups[href];
+  delete backend.store.customData[href];
+
+  utils.respond(callback || function() {});
+};
+
+module.exports = Group;
@@ -0,0 +1,1133 @@
+'use strict';
+
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+
+var Config = require('stormpath/lib/Config');
+var njwt = require('njwt');
+var parseIsoDuration = require('parse-iso-duration');
+var uuid = require('uuid');
+
+var Account = require('./account');
+var Application = require('./application');
+var Group = require('./group');
+var utils = require('./utils');
+
+/**
+ * A backend which keeps all accounts, groups, custom data, API keys and tokens
+ * in memory.  It implements the same interface as the Stormpath client, so the
+ * whole middleware stack can run without network access -- which is mostly
+ * useful for tests and offline development.
+ *
+ * Emails (password reset, account verification, and the emails sent by
+ * `helpers.sendEmail`) are never sent.  Instead, they're pushed onto the
+ * `outbox` array and emitted as `email` events, so the tokens they contain
+ * can be used programmatically.
+ *
+ * @class
+ *
+ * @param {Object} [options] - The backend options.
+ * @param {Object[]} [options.accounts] - Accounts to create on startup.  Each
+ *   one may list group names in a `groups` property.
+ * @param {Object[]} [options.groups] - Groups to create on startup.
+ * @param {Object} [options.oAuthPolicy] - The `accessTokenTtl` and
+ *   `refreshTokenTtl` ISO 8601 durations.  Like with Stormpath, a
+ *   `refreshTokenTtl` of zero (`PT0S`) disables refresh tokens.
+ * @param {Boolean} [options.resetPassword=true] - Enable the password reset
+ *   workflow.
+ * @param {String} [options.secret] - The secret used to sign tokens.  A random
+ *   one is generated if not supplied.
+ * @param {Object} [options.socialProviders] - A map of provider ids to
+ *   functions which resolve provider data into a profile:
+ *   `function(providerData, callback(err, { id, email, givenName, surname }))`.
+ * @param {Boolean} [options.verifyEmail=false] - Enable the account
+ *   verification workflow.
+ */
+function MemoryBackend(options) {
+  var self = this;
+
+  EventEmitter.call(this);
+
+  this.options = options || {};
+  this.outbox = [];
+  this.secret = this.options.secret || uuid.v4() + uuid.v4();
+
+  this.oAuthPolicy = {
+    accessTokenTtl: (this.options.oAuthPolicy || {}).accessTokenTtl || 'PT1H',
+    refreshTokenTtl: (this.options.oAuthPolicy || {}).refreshTokenTtl || 'P60D'
+  };
+
+  this.directory = {
+    href: 'memory://directories/default',
+    name: 'Memory Directory',
+    status: 'ENABLED'
+  };
+
+  this.store = {
+    accounts: {},
+    apiKeys: {},
+    customData: {},
+    emailTokens: {},
+    groups: {},
+    oauthTokens: {}
+  };
+
+  (this.options.groups || []).forEach(function(groupData) {
+    self._seed(self.createGroupRecord(groupData));
+  });
+
+  (this.options.accounts || []).forEach(function(accountData) {
+    var data = utils.clone(accountData);
+    var groupNames = data.groups || [];
+
+    delete data.groups;
+    data.status = data.status || 'ENABLED';
+
+    var record = self._seed(self.createAccountRecord(data));
+
+    groupNames.forEach(function(name) {
+      var group = self._findGroupRecord(name) || self._seed(self.createGroupRecord({ name: name }));
+      record.groups.push(group.href);
+    });
+  });
+}
+util.inherits(MemoryBackend, EventEmitter);
+
+/**
+ * Throw if seed data couldn't be created, so configuration mistakes surface
+ * at startup.
+ *
+ * @method
+ * @private
+ *
+ * @param {Object|Error} result - A record, or an error.
+ *
+ * @return {Object} The record.
+ */
+MemoryBackend.prototype._seed = function(result) {
+  if (result instanceof Error) {
+    throw result;
+  }
+
+  return result;
+};
+
+/**
+ * Find a group record by name.
+ *
+ * @method
+ * @private
+ *
+ * @param {String} name - The group name.
+ *
+ * @return {Object} The group record, or undefined.
+ */
+MemoryBackend.prototype._findGroupRecord = function(name) {
+  var groups = this.store.groups;
+
+  return groups[Object.keys(groups).filter(function(href) {
+    return groups[href].name === name;
+  })[0]];
+};
+
+/**
+ * Load the configuration and signal that the backend is ready.  This is
+ * called by `init()` with the user supplied options.
+ *
+ * @method
+ *
+ * @param {Object} opts - The express-stormpath options.
+ */
+MemoryBackend.prototype.init = function(opts) {
+  var self = this;
+  var resetPassword = this.options.resetPassword !== false;
+
+  this.config = new Config(opts);
+  this.config.application.href = this.config.application.href || 'memory://applications/default';
+  this.config.application.name = this.config.application.name || 'My Application';
+  this.config.application.oAuthPolicy = this.oAuthPolicy;
+
+  // Mirror what the Stormpath client does with the directory policies.
+  this.config.web.forgotPassword.enabled = resetPassword;
+  this.config.web.changePassword.enabled = resetPassword;
+  this.config.web.verifyEmail.enabled = !!this.options.verifyEmail;
+
+  // Tokens signed by the library itself (eg: invitations) use the API
+  // key secret, just like with the Stormpath client.
+  this.config.client.apiKey.secret = this.config.client.apiKey.secret || this.secret;
+
+  this.application = new Application(this, this.config.application);
+
+  process.nextTick(function() {
+    self.emit('ready');
+  });
+};
+
+/**
+ * Retrieve the application.
+ *
+ * @method
+ *
+ * @param {String} href - The application href.
+ * @param {Function} callback - Called with `(err, application)`.
+ */
+MemoryBackend.prototype.getApplication = function(href, callback) {
+  if (!this.application || href !== this.application.href) {
+    return utils.respond(callback, utils.createError(404, 404, 'The requested resource does not exist.'));
+  }
+
+  utils.respond(callback, null, this.application);
+};
+
+/**
+ * Retrieve an account by href.
+ *
+ * @method
+ *
+ * @param {String} href - The account href.
+ * @param {Object} [options] - Unused, kept for SDK compatibility.
+ * @param {Function} callback - Called with `(err, account)`.
+ */
+MemoryBackend.prototype.getAccount = function(href) {
+  var args = utils.optionsAndCallback(Array.prototype.slice.call(arguments, 1));
+  var record = this.store.accounts[href];
+
+  if (!record) {
+    return utils.respond(args.callback, utils.createError(404, 404, 'The requested resource does not exist.'));
+  }
+
+  utils.respond(args.callback, null, this.buildAccount(record));
+};
+
+/**
+ * Retrieve a group by href.
+ *
+ * @method
+ *
+ * @param {String} href - The group href.
+ * @param {Object} [options] - Unused, kept for SDK compatibility.
+ * @param {Function} callback - Called with `(err, group)`.
+ */
+MemoryBackend.prototype.getGroup = function(href) {
+  var args = utils.optionsAndCallback(Array.prototype.slice.call(arguments, 1));
+  var record = this.store.groups[href];
+
+  if (!record) {
+    return utils.respond(args.callback, utils.createError(404, 404, 'The requested resource does not exist.'));
+  }
+
+  utils.respond(args.callback, null, this.buildGroup(record));
+};
+
+/**
+ * Retrieve the tenant, which is used to verify account emails.
+ *
+ * @method
+ *
+ * @param {Function} callback - Called with `(err, tenant)`.
+ */
+MemoryBackend.prototype.getCurrentTenant = function(callback) {
+  var self = this;
+  var tenant = { href: 'memory://tenants/default', name: 'memory' };
+
+  utils.hide(tenant, 'verifyAccountEmail', function(token, cb) {
+    var tokenData = self.findEmailToken('emailVerification', token);
+    var record = tokenData && self.store.accounts[tokenData.accountHref];
+
+    if (!record) {
+      return utils.respond(cb, utils.createError(404, 404, 'The requested resource does not exist.'));
+    }
+
+    delete self.store.emailTokens[token];
+    record.status = 'ENABLED';
+    record.modifiedAt = new Date().toISOString();
+
+    utils.respond(cb, null, { href: record.href });
+  });
+
+  utils.respond(callback, null, tenant);
+};
+
+/**
+ * Build an authenticator.  This is used by `helpers.createAuthenticator` in
+ * place of the Stormpath SDK authenticators.
+ *
+ * @method
+ *
+ * @param {String} type - One of `password`, `refresh_token`,
+ *   `stormpath_token` or `jwt`.
+ *
+ * @return {Object} An authenticator which exposes an `authenticate` method.
+ */
+MemoryBackend.prototype.createAuthenticator = function(type) {
+  var self = this;
+
+  switch (type) {
+    case 'password':
+      return {
+        authenticate: function(data, callback) {
+          var record = self.authenticateRecord(data.username, data.password);
+
+          if (record instanceof Error) {
+            return utils.respond(callback, record);
+          }
+
+          utils.respond(callback, null, self.buildGrantResult(self.issueTokens(record, { refreshToken: true })));
+        }
+      };
+    case 'refresh_token':
+      return {
+        authenticate: function(data, callback) {
+          self.verifyToken(data.refresh_token, 'refresh', function(err, jwt) {
+            if (err) {
+              return callback(err);
+            }
+
+            var record = self.store.accounts[jwt.body.sub];
+            var statusError = self.checkAccountStatus(record);
+
+            // Just like the password grant, accounts which aren't enabled
+            // can't get new tokens.
+            if (statusError) {
+              return callback(statusError);
+            }
+
+            var response = self.issueTokens(record, { refreshTokenId: jwt.body.jti, scope: jwt.body.scope });
+
+            // Just like the Stormpath API, the refresh token itself is reused.
+            response.refresh_token = data.refresh_token;
+
+            callback(null, self.buildGrantResult(response));
+          });
+        }
+      };
+    case 'stormpath_token':
+      return {
+        authenticate: function(data, callback) {
+          // Just like the Stormpath API, the token has to be signed with the
+          // API key secret, and vouch for an authenticated account.
+          njwt.verify(String(data.token), self.config.client.apiKey.secret, function(err, jwt) {
+            var record = !err && jwt.body.status === 'AUTHENTICATED' && self.store.accounts[jwt.body.sub];
+
+            if (!record) {
+              return callback(utils.createError(400, 10017, 'Token is invalid.'));
+            }
+
+            if (record.status === 'DISABLED') {
+              return callback(utils.createError(400, 7101, 'Login attempt failed because the specified Account is disabled.'));
+            }
+
+            callback(null, self.buildGrantResult(self.issueTokens(record, { refreshToken: true })));
+          });
+        }
+      };
+    case 'jwt':
+      return {
+        authenticate: function(token, callback) {
+          self.verifyToken(token, 'access', function(err, jwt) {
+            if (err) {
+              return callback(err);
+            }
+
+            callback(null, self.buildGrantResult({ access_token: token }, jwt));
+          });
+        }
+      };
+    default:
+      throw new Error('Unknown authenticator type: "' + type + '".');
+  }
+};
+
+/**
+ * Revoke a token.  Revoking a refresh token also revokes the access tokens
+ * which were issued with it.
+ *
+ * @method
+ *
+ * @param {String} token - The compacted access or refresh token.
+ * @param {Function} callback - Called with `(err)`.
+ */
+MemoryBackend.prototype.revokeToken = function(token, callback) {
+  var tokens = this.store.oauthTokens;
+
+  njwt.verify(String(token), this.secret, function(err, jwt) {
+    // Expired or invalid tokens can't be used anymore anyway.
+    if (err) {
+      return utils.respond(callback);
+    }
+
+    if (tokens[jwt.body.jti] && tokens[jwt.body.jti].type === 'refresh') {
+      Object.keys(tokens).forEach(function(jti) {
+        if (tokens[jti].refreshTokenId === jwt.body.jti) {
+          delete tokens[jti];
+        }
+      });
+    }
+
+    delete tokens[jwt.body.jti];
+    utils.respond(callback);
+  });
+};
+
+/**
+ * Revoke every token issued to an account.
+ *
+ * @method
+ *
+ * @param {Object} account - The account.
+ * @param {Function} callback - Called with `(err)`.
+ */
+MemoryBackend.prototype.revokeAccountTokens = function(account, callback) {
+  var tokens = this.store.oauthTokens;
+
+  Object.keys(tokens).forEach(function(jti) {
+    if (tokens[jti].accountHref === account.href) {
+      delete tokens[jti];
+    }
+  });
+
+  utils.respond(callback);
+};
+
+/**
+ * Verify a token for introspection.  Invalid, expired and revoked tokens
+ * aren't active.
+ *
+ * @method
+ *
+ * @param {String} token - The compacted access or refresh token.
+ * @param {Function} callback - Called with `(err, jwt)`.  The `jwt` is `null`
+ *   if the token isn't active.
+ */
+MemoryBackend.prototype.introspectToken = function(token, callback) {
+  var tokens = this.store.oauthTokens;
+
+  njwt.verify(String(token), this.secret, function(err, jwt) {
+    utils.respond(callback, null, !err && tokens[jwt.body.jti] ? jwt : null);
+  });
+};
+
+/**
+ * Build an account resource from a record.
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} record - The account record.
+ *
+ * @return {Object} The account resource.
+ */
+MemoryBackend.prototype.buildAccount = function(record) {
+  return new Account(this, record);
+};
+
+/**
+ * Build a group resource from a record.
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} record - The group record.
+ *
+ * @return {Object} The group resource.
+ */
+MemoryBackend.prototype.buildGroup = function(record) {
+  return new Group(this, record);
+};
+
+/**
+ * Find an account record by email or username (case insensitive).
+ *
+ * Just like with Stormpath, where the accounts of each social provider live in
+ * their own directory, emails and usernames are only unique within a
+ * directory: the accounts of a social provider are only found with its
+ * `providerId`, and the other accounts without one.
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} query - An object with an `email` or `username` property,
+ *   and optionally a `providerId`.
+ *
+ * @return {Object} The account record, or undefined.
+ */
+MemoryBackend.prototype.findAccountRecord = function(query) {
+  var accounts = this.store.accounts;
+  var field = query.email !== undefined ? 'email' : 'username';
+  var value = String(query[field]).toLowerCase();
+  var providerId = query.providerId || null;
+
+  return accounts[Object.keys(accounts).filter(function(href) {
+    var record = accounts[href];
+
+    return String(record[field]).toLowerCase() === value && ((record.providerData && record.providerData.providerId) || null) === providerId;
+  })[0]];
+};
+
+/**
+ * Create an account record.
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} data - The account data.
+ *
+ * @return {Object|Error} The new record, or an error.
+ */
+MemoryBackend.prototype.createAccountRecord = function(data) {
+  data = data || {};
+
+  if (!data.email) {
+    return utils.createError(400, 2000, 'Account email address is required; it cannot be null, empty, or blank.');
+  }
+
+  var providerId = data.providerData && data.providerData.providerId;
+
+  if (this.findAccountRecord({ email: data.email, providerId: providerId }) || (data.username && this.findAccountRecord({ username: data.username, providerId: providerId }))) {
+    return utils.createError(409, 2001, 'Account with that email already exists.  Please choose another email.');
+  }
+
+  var now = new Date().toISOString();
+  var href = 'memory://accounts/' + uuid.v4();
+  var record = {
+    createdAt: now,
+    email: data.email,
+    fullName: [data.givenName, data.middleName, data.surname].filter(Boolean).join(' '),
+    givenName: data.givenName,
+    groups: [],
+    href: href,
+    middleName: data.middleName,
+    modifiedAt: now,
+    providerData: data.providerData,
+    status: data.status || (this.options.verifyEmail ? 'UNVERIFIED' : 'ENABLED'),
+    surname: data.surname,
+    username: data.username || data.email
+  };
+
+  var err = this.setPassword(record, data.password, !!data.providerData);
+
+  if (err) {
+    return err;
+  }
+
+  this.store.accounts[href] = record;
+  this.store.customData[href] = utils.clone(data.customData || {});
+  this.store.customData[href].createdAt = this.store.customData[href].modifiedAt = now;
+
+  if (record.status === 'UNVERIFIED') {
+    this.createEmailToken('emailVerification', record);
+  }
+
+  return record;
+};
+
+/**
+ * Delete an account record, along with everything that belongs to it.
+ *
+ * @method
+ * @private
+ *
+ * @param {String} href - The account href.
+ */
+MemoryBackend.prototype.deleteAccountRecord = function(href) {
+  var store = this.store;
+
+  delete store.accounts[href];
+  delete store.customData[href];
+
+  ['apiKeys', 'emailTokens', 'oauthTokens'].forEach(function(collection) {
+    Object.keys(store[collection]).forEach(function(key) {
+      if (store[collection][key].accountHref === href) {
+        delete store[collection][key];
+      }
+    });
+  });
+};
+
+/**
+ * Hash and store a password on an account record.
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} record - The account record.
+ * @param {String} password - The plain text password.
+ * @param {Boolean} [optional=false] - Whether a missing password is allowed
+ *   (eg: for social accounts).
+ *
+ * @return {Error} An error, if the password is missing.
+ */
+MemoryBackend.prototype.setPassword = function(record, password, optional) {
+  if (!password) {
+    return optional ? undefined : utils.createError(400, 2000, 'Account password is required; it cannot be null, empty, or blank.');
+  }
+
+  record.salt = uuid.v4();
+  record.passwordHash = utils.hashPassword(password, record.salt);
+};
+
+/**
+ * Check an account's login (email or username) and password.
+ *
+ * @method
+ * @private
+ *
+ * @param {String} login - The email or username.
+ * @param {String} password - The plain text password.
+ *
+ * @return {Object|Error} The account record, or an error.
+ */
+MemoryBackend.prototype.authenticateRecord = function(login, password) {
+  var record = login && (this.findAccountRecord({ username: login }) || this.findAccountRecord({ email: login }));
+
+  if (!record || !record.passwordHash || !password || utils.hashPassword(password, record.salt) !== record.passwordHash) {
+    return utils.createError(400, 7100, 'Invalid username or password.');
+  }
+
+  return this.checkAccountStatus(record) || record;
+};
+
+/**
+ * Check that an account can log in: disabled and unverified accounts can't.
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} record - The account record.
+ *
+ * @return {Error|null} The error of the login attempt, if any.
+ */
+MemoryBackend.prototype.checkAccountStatus = function(record) {
+  if (record.status === 'DISABLED') {
+    return utils.createError(400, 7101, 'Login attempt failed because the specified Account is disabled.');
+  }
+
+  if (record.status === 'UNVERIFIED') {
+    return utils.createError(400, 7102, 'Login attempt failed because the Account is not verified.');
+  }
+
+  return null;
+};
+
+/**
+ * Create a group record.
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} data - The group data.
+ *
+ * @return {Object|Error} The new record, or an error.
+ */
+MemoryBackend.prototype.createGroupRecord = function(data) {
+  data = data || {};
+
+  if (!data.name) {
+    return utils.createError(400, 2000, 'Group name is required; it cannot be null, empty, or blank.');
+  }
+
+  if (this._findGroupRecord(data.name)) {
+    return utils.createError(409, 2001, 'Group name already exists.');
+  }
+
+  var now = new Date().toISOString();
+  var href = 'memory://groups/' + uuid.v4();
+
+  this.store.customData[href] = utils.clone(data.customData || {});
+  this.store.groups[href] = {
+    createdAt: now,
+    description: data.description,
+    href: href,
+    modifiedAt: now,
+    name: data.name,
+    status: data.status || 'ENABLED'
+  };
+
+  return this.store.groups[href];
+};
+
+/**
+ * Add an account to a group.
+ *
+ * @method
+ * @private
+ *
+ * @param {String} accountHref - The account href.
+ * @param {String} groupHref - The group href.
+ * @param {Function} callback - Called with `(err, groupMembership)`.
+ */
+MemoryBackend.prototype.addGroupMembership = function(accountHref, groupHref, callback) {
+  var record = this.store.accounts[accountHref];
+
+  callback = callback || function() {};
+
+  if (!record || !this.store.groups[groupHref]) {
+    return utils.respond(callback, utils.createError(404, 404, 'The requested resource does not exist.'));
+  }
+
+  if (record.groups.indexOf(groupHref) === -1) {
+    record.groups.push(groupHref);
+  }
+
+  utils.respond(callback, null, { account: { href: accountHref }, group: { href: groupHref } });
+};
+
+/**
+ * Resolve social provider data into an account, creating the account if
+ * needed.
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} providerData - The provider data (`providerId` plus a
+ *   `code` or `accessToken`).
+ * @param {Function} callback - Called with `(err, { account, created })`.
+ */
+MemoryBackend.prototype.resolveProviderAccount = function(providerData, callback) {
+  var self = this;
+  var resolver = (this.options.socialProviders || {})[providerData.providerId];
+
+  if (typeof resolver !== 'function') {
+    return utils.respond(callback, utils.createError(400, 7200, 'The memory backend has no resolver for the "' + providerData.providerId + '" provider.'));
+  }
+
+  resolver(providerData, function(err, profile) {
+    if (err) {
+      return callback(err);
+    }
+
+    var accounts = self.store.accounts;
+    var href = Object.keys(accounts).filter(function(href) {
+      var data = accounts[href].providerData;
+      return data && data.providerId === providerData.providerId && data.accountId === String(profile.id);
+    })[0];
+
+    if (href) {
+      return callback(null, { account: self.buildAccount(accounts[href]), created: false });
+    }
+
+    var record = self.createAccountRecord({
+      email: profile.email,
+      givenName: profile.givenName,
+      providerData: { accountId: String(profile.id), providerId: providerData.providerId },
+      status: 'ENABLED',
+      surname: profile.surname
+    });
+
+    if (record instanceof Error) {
+      return callback(record);
+    }
+
+    callback(null, { account: self.buildAccount(record), created: true });
+  });
+};
+
+/**
+ * Deliver an email sent by the library itself (see `helpers.sendEmail`) to the
+ * outbox.
+ *
+ * @method
+ *
+ * @param {Object} email - The email, with `type` and `to` properties.
+ * @param {Function} callback - Called with `(err)`.
+ */
+MemoryBackend.prototype.sendEmail = function(email, callback) {
+  this.outbox.push(email);
+  this.emit('email', email);
+  utils.respond(callback);
+};
+
+/**
+ * Create a one-time email token (password reset or account verification),
+ * and deliver the email to the outbox.
+ *
+ * @method
+ * @private
+ *
+ * @param {String} type - Either `passwordReset` or `emailVerification`.
+ * @param {Object} record - The account record.
+ *
+ * @return {String} The token.
+ */
+MemoryBackend.prototype.createEmailToken = function(type, record) {
+  var token = uuid.v4().replace(/-/g, '');
+  var email = {
+    account: { href: record.href },
+    to: record.email,
+    token: token,
+    type: type
+  };
+
+  this.store.emailTokens[token] = {
+    accountHref: record.href,
+    expiresAt: Date.now() + 24 * 60 * 60 * 1000,
+    type: type
+  };
+
+  this.outbox.push(email);
+  this.emit('email', email);
+
+  return token;
+};
+
+/**
+ * Look up an unexpired email token.
+ *
+ * @method
+ * @private
+ *
+ * @param {String} type - Either `passwordReset` or `emailVerification`.
+ * @param {String} token - The token.
+ *
+ * @return {Object} The token data, or undefined.
+ */
+MemoryBackend.prototype.findEmailToken = function(type, token) {
+  var data = this.store.emailTokens[token];
+
+  if (data && data.type === type && data.expiresAt > Date.now()) {
+    return data;
+  }
+};
+
+/**
+ * Build a password reset token resource.  Setting a `password` on it and
+ * calling `save()` resets the account's password and consumes the token.
+ *
+ * @method
+ * @private
+ *
+ * @param {String} token - The token.
+ *
+ * @return {Object} The password reset token resource.
+ */
+MemoryBackend.prototype.buildPasswordResetToken = function(token) {
+  var self = this;
+  var record = this.store.accounts[this.store.emailTokens[token].accountHref];
+  var resource = {
+    account: this.buildAccount(record),
+    email: record.email,
+    href: 'memory://passwordResetTokens/' + token
+  };
+
+  utils.hide(resource, 'save', function(callback) {
+    if (!self.findEmailToken('passwordReset', token)) {
+      return utils.respond(callback, utils.createError(404, 404, 'This password reset request does not exist. Please request a new password reset.'));
+    }
+
+    var err = self.setPassword(record, resource.password);
+
+    if (err) {
+      return utils.respond(callback, err);
+    }
+
+    delete resource.password;
+    delete self.store.emailTokens[token];
+
+    utils.respond(callback, null, resource);
+  });
+
+  return resource;
+};
+
+/**
+ * Issue OAuth tokens for an account.
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} record - The account record.
+ * @param {Object} [options] - Supports `refreshToken` (Boolean, issue a new
+ *   refresh token), `refreshTokenId` (String, the existing refresh token the
+ *   access token is derived from), `scope` (String) and `ttl` (Number of
+ *   seconds) properties.
+ *
+ * @return {Object} An OAuth token response.
+ */
+MemoryBackend.prototype.issueTokens = function(record, options) {
+  options = options || {};
+
+  var accessTtl = options.ttl || parseIsoDuration(this.oAuthPolicy.accessTokenTtl) / 1000;
+  var response = { token_type: 'Bearer', expires_in: accessTtl };
+  var refreshTtl = parseIsoDuration(this.oAuthPolicy.refreshTokenTtl) / 1000;
+  var refreshJwt;
+
+  if (options.refreshToken && refreshTtl > 0) {
+    refreshJwt = this._createJwt('refresh', record.href, refreshTtl, options.scope);
+    response.refresh_token = refreshJwt.compact();
+  }
+
+  var accessJwt = this._createJwt('access', record.href, accessTtl, options.scope);
+
+  if (refreshJwt || options.refreshTokenId) {
+    this.store.oauthTokens[accessJwt.body.jti].refreshTokenId = refreshJwt ? refreshJwt.body.jti : options.refreshTokenId;
+  }
+
+  response.access_token = accessJwt.compact();
+
+  if (options.scope) {
+    response.scope = options.scope;
+  }
+
+  return response;
+};
+
+/**
+ * Issue an access token for the client credentials exchange.  Just like the
+ * Stormpath SDK does, the token is signed with the API key secret of the
+ * client, its subject is the API key ID, and it isn't recorded anywhere: it
+ * has no `jti`, nor `kid` and `stt` headers.
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} keyRecord - The API key record.
+ * @param {String} [scope] - Space separated scopes.
+ * @param {Number} ttl - The token lifetime in seconds.
+ *
+ * @return {Object} The OAuth token response.
+ */
+MemoryBackend.prototype.issueClientToken = function(keyRecord, scope, ttl) {
+  var claims = { iss: this.application.href, sub: keyRecord.id };
+
+  if (scope) {
+    claims.scope = scope;
+  }
+
+  var jwt = njwt.create(claims, this.config.client.apiKey.secret);
+  jwt.setExpiration(new Date().getTime() + ttl * 1000);
+  delete jwt.body.jti;
+
+  var response = { access_token: jwt.compact(), token_type: 'Bearer', expires_in: ttl };
+
+  if (scope) {
+    response.scope = scope;
+  }
+
+  return response;
+};
+
+/**
+ * Verify an access token of the client credentials exchange, like the
+ * Stormpath SDK does: its signature and expiration, and that its API key and
+ * account are enabled.
+ *
+ * @method
+ * @private
+ *
+ * @param {String} token - The compacted token.
+ * @param {Function} callback - Called with `(err, authenticationResult)`.
+ */
+MemoryBackend.prototype.verifyClientToken = function(token, callback) {
+  var self = this;
+
+  njwt.verify(String(token), this.config.client.apiKey.secret, function(err, jwt) {
+    var keyRecord = !err && self.store.apiKeys[jwt.body.sub];
+    var accountRecord = keyRecord && self.store.accounts[keyRecord.accountHref];
+
+    if (!keyRecord || keyRecord.status !== 'ENABLED' || !accountRecord || accountRecord.status !== 'ENABLED') {
+      return callback(utils.createError(401, 10017, 'Token is invalid.'));
+    }
+
+    var account = self.buildAccount(accountRecord);
+
+    callback(null, {
+      account: account,
+      accessToken: jwt,
+      apiKey: { id: keyRecord.id, href: keyRecord.href },
+      grantedScopes: jwt.body.scope ? jwt.body.scope.split(' ') : undefined,
+      getAccount: function(cb) {
+        utils.respond(cb, null, account);
+      }
+    });
+  });
+};
+
+/**
+ * Forget the tokens which have expired, so the token store doesn't grow
+ * forever in long running processes.
+ *
+ * @method
+ * @private
+ */
+MemoryBackend.prototype._pruneTokens = function() {
+  var tokens = this.store.oauthTokens;
+  var now = new Date().getTime();
+
+  Object.keys(tokens).forEach(function(jti) {
+    if (tokens[jti].expiresAt <= now) {
+      delete tokens[jti];
+    }
+  });
+};
+
+/**
+ * Create and record a signed token.  Expired tokens are pruned at the same
+ * time.
+ *
+ * @method
+ * @private
+ *
+ * @param {String} type - Either `access` or `refresh`.
+ * @param {String} accountHref - The account href (the token subject).
+ * @param {Number} ttl - The token lifetime in seconds.
+ * @param {String} [scope] - Space separated scopes.
+ *
+ * @return {Object} The njwt token.
+ */
+MemoryBackend.prototype._createJwt = function(type, accountHref, ttl, scope) {
+  var claims = { iss: this.application.href, sub: accountHref };
+
+  if (scope) {
+    claims.scope = scope;
+  }
+
+  var jwt = njwt.create(claims, this.secret);
+  jwt.setExpiration(new Date().getTime() + ttl * 1000);
+  jwt.header.kid = type;
+  jwt.header.stt = type;
+
+  this._pruneTokens();
+  this.store.oauthTokens[jwt.body.jti] = {
+    accountHref: accountHref,
+    expiresAt: jwt.body.exp * 1000,
+    type: type
+  };
+
+  return jwt;
+};
+
+/**
+ * Verify a token's signature, expiration and that it hasn't been revoked.
+ *
+ * @method
+ * @private
+ *
+ * @param {String} token - The compacted token.
+ * @param {String} type - Either `access` or `refresh`.
+ * @param {Function} callback - Called with `(err, jwt)`.
+ */
+MemoryBackend.prototype.verifyToken = function(token, type, callback) {
+  var self = this;
+
+  njwt.verify(String(token), this.secret, function(err, jwt) {
+    var data = !err && self.store.oauthTokens[jwt.body.jti];
+
+    if (!data || data.type !== type || !self.store.accounts[data.accountHref]) {
+      return callback(utils.createError(401, 10017, 'Token is invalid.'));
+    }
+
+    callback(null, jwt);
+  });
+};
+
+/**
+ * Build an authentication result which looks like the Stormpath SDK's
+ * `JwtAuthenticationResult`.
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} response - The OAuth token response.
+ * @param {Object} [accessJwt] - The already verified access token.
+ *
+ * @return {Object} The authentication result.
+ */
+MemoryBackend.prototype.buildGrantResult = function(response, accessJwt) {
+  var self = this;
+  var result = {
+    accessToken: accessJwt || njwt.verify(response.access_token, this.secret),
+    accessTokenResponse: response,
+    expiresIn: response.expires_in,
+    tokenType: response.token_type
+  };
+
+  if (response.refresh_token) {
+    result.refreshToken = njwt.verify(response.refresh_token, this.secret);
+  }
+
+  result.account = { href: result.accessToken.body.sub };
+  result.grantedScopes = result.accessToken.body.scope ? result.accessToken.body.scope.split(' ') : undefined;
+  result.getAccount = function(callback) {
+    self.getAccount(result.account.href, callback);
+  };
+
+  return result;
+};
+
+/**
+ * Authenticate an HTTP request with API key (HTTP Basic) or bearer token
+ * credentials, and handle the `client_credentials` grant.
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} options - The `authenticateApiRequest` options.
+ * @param {Function} callback - Called with `(err, authenticationResult)`.
+ */
+MemoryBackend.prototype.authenticateRequest = function(options, callback) {
+  var self = this;
+  var req = options.request;
+  var authorization = (req.headers && req.headers.authorization) || '';
+  var body = req.body || {};
+  var grantType = body.grant_type || (req.query && req.query.grant_type);
+  var accessToken = body.access_token;
+
+  if (grantType && grantType !== 'client_credentials') {
+    return utils.respond(callback, utils.createError(400, 400, 'Unsupported grant_type'));
+  }
+
+  if (authorization.match(/^Basic /i)) {
+    var credentials = new Buffer(authorization.replace(/^Basic /i, ''), 'base64').toString().split(':');
+    var keyRecord = this.store.apiKeys[credentials[0]];
+    var accountRecord = keyRecord && this.store.accounts[keyRecord.accountHref];
+
+    if (!keyRecord || keyRecord.secret !== credentials.slice(1).join(':') || keyRecord.status !== 'ENABLED' || !accountRecord || accountRecord.status !== 'ENABLED') {
+      return utils.respond(callback, utils.createError(401, 401, 'Invalid Client Credentials'));
+    }
+
+    var account = this.buildAccount(accountRecord);
+    var result = {
+      account: account,
+      apiKey: { id: keyRecord.id, href: keyRecord.href },
+      getAccount: function(cb) {
+        utils.respond(cb, null, account);
+      }
+    };
+
+    if (grantType) {
+      var requestedScopes = (body.scope || (req.query && req.query.scope) || '').split(' ');
+      var scope = typeof options.scopeFactory === 'function' ? options.scopeFactory(account, requestedScopes) : null;
+
+      scope = Array.isArray(scope) ? scope.join(' ') : scope;
+
+      result.tokenResponse = this.issueClientToken(keyRecord, scope || undefined, options.ttl || 3600);
+      result.grantedScopes = scope ? scope.split(' ') : undefined;
+    }
+
+    return utils.respond(callback, null, result);
+  }
+
+  if (authorization.match(/^Bearer /i)) {
+    accessToken = authorization.replace(/^Bearer /i, '');
+  }
+
+  if (!accessToken) {
+    return utils.respond(callback, utils.createError(401, 401, 'Must provide access_token.'));
+  }
+
+  // Tokens of the client credentials exchange have no `kid` header, just like
+  // with the Stormpath SDK.
+  if (!utils.decodeJwtHeader(accessToken).kid) {
+    return this.verifyClientToken(accessToken, callback);
+  }
+
+  this.verifyToken(accessToken, 'access', function(err, jwt) {
+    if (err) {
+      return callback(err);
+    }
+
+    callback(null, self.buildGrantResult({ access_token: accessToken }, jwt));
+  });
+};
+
+module.exports = MemoryBackend;
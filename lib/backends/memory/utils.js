@@ -0,0 +1,132 @@
+'use strict';
+
+var crypto = require('crypto');
+
+/**
+ * Build an error which looks like the ones returned by the Stormpath API, so
+ * controllers can keep using `err.userMessage`, `err.status` and `err.code`.
+ *
+ * @method
+ * @private
+ *
+ * @param {Number} status - The HTTP status code.
+ * @param {Number} code - The Stormpath error code.
+ * @param {String} message - A human readable error message.
+ *
+ * @return {Error} The error.
+ */
+module.exports.createError = function(status, code, message) {
+  var err = new Error(message);
+
+  err.status = status;
+  err.statusCode = status;
+  err.code = code;
+  err.userMessage = message;
+  err.developerMessage = message;
+
+  return err;
+};
+
+/**
+ * Deep copy a JSON compatible value.
+ *
+ * @method
+ * @private
+ *
+ * @param {*} value - The value to copy.
+ *
+ * @return {*} The copy.
+ */
+module.exports.clone = function(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+};
+
+/**
+ * Hash a password with a salt.
+ *
+ * @method
+ * @private
+ *
+ * @param {String} password - The plain text password.
+ * @param {String} salt - The salt to hash the password with.
+ *
+ * @return {String} The hex encoded hash.
+ */
+module.exports.hashPassword = function(password, salt) {
+  return crypto.pbkdf2Sync(String(password), salt, 1000, 32, 'sha256').toString('hex');
+};
+
+/**
+ * Define a non-enumerable property on an object.  This keeps methods and
+ * backend references out of `JSON.stringify()` output, which matters because
+ * resources are sent straight to clients (eg: `res.json(req.user)`).
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} obj - The object to define the property on.
+ * @param {String} name - The property name.
+ * @param {*} value - The property value.
+ */
+module.exports.hide = function(obj, name, value) {
+  Object.defineProperty(obj, name, {
+    configurable: true,
+    enumerable: false,
+    value: value,
+    writable: true
+  });
+};
+
+/**
+ * Split the arguments of a `([options,] callback)` style method.
+ *
+ * @method
+ * @private
+ *
+ * @param {Arguments} args - The arguments object of the calling function.
+ *
+ * @return {Object} An object with `options` and `callback` properties.
+ */
+module.exports.optionsAndCallback = function(args) {
+  args = Array.prototype.slice.call(args);
+
+  var callback = args.pop();
+  var options = (args.length > 0) ? args.shift() : null;
+
+  return { callback: callback, options: options || {} };
+};
+
+/**
+ * Run a callback on the next tick, mimicking the asynchronous behavior of a
+ * remote backend.
+ *
+ * @method
+ * @private
+ *
+ * @param {Function} callback - The callback to run.
+ * @param {Error} err - An error (if there was one).
+ * @param {*} result - The result to pass to the callback.
+ */
+module.exports.respond = function(callback, err, result) {
+  process.nextTick(function() {
+    callback(err || null, result);
+  });
+};
+
+/**
+ * Read the header of a JWT, without verifying it.
+ *
+ * @method
+ * @private
+ *
+ * @param {String} token - The compacted token.
+ *
+ * @return {Object} The JWT header, or an empty object if it can't be read.
+ */
+module.exports.decodeJwtHeader = function(token) {
+  try {
+    return JSON.parse(new Buffer(String(token).split('.')[0], 'base64').toString('utf8'));
+  } catch (err) {
+    return {};
+  }
+};
@@ -0,0 +1,323 @@
+'use strict';
+
+var helpers = require('../helpers');
+
+/**
+ * The API key statuses a user can set.
+ *
+ * @private
+ */
+var STATUSES = ['ENABLED', 'DISABLED'];
+
+/**
+ * Build the JSON representation of an API key.  The secret is only included
+ * right after the key is created, as it's never shown again.
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} apiKey - The Stormpath API key.
+ * @param {Boolean} [withSecret=false] - Whether or not to include the secret.
+ *
+ * @return {Object} The API key.
+ */
+function serializeApiKey(apiKey, withSecret) {
+  var json = {
+    id: apiKey.id,
+    name: apiKey.name || null,
+    description: apiKey.description || null,
+    status: apiKey.status
+  };
+
+  if (withSecret) {
+    json.secret = apiKey.secret;
+  }
+
+  return json;
+}
+
+/**
+ * Validate the user supplied `name`, `description` and `status` of an API key.
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} data - The submitted fields.
+ *
+ * @return {Error} An error, or `null` if the fields are valid.
+ */
+function validateApiKeyData(data) {
+  var message = null;
+
+  ['name', 'description'].forEach(function(field) {
+    if (data[field] !== undefined && data[field] !== null && typeof data[field] !== 'string') {
+      message = 'The ' + field + ' must be a string.';
+    }
+  });
+
+  if (data.status !== undefined && STATUSES.indexOf(data.status) === -1) {
+    message = 'The status must be one of: ' + STATUSES.join(', ') + '.';
+  }
+
+  if (!message) {
+    return null;
+  }
+
+  var err = new Error(message);
+  err.status = 400;
+  err.userMessage = message;
+
+  return err;
+}
+
+/**
+ * This controller lets a logged in user manage their own API keys: list them,
+ * create new ones (the secret is shown once, right after creation), enable or
+ * disable them, and delete them.  Each key can have an optional name and
+ * description.
+ *
+ * JSON clients use `GET` and `POST` on `config.web.apiKeys.uri`, and `PATCH`
+ * and `DELETE` on `config.web.apiKeys.uri + '/:id'`.  Browsers get a page which
+ * submits an `action` (`create`, `enable`, `disable` or `delete`) with a `POST`
+ * on `config.web.apiKeys.uri`.
+ *
+ * The URL this controller is bound to, and the view used to render this page
+ * can all be controlled via express-stormpath settings.
+ *
+ * @method
+ *
+ * @param {Object} req - The http request.
+ * @param {Object} res - The http response.
+ */
+module.exports = function(req, res) {
+  var accepts = req.accepts(['html', 'json']);
+  var config = req.app.get('stormpathConfig');
+  var logger = req.app.get('stormpathLogger');
+  var settings = config.web.apiKeys;
+  var view = settings.view;
+  var body = req.body || {};
+
+  function listApiKeys(callback) {
+    req.user.getApiKeys(function(err, collection) {
+      if (err) {
+        return callback(err);
+      }
+
+      var apiKeys = [];
+
+      collection.each(function(apiKey, next) {
+        apiKeys.push(apiKey);
+        next();
+      }, function(err) {
+        callback(err, apiKeys);
+      });
+    });
+  }
+
+  // Find an API key of the current user, so users can't touch other keys.
+  function findApiKey(id, callback) {
+    listApiKeys(function(err, apiKeys) {
+      if (err) {
+        return callback(err);
+      }
+
+      var apiKey = apiKeys.filter(function(apiKey) {
+        return apiKey.id === id;
+      })[0];
+
+      if (!apiKey) {
+        err = new Error('The API key does not exist.');
+        err.status = 404;
+        err.userMessage = err.message;
+      }
+
+      callback(err, apiKey);
+    });
+  }
+
+  function createApiKey(data, callback) {
+    var err = validateApiKeyData({ name: data.name, description: data.description });
+
+    if (err) {
+      return callback(err);
+    }
+
+    listApiKeys(function(err, apiKeys) {
+      if (err) {
+        return callback(err);
+      }
+
+      if (settings.maxKeys && apiKeys.length >= settings.maxKeys) {
+        err = new Error('You can\'t have more than ' + settings.maxKeys + ' API keys.');
+        err.status = 400;
+        err.userMessage = err.message;
+        return callback(err);
+      }
+
+      // The SDK sends the options of createApiKey as query parameters, which
+      // the API ignores, so set the name and description on the new key.
+      req.user.createApiKey(function(err, apiKey) {
+        if (err) {
+          return callback(err);
+        }
+
+        logger.info('User ' + req.user.email + ' created the API key ' + apiKey.id + '.');
+
+        if (!data.name && !data.description) {
+          return callback(null, apiKey);
+        }
+
+        apiKey.name = data.name || undefined;
+        apiKey.description = data.description || undefined;
+
+        apiKey.save(function(err) {
+          callback(err, apiKey);
+        });
+      });
+    });
+  }
+
+  function updateApiKey(id, data, callback) {
+    var err = validateApiKeyData(data);
+
+    if (err) {
+      return callback(err);
+    }
+
+    findApiKey(id, function(err, apiKey) {
+      if (err) {
+        return callback(err);
+      }
+
+      ['name', 'description', 'status'].forEach(function(field) {
+        if (data[field] !== undefined) {
+          apiKey[field] = data[field];
+        }
+      });
+
+      apiKey.save(function(err) {
+        if (err) {
+          return callback(err);
+        }
+
+        logger.info('User ' + req.user.email + ' updated the API key ' + apiKey.id + '.');
+        callback(null, apiKey);
+      });
+    });
+  }
+
+  function deleteApiKey(id, callback) {
+    findApiKey(id, function(err, apiKey) {
+      if (err) {
+        return callback(err);
+      }
+
+      apiKey.delete(function(err) {
+        if (err) {
+          return callback(err);
+        }
+
+        logger.info('User ' + req.user.email + ' deleted the API key ' + apiKey.id + '.');
+        callback();
+      });
+    });
+  }
+
+  function sendError(err) {
+    res.status(err.status && err.status < 500 ? err.status : 400).json({ error: err.userMessage || err.message });
+  }
+
+  function render(locals) {
+    listApiKeys(function(err, apiKeys) {
+      locals.apiKeys = (apiKeys || []).map(function(apiKey) {
+        return serializeApiKey(apiKey);
+      });
+
+      if (err) {
+        locals.error = err.userMessage || err.message;
+      }
+
+      helpers.render(req, res, view, locals);
+    });
+  }
+
+  if (accepts === 'json') {
+    if (req.method === 'POST') {
+      return createApiKey(body, function(err, apiKey) {
+        if (err) {
+          return sendError(err);
+        }
+
+        // The secret is in the response, so it must not be cached.
+        res.set('Cache-Control', 'no-store');
+        res.status(201).json(serializeApiKey(apiKey, true));
+      });
+    }
+
+    if (req.method === 'PATCH') {
+      return updateApiKey(req.params.id, { name: body.name, description: body.description, status: body.status }, function(err, apiKey) {
+        return err ? sendError(err) : res.json(serializeApiKey(apiKey));
+      });
+    }
+
+    if (req.method === 'DELETE') {
+      return deleteApiKey(req.params.id, function(err) {
+        return err ? sendError(err) : res.status(204).end();
+      });
+    }
+
+    return listApiKeys(function(err, apiKeys) {
+      if (err) {
+        return sendError(err);
+      }
+
+      res.json({
+        apiKeys: apiKeys.map(function(apiKey) {
+          return serializeApiKey(apiKey);
+        })
+      });
+    });
+  }
+
+  if (accepts !== 'html' || (req.method !== 'GET' && req.method !== 'POST')) {
+    return res.status(415).end();
+  }
+
+  if (config.web.spaRoot) {
+    return res.sendFile(config.web.spaRoot);
+  }
+
+  // If we get here, it means the user is doing a simple GET request, so we
+  // should just render the API keys template.
+  if (req.method === 'GET') {
+    return render({});
+  }
+
+  function done(err) {
+    if (err) {
+      return render({ error: err.userMessage || err.message });
+    }
+
+    res.redirect(settings.uri);
+  }
+
+  // If we get here, it means the user submitted one of the forms of the page.
+  switch (body.action) {
+    case 'create':
+      return createApiKey(body, function(err, apiKey) {
+        if (err) {
+          return done(err);
+        }
+
+        res.set('Cache-Control', 'no-store');
+        render({ newApiKey: serializeApiKey(apiKey, true) });
+      });
+    case 'enable':
+    case 'disable':
+      return updateApiKey(body.id, { status: body.action === 'enable' ? 'ENABLED' : 'DISABLED' }, done);
+    case 'delete':
+      return deleteApiKey(body.id, done);
+    default:
+      render({ error: 'Unknown action.' });
+  }
+};
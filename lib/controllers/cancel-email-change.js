@@ -0,0 +1,51 @@
+'use strict';
+
+var helpers = require('../helpers');
+
+/**
+ * Cancel a pending email change, once the user followed the link sent to
+ * their current address when the change was requested (see
+ * `controllers.changeEmail`).
+ *
+ * The token is checked by `helpers.redeemEmailChange`, which removes the
+ * pending change, so its confirmation link can't be used anymore.
+ *
+ * This doesn't require a login, as the change may have been requested by
+ * someone else, from a session the owner of the account doesn't have.
+ *
+ * @method
+ *
+ * @param {Object} req - The http request.
+ * @param {Object} res - The http response.
+ */
+module.exports = function(req, res) {
+  var accepts = req.accepts(['html', 'json']);
+  var config = req.app.get('stormpathConfig');
+  var logger = req.app.get('stormpathLogger');
+  var sptoken = req.query.sptoken || (req.body && req.body.sptoken);
+  var view = config.web.changeEmail.view;
+
+  if (accepts === 'html' && config.web.spaRoot) {
+    return res.sendFile(config.web.spaRoot);
+  }
+
+  helpers.redeemEmailChange(req.app, 'cancel', sptoken, function(err, account, change) {
+    if (err) {
+      logger.info('A user attempted to cancel an email change with an invalid token.');
+
+      if (accepts === 'json') {
+        return res.status(400).json({ error: err.userMessage || err.message });
+      }
+
+      return helpers.render(req, res, view, { error: err.userMessage || err.message, invalid_sp_token: true });
+    }
+
+    logger.info('User ' + account.email + ' cancelled the change of their email address to ' + change.email + '.');
+
+    if (accepts === 'json') {
+      return res.end();
+    }
+
+    helpers.render(req, res, view, { status: 'cancelled' });
+  });
+};
@@ -0,0 +1,187 @@
+'use strict';
+
+var async = require('async');
+
+var forms = require('../forms');
+var helpers = require('../helpers');
+
+/**
+ * A loose check of the shape of an email address.  The Stormpath API has the
+ * final say when the address is saved.
+ *
+ * @private
+ */
+var EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Allow a logged in user to change their email address.
+ *
+ * The account isn't changed right away: a link with a one-time token (which
+ * expires after `config.web.changeEmail.tokenTtl` seconds, see
+ * `helpers.createEmailChange`) is sent to the new address, and the email is
+ * only swapped once that link is followed (see
+ * `controllers.confirmEmailChange`).  The current address is notified of the
+ * request, with a link to cancel it (see `controllers.cancelEmailChange`), in
+ * case someone else is logged into the account.  Requests are rate limited by
+ * the account verification throttle (`config.web.verifyEmail.throttle`), and
+ * require the current password unless `config.web.changeEmail.requirePassword`
+ * is disabled.
+ *
+ * The URL this controller is bound to, and the view used to render this page
+ * can all be controlled via express-stormpath settings.
+ *
+ * @method
+ *
+ * @param {Object} req - The http request.
+ * @param {Object} res - The http response.
+ */
+module.exports = function(req, res) {
+  var accepts = req.accepts(['html', 'json']);
+  var config = req.app.get('stormpathConfig');
+  var logger = req.app.get('stormpathLogger');
+  var settings = config.web.changeEmail;
+  var throttle = helpers.createThrottle(req.app, 'verifyEmail');
+  var view = settings.view;
+
+  function createError(message) {
+    var err = new Error(message);
+    err.userMessage = message;
+    return err;
+  }
+
+  function checkPassword(password, callback) {
+    if (!settings.requirePassword) {
+      return callback();
+    }
+
+    helpers.authenticatePassword(req, req.user.email, password, function(err) {
+      if (err && !err.retryAfter) {
+        logger.info('User ' + req.user.email + ' tried to change their email address, but supplied an invalid password.');
+        err = createError('Your password is incorrect.');
+      }
+
+      callback(err);
+    });
+  }
+
+  function requestChange(data, callback) {
+    var email = String(data.email || '').trim();
+
+    if (!EMAIL_PATTERN.test(email)) {
+      return callback(createError('Please enter a valid email address.'));
+    }
+
+    if (email.toLowerCase() === req.user.email.toLowerCase()) {
+      return callback(createError('This is already your email address.'));
+    }
+
+    throttle.attempt({ account: req.user.href, ip: req.ip }, function(err) {
+      if (err) {
+        logger.info('An email change confirmation for ' + req.user.email + ' was not sent, as too many were requested.');
+        return callback(err);
+      }
+
+      checkPassword(data.password, function(err) {
+        if (err) {
+          return callback(err);
+        }
+
+        helpers.createEmailChange(req.app, req.user, email, function(err, token, cancelToken) {
+          if (err) {
+            logger.info('Unable to record the email change of ' + req.user.email + ': ' + err.message);
+            return callback(err);
+          }
+
+          var baseUrl = req.protocol + '://' + req.get('host');
+          var link = baseUrl + settings.confirmUri + '?sptoken=' + encodeURIComponent(token);
+          var cancelLink = baseUrl + settings.cancelUri + '?sptoken=' + encodeURIComponent(cancelToken);
+
+          async.series([
+            helpers.sendEmail.bind(null, req.app, {
+              type: 'changeEmailRequested',
+              to: req.user.email,
+              subject: 'A change of your email address was requested',
+              text: 'Someone asked to change the email address of your account to ' + email + '.  If it wasn\'t you, cancel the change by following this link, and change your password: ' + cancelLink,
+              account: req.user,
+              link: cancelLink,
+              token: cancelToken
+            }),
+            helpers.sendEmail.bind(null, req.app, {
+              type: 'changeEmail',
+              to: email,
+              subject: 'Confirm your new email address',
+              text: 'To use this address for your account, follow this link: ' + link,
+              account: req.user,
+              link: link,
+              token: token
+            })
+          ], function(err) {
+            if (err) {
+              logger.info('Unable to send the email change confirmation of ' + req.user.email + ': ' + err.message);
+              return callback(createError('Unable to send the confirmation email.  Please try again.'));
+            }
+
+            logger.info('User ' + req.user.email + ' requested to change their email address.');
+            callback();
+          });
+        });
+      });
+    });
+  }
+
+  function sendError(err, form) {
+    if (err.retryAfter) {
+      res.set('Retry-After', String(err.retryAfter));
+      res.status(429);
+    } else if (accepts === 'json') {
+      res.status(400);
+    }
+
+    if (accepts === 'json') {
+      return res.json({ error: err.userMessage || err.message });
+    }
+
+    helpers.render(req, res, view, { error: err.userMessage || err.message, form: form });
+  }
+
+  if (req.method === 'POST' && accepts === 'json') {
+    return requestChange(req.body || {}, function(err) {
+      if (err) {
+        return sendError(err);
+      }
+
+      res.end();
+    });
+  }
+
+  if (accepts !== 'html') {
+    return res.status(415).end();
+  }
+
+  if (config.web.spaRoot) {
+    return res.sendFile(config.web.spaRoot);
+  }
+
+  forms.changeEmailForm.handle(req, {
+    // If we get here, it means the user is submitting a new email address, so
+    // we should send the confirmation email.
+    success: function(form) {
+      requestChange(form.data, function(err) {
+        if (err) {
+          return sendError(err, form);
+        }
+
+        res.redirect(settings.nextUri);
+      });
+    },
+    // If we get here, it means the user didn't supply required form fields.
+    error: function(form) {
+      helpers.render(req, res, view, { form: form, formErrors: helpers.collectFormErrors(form) });
+    },
+    // If we get here, it means the user is doing a simple GET request, so we
+    // should just render the change email template.
+    empty: function(form) {
+      helpers.render(req, res, view, { form: form, status: req.query.status });
+    }
+  });
+};
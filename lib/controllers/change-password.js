@@ -10,6 +10,9 @@ var helpers = require('../helpers');
  * password reset email, then clicked the link in the email which redirects them
  * to this controller.
  *
+ * The new password must follow the local password policy
+ * (`config.web.passwordPolicy`).
+ *
  * The URL this controller is bound to, and the view used to render this page
  * can all be controlled via express-stormpath settings.
  *
@@ -42,6 +45,12 @@ module.exports = function(req, res) {
     }
 
     if (req.method === 'POST' && accepts === 'json') {
+      var policyError = helpers.checkPasswordPolicy(config, req.body.password, result);
+
+      if (policyError) {
+        return res.status(400).json({ error: policyError.userMessage, errors: policyError.errors });
+      }
+
       result.password = req.body.password;
       return result.save(function(err) {
         if (err) {
@@ -61,6 +70,17 @@ module.exports = function(req, res) {
           return helpers.render(req, res, view, { error: 'Passwords do not match.', form: form });
         }
 
+        var policyError = helpers.checkPasswordPolicy(config, form.data.password, result);
+
+        if (policyError) {
+          return helpers.render(req, res, view, {
+            form: form,
+            formErrors: policyError.errors.map(function(error) {
+              return { field: 'password', error: error.message };
+            })
+          });
+        }
+
         result.password = form.data.password;
         result.save(function(err) {
           if (err) {
@@ -0,0 +1,79 @@
+'use strict';
+
+var helpers = require('../helpers');
+
+/**
+ * Complete an email change, once the user followed the link sent to their new
+ * address (see `controllers.changeEmail`).
+ *
+ * The token is checked by `helpers.redeemEmailChange`, so each link can only be
+ * used once.  Once the email is swapped, a
+ * notice is sent to the old address.  If the username of the account was its
+ * old email, it's changed as well.
+ *
+ * This doesn't require a login, as the link may be opened in another browser.
+ *
+ * @method
+ *
+ * @param {Object} req - The http request.
+ * @param {Object} res - The http response.
+ */
+module.exports = function(req, res) {
+  var accepts = req.accepts(['html', 'json']);
+  var config = req.app.get('stormpathConfig');
+  var logger = req.app.get('stormpathLogger');
+  var sptoken = req.query.sptoken || (req.body && req.body.sptoken);
+  var view = config.web.changeEmail.view;
+
+  function sendError(err) {
+    if (accepts === 'json') {
+      return res.status(400).json({ error: err.userMessage || err.message });
+    }
+
+    helpers.render(req, res, view, { error: err.userMessage || err.message, invalid_sp_token: true });
+  }
+
+  if (accepts === 'html' && config.web.spaRoot) {
+    return res.sendFile(config.web.spaRoot);
+  }
+
+  helpers.redeemEmailChange(req.app, 'confirm', sptoken, function(err, account, change) {
+    if (err) {
+      logger.info('A user attempted to confirm an email change with an invalid token.');
+      return sendError(err);
+    }
+
+    account.email = change.email;
+
+    if (account.username === change.oldEmail) {
+      account.username = change.email;
+    }
+
+    account.save(function(err) {
+      if (err) {
+        logger.info('A user attempted to confirm an email change, but the change itself failed: ' + err.message);
+        return sendError(err);
+      }
+
+      logger.info('User ' + change.oldEmail + ' changed their email address to ' + change.email + '.');
+
+      helpers.sendEmail(req.app, {
+        type: 'changeEmailNotice',
+        to: change.oldEmail,
+        subject: 'Your email address was changed',
+        text: 'The email address of your account was changed to ' + change.email + '.  If you didn\'t request this change, please contact us.',
+        account: account
+      }, function(err) {
+        if (err) {
+          logger.info('Unable to notify ' + change.oldEmail + ' of their email change: ' + err.message);
+        }
+
+        if (accepts === 'json') {
+          return res.end();
+        }
+
+        helpers.render(req, res, view, { status: 'confirmed' });
+      });
+    });
+  });
+};
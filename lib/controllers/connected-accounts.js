@@ -0,0 +1,166 @@
+'use strict';
+
+var helpers = require('../helpers');
+var oauth = require('../oauth');
+
+/**
+ * The social providers whose accounts can be connected, with their names.
+ *
+ * @private
+ */
+var PROVIDERS = {
+  facebook: 'Facebook',
+  github: 'GitHub',
+  google: 'Google',
+  linkedin: 'LinkedIn'
+};
+
+/**
+ * Get the providers whose accounts can be connected: the social providers,
+ * and the OpenID Connect providers (see the `oidcProviders` setting).
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} config - The Stormpath express config object.
+ *
+ * @return {Object} The `name` of each provider, whether it's `enabled`, and the
+ *   `authorizeUri` of the OpenID Connect providers, by provider id.
+ */
+function getProviders(config) {
+  var providers = {};
+
+  Object.keys(PROVIDERS).forEach(function(providerId) {
+    var settings = (config.socialProviders || {})[providerId];
+    providers[providerId] = { name: PROVIDERS[providerId], enabled: !!(settings && settings.enabled) };
+  });
+
+  Object.keys(config.oidcProviders || {}).forEach(function(name) {
+    var settings = config.oidcProviders[name];
+
+    if (!providers[name]) {
+      providers[name] = { name: settings.name, enabled: settings.enabled, authorizeUri: settings.authorizeUri };
+    }
+  });
+
+  return providers;
+}
+
+/**
+ * This controller lets a logged in user connect their social accounts
+ * (Facebook, Google, LinkedIn, GitHub and OpenID Connect providers) to their
+ * account, and disconnect them.  Once connected, logging in with a social account logs the user into
+ * their account (see `oauth.identities`).
+ *
+ * The page has a button for each enabled provider which isn't connected yet.
+ * It sends the user through the login flow of the provider, and the social
+ * login callback connects the social account instead of logging in, thanks to
+ * the short lived `oauthConnectToken` cookie set by this page.
+ *
+ * JSON clients can list the connected providers with a `GET`, and disconnect
+ * one with a `POST` of `{ disconnect: 'google' }`, like browsers.
+ *
+ * The URL this controller is bound to, and the view used to render this page
+ * can all be controlled via express-stormpath settings.
+ *
+ * @method
+ *
+ * @param {Object} req - The http request.
+ * @param {Object} res - The http response.
+ */
+module.exports = function(req, res) {
+  var accepts = req.accepts(['html', 'json']);
+  var config = req.app.get('stormpathConfig');
+  var logger = req.app.get('stormpathLogger');
+  var settings = config.web.connectedAccounts;
+  var body = req.body || {};
+  var providers = getProviders(config);
+
+  function disconnect(providerId, callback) {
+    if (!providers.hasOwnProperty(providerId)) {
+      var err = new Error('Unknown provider.');
+      err.status = 400;
+      err.userMessage = err.message;
+      return callback(err);
+    }
+
+    oauth.identities.unlink(req, req.user, providerId, function(err) {
+      if (!err) {
+        logger.info('User ' + req.user.email + ' disconnected their ' + providers[providerId].name + ' account.');
+      }
+
+      callback(err);
+    });
+  }
+
+  function sendError(err) {
+    res.status(err.status && err.status < 500 ? err.status : 400).json({ error: err.userMessage || err.message });
+  }
+
+  function sendIdentities() {
+    oauth.identities.list(req.user, function(err, identities) {
+      return err ? sendError(err) : res.json({ identities: identities });
+    });
+  }
+
+  function render(locals) {
+    oauth.identities.list(req.user, function(err, identities) {
+      identities = identities || {};
+
+      locals.providers = Object.keys(providers).filter(function(providerId) {
+        return providers[providerId].enabled || identities[providerId];
+      }).map(function(providerId) {
+        return {
+          id: providerId,
+          name: providers[providerId].name,
+          authorizeUri: providers[providerId].authorizeUri,
+          identity: identities[providerId] || null
+        };
+      });
+
+      if (err) {
+        locals.error = err.userMessage || err.message;
+      }
+
+      // The connect buttons go through the login flow of the providers, which
+      // needs the state token, and brings the user back here.
+      locals.oauthStateToken = oauth.common.resolveStateToken(req, res);
+      helpers.setTempCookie(res, 'oauthRedirectUri', settings.uri);
+      helpers.setTempCookie(res, 'oauthConnectToken', helpers.createSignedToken(req.app, 'connect', { sub: req.user.href }, 300));
+
+      helpers.render(req, res, settings.view, locals);
+    });
+  }
+
+  if (accepts === 'json') {
+    if (req.method === 'POST') {
+      return disconnect(body.disconnect, function(err) {
+        return err ? sendError(err) : sendIdentities();
+      });
+    }
+
+    return sendIdentities();
+  }
+
+  if (accepts !== 'html' || (req.method !== 'GET' && req.method !== 'POST')) {
+    return res.status(415).end();
+  }
+
+  if (config.web.spaRoot) {
+    return res.sendFile(config.web.spaRoot);
+  }
+
+  // If we get here, it means the user is doing a simple GET request, so we
+  // should just render the connected accounts template.
+  if (req.method === 'GET') {
+    return render({});
+  }
+
+  disconnect(body.disconnect, function(err) {
+    if (err) {
+      return render({ error: err.userMessage || err.message });
+    }
+
+    res.redirect(settings.uri);
+  });
+};
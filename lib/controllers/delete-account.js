@@ -0,0 +1,159 @@
+'use strict';
+
+var forms = require('../forms');
+var helpers = require('../helpers');
+var middleware = require('../middleware');
+
+/**
+ * Let a logged in user delete their own account, after re-entering their
+ * password (unless `config.web.deleteAccount.requirePassword` is disabled).
+ *
+ * Depending on `config.web.deleteAccount.mode`, the account is either deleted
+ * (`delete`), or disabled (`disable`) so it can be cleaned up later.  Every
+ * token issued to the account is revoked, and the session cookies are
+ * cleared.
+ *
+ * If a `preDeleteAccountHandler` is configured, it's called with `(account,
+ * req, res, next)` before the account is touched.  Calling `next` with an error
+ * aborts the deletion, and shows the error message to the user.
+ *
+ * The URL this controller is bound to, and the view used to render this page
+ * can all be controlled via express-stormpath settings.
+ *
+ * @method
+ *
+ * @param {Object} req - The http request.
+ * @param {Object} res - The http response.
+ */
+module.exports = function(req, res) {
+  var accepts = req.accepts(['html', 'json']);
+  var client = req.app.get('stormpathClient');
+  var config = req.app.get('stormpathConfig');
+  var logger = req.app.get('stormpathLogger');
+  var preDeleteAccountHandler = config.preDeleteAccountHandler;
+  var settings = config.web.deleteAccount;
+  var view = settings.view;
+
+  function checkPassword(password, callback) {
+    if (!settings.requirePassword) {
+      return callback();
+    }
+
+    helpers.authenticatePassword(req, req.user.email, password, function(err) {
+      if (err && !err.retryAfter) {
+        logger.info('User ' + req.user.email + ' tried to delete their account, but supplied an invalid password.');
+        err = new Error('Your password is incorrect.');
+        err.userMessage = err.message;
+      }
+
+      callback(err);
+    });
+  }
+
+  function deleteAccount(data, callback) {
+    checkPassword(data.password, function(err) {
+      if (err) {
+        return callback(err);
+      }
+
+      client.getAccount(req.user.href, function(err, account) {
+        if (err) {
+          return callback(err);
+        }
+
+        function remove() {
+          helpers.revokeAccountTokens(req.app, account, function(err) {
+            if (err) {
+              logger.info('Unable to revoke the tokens of ' + account.email + ' before deleting their account: ' + (err.developerMessage || err.message));
+              return callback(err);
+            }
+
+            if (settings.mode === 'disable') {
+              account.status = 'DISABLED';
+              return account.save(function(err) {
+                callback(err);
+              });
+            }
+
+            account.delete(callback);
+          });
+        }
+
+        if (!preDeleteAccountHandler) {
+          return remove();
+        }
+
+        preDeleteAccountHandler(account, req, res, function(err) {
+          if (err) {
+            logger.info('The deletion of ' + account.email + '\'s account was aborted by the preDeleteAccountHandler: ' + err.message);
+            return callback(err);
+          }
+
+          remove();
+        });
+      });
+    });
+  }
+
+  function sendError(err, form) {
+    if (err.retryAfter) {
+      res.set('Retry-After', String(err.retryAfter));
+      res.status(429);
+    } else if (accepts === 'json') {
+      res.status(400);
+    }
+
+    if (accepts === 'json') {
+      return res.json({ error: err.userMessage || err.message });
+    }
+
+    helpers.render(req, res, view, { error: err.userMessage || err.message, form: form });
+  }
+
+  function done() {
+    logger.info('User ' + req.user.email + ' deleted their account.');
+
+    middleware.deleteCookies(req, res);
+    res.locals.user = undefined;
+    req.user = undefined;
+
+    if (accepts === 'json') {
+      return res.status(204).end();
+    }
+
+    res.redirect(settings.nextUri);
+  }
+
+  if (req.method === 'POST' && accepts === 'json') {
+    return deleteAccount(req.body || {}, function(err) {
+      return err ? sendError(err) : done();
+    });
+  }
+
+  if (accepts !== 'html') {
+    return res.status(415).end();
+  }
+
+  if (config.web.spaRoot) {
+    return res.sendFile(config.web.spaRoot);
+  }
+
+  forms.deleteAccountForm.handle(req, {
+    // If we get here, it means the user confirmed the deletion, so we should
+    // delete their account.
+    success: function(form) {
+      deleteAccount(form.data, function(err) {
+        return err ? sendError(err, form) : done();
+      });
+    },
+    // If we get here, it means the user didn't supply required form fields.
+    error: function(form) {
+      helpers.render(req, res, view, { form: form, formErrors: helpers.collectFormErrors(form) });
+    },
+    // If we get here, it means the user is doing a simple GET request, so we
+    // should just render the delete account template.
+    empty: function(form) {
+      helpers.render(req, res, view, { form: form });
+    }
+  });
+};
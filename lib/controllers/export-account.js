@@ -0,0 +1,86 @@
+'use strict';
+
+var helpers = require('../helpers');
+
+/**
+ * The core account fields included in an export.
+ *
+ * @private
+ */
+var ACCOUNT_FIELDS = ['email', 'username', 'givenName', 'middleName', 'surname', 'fullName', 'status', 'createdAt', 'modifiedAt'];
+
+/**
+ * Copy a resource, leaving out its `href` (an internal resource URL).
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} resource - The resource to copy.
+ *
+ * @return {Object} The copy.
+ */
+function copyResource(resource) {
+  var copy = JSON.parse(JSON.stringify(resource || {}));
+
+  delete copy.href;
+
+  return copy;
+}
+
+/**
+ * Let a logged in user download their data (GDPR style): the core fields of
+ * their account, its custom data, the groups it belongs to and its provider
+ * data, as a JSON file.
+ *
+ * Internal resource URLs are left out, and so is everything `/me` hides (see
+ * `helpers.sanitizeAccount`): two-factor authentication secrets, pending email
+ * changes and the fields of `config.web.me.hiddenFields` (by default, the
+ * connected social identities and social provider tokens).
+ *
+ * @method
+ *
+ * @param {Object} req - The http request.
+ * @param {Object} res - The http response.
+ */
+module.exports = function(req, res) {
+  var logger = req.app.get('stormpathLogger');
+  var expand = { customData: true, groups: true, providerData: true };
+
+  helpers.expandAccount(req.app, req.user, { expand: expand }, function(err, account) {
+    if (err) {
+      logger.info('Unable to export the data of ' + req.user.email + ': ' + err.message);
+      return res.status(500).json({ error: 'Unable to export your data.  Please try again.' });
+    }
+
+    var groups = [];
+
+    account.groups.each(function(group, next) {
+      groups.push({ name: group.name, description: group.description || null });
+      next();
+    }, function(err) {
+      if (err) {
+        logger.info('Unable to export the groups of ' + req.user.email + ': ' + err.message);
+        return res.status(500).json({ error: 'Unable to export your data.  Please try again.' });
+      }
+
+      var sanitized = helpers.sanitizeAccount(req.app, account);
+      var data = {
+        exportedAt: new Date().toISOString(),
+        account: {},
+        customData: copyResource(sanitized.customData),
+        groups: groups,
+        providerData: copyResource(sanitized.providerData)
+      };
+
+      ACCOUNT_FIELDS.forEach(function(field) {
+        data.account[field] = sanitized[field] === undefined ? null : sanitized[field];
+      });
+
+      logger.info('User ' + req.user.email + ' exported their data.');
+
+      res.set('Cache-Control', 'no-store');
+      res.attachment('account-data.json');
+      res.send(JSON.stringify(data, null, 2));
+    });
+  });
+};
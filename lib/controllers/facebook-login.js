@@ -1,23 +1,26 @@
 'use strict';
 
-var helpers = require('../helpers');
+var oauth = require('../oauth');
 
 /**
  * This controller logs in an existing user with Facebook OAuth.
  *
- * When a user logs in with Facebook, all of the authentication happens on the
- * client side with Javascript.  Since all authentication happens with
- * Javascript, we *need* to force a newly created and / or logged in Facebook
- * user to redirect to this controller.
+ * Users sent to Facebook by `/authorize/facebook` come back to this controller
+ * with a code, which we exchange for an access token.  Pages which log users
+ * in with the Facebook Javascript SDK redirect them here with the access token
+ * itself.
  *
  * What this controller does is:
  *
- *  - Grabs the user's Facebook access token from the query string.
+ *  - Grabs the user's Facebook access token (or code) from the query string.
  *  - Once we have the user's access token, we send it to Stormpath, so that
  *    we can either create (or update) the user on Stormpath's side.
  *  - Then we retrieve the Stormpath account object for the user, and log
  *    them in using our normal session support.
  *
+ * The state token, the session and the redirection are handled by
+ * `oauth.handleCallback`, like for every social provider.
+ *
  * The URL this controller is bound to, and the view used to render this page
  * can all be controlled via express-stormpath settings.
  *
@@ -29,31 +32,36 @@ var helpers = require('../helpers');
 module.exports = function(req, res) {
   var application = req.app.get('stormpathApplication');
   var config = req.app.get('stormpathConfig');
-  var logger = req.app.get('stormpathLogger');
 
-  if (!req.query.access_token) {
-    logger.info('A user attempted to log in via Facebook OAuth without specifying an OAuth token.');
-    return res.status(400).json({ message: 'access_token parameter required.' });
-  }
+  function getAccount(accessToken, callback) {
+    var userData = {
+      providerData: {
+        accessToken: accessToken,
+        providerId: 'facebook'
+      }
+    };
 
-  var userData = {
-    providerData: {
-      accessToken: req.query.access_token,
-      providerId: 'facebook'
-    }
-  };
+    application.getAccount(userData, function(err, resp) {
+      callback(err, resp && resp.account, resp && resp.created);
+    });
+  }
 
-  application.getAccount(userData, function(err, resp) {
-    if (err) {
-      logger.info('During a Facebook OAuth login attempt, we were unable to fetch the user\'s social account from Stormpath.');
-      return helpers.render(req, res, req.app.get('stormpathFacebookLoginFailedView'));
-    }
+  oauth.handleCallback(req, res, {
+    provider: 'Facebook',
+    providerId: 'facebook',
+    param: req.query.code ? 'code' : 'access_token',
+    getAccount: function(callback) {
+      if (!req.query.code) {
+        return getAccount(req.query.access_token, callback);
+      }
 
-    res.locals.user = resp.account;
-    req.user = resp.account;
-    helpers.createIdSiteSession(req.user, req, res);
+      oauth.facebook.exchangeAuthCodeForAccessToken(req, config, function(err, accessToken) {
+        if (err) {
+          return callback(err);
+        }
 
-    var url = req.query.next || (resp.created ? config.web.register.nextUri : config.web.login.nextUri);
-    res.redirect(302, url);
+        getAccount(accessToken, callback);
+      });
+    }
   });
 };
@@ -23,16 +23,25 @@ module.exports = function(req, res) {
   var application = req.app.get('stormpathApplication');
   var config = req.app.get('stormpathConfig');
   var logger = req.app.get('stormpathLogger');
+  var throttle = helpers.createThrottle(req.app, 'forgotPassword');
   var view = config.web.forgotPassword.view;
 
   res.locals.status = req.query.status;
 
   if (req.method === 'POST' && accepts === 'json') {
-    return application.sendPasswordResetEmail(req.body.email, function(err) {
+    return throttle.attempt({ account: req.body.email, ip: req.ip }, function(err) {
       if (err) {
-        logger.info('A user tried to reset their password, but supplied an invalid email address: ' + req.body.email + '.');
+        logger.info('A password reset email for ' + req.body.email + ' was not sent, as too many were requested.');
+        res.set('Retry-After', String(err.retryAfter));
+        return res.status(429).json({ error: err.userMessage });
       }
-      res.end();
+
+      application.sendPasswordResetEmail(req.body.email, function(err) {
+        if (err) {
+          logger.info('A user tried to reset their password, but supplied an invalid email address: ' + req.body.email + '.');
+        }
+        res.end();
+      });
     });
   }
 
@@ -44,12 +53,21 @@ module.exports = function(req, res) {
     // If we get here, it means the user is submitting a password reset
     // request, so we should attempt to send the user a password reset email.
     success: function(form) {
-      application.sendPasswordResetEmail(form.data.email, function(err) {
+      throttle.attempt({ account: form.data.email, ip: req.ip }, function(err) {
         if (err) {
-          logger.info('A user tried to reset their password, but supplied an invalid email address: ' + form.data.email + '.');
+          logger.info('A password reset email for ' + form.data.email + ' was not sent, as too many were requested.');
+          res.set('Retry-After', String(err.retryAfter));
+          res.status(429);
+          return helpers.render(req, res, view, { form: form, error: err.userMessage });
         }
 
-        res.redirect(config.web.forgotPassword.nextUri);
+        application.sendPasswordResetEmail(form.data.email, function(err) {
+          if (err) {
+            logger.info('A user tried to reset their password, but supplied an invalid email address: ' + form.data.email + '.');
+          }
+
+          res.redirect(config.web.forgotPassword.nextUri);
+        });
       });
     },
     // If we get here, it means the user didn't supply required form fields.
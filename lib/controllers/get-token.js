@@ -1,17 +1,259 @@
 'use strict';
 
+var helpers = require('../helpers');
+
 /**
- * Allow a developer to exchange their API keys for an OAuth token.
+ * Determine whether or not a grant type is enabled.  Grant types are enabled
+ * unless they've been explicitly disabled, eg:
+ * `config.web.oauth2.password.enabled = false`.
  *
- * The URL this controller is bound to can be controlled via express-stormpath
- * settings.
+ * @method
+ * @private
+ *
+ * @param {Object} config - The express-stormpath configuration.
+ * @param {String} grantType - The OAuth grant type.
+ *
+ * @return {Boolean} Whether or not the grant type is enabled.
+ */
+function isGrantTypeEnabled(config, grantType) {
+  var grantConfig = config.web.oauth2[grantType];
+  return !grantConfig || grantConfig.enabled !== false;
+}
+
+/**
+ * Send an OAuth error response, as described in RFC 6749, section 5.2.
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} res - The http response.
+ * @param {Number} status - The http status code.
+ * @param {String} error - The OAuth error code, eg: 'invalid_grant'.
+ * @param {String} description - A human readable description of the error.
+ */
+function sendOAuthError(res, status, error, description) {
+  res.set({ 'Cache-Control': 'no-store', 'Pragma': 'no-cache' });
+  res.status(status).json({ error: error, error_description: description });
+}
+
+/**
+ * Send an OAuth access token response, as described in RFC 6749, section
+ * 5.1.
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} res - The http response.
+ * @param {Object} authenticationResult - The password or refresh token grant
+ *   authentication result.
+ */
+function sendTokenResponse(res, authenticationResult) {
+  var tokenResponse = authenticationResult.accessTokenResponse;
+  var body = {
+    access_token: tokenResponse.access_token,
+    token_type: tokenResponse.token_type || 'Bearer',
+    expires_in: tokenResponse.expires_in
+  };
+
+  if (tokenResponse.refresh_token) {
+    body.refresh_token = tokenResponse.refresh_token;
+  }
+
+  res.set({ 'Cache-Control': 'no-store', 'Pragma': 'no-cache' });
+  res.json(body);
+}
+
+/**
+ * Verify the one-time password of a password grant, if the account enabled
+ * two-factor authentication (see `config.web.totp`).  The code is read from
+ * the `totp_code` parameter.
+ *
+ * If the code is missing or invalid, the tokens issued by the password grant
+ * are revoked.
  *
  * @method
+ * @private
+ *
+ * @param {Object} req - The http request.
+ * @param {Object} authenticationResult - The password grant authentication
+ *   result.
+ * @param {Function} callback - Called with `(err)`.  Throttled attempts call
+ *   back with an error which has a `retryAfter` property.
+ */
+function verifySecondFactor(req, authenticationResult, callback) {
+  var config = req.app.get('stormpathConfig');
+  var code = (req.body || {}).totp_code;
+  var throttle = helpers.createThrottle(req.app, 'totp');
+
+  if (!config.web.totp.enabled) {
+    return callback();
+  }
+
+  function reject(err) {
+    helpers.revokeTokens(req.app, {
+      accessToken: authenticationResult.accessToken.toString(),
+      refreshToken: authenticationResult.refreshToken && authenticationResult.refreshToken.toString()
+    }, function() {
+      callback(err);
+    });
+  }
+
+  authenticationResult.getAccount(function(err, account) {
+    if (err) {
+      return callback(err);
+    }
+
+    account.getCustomData(function(err, customData) {
+      var settings = customData && customData[config.web.totp.customDataField];
+      var keys = { account: account.href, ip: req.ip };
+
+      if (err || !settings || !settings.enabled) {
+        return callback(err);
+      }
+
+      if (!code) {
+        return reject(new Error('A one-time password (totp_code) is required.'));
+      }
+
+      throttle.check(keys, function(err) {
+        if (err) {
+          return reject(err);
+        }
+
+        helpers.verifyTotpCode(req.app, account, code, function(err, method) {
+          if (err) {
+            return reject(err);
+          }
+
+          if (method) {
+            return throttle.reset({ account: account.href }, callback);
+          }
+
+          throttle.record(keys, function() {
+            reject(new Error('Invalid one-time password.'));
+          });
+        });
+      });
+    });
+  });
+}
+
+/**
+ * Exchange a username and password for an access token and refresh token (the
+ * OAuth password grant).
+ *
+ * @method
+ * @private
  *
  * @param {Object} req - The http request.
  * @param {Object} res - The http response.
  */
-module.exports = function(req, res) {
+function passwordGrant(req, res) {
+  var logger = req.app.get('stormpathLogger');
+  var params = req.body || {};
+
+  if (!params.username || !params.password) {
+    return sendOAuthError(res, 400, 'invalid_request', 'The username and password parameters are required.');
+  }
+
+  var data = { username: params.username, password: params.password };
+
+  // The password grant is a login too, so it can't be used to get around the
+  // checks of the preLoginHandler.
+  helpers.runPreHandler(req.app.get('stormpathConfig').preLoginHandler, data, req, res, function(err) {
+    if (err) {
+      logger.info('An OAuth password grant for ' + data.username + ' was rejected by the preLoginHandler.');
+      return sendOAuthError(res, err.status, 'invalid_grant', err.userMessage);
+    }
+
+    helpers.authenticatePassword(req, data.username, data.password, function(err, passwordGrantAuthenticationResult) {
+      if (err && err.retryAfter) {
+        res.set('Retry-After', String(err.retryAfter));
+        return sendOAuthError(res, 429, 'invalid_grant', err.userMessage);
+      }
+
+      if (err) {
+        logger.info('An OAuth password grant failed, as the supplied credentials were invalid.');
+        return sendOAuthError(res, 400, 'invalid_grant', err.userMessage || err.message);
+      }
+
+      verifySecondFactor(req, passwordGrantAuthenticationResult, function(err) {
+        if (err && err.retryAfter) {
+          res.set('Retry-After', String(err.retryAfter));
+          return sendOAuthError(res, 429, 'invalid_grant', err.userMessage);
+        }
+
+        if (err) {
+          logger.info('An OAuth password grant failed, as no valid one-time password was supplied.');
+          return sendOAuthError(res, 400, 'invalid_grant', err.userMessage || err.message);
+        }
+
+        sendTokenResponse(res, passwordGrantAuthenticationResult);
+      });
+    });
+  });
+}
+
+/**
+ * Exchange a refresh token for a new access token (the OAuth refresh token
+ * grant).
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} req - The http request.
+ * @param {Object} res - The http response.
+ */
+function refreshTokenGrant(req, res) {
+  var logger = req.app.get('stormpathLogger');
+  var params = req.body || {};
+
+  if (!params.refresh_token) {
+    return sendOAuthError(res, 400, 'invalid_request', 'The refresh_token parameter is required.');
+  }
+
+  helpers.createAuthenticator(req.app, 'refresh_token').authenticate({
+    refresh_token: params.refresh_token
+  }, function(err, refreshGrantAuthenticationResult) {
+    if (err) {
+      logger.info('An OAuth refresh token grant failed, as the supplied refresh token was invalid.');
+      return sendOAuthError(res, 400, 'invalid_grant', err.userMessage || err.message);
+    }
+
+    sendTokenResponse(res, refreshGrantAuthenticationResult);
+  });
+}
+
+/**
+ * Determine whether or not the scopes granted by the client credentials grant
+ * are restricted (see `helpers.getAllowedScopes`).
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} config - The express-stormpath configuration.
+ *
+ * @return {Boolean} Whether or not the granted scopes are restricted.
+ */
+function areScopesRestricted(config) {
+  var grantConfig = config.web.oauth2.client_credentials || {};
+  var scopeConfig = grantConfig.scopes || {};
+
+  return typeof grantConfig.scopeFactory === 'function' || !!scopeConfig.groups || !!scopeConfig.customDataField;
+}
+
+/**
+ * Exchange API keys for an OAuth token.
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} req - The http request.
+ * @param {Object} res - The http response.
+ * @param {String[]} [grantedScopes] - The scopes to grant.  If not given, the
+ *   requested scopes are granted.
+ */
+function exchangeApiKeys(req, res, grantedScopes) {
   var application = req.app.get('stormpathApplication');
   var logger = req.app.get('stormpathLogger');
 
@@ -19,7 +261,7 @@ module.exports = function(req, res) {
     request: req,
     ttl: req.app.get('stormpathOauthTTL'),
     scopeFactory: function(account, requestedScopes) {
-      return requestedScopes;
+      return grantedScopes || requestedScopes;
     }
   }, function(err, authResult) {
     if (err) {
@@ -31,4 +273,104 @@ module.exports = function(req, res) {
 
     res.json(authResult.tokenResponse);
   });
+}
+
+/**
+ * Exchange API keys for an OAuth token (the OAuth client credentials grant).
+ *
+ * If the granted scopes are restricted, the API keys are authenticated first,
+ * so the scopes the account is allowed can be looked up.  Only the requested
+ * scopes which are allowed are granted (or every allowed scope, if none were
+ * requested).
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} req - The http request.
+ * @param {Object} res - The http response.
+ */
+function clientCredentialsGrant(req, res) {
+  var application = req.app.get('stormpathApplication');
+  var config = req.app.get('stormpathConfig');
+  var logger = req.app.get('stormpathLogger');
+  var grantType = (req.body && req.body.grant_type) || req.query.grant_type;
+  var requestedScopes = ((req.body && req.body.scope) || req.query.scope || '').split(' ').filter(Boolean);
+
+  if (grantType !== 'client_credentials' || !/^Basic /i.test(req.headers.authorization || '') || !areScopesRestricted(config)) {
+    return exchangeApiKeys(req, res);
+  }
+
+  // Authenticate the API keys alone (without the grant type, so no token is
+  // issued yet).
+  var apiKeyRequest = { headers: req.headers, method: req.method, url: '/' };
+
+  application.authenticateApiRequest({ request: apiKeyRequest }, function(err, authResult) {
+    if (err) {
+      logger.info('An OAuth token exchange failed due to invalid API key credentials.');
+      return res.status(err.statusCode || 400).json({
+        error: err.userMessage || err.message || (err.statusCode === 401 ? 'Unauthorized':'Bad Request')
+      });
+    }
+
+    authResult.getAccount(function(err, account) {
+      if (err) {
+        logger.info('An OAuth token exchange failed, as the account of the API keys could not be retrieved.');
+        return res.status(400).json({ error: err.userMessage || err.message });
+      }
+
+      helpers.getAllowedScopes(req.app, account, requestedScopes, function(err, allowedScopes) {
+        if (err) {
+          logger.info('An OAuth token exchange failed, as the allowed scopes of ' + account.email + ' could not be retrieved.');
+          return res.status(400).json({ error: err.userMessage || err.message });
+        }
+
+        var grantedScopes = !requestedScopes.length ? allowedScopes : requestedScopes.filter(function(scope) {
+          return allowedScopes.indexOf(scope) > -1;
+        });
+
+        if (requestedScopes.length && !grantedScopes.length) {
+          logger.info('An OAuth token exchange failed, as ' + account.email + ' is not allowed any of the requested scopes.');
+          return sendOAuthError(res, 400, 'invalid_scope', 'None of the requested scopes are allowed.');
+        }
+
+        exchangeApiKeys(req, res, grantedScopes);
+      });
+    });
+  });
+}
+
+/**
+ * Allow a developer to exchange their API keys for an OAuth token, or a user
+ * to exchange their username and password (or a refresh token) for an OAuth
+ * token.
+ *
+ * Each grant type can be disabled individually, eg:
+ * `config.web.oauth2.password.enabled = false`.
+ *
+ * The URL this controller is bound to can be controlled via express-stormpath
+ * settings.
+ *
+ * @method
+ *
+ * @param {Object} req - The http request.
+ * @param {Object} res - The http response.
+ */
+module.exports = function(req, res) {
+  var config = req.app.get('stormpathConfig');
+  var grantType = (req.body && req.body.grant_type) || req.query.grant_type;
+
+  if (['client_credentials', 'password', 'refresh_token'].indexOf(grantType) > -1 && !isGrantTypeEnabled(config, grantType)) {
+    return sendOAuthError(res, 400, 'unsupported_grant_type', 'The ' + grantType + ' grant type is not enabled.');
+  }
+
+  switch (grantType) {
+    case 'password':
+      return passwordGrant(req, res);
+    case 'refresh_token':
+      return refreshTokenGrant(req, res);
+    default:
+      // Any other grant type is handled (or rejected) by the Stormpath client
+      // credentials exchange, as it always has been.
+      return clientCredentialsGrant(req, res);
+  }
 };
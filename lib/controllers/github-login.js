@@ -0,0 +1,53 @@
+'use strict';
+
+var oauth = require('../oauth');
+
+/**
+ * This controller logs in an existing user with GitHub OAuth.
+ *
+ * When a user logs in with GitHub, GitHub will redirect the user to this view,
+ * along with an access code for the user.
+ *
+ * What we do here is grab this access code, exchange it for an access token
+ * using the GitHub API, and lastly send it to Stormpath to handle the OAuth
+ * negotiation.  Once this is done, we log this user in using normal sessions,
+ * and from this point on -- this user is treated like a normal system user!
+ * The state token, the session and the redirection are handled by
+ * `oauth.handleCallback`, like for every social provider.
+ *
+ * The URL this controller is bound to, and the view used to render this page
+ * can all be controlled via express-stormpath settings.
+ *
+ * @method
+ *
+ * @param {Object} req - The http request.
+ * @param {Object} res - The http response.
+ */
+module.exports = function(req, res) {
+  var application = req.app.get('stormpathApplication');
+  var config = req.app.get('stormpathConfig');
+
+  oauth.handleCallback(req, res, {
+    provider: 'GitHub',
+    providerId: 'github',
+    param: 'code',
+    getAccount: function(callback) {
+      oauth.gitHub.exchangeAuthCodeForAccessToken(req, config, function(err, accessToken) {
+        if (err) {
+          return callback(err);
+        }
+
+        var userData = {
+          providerData: {
+            accessToken: accessToken,
+            providerId: 'github'
+          }
+        };
+
+        application.getAccount(userData, function(err, resp) {
+          callback(err, resp && resp.account, resp && resp.created);
+        });
+      });
+    }
+  });
+};
@@ -1,7 +1,6 @@
 'use strict';
 
-var helpers = require('../helpers');
-
+var oauth = require('../oauth');
 
 /**
  * This controller logs in an existing user with Google OAuth.
@@ -12,7 +11,8 @@ var helpers = require('../helpers');
  * What we do here is grab this access code and send it to Stormpath to handle
  * the OAuth negotiation.  Once this is done, we log this user in using normal
  * sessions, and from this point on -- this user is treated like a normal system
- * user!
+ * user!  The state token, the session and the redirection are handled by
+ * `oauth.handleCallback`, like for every social provider.
  *
  * The URL this controller is bound to, and the view used to render this page
  * can all be controlled via express-stormpath settings.
@@ -24,45 +24,22 @@ var helpers = require('../helpers');
  */
 module.exports = function(req, res) {
   var application = req.app.get('stormpathApplication');
-  var config = req.app.get('stormpathConfig');
-  var logger = req.app.get('stormpathLogger');
-  var loginHandler = req.app.get('stormpathPostLoginHandler');
-  var registrationHandler = req.app.get('stormpathPostRegistrationHandler');
-
-  if (!req.query.code) {
-    logger.info('A user attempted to log in via Google OAuth without specifying an OAuth token.');
-    return res.status(400).json({ message: 'code parameter required.' });
-  }
 
-  var userData = {
-    providerData: {
-      code: req.query.code,
-      providerId: 'google'
-    }
-  };
-
-  application.getAccount(userData, function(err, resp) {
-    if (err) {
-      logger.info('During a Google OAuth login attempt, we were unable to fetch the user\'s social account from Stormpath.');
-      return res.status(err.status || 400).json(err);
-    }
-
-    res.locals.user = resp.account;
-    req.user = resp.account;
-    helpers.createIdSiteSession(req.user, req, res);
-
-    var nextUrl = req.query.next || (resp.created ? config.web.register.nextUri : config.web.login.nextUri);
-
-    if (resp.created && registrationHandler) {
-      registrationHandler(req.user, req, res, function() {
-        res.redirect(302, nextUrl);
-      });
-    } else if (loginHandler) {
-      loginHandler(req.user, req, res, function() {
-        res.redirect(302, nextUrl);
+  oauth.handleCallback(req, res, {
+    provider: 'Google',
+    providerId: 'google',
+    param: 'code',
+    getAccount: function(callback) {
+      var userData = {
+        providerData: {
+          code: req.query.code,
+          providerId: 'google'
+        }
+      };
+
+      application.getAccount(userData, function(err, resp) {
+        callback(err, resp && resp.account, resp && resp.created);
       });
-    } else {
-      res.redirect(302, nextUrl);
     }
   });
 };
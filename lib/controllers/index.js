@@ -1,16 +1,33 @@
 'use strict';
 
 module.exports = {
+  apiKeys: require('./api-keys'),
+  cancelEmailChange: require('./cancel-email-change'),
+  changeEmail: require('./change-email'),
   changePassword: require('./change-password'),
+  confirmEmailChange: require('./confirm-email-change'),
+  connectedAccounts: require('./connected-accounts'),
+  deleteAccount: require('./delete-account'),
+  exportAccount: require('./export-account'),
   facebookLogin: require('./facebook-login'),
   forgotPassword: require('./forgot-password'),
   getToken: require('./get-token'),
+  githubLogin: require('./github-login'),
   googleLogin: require('./google-login'),
   idSiteRedirect: require('./id-site-redirect'),
   idSiteVerify: require('./id-site-verify'),
+  introspectToken: require('./introspect-token'),
   linkedInLogin: require('./linkedin-login'),
   login: require('./login'),
   logout: require('./logout'),
+  oidcAuthorize: require('./oidc-authorize'),
+  oidcLogin: require('./oidc-login'),
+  profile: require('./profile'),
   register: require('./register'),
+  revokeToken: require('./revoke-token'),
+  socialAuthorize: require('./social-authorize'),
+  totpChallenge: require('./totp-challenge'),
+  totpEnroll: require('./totp-enroll'),
+  updatePassword: require('./update-password'),
   verifyEmail: require('./verify-email')
 };
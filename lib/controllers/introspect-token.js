@@ -0,0 +1,38 @@
+'use strict';
+
+var helpers = require('../helpers');
+
+/**
+ * Inspect an access or refresh token, as described in RFC 7662.  The token is
+ * supplied in the `token` body parameter, and the response tells whether the
+ * token is `active`, along with its claims.
+ *
+ * This controller must be protected by API authentication, so only trusted
+ * services can inspect tokens.
+ *
+ * The URL this controller is bound to can be controlled via express-stormpath
+ * settings.
+ *
+ * @method
+ *
+ * @param {Object} req - The http request.
+ * @param {Object} res - The http response.
+ */
+module.exports = function(req, res) {
+  var logger = req.app.get('stormpathLogger');
+  var token = req.body && req.body.token;
+
+  res.set({ 'Cache-Control': 'no-store', 'Pragma': 'no-cache' });
+
+  if (!token) {
+    return res.status(400).json({ error: 'invalid_request', error_description: 'The token parameter is required.' });
+  }
+
+  helpers.introspectToken(req.app, token, function(err, introspection) {
+    if (err) {
+      logger.info('Attempted to introspect a token, but this operation failed: ' + (err.developerMessage || err.message));
+    }
+
+    res.json(introspection);
+  });
+};
@@ -1,8 +1,6 @@
 'use strict';
 
 var extend = require('deep-extend');
-var stormpath = require('stormpath');
-var uuid = require('uuid');
 
 var forms = require('../forms');
 var helpers = require('../helpers');
@@ -20,8 +18,6 @@ var oauth = require('../oauth');
  */
 module.exports = function(req, res) {
   var accepts = req.accepts([ 'html', 'json' ]);
-  var application = req.app.get('stormpathApplication');
-  var authenticator = stormpath.OAuthPasswordGrantRequestAuthenticator(application);
   var config = req.app.get('stormpathConfig');
   var logger = req.app.get('stormpathLogger');
   var nextUri = req.query.next;
@@ -50,21 +46,31 @@ module.exports = function(req, res) {
   res.locals.status = req.query.status;
 
   if (req.method === 'POST' && accepts === 'json') {
-    authenticator.authenticate({
-      username: req.body.username || uuid(),
-      password: req.body.password || uuid()
-    }, function(err, passwordGrantAuthenticationResult) {
+    var data = { username: req.body.username, password: req.body.password };
+
+    helpers.runPreHandler(config.preLoginHandler, data, req, res, function(err) {
       if (err) {
-        return res.status(400).json({ error: err.userMessage || err.message });
+        logger.info('A login attempt for ' + data.username + ' was rejected by the preLoginHandler.');
+        return res.status(err.status).json({ error: err.userMessage });
       }
 
-      passwordGrantAuthenticationResult.getAccount(function(err, account) {
+      helpers.authenticatePassword(req, data.username, data.password, function(err, passwordGrantAuthenticationResult) {
         if (err) {
-          logger.info('After successfully authenticating user ' + account.email + ', we were unable to retrieve the account details from Stormpath.');
-          return res.status(400).json({ error: err.userMessage || err.message });
+          if (err.retryAfter) {
+            res.set('Retry-After', String(err.retryAfter));
+          }
+
+          return res.status(err.retryAfter ? 429 : 400).json({ error: err.userMessage || err.message });
         }
 
-        helpers.loginResponder(passwordGrantAuthenticationResult, account, req, res);
+        passwordGrantAuthenticationResult.getAccount(function(err, account) {
+          if (err) {
+            logger.info('After successfully authenticating user ' + account.email + ', we were unable to retrieve the account details from Stormpath.');
+            return res.status(400).json({ error: err.userMessage || err.message });
+          }
+
+          helpers.loginResponder(passwordGrantAuthenticationResult, account, req, res);
+        });
       });
     });
   } else if (accepts === 'html') {
@@ -79,22 +85,35 @@ module.exports = function(req, res) {
       // If we get here, it means the user is submitting a login request, so we
       // should attempt to log the user into their account.
       success: function(form) {
-        authenticator.authenticate({
-          username: form.data.login,
-          password: form.data.password
-        }, function(err, passwordGrantAuthenticationResult) {
+        var data = { username: form.data.login, password: form.data.password };
+
+        helpers.runPreHandler(config.preLoginHandler, data, req, res, function(err) {
           if (err) {
-            logger.info('User attempted to authenticated via the login page, but supplied invalid credentials.');
+            logger.info('A login attempt for ' + data.username + ' was rejected by the preLoginHandler.');
+            res.status(err.status);
             return renderForm(form, { error: err.userMessage });
           }
 
-          passwordGrantAuthenticationResult.getAccount(function(err, account) {
+          helpers.authenticatePassword(req, data.username, data.password, function(err, passwordGrantAuthenticationResult) {
             if (err) {
-              logger.info('After successfully authenticating user ' + account.email + ', we were unable to retrieve the account details from Stormpath.');
+              if (err.retryAfter) {
+                res.set('Retry-After', String(err.retryAfter));
+                res.status(429);
+              } else {
+                logger.info('User attempted to authenticated via the login page, but supplied invalid credentials.');
+              }
+
               return renderForm(form, { error: err.userMessage });
             }
 
-            helpers.loginResponder(passwordGrantAuthenticationResult, account, req, res);
+            passwordGrantAuthenticationResult.getAccount(function(err, account) {
+              if (err) {
+                logger.info('After successfully authenticating user ' + account.email + ', we were unable to retrieve the account details from Stormpath.');
+                return renderForm(form, { error: err.userMessage });
+              }
+
+              helpers.loginResponder(passwordGrantAuthenticationResult, account, req, res);
+            });
           });
         });
       },
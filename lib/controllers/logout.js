@@ -1,5 +1,8 @@
 'use strict';
 
+var async = require('async');
+
+var helpers = require('../helpers');
 var idSiteRedirect = require('./id-site-redirect');
 var middleware = require('../middleware');
 
@@ -7,18 +10,62 @@ var middleware = require('../middleware');
  * This controller logs out an existing user, then redirects them to the
  * homepage.
  *
+ * The access and refresh tokens backing the session cookies are revoked, so
+ * they can't be used again.  If the "log out everywhere" mode is requested
+ * (via `config.web.logout.everywhere`, or an `everywhere` body parameter),
+ * every token issued to the account is revoked.  The parameter is ignored on
+ * GET requests, so a cross-site link or image can't end every session.
+ *
+ * JSON clients should POST to this controller, and will receive a 200 response
+ * instead of a redirect.
+ *
  * @method
  *
  * @param {Object} req - The http request.
  * @param {Object} res - The http response.
  */
 module.exports = function(req, res) {
+  var accepts = req.accepts(['html', 'json']);
   var config = req.app.get('stormpathConfig');
+  var cookies = req.cookies || {};
+  var logger = req.app.get('stormpathLogger');
+  var everywhere = config.web.logout.everywhere || (req.method === 'POST' && [true, 'true'].indexOf(req.body && req.body.everywhere) > -1);
 
-  if (req.cookies && req.cookies.idSiteSession) {
+  if (cookies.idSiteSession) {
     return idSiteRedirect({ logout: true })(req, res);
   }
 
-  middleware.deleteCookies(req, res);
-  res.redirect(config.web.logout.nextUri);
+  async.series([
+    function(callback) {
+      if (!everywhere) {
+        return callback();
+      }
+
+      helpers.getUser(req, res, function() {
+        if (!req.user) {
+          return callback();
+        }
+
+        helpers.revokeAccountTokens(req.app, req.user, callback);
+      });
+    },
+    function(callback) {
+      helpers.revokeTokens(req.app, {
+        accessToken: cookies[config.web.accessTokenCookie.name],
+        refreshToken: cookies[config.web.refreshTokenCookie.name]
+      }, callback);
+    }
+  ], function(err) {
+    if (err) {
+      logger.info('A user logged out, but their tokens could not be revoked: ' + (err.developerMessage || err.message));
+    }
+
+    middleware.deleteCookies(req, res);
+
+    if (req.method === 'POST' && accepts === 'json') {
+      return res.status(200).end();
+    }
+
+    res.redirect(config.web.logout.nextUri);
+  });
 };
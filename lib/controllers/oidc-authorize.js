@@ -0,0 +1,38 @@
+'use strict';
+
+var helpers = require('../helpers');
+var oauth = require('../oauth');
+
+/**
+ * This controller starts a login with an OpenID Connect provider (see the
+ * `oidcProviders` setting).
+ *
+ * We create the state, nonce and PKCE code verifier of the authorization
+ * request, keep them in a short lived signed cookie for the callback to check,
+ * and redirect the user to the authorization endpoint of the provider.
+ *
+ * @method
+ *
+ * @param {Object} req - The http request.
+ * @param {Object} res - The http response.
+ */
+module.exports = function(req, res) {
+  var logger = req.app.get('stormpathLogger');
+  var provider = oauth.oidc.findProvider(req);
+
+  oauth.oidc.createAuthorizationRequest(req, provider.settings, function(err, url, transaction) {
+    if (err) {
+      logger.info('Unable to start a login with the ' + provider.name + ' OpenID Connect provider: ' + err.message);
+      return res.status(500).json({ message: 'Unable to log in with ' + provider.settings.name + '.' });
+    }
+
+    transaction.provider = provider.name;
+
+    if (req.query.next) {
+      helpers.setTempCookie(res, 'oauthRedirectUri', req.query.next);
+    }
+
+    helpers.setTempCookie(res, 'oidcTransaction', helpers.createSignedToken(req.app, 'oidc', transaction, 300));
+    res.redirect(302, url);
+  });
+};
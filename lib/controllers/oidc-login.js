@@ -0,0 +1,84 @@
+'use strict';
+
+var helpers = require('../helpers');
+var oauth = require('../oauth');
+
+/**
+ * This controller logs in a user with an OpenID Connect provider (see the
+ * `oidcProviders` setting).
+ *
+ * The provider redirects the user here with an authorization code, once they
+ * logged in.  We check the state against the transaction cookie set by the
+ * `oidcAuthorize` controller, exchange the code (with the PKCE code verifier)
+ * for an ID token, and verify the token: its signature, issuer, audience,
+ * expiration and nonce.  The user is then logged into the account their
+ * identity is connected to, or into a new account.  The connection, the
+ * session and the redirection are handled by `oauth.handleCallback`, like for
+ * every social provider.
+ *
+ * @method
+ *
+ * @param {Object} req - The http request.
+ * @param {Object} res - The http response.
+ */
+module.exports = function(req, res) {
+  var application = req.app.get('stormpathApplication');
+  var provider = oauth.oidc.findProvider(req);
+  var claims;
+  var identity;
+
+  function createError(message) {
+    var err = new Error(message);
+    err.status = 400;
+    err.userMessage = message;
+    return err;
+  }
+
+  oauth.handleCallback(req, res, {
+    provider: provider.settings.name,
+    providerId: provider.name,
+    param: 'code',
+    // The state is kept in a signed transaction cookie, along with the nonce
+    // and the PKCE code verifier, so it's checked here.
+    checkState: false,
+    getIdentity: function(callback) {
+      helpers.verifySignedToken(req.app, 'oidc', req.cookies.oidcTransaction, function(err, transaction) {
+        res.clearCookie('oidcTransaction');
+
+        if (err || transaction.provider !== provider.name || transaction.state !== req.query.state) {
+          return callback(createError('Invalid state token provided.'));
+        }
+
+        oauth.oidc.exchangeAuthCode(req, provider.settings, transaction.verifier, function(err, tokens) {
+          if (err) {
+            return callback(err);
+          }
+
+          oauth.oidc.verifyIdToken(provider.settings, tokens.id_token, transaction.nonce, function(err, verifiedClaims) {
+            if (err) {
+              return callback(err);
+            }
+
+            claims = verifiedClaims;
+
+            oauth.oidc.getIdentity(provider, claims, function(err, result) {
+              identity = result;
+              callback(err, identity);
+            });
+          });
+        });
+      });
+    },
+    createAccount: function(callback) {
+      oauth.oidc.createAccount(application, provider, claims, function(err, account) {
+        if (err) {
+          return callback(err);
+        }
+
+        oauth.identities.linkOidc(req, account, provider.name, identity, function(err) {
+          callback(err, account);
+        });
+      });
+    }
+  });
+};
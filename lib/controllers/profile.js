@@ -0,0 +1,186 @@
+'use strict';
+
+var helpers = require('../helpers');
+
+/**
+ * Allow a logged in user to update their profile -- either via a JSON API
+ * (`POST` or `PATCH` on `config.web.me.uri`), or via a browser (the
+ * `config.web.profile.uri` page).
+ *
+ * Only the fields returned by `helpers.getProfileFields` are updated, any
+ * other field is ignored.  A `POST` replaces the whole profile (so every
+ * required field must be supplied), while a `PATCH` only updates the supplied
+ * fields.
+ *
+ * @method
+ *
+ * @param {Object} req - The http request.
+ * @param {Object} res - The http response.
+ */
+module.exports = function(req, res) {
+  var accepts = req.accepts(['html', 'json']);
+  var client = req.app.get('stormpathClient');
+  var config = req.app.get('stormpathConfig');
+  var fields = helpers.getProfileFields(config);
+  var logger = req.app.get('stormpathLogger');
+  var view = config.web.profile.view;
+
+  // Read the profile fields from the request body, ignoring any other field.
+  function getProfileData(body) {
+    var data = {};
+
+    fields.forEach(function(field) {
+      if (body && Object.prototype.hasOwnProperty.call(body, field.name)) {
+        data[field.name] = body[field.name];
+      }
+    });
+
+    return data;
+  }
+
+  // Read the current profile of the user, to pre-fill the form.
+  function getCurrentProfile(callback) {
+    function read(customData) {
+      var data = {};
+
+      fields.forEach(function(field) {
+        data[field.name] = req.user[field.name] !== undefined ? req.user[field.name] : customData[field.name];
+      });
+
+      callback(null, data);
+    }
+
+    if (req.user.customData) {
+      return read(req.user.customData);
+    }
+
+    req.user.getCustomData(function(err, customData) {
+      return err ? callback(err) : read(customData);
+    });
+  }
+
+  function updateProfile(data, partial, callback) {
+    helpers.validateProfile(data, config, { partial: partial }, function(errors) {
+      if (errors) {
+        return callback(errors);
+      }
+
+      // `prepAccountData` moves the custom data fields around, so work on a
+      // copy, leaving the submitted data intact for the form.
+      helpers.prepAccountData(JSON.parse(JSON.stringify(data)), config, function(accountData) {
+        client.getAccount(req.user.href, function(err, account) {
+          if (err) {
+            return callback([err]);
+          }
+
+          Object.keys(accountData).forEach(function(key) {
+            if (key !== 'customData') {
+              account[key] = accountData[key];
+            }
+          });
+
+          account.save(function(err) {
+            if (err) {
+              return callback([err]);
+            }
+
+            account.getCustomData(function(err, customData) {
+              if (err) {
+                return callback([err]);
+              }
+
+              Object.keys(accountData.customData).forEach(function(key) {
+                customData[key] = accountData.customData[key];
+              });
+
+              customData.save(function(err) {
+                if (err) {
+                  return callback([err]);
+                }
+
+                helpers.expandAccount(req.app, account, function(err, expandedAccount) {
+                  res.locals.user = expandedAccount;
+                  req.user = expandedAccount;
+                  callback(null, expandedAccount);
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+  }
+
+  // Send the account in the same shape as the `/me` endpoint.
+  function sendAccount(account) {
+    helpers.serializeAccount(req, account, function(err, json) {
+      if (err) {
+        logger.info('Unable to serialize the account of ' + account.email + ': ' + err.message);
+        return res.status(500).json({ error: err.userMessage || err.message });
+      }
+
+      res.json(json);
+    });
+  }
+
+  if (accepts === 'json') {
+    if (req.method !== 'POST' && req.method !== 'PATCH') {
+      return sendAccount(req.user);
+    }
+
+    return updateProfile(getProfileData(req.body), req.method === 'PATCH', function(errors, account) {
+      if (errors) {
+        logger.info('User ' + req.user.email + ' tried to update their profile, but failed: ' + errors[0].message);
+        return res.status(400).json({
+          error: errors[0].userMessage || errors[0].message,
+          errors: errors.map(function(err) {
+            return { field: err.field, rule: err.rule, message: err.userMessage || err.message };
+          })
+        });
+      }
+
+      sendAccount(account);
+    });
+  }
+
+  if (accepts !== 'html') {
+    return res.status(415).end();
+  }
+
+  if (config.web.spaRoot) {
+    return res.sendFile(config.web.spaRoot);
+  }
+
+  // If we get here, it means the user is doing a simple GET request, so we
+  // should just render the profile template.
+  if (req.method === 'GET') {
+    return getCurrentProfile(function(err, data) {
+      if (err) {
+        logger.info('Unable to retrieve the custom data of ' + req.user.email + '.');
+        return helpers.render(req, res, view, { errors: [err], profileFields: fields });
+      }
+
+      helpers.render(req, res, view, { form: data, profileFields: fields, status: req.query.status });
+    });
+  }
+
+  // If we get here, it means the user is submitting their profile, so we
+  // should attempt to update their account.
+  var data = getProfileData(req.body);
+
+  // Browsers don't submit unchecked checkboxes.
+  fields.forEach(function(field) {
+    if (field.type === 'checkbox' && !Object.prototype.hasOwnProperty.call(data, field.name)) {
+      data[field.name] = false;
+    }
+  });
+
+  updateProfile(data, false, function(errors) {
+    if (errors) {
+      logger.info('User ' + req.user.email + ' tried to update their profile, but failed: ' + errors[0].message);
+      return helpers.render(req, res, view, { errors: errors, form: data, profileFields: fields });
+    }
+
+    res.redirect(302, config.web.profile.nextUri);
+  });
+};
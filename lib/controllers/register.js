@@ -1,7 +1,6 @@
 'use strict';
 
 var async = require('async');
-var stormpath = require('stormpath');
 var uuid = require('uuid');
 
 var helpers = require('../helpers');
@@ -69,9 +68,46 @@ function defaultJsonResponse(req,res){
   res.json(req.user);
 }
 
+/**
+ * Add a new account to the groups of its invitation.
+ *
+ * @function
+ *
+ * @param {Object} application - The Stormpath application.
+ * @param {Object} account - The new account.
+ * @param {String[]} [groups] - The group names or hrefs.
+ * @param {Function} callback - Called with `(err)`.
+ */
+function addToGroups(application, account, groups, callback) {
+  async.eachSeries(groups || [], function(group, next) {
+    if (group.indexOf('://') !== -1) {
+      return account.addToGroup(group, function(err) {
+        next(err);
+      });
+    }
+
+    application.getGroups({ name: group }, function(err, collection) {
+      if (err) {
+        return next(err);
+      }
+
+      if (!collection.items.length) {
+        return next(new Error('The group ' + group + ' does not exist.'));
+      }
+
+      account.addToGroup(collection.items[0], function(err) {
+        next(err);
+      });
+    });
+  }, callback);
+}
+
 /**
  * Register a new user -- either via a JSON API, or via a browser.
  *
+ * If `config.web.register.invite.enabled` is set, an invitation (see
+ * `helpers.createInvitation`) must be submitted in the `invite` field.
+ *
  * @method
  *
  * @param {Object} req - The http request.
@@ -80,22 +116,96 @@ function defaultJsonResponse(req,res){
 module.exports = function(req, res) {
   var accepts = req.accepts(['html','json']);
   var application = req.app.get('stormpathApplication');
-  var authenticator = new stormpath.OAuthPasswordGrantRequestAuthenticator(application);
+  var authenticator = helpers.createAuthenticator(req.app, 'password');
   var config = req.app.get('stormpathConfig');
   var logger = req.app.get('stormpathLogger');
   var postRegistrationHandler = config.postRegistrationHandler;
+  var preRegistrationHandler = config.preRegistrationHandler;
+  var inviteSettings = config.web.register.invite;
   var view = config.web.register.view;
 
+  // Create the account from the submitted data.  If registration is
+  // invite-only, the invitation is redeemed first (and released again if the
+  // account can't be created), and the new account joins its groups.
+  function createAccount(callback) {
+    if (!inviteSettings.enabled) {
+      return helpers.prepAccountData(req.body, config, function(accountData) {
+        application.createAccount(accountData, callback);
+      });
+    }
+
+    helpers.redeemInvitation(req.app, req.body.invite, req.body.email, function(err, invitation, release) {
+      if (err) {
+        logger.info('A user tried to create a new account with an invalid invitation: ' + err.message);
+        return callback(err);
+      }
+
+      delete req.body.invite;
+
+      helpers.prepAccountData(req.body, config, function(accountData) {
+        application.createAccount(accountData, function(err, account) {
+          if (err) {
+            return release(function() {
+              callback(err);
+            });
+          }
+
+          addToGroups(application, account, invitation.groups, function(err) {
+            if (err) {
+              logger.info('Unable to add the invited account ' + account.email + ' to its groups: ' + err.message);
+            }
+
+            callback(null, account);
+          });
+        });
+      });
+    });
+  }
+
+  // Run the preRegistrationHandler on valid data.  The handler can change the
+  // data in place, so whatever it leaves behind is validated again before the
+  // account is created.
+  function runPreRegistrationHandler(callback) {
+    helpers.runPreHandler(preRegistrationHandler, req.body, req, res, function(err) {
+      if (err || !preRegistrationHandler) {
+        return callback(err);
+      }
+
+      helpers.validateAccount(req.body, config, function(errors) {
+        callback(null, errors);
+      });
+    });
+  }
+
+  function sendJsonErrors(errors) {
+    res.status(400).json({
+      error: errors[0].message,
+      errors: errors.map(function(err) {
+        return { field: err.field, rule: err.rule, message: err.message };
+      })
+    });
+  }
+
   // Handle incoming POST requests from an API-like clients (something like
   // Angular / React / REST).
   if (req.method === 'POST' && accepts === 'json') {
     helpers.validateAccount(req.body, config, function(errors) {
       if (errors) {
-        return res.status(400).json({ error: errors[0].message });
+        return sendJsonErrors(errors);
       }
 
-      helpers.prepAccountData(req.body, config, function(accountData) {
-        application.createAccount(accountData, function(err, account) {
+      runPreRegistrationHandler(function(err, errors) {
+        if (err) {
+          logger.info('A registration attempt was rejected by the preRegistrationHandler.');
+          return res.status(err.status).json({ error: err.userMessage });
+        }
+
+        if (errors) {
+          logger.info('The preRegistrationHandler left invalid account data.');
+          return sendJsonErrors(errors);
+        }
+
+        createAccount(function(err, account) {
           if (err) {
             return res.status(400).json({ error: err.userMessage || err.message });
           }
@@ -137,7 +247,15 @@ module.exports = function(req, res) {
     // If we get here, it means the user is doing a simple GET request, so we
     // should just render the registration template.
     if (req.method === 'GET') {
-      return helpers.render(req, res, view, { form: helpers.sanitizeFormData(req.body, config) });
+      var form = helpers.sanitizeFormData(req.body, config);
+
+      // Invitation links point to the registration page, with the token in
+      // the `invite` query parameter.
+      if (inviteSettings.enabled && req.query.invite) {
+        form.invite = req.query.invite;
+      }
+
+      return helpers.render(req, res, view, { form: form });
     }
 
     // If we aren't getting a POST, we should bail quickly.
@@ -175,17 +293,31 @@ module.exports = function(req, res) {
         });
       },
       function(callback) {
-        helpers.prepAccountData(req.body, config, function(accountData) {
-          application.createAccount(accountData, function(err, account) {
-            if (err) {
-              logger.info('A user tried to create a new account, but this operation failed with an error message: ' + err.developerMessage);
-              callback(err);
-            } else {
-              res.locals.user = account;
-              req.user = account;
-              callback(null, account);
-            }
-          });
+        runPreRegistrationHandler(function(err, errors) {
+          if (err) {
+            logger.info('A registration attempt was rejected by the preRegistrationHandler.');
+            res.status(err.status);
+            return helpers.render(req, res, view, { errors: [new Error(err.userMessage)], form: helpers.sanitizeFormData(req.body, config) });
+          }
+
+          if (errors) {
+            logger.info(errors);
+            return helpers.render(req, res, view, { errors: errors, form: helpers.sanitizeFormData(req.body, config) });
+          }
+
+          callback();
+        });
+      },
+      function(callback) {
+        createAccount(function(err, account) {
+          if (err) {
+            logger.info('A user tried to create a new account, but this operation failed with an error message: ' + (err.developerMessage || err.message));
+            callback(err);
+          } else {
+            res.locals.user = account;
+            req.user = account;
+            callback(null, account);
+          }
         });
       }
     ], function(err, account) {
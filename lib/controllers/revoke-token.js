@@ -0,0 +1,128 @@
+'use strict';
+
+var helpers = require('../helpers');
+
+/**
+ * Authenticate the client of a revocation request with its API key (HTTP
+ * Basic credentials).  Requests without credentials come from public clients
+ * (eg: a browser or mobile app, which get their tokens with the password
+ * grant), so they call back with a `null` client.
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} req - The http request.
+ * @param {Function} callback - Called with `(err, authResult)`.
+ */
+function authenticateClient(req, callback) {
+  if (!/^Basic /i.test(req.headers.authorization || '')) {
+    return callback(null, null);
+  }
+
+  // Authenticate the API keys alone, without the body of the request.
+  var apiKeyRequest = { headers: req.headers, method: req.method, url: '/' };
+
+  req.app.get('stormpathApplication').authenticateApiRequest({ request: apiKeyRequest }, callback);
+}
+
+/**
+ * Check that a token was issued to the client revoking it: its subject must be
+ * the account of the client's API key, or the API key itself.  Public clients
+ * (no `authResult`) can revoke any token they hold.
+ *
+ * Tokens which aren't active can't be attributed to a client, and can't be
+ * used anymore anyway, so they pass.
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} req - The http request.
+ * @param {Object} authResult - The authentication result of the client.
+ * @param {String} token - The token to revoke.
+ * @param {Function} callback - Called with `(err, issuedToClient)`.
+ */
+function checkTokenClient(req, authResult, token, callback) {
+  if (!authResult) {
+    return callback(null, true);
+  }
+
+  helpers.introspectToken(req.app, token, function(err, introspection) {
+    if (err) {
+      return callback(err);
+    }
+
+    if (!introspection.active) {
+      return callback(null, true);
+    }
+
+    callback(null, introspection.sub === authResult.account.href || Boolean(authResult.apiKey && introspection.sub === authResult.apiKey.id));
+  });
+}
+
+/**
+ * Revoke an access or refresh token, as described in RFC 7009.  The token is
+ * supplied in the `token` body parameter (the `token_type_hint` parameter is
+ * accepted, but not needed).
+ *
+ * Confidential clients authenticate with their API key (HTTP Basic
+ * credentials), and can only revoke the tokens issued to them.  Without
+ * credentials, the request is treated as coming from a public client, which
+ * has no credentials to prove: the token itself is the proof, so anyone who
+ * holds a token can revoke it.
+ *
+ * Just like the specification requires, a 200 is returned even if the token
+ * was invalid or already revoked.
+ *
+ * The URL this controller is bound to can be controlled via express-stormpath
+ * settings.
+ *
+ * @method
+ *
+ * @param {Object} req - The http request.
+ * @param {Object} res - The http response.
+ */
+module.exports = function(req, res) {
+  var logger = req.app.get('stormpathLogger');
+  var token = req.body && req.body.token;
+
+  res.set({ 'Cache-Control': 'no-store', 'Pragma': 'no-cache' });
+
+  function sendUnavailable(err) {
+    logger.info('Attempted to revoke a token, but this operation failed: ' + (err.developerMessage || err.message));
+    res.status(503).json({ error: 'temporarily_unavailable', error_description: 'The token could not be revoked, please try again.' });
+  }
+
+  authenticateClient(req, function(err, authResult) {
+    if (err) {
+      logger.info('Attempted to revoke a token, but invalid client credentials were supplied.');
+      res.set('WWW-Authenticate', 'Basic realm="' + req.hostname + '"');
+      return res.status(401).json({ error: 'invalid_client', error_description: 'Invalid client credentials.' });
+    }
+
+    if (!token) {
+      return res.status(400).json({ error: 'invalid_request', error_description: 'The token parameter is required.' });
+    }
+
+    token = String(token);
+
+    checkTokenClient(req, authResult, token, function(err, issuedToClient) {
+      if (err) {
+        return sendUnavailable(err);
+      }
+
+      if (!issuedToClient) {
+        logger.info('Attempted to revoke a token which was issued to another client.');
+        return res.status(400).json({ error: 'unauthorized_client', error_description: 'The token was not issued to this client.' });
+      }
+
+      // The token type is read from the token itself, so either property works.
+      helpers.revokeTokens(req.app, { accessToken: token }, function(err) {
+        if (err) {
+          return sendUnavailable(err);
+        }
+
+        res.status(200).end();
+      });
+    });
+  });
+};
@@ -0,0 +1,56 @@
+'use strict';
+
+var helpers = require('../helpers');
+var oauth = require('../oauth');
+
+/**
+ * The oauth modules which build the authorization URLs of the social
+ * providers, by provider id.
+ *
+ * @private
+ */
+var PROVIDERS = {
+  facebook: oauth.facebook,
+  github: oauth.gitHub,
+  google: oauth.google,
+  linkedin: oauth.linkedIn
+};
+
+/**
+ * This controller starts a login with a social provider (eg:
+ * `/authorize/google`), so that SPAs and custom templates can start a social
+ * login with a plain link.
+ *
+ * We build the authorization URL of the provider from its settings (client
+ * id, scopes and callback URL), with the state token of the `oauthStateToken`
+ * cookie, and redirect the user to it.  If a `?next` URL is given, the user is
+ * sent there once they're logged in.
+ *
+ * The URL this controller is bound to can be controlled via the
+ * `authorizeUri` setting of each provider.
+ *
+ * @method
+ *
+ * @param {Object} req - The http request.
+ * @param {Object} res - The http response.
+ */
+module.exports = function(req, res) {
+  var config = req.app.get('stormpathConfig');
+  var socialProviders = config.socialProviders || {};
+
+  // Several providers share this controller, so find the provider by the
+  // route.
+  var providerId = Object.keys(PROVIDERS).filter(function(id) {
+    return socialProviders[id] && socialProviders[id].authorizeUri === req.route.path;
+  })[0];
+
+  if (!providerId) {
+    return res.status(404).end();
+  }
+
+  if (req.query.next) {
+    helpers.setTempCookie(res, 'oauthRedirectUri', req.query.next);
+  }
+
+  res.redirect(302, PROVIDERS[providerId].buildAuthorizationUrl(req, config, oauth.common.resolveStateToken(req, res)));
+};
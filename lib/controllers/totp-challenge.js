@@ -0,0 +1,151 @@
+'use strict';
+
+var forms = require('../forms');
+var helpers = require('../helpers');
+
+/**
+ * Rebuild a token of a pending login, so it can be handed to
+ * `helpers.createSession` like the tokens of the password grant.
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} token - The stored token, with `value` and `exp` properties.
+ *
+ * @return {Object} The token.
+ */
+function restoreToken(token) {
+  return {
+    body: { exp: token.exp },
+    toString: function() {
+      return token.value;
+    }
+  };
+}
+
+/**
+ * This controller completes a password login held in a pending state by
+ * `helpers.createTotpChallenge`: it asks the user for a one-time password (or
+ * a recovery code), and creates the session once a valid one is submitted.
+ *
+ * Failed codes are throttled per account and per IP address (see
+ * `config.web.totp.throttle`).
+ *
+ * The URL this controller is bound to, and the view used to render this page
+ * can all be controlled via express-stormpath settings.
+ *
+ * @method
+ *
+ * @param {Object} req - The http request.
+ * @param {Object} res - The http response.
+ */
+module.exports = function(req, res) {
+  var accepts = req.accepts(['html', 'json']);
+  var client = req.app.get('stormpathClient');
+  var config = req.app.get('stormpathConfig');
+  var logger = req.app.get('stormpathLogger');
+  var store = req.app.get('stormpathStore');
+  var throttle = helpers.createThrottle(req.app, 'totp');
+  var view = config.web.totp.challengeView;
+  var challenge = (req.body && req.body.challenge) || (req.cookies && req.cookies.stormpathTotpChallenge);
+  var key = 'stormpath:totp:challenge:' + challenge;
+
+  function expired() {
+    res.clearCookie('stormpathTotpChallenge');
+
+    if (accepts === 'json') {
+      return res.status(400).json({ error: 'The login attempt has expired.  Please log in again.' });
+    }
+
+    res.redirect(config.web.login.uri);
+  }
+
+  function verify(pending, code, callback) {
+    var keys = { account: pending.accountHref, ip: req.ip };
+
+    throttle.check(keys, function(err) {
+      if (err) {
+        logger.info('A one-time password for ' + pending.accountHref + ' was throttled after too many failed attempts.');
+        res.set('Retry-After', String(err.retryAfter));
+        return callback(err);
+      }
+
+      client.getAccount(pending.accountHref, function(err, account) {
+        if (err) {
+          return callback(err);
+        }
+
+        helpers.verifyTotpCode(req.app, account, code, function(err, method) {
+          if (err) {
+            return callback(err);
+          }
+
+          if (!method) {
+            logger.info('User ' + account.email + ' submitted an invalid one-time password.');
+
+            return throttle.record(keys, function() {
+              callback(new Error('Invalid code.'));
+            });
+          }
+
+          throttle.reset({ account: pending.accountHref }, function() {
+            store.del(key, function() {
+              res.clearCookie('stormpathTotpChallenge');
+
+              helpers.loginResponder({
+                accessToken: restoreToken(pending.accessToken),
+                refreshToken: pending.refreshToken && restoreToken(pending.refreshToken),
+                totpVerified: true
+              }, account, req, res);
+            });
+          });
+        });
+      });
+    });
+  }
+
+  if (!challenge) {
+    return expired();
+  }
+
+  store.get(key, function(err, value) {
+    if (err || !value) {
+      return expired();
+    }
+
+    var pending = JSON.parse(value);
+
+    if (accepts === 'json') {
+      if (req.method !== 'POST') {
+        return res.json({ totpRequired: true });
+      }
+
+      return verify(pending, req.body.code, function(err) {
+        res.status(err.retryAfter ? 429 : 400).json({ error: err.userMessage || err.message });
+      });
+    }
+
+    forms.totpForm.handle(req, {
+      // If we get here, it means the user is submitting a code, so we should
+      // attempt to complete the login.
+      success: function(form) {
+        verify(pending, form.data.code, function(err) {
+          if (err.retryAfter) {
+            res.status(429);
+          }
+
+          helpers.render(req, res, view, { form: form, error: err.userMessage || err.message });
+        });
+      },
+      // If we get here, it means the user didn't supply required form fields.
+      error: function(form) {
+        helpers.render(req, res, view, { form: form, formErrors: helpers.collectFormErrors(form) });
+      },
+      // If we get here, it means the user is doing a simple GET request, so we
+      // should just render the challenge template.
+      empty: function(form) {
+        helpers.render(req, res, view, { form: form });
+      }
+    });
+  });
+};
@@ -0,0 +1,201 @@
+'use strict';
+
+var forms = require('../forms');
+var helpers = require('../helpers');
+
+/**
+ * This controller lets a logged in user enable (or disable) two-factor
+ * authentication with an authenticator app.
+ *
+ * A GET request generates a secret (kept in the account's custom data until
+ * the user confirms it), and renders its `otpauth://` provisioning URI.
+ * Submitting a valid code for that secret enables two-factor authentication,
+ * and renders the recovery codes (which are only ever shown once).  Once
+ * enabled, submitting a valid code along with `disable` turns it off.  Those
+ * codes are throttled just like the login challenge (see
+ * `config.web.totp.throttle`).
+ *
+ * The URL this controller is bound to, and the view used to render this page
+ * can all be controlled via express-stormpath settings.
+ *
+ * @method
+ *
+ * @param {Object} req - The http request.
+ * @param {Object} res - The http response.
+ */
+module.exports = function(req, res) {
+  var accepts = req.accepts(['html', 'json']);
+  var application = req.app.get('stormpathApplication');
+  var config = req.app.get('stormpathConfig');
+  var logger = req.app.get('stormpathLogger');
+  var throttle = helpers.createThrottle(req.app, 'totp');
+  var totpConfig = config.web.totp;
+  var view = totpConfig.view;
+
+  function sendError(form, message, retryAfter) {
+    if (retryAfter) {
+      res.set('Retry-After', String(retryAfter));
+      res.status(429);
+    } else if (accepts === 'json') {
+      res.status(400);
+    }
+
+    if (accepts === 'json') {
+      return res.json({ error: message });
+    }
+
+    helpers.render(req, res, view, { form: form, error: message });
+  }
+
+  req.user.getCustomData(function(err, customData) {
+    if (err) {
+      logger.info('Unable to retrieve the two-factor authentication settings of ' + req.user.email + '.');
+      return sendError(null, err.userMessage || err.message);
+    }
+
+    var settings = customData[totpConfig.customDataField] || {};
+
+    function render(form, status) {
+      if (accepts === 'json') {
+        return res.json(status);
+      }
+
+      helpers.render(req, res, view, { form: form, totp: status });
+    }
+
+    // Show the current settings, generating a new secret to enroll with if
+    // two-factor authentication isn't enabled yet.
+    function show(form) {
+      if (settings.enabled) {
+        return render(form, { enabled: true, recoveryCodesRemaining: (settings.recoveryCodes || []).length });
+      }
+
+      settings = customData[totpConfig.customDataField] = {
+        enabled: false,
+        pendingSecret: settings.pendingSecret || helpers.totp.generateSecret()
+      };
+
+      customData.save(function(err) {
+        if (err) {
+          return sendError(form, err.userMessage || err.message);
+        }
+
+        render(form, {
+          enabled: false,
+          secret: settings.pendingSecret,
+          provisioningUri: helpers.totp.getProvisioningUri(settings.pendingSecret, req.user.email, totpConfig.issuer || application.name)
+        });
+      });
+    }
+
+    function enable(form, code) {
+      var counter = settings.pendingSecret ? helpers.totp.verifyCode(settings.pendingSecret, code, totpConfig.window) : -1;
+
+      if (counter === -1) {
+        return sendError(form, 'Invalid code.');
+      }
+
+      var recoveryCodes = helpers.totp.generateRecoveryCodes(totpConfig.recoveryCodes);
+
+      customData[totpConfig.customDataField] = {
+        enabled: true,
+        secret: settings.pendingSecret,
+        lastCounter: counter,
+        recoveryCodes: recoveryCodes.map(helpers.totp.hashRecoveryCode)
+      };
+
+      customData.save(function(err) {
+        if (err) {
+          return sendError(form, err.userMessage || err.message);
+        }
+
+        logger.info('User ' + req.user.email + ' enabled two-factor authentication.');
+
+        render(form, { enabled: true, recoveryCodes: recoveryCodes });
+      });
+    }
+
+    function disable(form, code) {
+      var keys = { account: req.user.href, ip: req.ip };
+
+      throttle.check(keys, function(err) {
+        if (err) {
+          logger.info('User ' + req.user.email + ' was throttled while disabling two-factor authentication, after too many failed attempts.');
+          return sendError(form, err.userMessage, err.retryAfter);
+        }
+
+        helpers.verifyTotpCode(req.app, req.user, code, function(err, method) {
+          if (err) {
+            return sendError(form, err.userMessage || err.message);
+          }
+
+          if (!method) {
+            logger.info('User ' + req.user.email + ' submitted an invalid one-time password to disable two-factor authentication.');
+
+            return throttle.record(keys, function() {
+              sendError(form, 'Invalid code.');
+            });
+          }
+
+          throttle.reset({ account: req.user.href }, function() {
+            // The code was verified against a fresh copy of the custom data,
+            // so fetch it again rather than saving stale settings back.
+            req.user.getCustomData(function(err, customData) {
+              if (err) {
+                return sendError(form, err.userMessage || err.message);
+              }
+
+              customData.remove(totpConfig.customDataField);
+              customData.save(function(err) {
+                if (err) {
+                  return sendError(form, err.userMessage || err.message);
+                }
+
+                logger.info('User ' + req.user.email + ' disabled two-factor authentication.');
+
+                if (accepts === 'json') {
+                  return res.json({ enabled: false });
+                }
+
+                res.redirect(totpConfig.uri);
+              });
+            });
+          });
+        });
+      });
+    }
+
+    function submit(form, data) {
+      if (settings.enabled && data.disable) {
+        return disable(form, data.code);
+      }
+
+      if (settings.enabled) {
+        return sendError(form, 'Two-factor authentication is already enabled.');
+      }
+
+      enable(form, data.code);
+    }
+
+    if (accepts === 'json') {
+      return req.method === 'POST' ? submit(null, req.body) : show(null);
+    }
+
+    forms.totpForm.handle(req, {
+      // If we get here, it means the user is submitting a code, so we should
+      // enable (or disable) two-factor authentication.
+      success: function(form) {
+        submit(form, form.data);
+      },
+      // If we get here, it means the user didn't supply required form fields.
+      error: function(form) {
+        helpers.render(req, res, view, { form: form, formErrors: helpers.collectFormErrors(form) });
+      },
+      // If we get here, it means the user is doing a simple GET request, so we
+      // should show the current settings.
+      empty: function(form) {
+        show(form);
+      }
+    });
+  });
+};
@@ -0,0 +1,176 @@
+'use strict';
+
+var forms = require('../forms');
+var helpers = require('../helpers');
+
+/**
+ * Allow a logged in user to change their password, by supplying their current
+ * password (unlike `changePassword`, which requires a password reset token).
+ *
+ * The current password is checked with the password grant authenticator, so
+ * failed attempts count towards the login throttle.  If session revocation is
+ * requested (via `config.web.updatePassword.revokeSessions`, or a
+ * `revokeSessions` body parameter), every token issued to the account is
+ * revoked, and a browser session is replaced with a new one -- so only the
+ * user's current browser stays logged in.
+ *
+ * The URL this controller is bound to, and the view used to render this page
+ * can all be controlled via express-stormpath settings.  The new password must
+ * follow the local password policy (`config.web.passwordPolicy`).
+ *
+ * @method
+ *
+ * @param {Object} req - The http request.
+ * @param {Object} res - The http response.
+ */
+module.exports = function(req, res) {
+  var accepts = req.accepts(['html', 'json']);
+  var client = req.app.get('stormpathClient');
+  var config = req.app.get('stormpathConfig');
+  var logger = req.app.get('stormpathLogger');
+  var settings = config.web.updatePassword;
+  var view = settings.view;
+
+  function shouldRevokeSessions(data) {
+    return settings.revokeSessions || data.revokeSessions === true || data.revokeSessions === 'true';
+  }
+
+  // Replace the session cookies of the current browser, after its tokens were
+  // revoked.
+  function renewSession(password, callback) {
+    if (req.authenticationMethod !== 'cookie') {
+      return callback();
+    }
+
+    helpers.createAuthenticator(req.app, 'password').authenticate({
+      username: req.user.email,
+      password: password
+    }, function(err, passwordGrantAuthenticationResult) {
+      if (err) {
+        return callback(err);
+      }
+
+      helpers.createSession(passwordGrantAuthenticationResult, req.user, req, res);
+      callback();
+    });
+  }
+
+  function updatePassword(data, callback) {
+    var policyError = helpers.checkPasswordPolicy(config, data.password, req.user);
+
+    if (policyError) {
+      return callback(policyError);
+    }
+
+    helpers.authenticatePassword(req, req.user.email, data.currentPassword, function(err) {
+      if (err && !err.retryAfter) {
+        logger.info('User ' + req.user.email + ' tried to change their password, but supplied an invalid current password.');
+        err = new Error('Your current password is incorrect.');
+        err.userMessage = err.message;
+      }
+
+      if (err) {
+        return callback(err);
+      }
+
+      client.getAccount(req.user.href, function(err, account) {
+        if (err) {
+          return callback(err);
+        }
+
+        account.password = data.password;
+        account.save(function(err) {
+          if (err) {
+            logger.info('User ' + req.user.email + ' tried to change their password, but the password change itself failed.');
+            return callback(err);
+          }
+
+          logger.info('User ' + req.user.email + ' changed their password.');
+
+          if (!shouldRevokeSessions(data)) {
+            return callback();
+          }
+
+          helpers.revokeAccountTokens(req.app, req.user, function(err) {
+            if (err) {
+              logger.info('User ' + req.user.email + ' changed their password, but their sessions could not be revoked: ' + (err.developerMessage || err.message));
+              return callback(err);
+            }
+
+            renewSession(data.password, callback);
+          });
+        });
+      });
+    });
+  }
+
+  function sendError(err, form) {
+    if (err.retryAfter) {
+      res.set('Retry-After', String(err.retryAfter));
+      res.status(429);
+    } else if (accepts === 'json') {
+      res.status(400);
+    }
+
+    if (accepts === 'json') {
+      return res.json({ error: err.userMessage || err.message, errors: err.errors });
+    }
+
+    // Password policy errors list every broken rule.
+    if (err.errors) {
+      return helpers.render(req, res, view, {
+        form: form,
+        formErrors: err.errors.map(function(error) {
+          return { field: 'password', error: error.message };
+        })
+      });
+    }
+
+    helpers.render(req, res, view, { error: err.userMessage || err.message, form: form });
+  }
+
+  if (req.method === 'POST' && accepts === 'json') {
+    return updatePassword(req.body || {}, function(err) {
+      if (err) {
+        return sendError(err);
+      }
+
+      res.end();
+    });
+  }
+
+  if (accepts !== 'html') {
+    return res.status(415).end();
+  }
+
+  if (config.web.spaRoot) {
+    return res.sendFile(config.web.spaRoot);
+  }
+
+  forms.updatePasswordForm.handle(req, {
+    // If we get here, it means the user is submitting a password change
+    // request, so we should attempt to change the user's password.
+    success: function(form) {
+      if (form.data.password !== form.data.passwordAgain) {
+        return helpers.render(req, res, view, { error: 'Passwords do not match.', form: form });
+      }
+
+      updatePassword(form.data, function(err) {
+        if (err) {
+          return sendError(err, form);
+        }
+
+        res.redirect(settings.nextUri);
+      });
+    },
+    // If we get here, it means the user didn't supply required form fields.
+    error: function(form) {
+      helpers.render(req, res, view, { form: form, formErrors: helpers.collectFormErrors(form) });
+    },
+    // If we get here, it means the user is doing a simple GET request, so we
+    // should just render the update password template.
+    empty: function(form) {
+      helpers.render(req, res, view, { form: form, status: req.query.status });
+    }
+  });
+};
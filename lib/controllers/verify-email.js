@@ -25,6 +25,7 @@ module.exports = function(req, res) {
   var client = req.app.get('stormpathClient');
   var config = req.app.get('stormpathConfig');
   var logger = req.app.get('stormpathLogger');
+  var throttle = helpers.createThrottle(req.app, 'verifyEmail');
   var view = config.web.verifyEmail.view;
 
   if (accepts === 'html' && config.web.spaRoot) {
@@ -32,16 +33,24 @@ module.exports = function(req, res) {
   }
 
   if (accepts === 'json' && req.method === 'POST') {
-    application.resendVerificationEmail({ login: req.body.login }, function(err) {
-      // Code 2016 means that an account does not exist for the given email
-      // address.  We don't want to leak information about the account list,
-      // so allow this continue without error.
-      if (err && err.code !== 2016) {
-        logger.info('A user tried to resend their account verification email, but failed: ' + err.message);
-        return res.status(400).json({ error: err.userMessage || err.message });
+    throttle.attempt({ account: req.body.login, ip: req.ip }, function(err) {
+      if (err) {
+        logger.info('An account verification email for ' + req.body.login + ' was not resent, as too many were requested.');
+        res.set('Retry-After', String(err.retryAfter));
+        return res.status(429).json({ error: err.userMessage });
       }
 
-      res.end();
+      application.resendVerificationEmail({ login: req.body.login }, function(err) {
+        // Code 2016 means that an account does not exist for the given email
+        // address.  We don't want to leak information about the account list,
+        // so allow this continue without error.
+        if (err && err.code !== 2016) {
+          logger.info('A user tried to resend their account verification email, but failed: ' + err.message);
+          return res.status(400).json({ error: err.userMessage || err.message });
+        }
+
+        res.end();
+      });
     });
   } else if (accepts === 'json') {
     client.getCurrentTenant(function(err, tenant) {
@@ -65,16 +74,25 @@ module.exports = function(req, res) {
       // account verification email, so we should attempt to send the user another
       // verification email.
       success: function(form) {
-        application.resendVerificationEmail({ login: form.data.email }, function(err) {
-          // Code 2016 means that an account does not exist for the given email
-          // address.  We don't want to leak information about the account
-          // list, so allow this continue without error.
-          if (err && err.code !== 2016) {
-            logger.info('A user tried to resend their account verification email, but failed: ' + err.message);
-            return helpers.render(req, res, view, { error: err.message, form: form });
+        throttle.attempt({ account: form.data.email, ip: req.ip }, function(err) {
+          if (err) {
+            logger.info('An account verification email for ' + form.data.email + ' was not resent, as too many were requested.');
+            res.set('Retry-After', String(err.retryAfter));
+            res.status(429);
+            return helpers.render(req, res, view, { error: err.userMessage, form: form });
           }
 
-          res.redirect(config.web.login.uri+'?status=unverified');
+          application.resendVerificationEmail({ login: form.data.email }, function(err) {
+            // Code 2016 means that an account does not exist for the given
+            // email address.  We don't want to leak information about the
+            // account list, so allow this continue without error.
+            if (err && err.code !== 2016) {
+              logger.info('A user tried to resend their account verification email, but failed: ' + err.message);
+              return helpers.render(req, res, view, { error: err.message, form: form });
+            }
+
+            res.redirect(config.web.login.uri+'?status=unverified');
+          });
         });
       },
       // If we get here, it means the user didn't supply required form fields.
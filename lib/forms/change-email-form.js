@@ -0,0 +1,16 @@
+'use strict';
+
+var forms = require('forms');
+
+var fields = forms.fields;
+var validators = forms.validators;
+
+/**
+ * A form which allows a logged in user to change their email address.
+ *
+ * @property changeEmailForm
+ */
+module.exports = forms.create({
+  email: fields.email({ required: validators.required('Email is required.') }),
+  password: fields.password()
+});
@@ -0,0 +1,16 @@
+'use strict';
+
+var forms = require('forms');
+
+var fields = forms.fields;
+var validators = forms.validators;
+
+/**
+ * A form which allows a logged in user to delete their account.
+ *
+ * @property deleteAccountForm
+ */
+module.exports = forms.create({
+  confirm: fields.string({ required: validators.required('Please confirm that you want to delete your account.') }),
+  password: fields.password()
+});
@@ -1,8 +1,12 @@
 'use strict';
 
 module.exports = {
+  changeEmailForm: require('./change-email-form'),
   changePasswordForm: require('./change-password-form'),
+  deleteAccountForm: require('./delete-account-form'),
   forgotPasswordForm: require('./forgot-password-form'),
   loginForm: require('./login-form'),
-  resendAccountVerificationEmailForm: require('./resend-account-verification-email-form')
+  resendAccountVerificationEmailForm: require('./resend-account-verification-email-form'),
+  totpForm: require('./totp-form'),
+  updatePasswordForm: require('./update-password-form')
 };
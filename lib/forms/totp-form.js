@@ -0,0 +1,17 @@
+'use strict';
+
+var forms = require('forms');
+
+var fields = forms.fields;
+var validators = forms.validators;
+
+/**
+ * A form which asks for a one-time password (or a recovery code), to complete
+ * a login, or to enable or disable two-factor authentication.
+ *
+ * @property totpForm
+ */
+module.exports = forms.create({
+  code: fields.string({ required: validators.required('Code is required.') }),
+  disable: fields.string()
+});
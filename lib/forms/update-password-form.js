@@ -0,0 +1,19 @@
+'use strict';
+
+var forms = require('forms');
+
+var fields = forms.fields;
+var validators = forms.validators;
+
+/**
+ * A form which allows a logged in user to change their password, by supplying
+ * their current password.
+ *
+ * @property updatePasswordForm
+ */
+module.exports = forms.create({
+  currentPassword: fields.password({ required: validators.required('Current password is required.') }),
+  password: fields.password({ required: validators.required('Password is required.') }),
+  passwordAgain: fields.password({ required: validators.required('Password is required.') }),
+  revokeSessions: fields.string()
+});
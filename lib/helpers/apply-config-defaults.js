@@ -0,0 +1,112 @@
+'use strict';
+
+var defaults = require('../config.json');
+
+/**
+ * Determine whether or not a value is a plain object (and not an array, a
+ * function, or a class instance such as a cache client).
+ *
+ * @method
+ * @private
+ *
+ * @param {*} value - The value to check.
+ *
+ * @return {Boolean} Whether or not the value is a plain object.
+ */
+function isPlainObject(value) {
+  return Object.prototype.toString.call(value) === '[object Object]' &&
+    (Object.getPrototypeOf(value) === Object.prototype || Object.getPrototypeOf(value) === null);
+}
+
+/**
+ * Copy every default onto the target which the target doesn't define yet.
+ * Objects are merged recursively, so user supplied settings always win.
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} target - The object to fill in.
+ * @param {Object} source - The defaults.
+ */
+function fillDefaults(target, source) {
+  Object.keys(source).forEach(function(key) {
+    if (target[key] === undefined) {
+      target[key] = JSON.parse(JSON.stringify(source[key]));
+    } else if (isPlainObject(target[key]) && isPlainObject(source[key])) {
+      fillDefaults(target[key], source[key]);
+    }
+  });
+}
+
+/**
+ * Build the defaults of a social provider (eg: `google`), which aren't part of
+ * the Stormpath SDK's default configuration.  The SDK only has callback URLs
+ * for some providers (not GitHub), so the callback URL is named after the
+ * provider as well, eg: `/callbacks/github`.
+ *
+ * @method
+ * @private
+ *
+ * @param {String} name - The id of the provider.
+ *
+ * @return {Object} The defaults.
+ */
+function getSocialProviderDefaults(name) {
+  return {
+    authorizeUri: '/authorize/' + name,
+    callbackUri: '/callbacks/' + name
+  };
+}
+
+/**
+ * Build the defaults of an OpenID Connect provider.  Its routes are named after
+ * the provider, eg: `/authorize/okta` and `/callbacks/okta`.
+ *
+ * @method
+ * @private
+ *
+ * @param {String} name - The name of the provider.
+ *
+ * @return {Object} The defaults.
+ */
+function getOidcProviderDefaults(name) {
+  return {
+    enabled: true,
+    name: name,
+    authorizeUri: '/authorize/' + name,
+    callbackUri: '/callbacks/' + name,
+    scopes: 'openid email profile',
+    claims: {
+      email: 'email',
+      givenName: 'given_name',
+      middleName: 'middle_name',
+      surname: 'family_name'
+    },
+    trustEmail: false
+  };
+}
+
+/**
+ * Apply the express-stormpath specific defaults (`lib/config.json`) to the
+ * loaded configuration.  These are settings which the Stormpath SDK's default
+ * configuration doesn't know about.
+ *
+ * @method
+ *
+ * @param {Object} config - The loaded configuration.
+ *
+ * @return {Object} The configuration.
+ */
+module.exports = function(config) {
+  fillDefaults(config, defaults);
+
+  Object.keys(config.socialProviders || {}).forEach(function(name) {
+    fillDefaults(config.socialProviders[name], getSocialProviderDefaults(name));
+  });
+
+  Object.keys(config.oidcProviders).forEach(function(name) {
+    fillDefaults(config.oidcProviders[name], getOidcProviderDefaults(name));
+  });
+
+  return config;
+};
@@ -0,0 +1,53 @@
+'use strict';
+
+var uuid = require('uuid');
+
+var createAuthenticator = require('./create-authenticator');
+var createThrottle = require('./create-throttle');
+
+/**
+ * Authenticate a username and password with the password grant authenticator,
+ * unless the account or IP address made too many failed attempts recently
+ * (see `helpers.createThrottle` and `config.web.login.throttle`).
+ *
+ * Throttled attempts call back with an error which has a 429 `status` and a
+ * `retryAfter` property (in seconds).
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} req - The http request.
+ * @param {String} username - The username or email address.
+ * @param {String} password - The password.
+ * @param {Function} callback - Called with `(err,
+ *   passwordGrantAuthenticationResult)`.
+ */
+module.exports = function(req, username, password, callback) {
+  var keys = { account: username, ip: req.ip };
+  var logger = req.app.get('stormpathLogger');
+  var throttle = createThrottle(req.app, 'login');
+
+  throttle.check(keys, function(err) {
+    if (err) {
+      logger.info('A login attempt for ' + username + ' was throttled after too many failed attempts.');
+      return callback(err);
+    }
+
+    createAuthenticator(req.app, 'password').authenticate({
+      username: username || uuid(),
+      password: password || uuid()
+    }, function(err, passwordGrantAuthenticationResult) {
+      if (err) {
+        return throttle.record(keys, function() {
+          callback(err);
+        });
+      }
+
+      // Only the account is reset, otherwise an attacker could clear the
+      // attempts of their IP address by logging into their own account.
+      throttle.reset({ account: username }, function() {
+        callback(null, passwordGrantAuthenticationResult);
+      });
+    });
+  });
+};
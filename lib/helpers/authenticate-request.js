@@ -0,0 +1,243 @@
+'use strict';
+
+var createAuthenticator = require('./create-authenticator');
+var createSession = require('./create-session');
+var expandAccount = require('./expand-account');
+var verifyClientToken = require('./verify-client-token');
+
+/**
+ * The credential sources a request can be authenticated with, in the order
+ * they're tried.
+ *
+ * @private
+ */
+var METHODS = ['idSite', 'cookie', 'bearer', 'basic'];
+
+/**
+ * Read the scheme and credentials of the authorization header.
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} req - The http request.
+ *
+ * @return {Object} An object with `scheme` (lowercased) and `credentials`
+ *   properties, or `null` if there is no authorization header.
+ */
+function parseAuthorizationHeader(req) {
+  var match = /^(\w+)\s+(.+)$/.exec(req.headers.authorization || '');
+  return match ? { scheme: match[1].toLowerCase(), credentials: match[2] } : null;
+}
+
+/**
+ * Build the result of a successful authentication: its account and granted
+ * scopes, along with the given fields.
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} authenticationResult - The authentication result.
+ * @param {Object} fields - The other fields of the result.
+ * @param {Function} callback - Called with `(err, result)`.
+ */
+function getResult(authenticationResult, fields, callback) {
+  authenticationResult.getAccount(function(err, account) {
+    var result = { account: account, grantedScopes: authenticationResult.grantedScopes };
+
+    Object.keys(fields).forEach(function(key) {
+      result[key] = fields[key];
+    });
+
+    callback(err, result);
+  });
+}
+
+/**
+ * The credential sources.  Each one calls back with `(err, result)`, where
+ * `result` is `null` if the request doesn't carry credentials of that kind,
+ * or an object with an `account` (and optionally `grantedScopes`,
+ * `accessToken`, and the `session` to create once the account is accepted)
+ * otherwise.
+ *
+ * @private
+ */
+var sources = {
+  idSite: function(req, callback) {
+    var accountHref = req.cookies && req.cookies.idSiteSession;
+
+    if (!accountHref) {
+      return callback(null, null);
+    }
+
+    req.app.get('stormpathClient').getAccount(accountHref, function(err, account) {
+      callback(err, { account: account });
+    });
+  },
+
+  cookie: function(req, callback) {
+    var config = req.app.get('stormpathConfig');
+    var accessToken = req.cookies && req.cookies[config.web.accessTokenCookie.name];
+    var refreshToken = req.cookies && req.cookies[config.web.refreshTokenCookie.name];
+
+    // Exchange the refresh token for new tokens, which replace the session
+    // cookies once the account is accepted.
+    function refresh() {
+      createAuthenticator(req.app, 'refresh_token').authenticate({ refresh_token: refreshToken }, function(err, refreshGrantResult) {
+        if (err) {
+          return callback(err);
+        }
+
+        getResult(refreshGrantResult, { accessToken: refreshGrantResult.accessToken, session: refreshGrantResult }, callback);
+      });
+    }
+
+    if (!accessToken) {
+      return refreshToken ? refresh() : callback(null, null);
+    }
+
+    createAuthenticator(req.app, 'jwt').authenticate(accessToken, function(err, authenticationResult) {
+      if (err) {
+        return refreshToken ? refresh() : callback(err);
+      }
+
+      getResult(authenticationResult, { accessToken: authenticationResult.accessToken }, callback);
+    });
+  },
+
+  bearer: function(req, callback) {
+    var authorization = parseAuthorizationHeader(req);
+
+    if (!authorization || authorization.scheme !== 'bearer') {
+      return callback(null, null);
+    }
+
+    // Tokens issued by the client credentials exchange are signed locally by
+    // the SDK, and verified locally so revoked tokens are rejected.  Tokens
+    // issued by the Stormpath API (password and refresh token grants) are
+    // validated remotely.
+    if (verifyClientToken.isClientToken(authorization.credentials)) {
+      return verifyClientToken(req.app, authorization.credentials, function(err, result) {
+        if (err || !result) {
+          return callback(err || new Error('Invalid access token.'));
+        }
+
+        callback(null, { account: result.account, grantedScopes: result.jwt.body.scope ? result.jwt.body.scope.split(' ') : undefined });
+      });
+    }
+
+    createAuthenticator(req.app, 'jwt').authenticate(authorization.credentials, function(err, authenticationResult) {
+      if (err) {
+        return callback(err);
+      }
+
+      getResult(authenticationResult, { accessToken: authenticationResult.accessToken }, callback);
+    });
+  },
+
+  basic: function(req, callback) {
+    var authorization = parseAuthorizationHeader(req);
+
+    if (!authorization || authorization.scheme !== 'basic') {
+      return callback(null, null);
+    }
+
+    req.app.get('stormpathApplication').authenticateApiRequest({ request: req }, function(err, authenticationResult) {
+      if (err) {
+        return callback(err);
+      }
+
+      getResult(authenticationResult, {}, callback);
+    });
+  }
+};
+
+/**
+ * Authenticate a request with the first of the given credential sources which
+ * carries valid credentials for an enabled account.  This is what both
+ * `helpers.getUser` and the `authenticate` middleware rely on.
+ *
+ * The supported methods are:
+ *
+ *  - `idSite` -- an ID Site session cookie.
+ *  - `cookie` -- the access token (or refresh token) session cookies.  If the
+ *    access token is missing or invalid, the refresh token is exchanged for
+ *    new session cookies.
+ *  - `bearer` -- an OAuth access token in the `Authorization: Bearer` header.
+ *  - `basic` -- API key credentials in the `Authorization: Basic` header.
+ *
+ * If the request is authenticated, `req.user`, `req.permissions`,
+ * `req.authenticationMethod` and `req.accessToken` (when there is one) are
+ * set, along with `res.locals.user` and `res.locals.permissions`.
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} req - The http request.
+ * @param {Object} res - The http response.
+ * @param {String[]} [methods] - The accepted methods (all of them by default).
+ * @param {Function} callback - Called with `(method)`, the method which
+ *   authenticated the request, or `null` if none of them did.
+ */
+module.exports = function(req, res, methods, callback) {
+  var logger = req.app.get('stormpathLogger');
+  var remaining = METHODS.filter(function(method) {
+    return !methods || methods.indexOf(method) > -1;
+  });
+
+  function tryNext() {
+    var method = remaining.shift();
+
+    if (!method) {
+      return callback(null);
+    }
+
+    sources[method](req, function(err, result) {
+      if (err) {
+        logger.info('Failed to authenticate the request with ' + method + ' credentials.');
+        return tryNext();
+      }
+
+      if (!result) {
+        return tryNext();
+      }
+
+      if (!result.account || result.account.status !== 'ENABLED') {
+        logger.info('The account authenticated with ' + method + ' credentials is not ENABLED.');
+        return tryNext();
+      }
+
+      expandAccount(req.app, result.account, function(err, expandedAccount) {
+        if (err) {
+          logger.info('Failed to expand the user\'s account.');
+          return tryNext();
+        }
+
+        if (result.session) {
+          createSession(result.session, result.account, req, res);
+        }
+
+        res.locals.user = expandedAccount;
+        res.locals.permissions = result.grantedScopes;
+        req.user = expandedAccount;
+        req.permissions = result.grantedScopes;
+        req.authenticationMethod = method;
+
+        if (result.accessToken) {
+          req.accessToken = result.accessToken;
+        }
+
+        callback(method);
+      });
+    });
+  }
+
+  tryNext();
+};
+
+/**
+ * The supported methods, in the order they're tried.
+ *
+ * @property METHODS
+ * @private
+ */
+module.exports.METHODS = METHODS;
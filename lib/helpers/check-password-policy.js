@@ -0,0 +1,93 @@
+'use strict';
+
+var commonPasswords = require('../common-passwords.json');
+var getPasswordPolicy = require('./get-password-policy');
+
+/**
+ * The checks of each rule of the policy.  Each returns `true` if the password
+ * follows the rule.
+ *
+ * @private
+ */
+var CHECKS = {
+  minLength: function(password, settings) {
+    return password.length >= settings.minLength;
+  },
+  maxLength: function(password, settings) {
+    return password.length <= settings.maxLength;
+  },
+  requireLowercase: function(password) {
+    return /[a-z]/.test(password);
+  },
+  requireUppercase: function(password) {
+    return /[A-Z]/.test(password);
+  },
+  requireNumber: function(password) {
+    return /[0-9]/.test(password);
+  },
+  requireSymbol: function(password) {
+    return /[^a-zA-Z0-9]/.test(password);
+  },
+  rejectCommon: function(password, settings) {
+    var banned = (settings.bannedPasswords || []).map(function(banned) {
+      return String(banned).toLowerCase();
+    });
+
+    password = password.toLowerCase();
+
+    return banned.indexOf(password) === -1 && (!settings.rejectCommon || commonPasswords.indexOf(password) === -1);
+  },
+  rejectEmail: function(password, settings, account) {
+    var email = String(account.email || '').toLowerCase();
+    var username = String(account.username || '').toLowerCase();
+
+    // Check the whole address, and its local part (`jane` for
+    // `jane@example.com`), as long as it's long enough to matter.
+    var values = [email, email.split('@')[0], username].filter(function(value) {
+      return value.length >= 3;
+    });
+
+    password = password.toLowerCase();
+
+    return values.every(function(value) {
+      return password.indexOf(value) === -1;
+    });
+  }
+};
+
+/**
+ * Check a new password against the local password policy
+ * (`config.web.passwordPolicy`).  Nothing is checked if the policy isn't
+ * enabled.
+ *
+ * @method
+ *
+ * @param {Object} config - The Stormpath configuration object.
+ * @param {String} password - The new password.
+ * @param {Object} [account] - The `email` and `username` of the account.
+ *
+ * @return {Error} An error with a 400 `status`, the first broken rule as
+ *   `userMessage`, and every broken rule as `errors` (`{ rule, message }`
+ *   objects), or `null` if the password follows the policy.
+ */
+module.exports = function(config, password, account) {
+  var settings = config.web.passwordPolicy || {};
+  var errors;
+
+  password = typeof password === 'string' ? password : '';
+
+  errors = getPasswordPolicy(config).rules.filter(function(rule) {
+    return !CHECKS[rule.rule](password, settings, account || {});
+  });
+
+  if (!errors.length) {
+    return null;
+  }
+
+  var err = new Error(errors[0].message);
+  err.status = 400;
+  err.userMessage = err.message;
+  err.errors = errors;
+
+  return err;
+};
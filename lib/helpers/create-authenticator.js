@@ -0,0 +1,72 @@
+'use strict';
+
+var JwtAuthenticationResult = require('stormpath/lib/jwt/jwt-authentication-result');
+var stormpath = require('stormpath');
+
+/**
+ * Build an authenticator for the `stormpath_token` grant of the Stormpath
+ * API, which the SDK doesn't provide.  The grant exchanges a JWT signed with
+ * the API key secret (see `helpers.exchangeStormpathToken`) for the tokens of
+ * an account.
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} application - The Stormpath application.
+ *
+ * @return {Object} An authenticator which exposes an `authenticate` method.
+ */
+function createStormpathTokenAuthenticator(application) {
+  return {
+    authenticate: function(data, callback) {
+      var form = { grant_type: 'stormpath_token', token: data.token };
+
+      application.dataStore.createResource(application.href + '/oauth/token', { form: form }, function(err, result) {
+        if (err) {
+          return callback(err);
+        }
+
+        callback(null, new JwtAuthenticationResult(application, result));
+      });
+    }
+  };
+}
+
+/**
+ * Build an authenticator of the given type for the current backend.
+ *
+ * Backends which aren't the Stormpath client (see `lib/backends`) provide
+ * their own authenticators through a `createAuthenticator` method.  When no
+ * such method exists, we fall back to the authenticators shipped with the
+ * Stormpath Node SDK.
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} app - The express application.
+ * @param {String} type - The type of authenticator to build.  One of
+ *   `password`, `refresh_token`, `stormpath_token` or `jwt`.
+ *
+ * @return {Object} An authenticator which exposes an `authenticate` method.
+ */
+module.exports = function(app, type) {
+  var application = app.get('stormpathApplication');
+  var client = app.get('stormpathClient');
+
+  if (client && typeof client.createAuthenticator === 'function') {
+    return client.createAuthenticator(type, application);
+  }
+
+  switch (type) {
+    case 'password':
+      return new stormpath.OAuthPasswordGrantRequestAuthenticator(application);
+    case 'refresh_token':
+      return new stormpath.OAuthRefreshTokenGrantRequestAuthenticator(application);
+    case 'stormpath_token':
+      return createStormpathTokenAuthenticator(application);
+    case 'jwt':
+      return new stormpath.JwtAuthenticator(application);
+    default:
+      throw new Error('Unknown authenticator type: "' + type + '".');
+  }
+};
@@ -0,0 +1,54 @@
+'use strict';
+
+var crypto = require('crypto');
+
+/**
+ * Record a pending email change on an account, and create the `sptoken` which
+ * confirms it, and the one which cancels it (see `helpers.redeemEmailChange`).
+ *
+ * Just like the account verification tokens (see `controllers.verifyEmail`),
+ * the tokens are opaque, and are checked against what's stored server side:
+ * the new address, the expiration (`config.web.changeEmail.tokenTtl`) and a
+ * hash of each token are kept in the account's custom data
+ * (`config.web.changeEmail.customDataField`).  Requesting another change
+ * replaces the pending one.
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} app - The express application.
+ * @param {Object} account - The Stormpath account.
+ * @param {String} email - The new email address.
+ * @param {Function} callback - Called with `(err, sptoken, cancelToken)`.
+ */
+module.exports = function(app, account, email, callback) {
+  var settings = app.get('stormpathConfig').web.changeEmail;
+  var secret = crypto.randomBytes(32).toString('hex');
+  var cancelSecret = crypto.randomBytes(32).toString('hex');
+
+  account.getCustomData(function(err, customData) {
+    if (err) {
+      return callback(err);
+    }
+
+    customData[settings.customDataField] = {
+      email: email,
+      oldEmail: account.email,
+      tokenHash: crypto.createHash('sha256').update(secret).digest('hex'),
+      cancelTokenHash: crypto.createHash('sha256').update(cancelSecret).digest('hex'),
+      expiresAt: new Date(Date.now() + settings.tokenTtl * 1000).toISOString()
+    };
+
+    customData.save(function(err) {
+      if (err) {
+        return callback(err);
+      }
+
+      // The tokens start with the account ID, so the pending change can be
+      // found without a login.
+      var accountId = account.href.split('/').pop();
+
+      callback(null, accountId + '.' + secret, accountId + '.' + cancelSecret);
+    });
+  });
+};
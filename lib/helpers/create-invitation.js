@@ -0,0 +1,44 @@
+'use strict';
+
+var uuid = require('uuid');
+
+var createSignedToken = require('./create-signed-token');
+
+/**
+ * Create an invitation to register, for when invite-only registration is
+ * enabled (`config.web.register.invite.enabled`).  The invitation is a signed
+ * token, which can only be used once.
+ *
+ * @method
+ *
+ * @param {Object} app - The express application.
+ * @param {Object} [options] - The invitation options.
+ * @param {String} [options.email] - If set, only an account with this email
+ *   address can be created with the invitation.
+ * @param {String[]} [options.groups] - The groups (names or hrefs) the invited
+ *   account is added to.
+ * @param {Number} [options.ttl] - The lifetime of the invitation, in seconds.
+ *   Defaults to `config.web.register.invite.tokenTtl`.
+ *
+ * @return {String} The invitation token.
+ */
+module.exports = function(app, options) {
+  var config = app.get('stormpathConfig');
+  var claims = { jti: uuid() };
+
+  options = options || {};
+
+  if (!config) {
+    throw new Error('Invitations can only be created once the Stormpath client is initialized.');
+  }
+
+  if (options.email) {
+    claims.email = String(options.email).toLowerCase();
+  }
+
+  if (options.groups && options.groups.length) {
+    claims.groups = [].concat(options.groups);
+  }
+
+  return createSignedToken(app, 'invite', claims, options.ttl || config.web.register.invite.tokenTtl);
+};
@@ -26,6 +26,11 @@ module.exports = function(passwordGrantAuthenticationResult, account, req, res)
     secure: (accessTokenCookieConfig.https !== null ? accessTokenCookieConfig.https : (req.protocol === 'https'))
   });
 
+  // There is no refresh token when its TTL is zero.
+  if (!passwordGrantAuthenticationResult.refreshToken) {
+    return;
+  }
+
   cookies.set(refreshTokenCookieConfig.name, passwordGrantAuthenticationResult.refreshToken, {
     domain: refreshTokenCookieConfig.domain,
     expires: new Date(passwordGrantAuthenticationResult.refreshToken.body.exp * 1000),
@@ -0,0 +1,27 @@
+'use strict';
+
+var njwt = require('njwt');
+
+var getSigningKey = require('./get-signing-key');
+
+/**
+ * Create a signed, expiring token (a JWT), eg: for the links sent by email.
+ * See `helpers.verifySignedToken`.
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} app - The express application.
+ * @param {String} purpose - The purpose of the token, eg: `invite`.
+ * @param {Object} claims - The claims to sign.
+ * @param {Number} ttl - The lifetime of the token, in seconds.
+ *
+ * @return {String} The compacted token.
+ */
+module.exports = function(app, purpose, claims, ttl) {
+  var jwt = njwt.create(claims, getSigningKey(app, purpose));
+
+  jwt.setExpiration(new Date().getTime() + ttl * 1000);
+
+  return jwt.compact();
+};
@@ -0,0 +1,189 @@
+'use strict';
+
+var async = require('async');
+
+/**
+ * Compute how long a subject is blocked for after a number of attempts.
+ *
+ * The first `freeAttempts` attempts aren't delayed.  After that, each attempt
+ * doubles the delay (starting at `baseDelay`, up to `maxDelay`), and once
+ * `lockoutAttempts` is reached the subject is locked out for
+ * `lockoutDuration`.
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} settings - The throttle settings.
+ * @param {Object} limits - The `freeAttempts` and `lockoutAttempts` of the
+ *   subject.
+ * @param {Number} attempts - The number of attempts made so far.
+ *
+ * @return {Number} The number of seconds the subject is blocked for.
+ */
+function getDelay(settings, limits, attempts) {
+  if (limits.lockoutAttempts && attempts >= limits.lockoutAttempts) {
+    return settings.lockoutDuration;
+  }
+
+  if (attempts < limits.freeAttempts) {
+    return 0;
+  }
+
+  return Math.min(settings.baseDelay * Math.pow(2, attempts - limits.freeAttempts), settings.maxDelay);
+}
+
+/**
+ * Build the error a blocked subject gets, with a `retryAfter` property (in
+ * seconds) for the `Retry-After` header.
+ *
+ * @method
+ * @private
+ *
+ * @param {Number} retryAfter - The number of seconds until the subject is
+ *   allowed again.
+ *
+ * @return {Error} The error.
+ */
+function createThrottleError(retryAfter) {
+  var wait = retryAfter < 120 ? retryAfter + ' seconds' : Math.ceil(retryAfter / 60) + ' minutes';
+  var err = new Error('Too many attempts.  Please try again in ' + wait + '.');
+
+  err.status = 429;
+  err.retryAfter = retryAfter;
+  err.userMessage = err.message;
+
+  return err;
+}
+
+/**
+ * Build a throttle, which tracks attempts per subject (eg: per account and
+ * per IP address) and blocks subjects which make too many of them.
+ *
+ * The settings are read from `config.web.<name>.throttle`, eg:
+ *
+ *  - `enabled` -- whether or not to throttle at all.
+ *  - `account` and `ip` -- the `freeAttempts` and `lockoutAttempts` of each
+ *    subject.
+ *  - `baseDelay`, `maxDelay` and `lockoutDuration` -- the delays, in seconds.
+ *  - `window` -- how long (in seconds) attempts are remembered for.
+ *
+ * Attempts are kept in the store (see `lib/stores`).  If the store
+ * fails, the error is logged and requests are let through, so an outage of
+ * the store doesn't lock every user out.
+ *
+ * The returned throttle has these methods, each taking an object mapping
+ * subjects to keys (eg: `{ account: 'jane@example.com', ip: req.ip }`):
+ *
+ *  - `check(keys, callback)` -- calls back with an error (with a 429 `status`
+ *    and a `retryAfter` property) if any subject is blocked.
+ *  - `record(keys, callback)` -- records an attempt for each subject.
+ *  - `reset(keys, callback)` -- forgets the attempts of each subject.
+ *  - `attempt(keys, callback)` -- checks, then records an attempt if no
+ *    subject is blocked.  This rate limits every request, rather than only
+ *    the failed ones.
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} app - The express application.
+ * @param {String} name - The name of the throttled page, eg: `login`.
+ *
+ * @return {Object} The throttle.
+ */
+module.exports = function(app, name) {
+  var config = app.get('stormpathConfig');
+  var logger = app.get('stormpathLogger');
+  var settings = (config.web[name] || {}).throttle || {};
+  var store = app.get('stormpathStore');
+  var disabled = !store || settings.enabled === false;
+
+  // Build the store keys of each (configured) subject which has a key.
+  function getEntries(keys) {
+    return Object.keys(keys || {}).filter(function(subject) {
+      return keys[subject] && settings[subject];
+    }).map(function(subject) {
+      var prefix = 'stormpath:throttle:' + name + ':' + subject + ':' + String(keys[subject]).toLowerCase();
+
+      return {
+        limits: settings[subject],
+        attemptsKey: prefix + ':attempts',
+        blockedKey: prefix + ':blocked'
+      };
+    });
+  }
+
+  function failOpen(action, callback) {
+    return function(err, result) {
+      if (err) {
+        logger.info('Failed to ' + action + ' the ' + name + ' throttle: ' + err.message);
+      }
+
+      callback(null, err ? 0 : result);
+    };
+  }
+
+  return {
+    check: function(keys, callback) {
+      if (disabled) {
+        return callback(null);
+      }
+
+      async.map(getEntries(keys), function(entry, cb) {
+        store.ttl(entry.blockedKey, cb);
+      }, failOpen('check', function(err, ttls) {
+        var retryAfter = Math.max.apply(Math, [0].concat(ttls || []));
+        callback(retryAfter > 0 ? createThrottleError(retryAfter) : null);
+      }));
+    },
+
+    record: function(keys, callback) {
+      if (disabled) {
+        return callback(null);
+      }
+
+      async.each(getEntries(keys), function(entry, cb) {
+        store.incr(entry.attemptsKey, function(err, attempts) {
+          if (err) {
+            return cb(err);
+          }
+
+          store.expire(entry.attemptsKey, settings.window, function(err) {
+            var delay = getDelay(settings, entry.limits, attempts);
+
+            if (err || !delay) {
+              return cb(err);
+            }
+
+            store.setex(entry.blockedKey, delay, String(attempts), cb);
+          });
+        });
+      }, failOpen('record an attempt in', function() {
+        callback(null);
+      }));
+    },
+
+    reset: function(keys, callback) {
+      if (disabled) {
+        return callback(null);
+      }
+
+      async.each(getEntries(keys), function(entry, cb) {
+        async.each([entry.attemptsKey, entry.blockedKey], store.del.bind(store), cb);
+      }, failOpen('reset', function() {
+        callback(null);
+      }));
+    },
+
+    attempt: function(keys, callback) {
+      var self = this;
+
+      this.check(keys, function(err) {
+        if (err) {
+          return callback(err);
+        }
+
+        self.record(keys, callback);
+      });
+    }
+  };
+};
@@ -0,0 +1,79 @@
+'use strict';
+
+var uuid = require('uuid');
+
+var setTempCookie = require('./set-temp-cookie');
+
+/**
+ * Hold a password login in a pending state until the user submits a valid
+ * one-time password (see `controllers.totpChallenge`).
+ *
+ * The tokens issued by the password grant are kept in the store (see
+ * `lib/stores`) for `config.web.totp.challengeTtl` seconds, under a random
+ * challenge id.  The id is sent to the client in the `stormpathTotpChallenge`
+ * cookie (and, for JSON clients, in the response body), so the tokens never
+ * leave the server until the login is complete.
+ *
+ * Browsers are redirected to the challenge page, and JSON clients receive a
+ * 401 with `totpRequired: true`.
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} passwordGrantAuthenticationResult - The result of the
+ *   password grant.
+ * @param {Object} account - The Stormpath account.
+ * @param {Object} req - The http request.
+ * @param {Object} res - The http response.
+ * @param {String} [nextUri] - Where to send the user once the login is
+ *   complete.  Defaults to the `next` query parameter.
+ */
+module.exports = function(passwordGrantAuthenticationResult, account, req, res, nextUri) {
+  var accepts = req.accepts(['html', 'json']);
+  var config = req.app.get('stormpathConfig');
+  var id = uuid.v4();
+  var logger = req.app.get('stormpathLogger');
+  var store = req.app.get('stormpathStore');
+  var ttl = config.web.totp.challengeTtl;
+
+  var refreshToken = passwordGrantAuthenticationResult.refreshToken;
+
+  // Refresh tokens are optional: there are none when their TTL is zero.
+  var pending = {
+    accountHref: account.href,
+    accessToken: {
+      value: passwordGrantAuthenticationResult.accessToken.toString(),
+      exp: passwordGrantAuthenticationResult.accessToken.body.exp
+    },
+    refreshToken: refreshToken && {
+      value: refreshToken.toString(),
+      exp: refreshToken.body.exp
+    }
+  };
+
+  store.setex('stormpath:totp:challenge:' + id, ttl, JSON.stringify(pending), function(err) {
+    if (err) {
+      logger.info('Unable to store the pending login of ' + account.email + ': ' + err.message);
+
+      if (accepts === 'json') {
+        return res.status(500).json({ error: 'Unable to complete the login.  Please try again.' });
+      }
+
+      return res.redirect(config.web.login.uri);
+    }
+
+    setTempCookie(res, 'stormpathTotpChallenge', id, ttl);
+
+    if (accepts === 'json') {
+      return res.status(401).json({
+        error: 'A one-time password is required.',
+        totpRequired: true,
+        challenge: id,
+        challengeUri: config.web.totp.challengeUri
+      });
+    }
+
+    nextUri = nextUri || req.query.next;
+    res.redirect(302, config.web.totp.challengeUri + (nextUri ? '?next=' + encodeURIComponent(nextUri) : ''));
+  });
+};
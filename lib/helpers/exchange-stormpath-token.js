@@ -0,0 +1,38 @@
+'use strict';
+
+var njwt = require('njwt');
+
+var createAuthenticator = require('./create-authenticator');
+
+/**
+ * Get OAuth tokens for an account which was authenticated by other means than
+ * its password, eg: with a social provider.
+ *
+ * We sign a short lived JWT which vouches for the account with the API key
+ * secret, and exchange it for an access and a refresh token with the
+ * `stormpath_token` grant.
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} req - The http request.
+ * @param {Object} account - The authenticated account.
+ * @param {Function} callback - Called with `(err, authenticationResult)`, the
+ *   same result as a password grant's (see `helpers.createSession`).
+ */
+module.exports = function(req, account, callback) {
+  var application = req.app.get('stormpathApplication');
+  var apiKey = req.app.get('stormpathConfig').client.apiKey;
+
+  var jwt = njwt.create({
+    sub: account.href,
+    iss: application.href,
+    aud: apiKey.id,
+    status: 'AUTHENTICATED'
+  }, apiKey.secret);
+
+  jwt.header.kid = apiKey.id;
+  jwt.setExpiration(new Date().getTime() + 60 * 1000);
+
+  createAuthenticator(req.app, 'stormpath_token').authenticate({ token: jwt.compact() }, callback);
+};
@@ -23,11 +23,19 @@ var async = require('async');
  *
  * @param {Object} app - The Express application object.
  * @param {Object} account - The Stormpath Account object to expand.
+ * @param {Object} [options] - The options.
+ * @param {Object} [options.expand] - The resources to expand, in place of
+ *   `config.expand`, eg: `{ customData: true, groups: true }`.
  * @param {accountCallback} - The callback which is called to continue
  *   processing the request.
  */
-module.exports = function(app, account, accountCallback) {
-  var expand = app.get('stormpathConfig').expand || {};
+module.exports = function(app, account, options, accountCallback) {
+  if (typeof options === 'function') {
+    accountCallback = options;
+    options = {};
+  }
+
+  var expand = options.expand || app.get('stormpathConfig').expand || {};
   var logger = app.get('stormpathLogger');
 
   // First, we need to expand our user attributes, this ensures the user is
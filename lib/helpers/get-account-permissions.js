@@ -0,0 +1,100 @@
+'use strict';
+
+var async = require('async');
+
+/**
+ * Read a list of permissions from a custom data resource.
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} customData - The custom data resource.
+ * @param {String} field - The name of the custom data field.
+ *
+ * @return {String[]} The permissions.
+ */
+function readPermissions(customData, field) {
+  var permissions = customData && customData[field];
+
+  if (typeof permissions === 'string') {
+    permissions = [permissions];
+  }
+
+  return Array.isArray(permissions) ? permissions.filter(function(permission) {
+    return typeof permission === 'string' && permission;
+  }) : [];
+}
+
+/**
+ * Collect the permissions of the current user, from the custom data of their
+ * account and of each of their groups.  The name of the custom data field is
+ * set by `config.permissions.customDataField`.
+ *
+ * The permissions are cached for the rest of the request (as
+ * `req.accountPermissions`), so checking several permissions only fetches
+ * them once.
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} req - The http request.
+ * @param {Function} callback - Called with `(err, permissions)`.
+ */
+module.exports = function(req, callback) {
+  var config = req.app.get('stormpathConfig');
+  var field = config.permissions.customDataField;
+  var user = req.user;
+
+  if (!user) {
+    return callback(null, []);
+  }
+
+  if (req.accountPermissions) {
+    return callback(null, req.accountPermissions);
+  }
+
+  async.parallel([
+    function(cb) {
+      // The custom data is already loaded if it was expanded.
+      if (user.customData && user.customData.createdAt) {
+        return cb(null, readPermissions(user.customData, field));
+      }
+
+      user.getCustomData(function(err, customData) {
+        cb(err, readPermissions(customData, field));
+      });
+    },
+    function(cb) {
+      user.getGroups(function(err, groups) {
+        if (err) {
+          return cb(err);
+        }
+
+        var permissions = [];
+
+        groups.each(function(group, next) {
+          group.getCustomData(function(err, customData) {
+            if (err) {
+              return next(err);
+            }
+
+            permissions = permissions.concat(readPermissions(customData, field));
+            next();
+          });
+        }, function(err) {
+          cb(err, permissions);
+        });
+      });
+    }
+  ], function(err, results) {
+    if (err) {
+      return callback(err);
+    }
+
+    req.accountPermissions = results[0].concat(results[1]).filter(function(permission, index, permissions) {
+      return permissions.indexOf(permission) === index;
+    });
+
+    callback(null, req.accountPermissions);
+  });
+};
@@ -0,0 +1,101 @@
+'use strict';
+
+var async = require('async');
+
+/**
+ * Add the scopes of a list to a set (an object keyed by scope).
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} set - The scope set.
+ * @param {String[]|String} scopes - A list of scopes, or a space separated
+ *   string of scopes.
+ */
+function addScopes(set, scopes) {
+  if (typeof scopes === 'string') {
+    scopes = scopes.split(' ');
+  }
+
+  (Array.isArray(scopes) ? scopes : []).forEach(function(scope) {
+    if (scope) {
+      set[scope] = true;
+    }
+  });
+}
+
+/**
+ * Determine the OAuth scopes an account may be granted when exchanging its API
+ * keys for an access token (the client credentials grant).
+ *
+ * The allowed scopes are configured with
+ * `config.web.oauth2.client_credentials`:
+ *
+ *  - `scopeFactory(account, requestedScopes, callback)` -- a function which
+ *    calls back with `(err, scopes)`.  It takes precedence over the settings
+ *    below.
+ *  - `scopes.groups` -- an object mapping group names to the scopes their
+ *    members are allowed.
+ *  - `scopes.customDataField` -- the name of a custom data field holding the
+ *    scopes an account is allowed.
+ *
+ * If none of these are configured, every requested scope is allowed (which is
+ * how tokens were always issued).
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} app - The express application.
+ * @param {Object} account - The Stormpath account.
+ * @param {String[]} requestedScopes - The requested scopes.
+ * @param {Function} callback - Called with `(err, allowedScopes)`.
+ */
+module.exports = function(app, account, requestedScopes, callback) {
+  var config = app.get('stormpathConfig');
+  var grantConfig = config.web.oauth2.client_credentials || {};
+  var scopeConfig = grantConfig.scopes || {};
+  var allowed = {};
+
+  if (typeof grantConfig.scopeFactory === 'function') {
+    return grantConfig.scopeFactory(account, requestedScopes, callback);
+  }
+
+  if (!scopeConfig.groups && !scopeConfig.customDataField) {
+    return callback(null, requestedScopes);
+  }
+
+  async.parallel([
+    function(cb) {
+      if (!scopeConfig.groups) {
+        return cb();
+      }
+
+      account.getGroups(function(err, groups) {
+        if (err) {
+          return cb(err);
+        }
+
+        groups.each(function(group, next) {
+          addScopes(allowed, scopeConfig.groups[group.name]);
+          next();
+        }, cb);
+      });
+    },
+    function(cb) {
+      if (!scopeConfig.customDataField) {
+        return cb();
+      }
+
+      account.getCustomData(function(err, customData) {
+        if (err) {
+          return cb(err);
+        }
+
+        addScopes(allowed, customData[scopeConfig.customDataField]);
+        cb();
+      });
+    }
+  ], function(err) {
+    callback(err, Object.keys(allowed));
+  });
+};
@@ -0,0 +1,72 @@
+'use strict';
+
+/**
+ * The character class rules, with a description of the required characters.
+ *
+ * @private
+ */
+var CHARACTER_CLASSES = {
+  requireLowercase: 'a lowercase letter',
+  requireUppercase: 'an uppercase letter',
+  requireNumber: 'a number',
+  requireSymbol: 'a symbol'
+};
+
+/**
+ * Describe the local password policy (`config.web.passwordPolicy`), so it can
+ * be shown to users (eg: as hints next to a password field).  The list of
+ * banned passwords is left out.
+ *
+ * Each enabled rule is listed in `rules`, as `{ rule, message }` objects.  The
+ * messages are the ones `helpers.checkPasswordPolicy` reports when a password
+ * breaks a rule.
+ *
+ * @method
+ *
+ * @param {Object} config - The Stormpath configuration object.
+ *
+ * @return {Object} The policy.
+ */
+module.exports = function(config) {
+  var settings = config.web.passwordPolicy || {};
+  var policy = {
+    enabled: !!settings.enabled,
+    minLength: settings.minLength || 0,
+    maxLength: settings.maxLength || null,
+    requireLowercase: !!settings.requireLowercase,
+    requireUppercase: !!settings.requireUppercase,
+    requireNumber: !!settings.requireNumber,
+    requireSymbol: !!settings.requireSymbol,
+    rejectCommon: !!settings.rejectCommon || !!(settings.bannedPasswords && settings.bannedPasswords.length),
+    rejectEmail: !!settings.rejectEmail,
+    rules: []
+  };
+
+  if (!policy.enabled) {
+    return policy;
+  }
+
+  if (policy.minLength) {
+    policy.rules.push({ rule: 'minLength', message: 'Your password must be at least ' + policy.minLength + ' characters long.' });
+  }
+
+  if (policy.maxLength) {
+    policy.rules.push({ rule: 'maxLength', message: 'Your password must be at most ' + policy.maxLength + ' characters long.' });
+  }
+
+  Object.keys(CHARACTER_CLASSES).forEach(function(rule) {
+    if (policy[rule]) {
+      policy.rules.push({ rule: rule, message: 'Your password must contain ' + CHARACTER_CLASSES[rule] + '.' });
+    }
+  });
+
+  if (policy.rejectCommon) {
+    policy.rules.push({ rule: 'rejectCommon', message: 'Your password is too common.  Please choose another one.' });
+  }
+
+  if (policy.rejectEmail) {
+    policy.rules.push({ rule: 'rejectEmail', message: 'Your password must not contain your email address or username.' });
+  }
+
+  return policy;
+};
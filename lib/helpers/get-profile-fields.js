@@ -0,0 +1,43 @@
+'use strict';
+
+/**
+ * The registration fields which can't be updated on a profile, as changing
+ * them requires more than a form submission.
+ *
+ * @private
+ */
+var EXCLUDED_FIELDS = ['email', 'password', 'passwordConfirm'];
+
+/**
+ * Gets the fields a user may update on their profile.  These are the
+ * registration fields (`config.web.register.fields`) which aren't disabled,
+ * except for the email address and password fields.
+ *
+ * Fields which aren't core account fields are stored in custom data (see
+ * `prepAccountData`), so only the custom data fields listed here can be
+ * updated.
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} config - The Stormpath configuration object.
+ *
+ * @return {Object[]} The field configurations, in `fieldOrder`.
+ */
+module.exports = function(config) {
+  var fields = config.web.register.fields || {};
+  var fieldOrder = config.web.register.fieldOrder || [];
+
+  function position(field) {
+    var index = fieldOrder.indexOf(field.name);
+    return index === -1 ? fieldOrder.length : index;
+  }
+
+  return Object.keys(fields).filter(function(key) {
+    return fields[key] && fields[key].enabled !== false && EXCLUDED_FIELDS.indexOf(key) === -1;
+  }).map(function(key) {
+    return fields[key];
+  }).sort(function(a, b) {
+    return position(a) - position(b);
+  });
+};
@@ -0,0 +1,21 @@
+'use strict';
+
+var crypto = require('crypto');
+
+/**
+ * Derive the key which signs the tokens of a purpose from the API key secret,
+ * so a token issued for one purpose (eg: an invitation) can never be
+ * mistaken for an access token, or for a token of another purpose.
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} app - The express application.
+ * @param {String} purpose - The purpose of the token, eg: `invite`.
+ *
+ * @return {Buffer} The signing key.
+ */
+module.exports = function(app, purpose) {
+  var secret = app.get('stormpathClient').config.client.apiKey.secret;
+  return crypto.createHmac('sha256', String(secret)).update('stormpath:' + purpose).digest();
+};
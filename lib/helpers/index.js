@@ -1,17 +1,51 @@
 'use strict';
 
 module.exports = {
+  applyConfigDefaults: require('./apply-config-defaults'),
+  authenticatePassword: require('./authenticate-password'),
+  authenticateRequest: require('./authenticate-request'),
+  checkPasswordPolicy: require('./check-password-policy'),
   collectFormErrors: require('./collect-form-errors'),
+  createAuthenticator: require('./create-authenticator'),
+  createEmailChange: require('./create-email-change'),
   createIdSiteSession: require('./create-id-site-session'),
+  createInvitation: require('./create-invitation'),
   createSession: require('./create-session'),
+  createSignedToken: require('./create-signed-token'),
+  createThrottle: require('./create-throttle'),
+  createTotpChallenge: require('./create-totp-challenge'),
+  exchangeStormpathToken: require('./exchange-stormpath-token'),
   expandAccount: require('./expand-account'),
+  getAccountPermissions: require('./get-account-permissions'),
+  getAllowedScopes: require('./get-allowed-scopes'),
+  getPasswordPolicy: require('./get-password-policy'),
+  getProfileFields: require('./get-profile-fields'),
   getRequiredRegistrationFields: require('./get-required-registration-fields'),
+  getSigningKey: require('./get-signing-key'),
   getUser: require('./get-user'),
+  introspectToken: require('./introspect-token'),
   loginResponder: require('./login-responder'),
+  permissionImplies: require('./permission-implies'),
   prepAccountData: require('./prep-account-data'),
+  redeemInvitation: require('./redeem-invitation'),
   render: require('./render'),
+  revokeAccountTokens: require('./revoke-account-tokens'),
+  revokeTokens: require('./revoke-tokens'),
+  redeemEmailChange: require('./redeem-email-change'),
+  runPreHandler: require('./run-pre-handler'),
+  sanitizeAccount: require('./sanitize-account'),
   sanitizeFormData: require('./sanitize-form-data'),
+  sendEmail: require('./send-email'),
+  sendForbidden: require('./send-forbidden'),
+  sendUnauthorized: require('./send-unauthorized'),
+  serializeAccount: require('./serialize-account'),
   setTempCookie: require('./set-temp-cookie'),
+  totp: require('./totp'),
   validateAccount: require('./validate-account'),
+  validateFields: require('./validate-fields'),
+  validateProfile: require('./validate-profile'),
+  verifyClientToken: require('./verify-client-token'),
+  verifySignedToken: require('./verify-signed-token'),
+  verifyTotpCode: require('./verify-totp-code'),
   xsrfValidator: require('./xsrf-validator')
 };
@@ -0,0 +1,131 @@
+'use strict';
+
+var njwt = require('njwt');
+
+var verifyClientToken = require('./verify-client-token');
+
+/**
+ * Verify a Stormpath issued token: its signature, its expiration, and that it
+ * hasn't been revoked (the token resource still exists).
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} client - The Stormpath client.
+ * @param {String} token - The compacted token.
+ * @param {Function} callback - Called with `(err, jwt)`.  The `jwt` is `null`
+ *   if the token isn't active.
+ */
+function verifyStormpathToken(client, token, callback) {
+  njwt.verify(token, client.config.client.apiKey.secret, function(err, jwt) {
+    if (err) {
+      return callback(null, null);
+    }
+
+    // Stormpath marks the token type in the `stt` header.
+    var collection = jwt.header.stt === 'refresh' ? 'refreshTokens' : 'accessTokens';
+
+    client.getResource(client.config.client.baseUrl + '/' + collection + '/' + jwt.body.jti, function(err) {
+      if (err) {
+        return err.status === 404 ? callback(null, null) : callback(err);
+      }
+
+      callback(null, jwt);
+    });
+  });
+}
+
+/**
+ * Build the introspection response of a client credentials token, whose
+ * subject is the API key it was issued to (see `helpers.verifyClientToken`).
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} app - The express application.
+ * @param {String} token - The compacted token.
+ * @param {Function} callback - Called with `(err, introspection)`.
+ */
+function introspectClientToken(app, token, callback) {
+  verifyClientToken(app, token, function(err, result) {
+    if (err || !result) {
+      return callback(err, { active: false });
+    }
+
+    var introspection = {
+      active: true,
+      username: result.account.username,
+      sub: result.apiKey.id,
+      iss: result.jwt.body.iss,
+      iat: result.jwt.body.iat,
+      exp: result.jwt.body.exp,
+      token_type: 'Bearer'
+    };
+
+    if (result.jwt.body.scope) {
+      introspection.scope = result.jwt.body.scope;
+    }
+
+    callback(null, introspection);
+  });
+}
+
+/**
+ * Inspect an access or refresh token, and build an RFC 7662 introspection
+ * response for it.
+ *
+ * Tokens which are invalid, expired, revoked or belong to an account which
+ * isn't enabled are reported as `{ active: false }`.
+ *
+ * Backends which aren't the Stormpath client provide their own
+ * `introspectToken(token, callback)` method, which calls back with the
+ * verified JWT (or `null`).  Client credentials tokens are verified locally
+ * whatever the backend, as only the SDK knows about them.
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} app - The express application.
+ * @param {String} token - The compacted token.
+ * @param {Function} callback - Called with `(err, introspection)`.
+ */
+module.exports = function(app, token, callback) {
+  var client = app.get('stormpathClient');
+  var verify = typeof client.introspectToken === 'function' ? client.introspectToken.bind(client) : verifyStormpathToken.bind(null, client);
+
+  if (verifyClientToken.isClientToken(token)) {
+    return introspectClientToken(app, String(token), callback);
+  }
+
+  verify(String(token), function(err, jwt) {
+    if (err || !jwt) {
+      return callback(err, { active: false });
+    }
+
+    client.getAccount(jwt.body.sub, function(err, account) {
+      if (err || account.status !== 'ENABLED') {
+        return callback(null, { active: false });
+      }
+
+      var introspection = {
+        active: true,
+        username: account.username,
+        sub: jwt.body.sub,
+        iss: jwt.body.iss,
+        iat: jwt.body.iat,
+        exp: jwt.body.exp,
+        jti: jwt.body.jti
+      };
+
+      if (jwt.body.scope) {
+        introspection.scope = jwt.body.scope;
+      }
+
+      if (jwt.header.stt !== 'refresh') {
+        introspection.token_type = 'Bearer';
+      }
+
+      callback(null, introspection);
+    });
+  });
+};
@@ -1,34 +1,64 @@
 'use strict';
 
 var createSession = require('./create-session');
+var createTotpChallenge = require('./create-totp-challenge');
 var expandAccount = require('./expand-account');
 
 module.exports = function(passwordGrantAuthenticationResult, account, req, res) {
   var accepts = req.accepts(['html','json']);
   var config = req.app.get('stormpathConfig');
+  var logger = req.app.get('stormpathLogger');
   var postLoginHandler = config.postLoginHandler;
   var redirectUrl = config.web.login.nextUri;
 
-  expandAccount(req.app,account,function(err,expandedAccount){
-    req.user = expandedAccount;
-    createSession(passwordGrantAuthenticationResult, expandedAccount, req, res);
+  function respond() {
+    expandAccount(req.app,account,function(err,expandedAccount){
+      req.user = expandedAccount;
+      createSession(passwordGrantAuthenticationResult, expandedAccount, req, res);
 
-    if (postLoginHandler) {
-      return postLoginHandler(req.user, req, res, function() {
-        if (accepts === 'json') {
-          return res.end();
-        }
+      if (postLoginHandler) {
+        return postLoginHandler(req.user, req, res, function() {
+          if (accepts === 'json') {
+            return res.end();
+          }
 
-        var url = req.query.next || redirectUrl;
-        res.redirect(302, url);
-      });
+          var url = req.query.next || redirectUrl;
+          res.redirect(302, url);
+        });
+      }
+
+      if (accepts === 'json') {
+        return res.end();
+      }
+
+      var url = req.query.next || redirectUrl;
+      res.redirect(302, url);
+    });
+  }
+
+  // Accounts which enabled two-factor authentication have to submit a
+  // one-time password before the session is created.
+  if (!config.web.totp.enabled || passwordGrantAuthenticationResult.totpVerified) {
+    return respond();
+  }
+
+  account.getCustomData(function(err, customData) {
+    if (err) {
+      logger.info('Unable to retrieve the two-factor authentication settings of ' + account.email + '.');
+
+      if (accepts === 'json') {
+        return res.status(400).json({ error: err.userMessage || err.message });
+      }
+
+      return res.redirect(config.web.login.uri);
     }
 
-    if (accepts === 'json') {
-      return res.end();
+    var settings = customData[config.web.totp.customDataField];
+
+    if (settings && settings.enabled) {
+      return createTotpChallenge(passwordGrantAuthenticationResult, account, req, res);
     }
 
-    var url = req.query.next || redirectUrl;
-    res.redirect(302, url);
+    respond();
   });
 };
@@ -0,0 +1,46 @@
+'use strict';
+
+/**
+ * Determine whether or not a granted permission implies a required one.
+ *
+ * Permissions are colon separated strings, from the most general part to the
+ * most specific one, eg: `billing:invoices:read`.  A `*` part matches any
+ * value, and a granted permission with fewer parts implies every permission
+ * below it:
+ *
+ *  - `billing:*` and `billing` imply `billing:invoices:read`.
+ *  - `billing:*:read` implies `billing:invoices:read`, but not
+ *    `billing:invoices:delete`.
+ *  - `billing:invoices:*` implies `billing:invoices:*`, but
+ *    `billing:invoices:read` doesn't (it only grants part of it).
+ *
+ * @method
+ * @private
+ *
+ * @param {String} granted - The granted permission.
+ * @param {String} required - The required permission.
+ *
+ * @return {Boolean} Whether or not the granted permission implies the
+ *   required one.
+ */
+module.exports = function(granted, required) {
+  var grantedParts = String(granted).split(':');
+  var requiredParts = String(required).split(':');
+
+  for (var i = 0; i < grantedParts.length; i++) {
+    // Any extra granted parts must be wildcards, eg: `billing:*` implies
+    // `billing`.
+    if (i >= requiredParts.length) {
+      if (grantedParts[i] !== '*') {
+        return false;
+      }
+      continue;
+    }
+
+    if (grantedParts[i] !== '*' && grantedParts[i] !== requiredParts[i]) {
+      return false;
+    }
+  }
+
+  return true;
+};
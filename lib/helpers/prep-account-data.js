@@ -14,7 +14,8 @@ var async = require('async');
  * Stormpath appropriate form.
  *
  * This consists of extracting all non-core fields into customData to ensure
- * arbitrary data gets copied over upon account creation.
+ * arbitrary data gets copied over upon account creation.  The values of
+ * `checkbox` fields are stored as booleans.
  *
  * @param {Object} formData - The user supplied form data.
  * @param {Object} stormpathConfig - The Stormpath configuration object.
@@ -39,6 +40,16 @@ module.exports = function(formData, stormpathConfig, callback) {
     passwordConfirmFieldName = stormpathConfig.web.register.fields.passwordConfirm.name;
   }
 
+  var fields = (stormpathConfig.web && stormpathConfig.web.register && stormpathConfig.web.register.fields) || {};
+
+  Object.keys(fields).forEach(function(key) {
+    var field = fields[key];
+
+    if (field && field.type === 'checkbox' && formData.hasOwnProperty(field.name)) {
+      formData[field.name] = [true, 'true', 'on'].indexOf(formData[field.name]) !== -1;
+    }
+  });
+
   var coreFields = ['username', 'email', 'password', 'givenName', 'middleName', 'surname', 'status', passwordConfirmFieldName];
   formData.customData = {};
 
@@ -0,0 +1,80 @@
+'use strict';
+
+var crypto = require('crypto');
+
+/**
+ * Build the error reported for any token which can't be redeemed.
+ *
+ * @method
+ * @private
+ *
+ * @return {Error} The error.
+ */
+function createInvalidTokenError() {
+  var err = new Error('This link is invalid or has expired.');
+  err.userMessage = err.message;
+  return err;
+}
+
+/**
+ * Redeem one of the tokens of a pending email change created by
+ * `helpers.createEmailChange`: the `sptoken` which confirms it, or the token
+ * which cancels it.
+ *
+ * The token is only valid while it matches the pending change, before it
+ * expires, and while the account still has the email it was issued for.  The
+ * pending change is removed from the account's custom data, so each change can
+ * only be confirmed or cancelled once.  The account itself isn't changed.
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} app - The express application.
+ * @param {String} purpose - `confirm` or `cancel`.
+ * @param {String} sptoken - The token.
+ * @param {Function} callback - Called with `(err, account, change)`, where
+ *   `change` holds the `email` and `oldEmail` of the change.  The error has a
+ *   `userMessage` which can be shown to the user.
+ */
+module.exports = function(app, purpose, sptoken, callback) {
+  var application = app.get('stormpathApplication');
+  var client = app.get('stormpathClient');
+  var settings = app.get('stormpathConfig').web.changeEmail;
+  var parts = String(sptoken || '').split('.');
+
+  if (parts.length !== 2 || !/^[\w-]+$/.test(parts[0]) || !parts[1]) {
+    return callback(createInvalidTokenError());
+  }
+
+  // Accounts live next to the application, eg: `.../v1/accounts/<id>`.
+  var href = application.href.replace(/applications\/[^\/]+$/, 'accounts/' + parts[0]);
+
+  client.getAccount(href, function(err, account) {
+    if (err) {
+      return err.status === 404 ? callback(createInvalidTokenError()) : callback(err);
+    }
+
+    account.getCustomData(function(err, customData) {
+      if (err) {
+        return callback(err);
+      }
+
+      var change = customData[settings.customDataField];
+      var tokenHash = crypto.createHash('sha256').update(parts[1]).digest('hex');
+      var expectedHash = change && (purpose === 'cancel' ? change.cancelTokenHash : change.tokenHash);
+
+      if (!change || expectedHash !== tokenHash || change.oldEmail !== account.email || new Date(change.expiresAt).getTime() <= Date.now()) {
+        return callback(createInvalidTokenError());
+      }
+
+      customData.remove(settings.customDataField);
+      customData.save(function(err) {
+        if (err) {
+          return callback(err);
+        }
+
+        callback(null, account, { email: change.email, oldEmail: change.oldEmail });
+      });
+    });
+  });
+};
@@ -0,0 +1,80 @@
+'use strict';
+
+var verifySignedToken = require('./verify-signed-token');
+
+/**
+ * Build an error with a message which can be shown to the user.
+ *
+ * @method
+ * @private
+ *
+ * @param {String} message - The message.
+ *
+ * @return {Error} The error.
+ */
+function createError(message) {
+  var err = new Error(message);
+  err.userMessage = message;
+  return err;
+}
+
+/**
+ * Redeem an invitation created by `helpers.createInvitation`, for the account
+ * which is about to be registered.
+ *
+ * The invitation is marked as used in the store (see `lib/stores`) until it
+ * expires, with an atomic `incr`, so concurrent registrations can't share it.
+ * If the account can't be created afterwards, the `release` function passed
+ * to the callback makes the invitation usable again.
+ *
+ * @method
+ *
+ * @param {Object} app - The express application.
+ * @param {String} token - The invitation token.
+ * @param {String} email - The email address of the new account.
+ * @param {Function} callback - Called with `(err, invitation, release)`, where
+ *   `invitation` holds the `email` and `groups` of the invitation.  The error
+ *   has a `userMessage` which can be shown to the user.
+ */
+module.exports = function(app, token, email, callback) {
+  var store = app.get('stormpathStore');
+
+  if (!token) {
+    return callback(createError('An invitation is required to create an account.'));
+  }
+
+  verifySignedToken(app, 'invite', token, function(err, invitation) {
+    if (err || !invitation.jti) {
+      return callback(createError('This invitation is invalid or has expired.'));
+    }
+
+    if (invitation.email && invitation.email !== String(email || '').toLowerCase()) {
+      return callback(createError('This invitation was sent to another email address.'));
+    }
+
+    var key = 'stormpath:invite:' + invitation.jti;
+    var ttl = Math.max(invitation.exp - Math.floor(Date.now() / 1000), 1);
+
+    store.incr(key, function(err, uses) {
+      if (err) {
+        return callback(err);
+      }
+
+      if (uses > 1) {
+        return callback(createError('This invitation has already been used.'));
+      }
+
+      store.expire(key, ttl, function(err) {
+        if (err) {
+          return callback(err);
+        }
+
+        callback(null, invitation, function release(callback) {
+          store.del(key, function(err) {
+            callback(err);
+          });
+        });
+      });
+    });
+  });
+};
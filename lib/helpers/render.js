@@ -5,6 +5,8 @@ var path = require('path');
 var jade = require('jade');
 var mixin = require('utils-merge');
 
+var getPasswordPolicy = require('./get-password-policy');
+
 var viewCache = {};
 
 function renderJade(filepath, locals) {
@@ -32,6 +34,9 @@ function renderJade(filepath, locals) {
  * If, however, the developer has supplied a render handler in their settings,
  * then we'll go ahead and use that render function instead.
  *
+ * The local password policy (see `helpers.getPasswordPolicy`) is supplied to
+ * every view as `passwordPolicy`, so password fields can show its rules.
+ *
  * @method
  * @private
  *
@@ -46,6 +51,7 @@ module.exports = function(req, res, view, options) {
   var filename = path.basename(view, extension);
 
   options = options || {};
+  options.passwordPolicy = options.passwordPolicy || getPasswordPolicy(config);
   mixin(options, res.locals);
   mixin(options, config.templateContext || {});
 
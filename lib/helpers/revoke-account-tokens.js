@@ -0,0 +1,52 @@
+'use strict';
+
+var async = require('async');
+
+/**
+ * Revoke every access and refresh token which was issued to an account.  This
+ * logs the account out everywhere.
+ *
+ * Backends which aren't the Stormpath client provide their own
+ * `revokeAccountTokens` method.
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} app - The express application.
+ * @param {Object} account - The Stormpath Account object.
+ * @param {Function} callback - Called with `(err)`.
+ */
+module.exports = function(app, account, callback) {
+  var client = app.get('stormpathClient');
+
+  if (typeof client.revokeAccountTokens === 'function') {
+    return client.revokeAccountTokens(account, callback);
+  }
+
+  async.each(['accessTokens', 'refreshTokens'], function(collection, cb) {
+    var href = (account[collection] && account[collection].href) || (account.href + '/' + collection);
+
+    client.getResource(href, function(err, tokens) {
+      if (err) {
+        return cb(err);
+      }
+
+      // Collect the tokens before deleting them, so deletions don't shift the
+      // pages we're iterating over.
+      var resources = [];
+
+      tokens.each(function(token, next) {
+        resources.push(token);
+        next();
+      }, function(err) {
+        if (err) {
+          return cb(err);
+        }
+
+        async.each(resources, function(token, next) {
+          token.delete(next);
+        }, cb);
+      });
+    });
+  }, callback);
+};
@@ -0,0 +1,100 @@
+'use strict';
+
+var async = require('async');
+var njwt = require('njwt');
+
+var verifyClientToken = require('./verify-client-token');
+
+/**
+ * Revoke a single Stormpath issued token, by deleting the token resource.
+ *
+ * Tokens which can't be verified (expired, or not issued by Stormpath) are
+ * ignored, as they can't be used anymore anyway.
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} client - The Stormpath client.
+ * @param {String} token - The compacted token.
+ * @param {Function} callback - Called with `(err)`.
+ */
+function revokeStormpathToken(client, token, callback) {
+  njwt.verify(token, client.config.client.apiKey.secret, function(err, jwt) {
+    if (err) {
+      return callback();
+    }
+
+    // Stormpath marks the token type in the `stt` header.
+    var collection = jwt.header.stt === 'refresh' ? 'refreshTokens' : 'accessTokens';
+
+    client.getResource(client.config.client.baseUrl + '/' + collection + '/' + jwt.body.jti, function(err, resource) {
+      if (err) {
+        return callback(err.status === 404 ? null : err);
+      }
+
+      resource.delete(callback);
+    });
+  });
+}
+
+/**
+ * Revoke a client credentials token.  These tokens aren't stored anywhere, so
+ * the revocation is recorded in the store until the token expires, for
+ * `helpers.verifyClientToken` to reject it.
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} app - The express application.
+ * @param {String} token - The compacted token.
+ * @param {Function} callback - Called with `(err)`.
+ */
+function revokeClientToken(app, token, callback) {
+  var client = app.get('stormpathClient');
+
+  njwt.verify(token, client.config.client.apiKey.secret, function(err, jwt) {
+    if (err) {
+      return callback();
+    }
+
+    var ttl = Math.max(1, jwt.body.exp - Math.floor(new Date().getTime() / 1000));
+
+    app.get('stormpathStore').setex(verifyClientToken.getRevocationKey(token), ttl, '1', function(err) {
+      callback(err);
+    });
+  });
+}
+
+/**
+ * Revoke the access and refresh tokens backing a session, so they can't be
+ * used again (even if they were stolen).
+ *
+ * Backends which aren't the Stormpath client provide their own `revokeToken`
+ * method.  Client credentials tokens are revoked in the store whatever the
+ * backend.
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} app - The express application.
+ * @param {Object} tokens - An object with optional `accessToken` and
+ *   `refreshToken` properties (compacted tokens).
+ * @param {Function} callback - Called with `(err)`.
+ */
+module.exports = function(app, tokens, callback) {
+  var client = app.get('stormpathClient');
+
+  async.each([tokens.accessToken, tokens.refreshToken].filter(Boolean), function(token, cb) {
+    token = String(token);
+
+    if (verifyClientToken.isClientToken(token)) {
+      return revokeClientToken(app, token, cb);
+    }
+
+    if (typeof client.revokeToken === 'function') {
+      return client.revokeToken(token, cb);
+    }
+
+    revokeStormpathToken(client, token, cb);
+  }, callback);
+};
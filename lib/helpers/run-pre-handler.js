@@ -0,0 +1,35 @@
+'use strict';
+
+/**
+ * Run a hook which can reject a request before it's processed, such as the
+ * `preLoginHandler` and `preRegistrationHandler`.
+ *
+ * The handler is called with `(data, req, res, next)`.  It can change `data`
+ * in place (eg: to normalize an email address), then call `next()` to carry
+ * on, or `next(err)` to reject the request.  The `userMessage` (or `message`)
+ * of the error is shown to the user, with its `status` (400 by default).
+ *
+ * @method
+ * @private
+ *
+ * @param {Function} [handler] - The handler, if any is configured.
+ * @param {Object} data - The submitted data.
+ * @param {Object} req - The http request.
+ * @param {Object} res - The http response.
+ * @param {Function} callback - Called with `(err)`.
+ */
+module.exports = function(handler, data, req, res, callback) {
+  if (typeof handler !== 'function') {
+    return callback(null);
+  }
+
+  handler(data, req, res, function(err) {
+    if (err) {
+      err = err instanceof Error ? err : new Error(String(err));
+      err.status = err.status || 400;
+      err.userMessage = err.userMessage || err.message;
+    }
+
+    callback(err || null);
+  });
+};
@@ -0,0 +1,40 @@
+'use strict';
+
+/**
+ * Build a copy of an account which is safe to send to the client.
+ *
+ * The custom data fields holding secrets (the two-factor authentication
+ * settings and the pending email change, see `config.web.totp.customDataField`
+ * and `config.web.changeEmail.customDataField`) are always removed.  So are
+ * the fields listed in `config.web.me.hiddenFields`, either account fields
+ * (eg: `status`) or fields of a linked resource (eg: `customData.ssn`).  By
+ * default, these are the social identities connected to the account, and the
+ * social provider tokens.
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} app - The express application.
+ * @param {Object} account - The (expanded) Stormpath account.
+ *
+ * @return {Object} The sanitized copy of the account.
+ */
+module.exports = function(app, account) {
+  var config = app.get('stormpathConfig');
+  var sanitized = JSON.parse(JSON.stringify(account));
+  var hiddenFields = [
+    'customData.' + config.web.totp.customDataField,
+    'customData.' + config.web.changeEmail.customDataField
+  ].concat(config.web.me.hiddenFields || []);
+
+  hiddenFields.forEach(function(path) {
+    var parts = path.split('.');
+    var owner = parts.length > 1 ? sanitized[parts[0]] : sanitized;
+
+    if (owner && typeof owner === 'object') {
+      delete owner[parts[parts.length - 1]];
+    }
+  });
+
+  return sanitized;
+};
@@ -0,0 +1,40 @@
+'use strict';
+
+/**
+ * Send an email which isn't one of the Stormpath workflow emails (eg: the
+ * confirmation of an email change).
+ *
+ * Stormpath doesn't send arbitrary emails, so the delivery is up to the
+ * `sendEmail` option: `function(email, callback)`.  Backends can provide their
+ * own `sendEmail` method instead (the memory backend delivers to its
+ * `outbox`).
+ *
+ * The email has these properties:
+ *
+ *  - `type` -- what the email is about, eg: `changeEmail`.
+ *  - `to` -- the recipient's address.
+ *  - `subject` and `text` -- a default subject and plain text body.
+ *  - `account` -- the account the email is about.
+ *  - `link` and `token` -- the link to follow (and its token), if any.
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} app - The express application.
+ * @param {Object} email - The email to send.
+ * @param {Function} callback - Called with `(err)`.
+ */
+module.exports = function(app, email, callback) {
+  var client = app.get('stormpathClient');
+  var config = app.get('stormpathConfig');
+
+  if (typeof config.sendEmail === 'function') {
+    return config.sendEmail(email, callback);
+  }
+
+  if (typeof client.sendEmail === 'function') {
+    return client.sendEmail(email, callback);
+  }
+
+  callback(new Error('Unable to send the ' + email.type + ' email, as no sendEmail handler is configured.'));
+};
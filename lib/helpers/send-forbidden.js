@@ -0,0 +1,46 @@
+'use strict';
+
+var render = require('./render');
+
+/**
+ * Respond to a request which is authenticated, but not authorized, with a 403.
+ *
+ * API clients receive a JSON body: `{ status: 403, message: '...' }`.
+ *
+ * Browsers are shown the `config.web.forbidden.view` view (the bundled
+ * `unauthorized` page by default).  This can be replaced with
+ * `config.web.forbidden.handler`, a function called with `(req, res, next)`
+ * -- calling `next()` falls back to the default response.
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} req - The http request.
+ * @param {Object} res - The http response.
+ * @param {Object} [options] - The options.
+ * @param {String} [options.message] - The message of the JSON body.
+ * @param {Boolean} [options.json=false] - Always respond with JSON.
+ */
+module.exports = function(req, res, options) {
+  options = options || {};
+
+  var config = req.app.get('stormpathConfig');
+  var settings = config.web.forbidden || {};
+  var isBrowser = !options.json && req.accepts(['html', 'json']) === 'html';
+
+  function respond() {
+    res.status(403);
+
+    if (!isBrowser) {
+      return res.json({ status: 403, message: options.message || 'You are not authorized to access this resource.' });
+    }
+
+    render(req, res, settings.view || 'unauthorized');
+  }
+
+  if (isBrowser && typeof settings.handler === 'function') {
+    return settings.handler(req, res, respond);
+  }
+
+  respond();
+};
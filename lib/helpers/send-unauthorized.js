@@ -0,0 +1,51 @@
+'use strict';
+
+var render = require('./render');
+
+/**
+ * Respond to a request which isn't authenticated, with a 401.
+ *
+ * API clients receive a JSON body: `{ status: 401, message: '...' }`.
+ *
+ * Browsers are redirected to the login page by default.  This can be changed
+ * with `config.web.unauthorized.view` (a view rendered with a 401 status), or
+ * with `config.web.unauthorized.handler`, a function called with
+ * `(req, res, next)` -- calling `next()` falls back to the default response.
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} req - The http request.
+ * @param {Object} res - The http response.
+ * @param {Object} [options] - The options.
+ * @param {String} [options.message] - The message of the JSON body.
+ * @param {Boolean} [options.json=false] - Always respond with JSON, eg: for
+ *   endpoints which browsers can't log into.
+ */
+module.exports = function(req, res, options) {
+  options = options || {};
+
+  var config = req.app.get('stormpathConfig');
+  var settings = config.web.unauthorized || {};
+  var isBrowser = !options.json && req.accepts(['html', 'json']) === 'html';
+
+  function respond() {
+    if (!isBrowser) {
+      return res.status(401).json({ status: 401, message: options.message || 'You must be authenticated to access this resource.' });
+    }
+
+    if (settings.view) {
+      res.status(401);
+      return render(req, res, settings.view);
+    }
+
+    var url = config.web.login.uri + '?next=' + encodeURIComponent(req.originalUrl);
+    res.redirect(302, url);
+  }
+
+  if (isBrowser && typeof settings.handler === 'function') {
+    return settings.handler(req, res, respond);
+  }
+
+  respond();
+};
@@ -0,0 +1,104 @@
+'use strict';
+
+var async = require('async');
+
+var sanitizeAccount = require('./sanitize-account');
+
+/**
+ * Remove the `href` properties of an object and of every object it contains.
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} object - The object to strip, in place.
+ */
+function stripHrefs(object) {
+  if (!object || typeof object !== 'object') {
+    return;
+  }
+
+  delete object.href;
+
+  Object.keys(object).forEach(function(key) {
+    stripHrefs(object[key]);
+  });
+}
+
+/**
+ * Build the JSON representation of an account, as returned by the `/me`
+ * endpoint (`config.web.me`).
+ *
+ * By default, this is the whole account (see `helpers.sanitizeAccount`), with
+ * the linked resources which were expanded (see `config.expand`).  The output
+ * can be narrowed down with:
+ *
+ *  - `config.web.me.fields` -- the account fields to include, eg:
+ *    `['email', 'givenName', 'surname']`.
+ *  - `config.web.me.expand` -- the linked resources to include, eg:
+ *    `{ customData: true, groups: true }`.  Resources which aren't expanded
+ *    yet are fetched, and any other linked resource is left out.
+ *  - `config.web.me.hrefs` -- set to `false` to leave out the `href` of the
+ *    account and its resources, which are internal resource URLs.
+ *
+ * Alternatively, `config.web.me.serializer` can be a function, which is given
+ * the sanitized account (a plain copy, without the hidden fields, with the
+ * resources of `config.web.me.expand`) and the request, and returns the object
+ * to send.
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} req - The http request.
+ * @param {Object} account - The (expanded) Stormpath account.
+ * @param {Function} callback - Called with `(err, json)`.
+ */
+module.exports = function(req, account, callback) {
+  var settings = req.app.get('stormpathConfig').web.me;
+
+  var expand = settings.expand;
+
+  // A linked resource which wasn't expanded only has an `href`.
+  var missing = Object.keys(expand || {}).filter(function(key) {
+    return expand[key] && (!account[key] || Object.keys(account[key]).length === 1);
+  });
+
+  async.each(missing, function(key, cb) {
+    var getter = 'get' + key.charAt(0).toUpperCase() + key.slice(1);
+
+    if (typeof account[getter] !== 'function') {
+      return cb(new Error('Unable to expand the "' + key + '" resource of the account.'));
+    }
+
+    account[getter](function(err, resource) {
+      if (!err) {
+        account[key] = resource;
+      }
+
+      cb(err);
+    });
+  }, function(err) {
+    if (err) {
+      return callback(err);
+    }
+
+    var json = sanitizeAccount(req.app, account);
+
+    if (typeof settings.serializer === 'function') {
+      return callback(null, settings.serializer(json, req));
+    }
+
+    Object.keys(json).forEach(function(key) {
+      var isLinkedResource = json[key] !== null && typeof json[key] === 'object';
+
+      if (isLinkedResource ? expand && !expand[key] : settings.fields && settings.fields.indexOf(key) === -1) {
+        delete json[key];
+      }
+    });
+
+    if (settings.hrefs === false) {
+      stripHrefs(json);
+    }
+
+    callback(null, json);
+  });
+};
@@ -0,0 +1,274 @@
+'use strict';
+
+var crypto = require('crypto');
+
+/**
+ * The RFC 4648 base32 alphabet, used to encode TOTP secrets.
+ *
+ * @private
+ */
+var BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * The number of digits of a code.
+ *
+ * @private
+ */
+var DIGITS = 6;
+
+/**
+ * The number of seconds each code is valid for.
+ *
+ * @private
+ */
+var PERIOD = 30;
+
+/**
+ * Encode a buffer as base32, without padding.
+ *
+ * @method
+ * @private
+ *
+ * @param {Buffer} buffer - The buffer to encode.
+ *
+ * @return {String} The encoded string.
+ */
+function base32Encode(buffer) {
+  var bits = 0;
+  var output = '';
+  var value = 0;
+
+  for (var i = 0; i < buffer.length; i++) {
+    value = (value << 8) | buffer[i];
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decode a base32 string (case insensitive, ignoring padding and spaces).
+ *
+ * @method
+ * @private
+ *
+ * @param {String} input - The string to decode.
+ *
+ * @return {Buffer} The decoded buffer.
+ */
+function base32Decode(input) {
+  var bits = 0;
+  var bytes = [];
+  var value = 0;
+
+  input = String(input).toUpperCase().replace(/[\s=]/g, '');
+
+  for (var i = 0; i < input.length; i++) {
+    var index = BASE32_ALPHABET.indexOf(input[i]);
+
+    if (index === -1) {
+      throw new Error('Invalid base32 character: "' + input[i] + '".');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return new Buffer(bytes);
+}
+
+/**
+ * Compare two strings in constant time, so codes can't be guessed one
+ * character at a time.
+ *
+ * @method
+ * @private
+ *
+ * @param {String} a - The first string.
+ * @param {String} b - The second string.
+ *
+ * @return {Boolean} Whether or not the strings are equal.
+ */
+function safeEqual(a, b) {
+  var result = a.length ^ b.length;
+
+  for (var i = 0; i < a.length; i++) {
+    result |= a.charCodeAt(i) ^ b.charCodeAt(i % (b.length || 1));
+  }
+
+  return result === 0;
+}
+
+/**
+ * Normalize a recovery code, so it can be entered with or without dashes and
+ * in any case.
+ *
+ * @method
+ * @private
+ *
+ * @param {String} code - The recovery code.
+ *
+ * @return {String} The normalized code.
+ */
+function normalizeRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[^0-9a-z]/g, '');
+}
+
+/**
+ * Time-based one-time passwords (RFC 6238), as used by authenticator apps:
+ * HMAC-SHA1, 6 digit codes, 30 second periods.
+ *
+ * @property totp
+ */
+module.exports = {
+  /**
+   * Generate a random secret.
+   *
+   * @method
+   *
+   * @return {String} The base32 encoded secret.
+   */
+  generateSecret: function() {
+    return base32Encode(crypto.randomBytes(20));
+  },
+
+  /**
+   * Generate the code of a secret for a time step (RFC 4226, section 5.3).
+   *
+   * @method
+   *
+   * @param {String} secret - The base32 encoded secret.
+   * @param {Number} counter - The time step, see `getCounter`.
+   *
+   * @return {String} The zero padded code.
+   */
+  generateCode: function(secret, counter) {
+    var buffer = new Buffer(8);
+
+    buffer.fill(0);
+    buffer.writeUInt32BE(Math.floor(counter / 0x100000000), 0);
+    buffer.writeUInt32BE(counter % 0x100000000, 4);
+
+    var hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+    var offset = hmac[hmac.length - 1] & 0xf;
+    var binary = ((hmac[offset] & 0x7f) << 24) | (hmac[offset + 1] << 16) | (hmac[offset + 2] << 8) | hmac[offset + 3];
+    var code = String(binary % Math.pow(10, DIGITS));
+
+    while (code.length < DIGITS) {
+      code = '0' + code;
+    }
+
+    return code;
+  },
+
+  /**
+   * Compute the time step of a time.
+   *
+   * @method
+   *
+   * @param {Number} [time] - The time, in milliseconds (now by default).
+   *
+   * @return {Number} The time step.
+   */
+  getCounter: function(time) {
+    return Math.floor((time === undefined ? Date.now() : time) / 1000 / PERIOD);
+  },
+
+  /**
+   * Verify a code, allowing for clock drift of `window` time steps either
+   * way.
+   *
+   * @method
+   *
+   * @param {String} secret - The base32 encoded secret.
+   * @param {String} code - The code to verify.
+   * @param {Number} [window=1] - The number of time steps allowed either way.
+   *
+   * @return {Number} The time step the code belongs to, or `-1` if it isn't
+   *   valid.
+   */
+  verifyCode: function(secret, code, window) {
+    var counter = this.getCounter();
+
+    code = String(code || '').replace(/\s/g, '');
+    window = window === undefined ? 1 : window;
+
+    if (!/^\d+$/.test(code) || code.length !== DIGITS) {
+      return -1;
+    }
+
+    for (var i = -window; i <= window; i++) {
+      if (safeEqual(this.generateCode(secret, counter + i), code)) {
+        return counter + i;
+      }
+    }
+
+    return -1;
+  },
+
+  /**
+   * Build the `otpauth://` provisioning URI of a secret, which authenticator
+   * apps import (usually from a QR code).
+   *
+   * @method
+   *
+   * @param {String} secret - The base32 encoded secret.
+   * @param {String} accountName - The name of the account, eg: its email.
+   * @param {String} issuer - The name of the application.
+   *
+   * @return {String} The provisioning URI.
+   */
+  getProvisioningUri: function(secret, accountName, issuer) {
+    return 'otpauth://totp/' + encodeURIComponent(issuer) + ':' + encodeURIComponent(accountName) +
+      '?secret=' + secret +
+      '&issuer=' + encodeURIComponent(issuer) +
+      '&algorithm=SHA1&digits=' + DIGITS + '&period=' + PERIOD;
+  },
+
+  /**
+   * Generate random single use recovery codes, eg: `3f2a9-c41d0`.
+   *
+   * @method
+   *
+   * @param {Number} count - The number of codes to generate.
+   *
+   * @return {String[]} The recovery codes.
+   */
+  generateRecoveryCodes: function(count) {
+    var codes = [];
+
+    for (var i = 0; i < count; i++) {
+      var code = crypto.randomBytes(5).toString('hex');
+      codes.push(code.slice(0, 5) + '-' + code.slice(5));
+    }
+
+    return codes;
+  },
+
+  /**
+   * Hash a recovery code, so recovery codes aren't stored in plain text.
+   *
+   * @method
+   *
+   * @param {String} code - The recovery code.
+   *
+   * @return {String} The hex encoded hash.
+   */
+  hashRecoveryCode: function(code) {
+    return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+  }
+};
@@ -2,7 +2,9 @@
 
 var async = require('async');
 
+var checkPasswordPolicy = require('./check-password-policy');
 var getRequiredRegistrationFields = require('./get-required-registration-fields');
+var validateFields = require('./validate-fields');
 
 /**
  * @private
@@ -16,6 +18,12 @@ var getRequiredRegistrationFields = require('./get-required-registration-fields'
  * attempting to create an Account on Stormpath.  If any required fields are
  * missing or invalid, an array of errors will be returned.
  *
+ * The values of the enabled fields are checked against their rules (see
+ * `helpers.validateFields`), and the password is checked against the local
+ * password policy (see `helpers.checkPasswordPolicy`), with one error per
+ * broken rule.  Each error has the `field` it was reported for, and the
+ * `rule` which was broken (except for missing fields).
+ *
  * @param {Object} accountData - The user supplied account data.
  * @param {Object} stormpathConfig - The Stormpath configuration object.
  * @param {validateAccountCallback} callback - The callback to run.
@@ -23,27 +31,54 @@ var getRequiredRegistrationFields = require('./get-required-registration-fields'
 module.exports = function(accountData, stormpathConfig, callback) {
   var accountFields = Object.keys(accountData);
   var errors = [];
+  var fields = stormpathConfig.web.register.fields;
+  var passwordFieldName = fields.password.name;
 
   getRequiredRegistrationFields(stormpathConfig, function(requiredFields) {
     async.each(requiredFields, function(field, cb) {
       if (accountFields.indexOf(field) <= -1 || (accountFields.indexOf(field) > -1 && !accountData[field])) {
-        errors.push(new Error(field + ' required.'));
+        var err = new Error(field + ' required.');
+        err.field = field;
+        errors.push(err);
       }
 
       cb();
     }, function() {
       if (stormpathConfig.web.register.fields.passwordConfirm.enabled || stormpathConfig.web.register.fields.passwordConfirm.required) {
-        var passwordFieldName = stormpathConfig.web.register.fields.password.name;
         var passwordConfirmFieldName = stormpathConfig.web.register.fields.passwordConfirm.name;
 
         if (accountData[passwordFieldName] && accountData[passwordConfirmFieldName]) {
           if (accountData[passwordFieldName] !== accountData[passwordConfirmFieldName]) {
-            errors.push(new Error(passwordFieldName + ' and ' + passwordConfirmFieldName + ' must match.'));
+            var err = new Error(passwordFieldName + ' and ' + passwordConfirmFieldName + ' must match.');
+            err.field = passwordConfirmFieldName;
+            errors.push(err);
           }
         }
       }
 
-      return errors.length ? callback(errors) : callback(null);
+      var password = accountData[passwordFieldName];
+      var policyError = password ? checkPasswordPolicy(stormpathConfig, password, accountData) : null;
+
+      if (policyError) {
+        policyError.errors.forEach(function(error) {
+          var err = new Error(error.message);
+          err.field = passwordFieldName;
+          err.rule = error.rule;
+          errors.push(err);
+        });
+      }
+
+      var enabledFields = Object.keys(fields).map(function(key) {
+        return fields[key];
+      }).filter(function(field) {
+        return field && field.enabled !== false;
+      });
+
+      validateFields(enabledFields, accountData, function(fieldErrors) {
+        errors = errors.concat(fieldErrors || []);
+
+        return errors.length ? callback(errors) : callback(null);
+      });
     });
   });
 };
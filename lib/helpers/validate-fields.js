@@ -0,0 +1,168 @@
+'use strict';
+
+var async = require('async');
+
+/**
+ * The format of `date` fields (the value of an HTML date input).
+ *
+ * @private
+ */
+var DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Get the values a field with `options` (eg: a `select` field) accepts.  The
+ * options are either values, or `{ value, label }` objects.
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} field - The field configuration.
+ *
+ * @return {String[]} The accepted values.
+ */
+function getOptionValues(field) {
+  return field.options.map(function(option) {
+    return String(option && typeof option === 'object' ? option.value : option);
+  });
+}
+
+/**
+ * Build the pattern of a field.  A string pattern must match the whole value,
+ * like the `pattern` attribute of an HTML input.
+ *
+ * @method
+ * @private
+ *
+ * @param {String|RegExp} pattern - The pattern.
+ *
+ * @return {RegExp} The regular expression.
+ */
+function toRegExp(pattern) {
+  return pattern instanceof RegExp ? pattern : new RegExp('^(?:' + pattern + ')$');
+}
+
+/**
+ * Check a value against the built-in rules of a field.
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} field - The field configuration.
+ * @param {*} value - The submitted value.
+ *
+ * @return {Object} The broken rule, as `{ rule, message }`, or `null`.
+ */
+function checkRules(field, value) {
+  var label = field.placeholder || field.name;
+  var string = String(value);
+
+  if (field.type === 'checkbox') {
+    return null;
+  }
+
+  if (field.type === 'date') {
+    // Dates which don't exist (eg: `2015-02-30`) are rolled over by `Date`.
+    if (!DATE_PATTERN.test(string) || isNaN(new Date(string).getTime()) || new Date(string).toISOString().slice(0, 10) !== string) {
+      return { rule: 'type', message: label + ' must be a date (YYYY-MM-DD).' };
+    }
+
+    if (field.min && string < field.min) {
+      return { rule: 'min', message: label + ' must be on or after ' + field.min + '.' };
+    }
+
+    if (field.max && string > field.max) {
+      return { rule: 'max', message: label + ' must be on or before ' + field.max + '.' };
+    }
+  }
+
+  if (field.options && getOptionValues(field).indexOf(string) === -1) {
+    return { rule: 'options', message: label + ' must be one of: ' + getOptionValues(field).join(', ') + '.' };
+  }
+
+  if (field.minLength && string.length < field.minLength) {
+    return { rule: 'minLength', message: label + ' must be at least ' + field.minLength + ' characters long.' };
+  }
+
+  if (field.maxLength && string.length > field.maxLength) {
+    return { rule: 'maxLength', message: label + ' must be at most ' + field.maxLength + ' characters long.' };
+  }
+
+  if (field.pattern && !toRegExp(field.pattern).test(string)) {
+    return { rule: 'pattern', message: field.patternMessage || label + ' is not valid.' };
+  }
+
+  return null;
+}
+
+/**
+ * @private
+ * @callback validateFieldsCallback
+ * @param {Error[]} errors - An array of field validation errors (if there are
+ *  any).  Will be null if every field is valid.
+ */
+
+/**
+ * Validate the submitted values of some registration fields
+ * (`config.web.register.fields`) against their rules:
+ *
+ *  - `type` -- `date` values must be dates (`YYYY-MM-DD`), between the `min`
+ *    and `max` dates of the field if set.
+ *  - `options` -- the accepted values, as values or `{ value, label }`
+ *    objects (eg: for `select` fields).
+ *  - `minLength` and `maxLength` -- the length of the value.
+ *  - `pattern` -- a regular expression, or a string which must match the
+ *    whole value.  `patternMessage` replaces the default error message.
+ *  - `validator` -- a function called with `(value, data, callback)`, where
+ *    `data` is all the submitted data.  Calling `callback` with an error
+ *    rejects the value, with the message of the error.
+ *
+ * Fields which weren't submitted (or are empty) aren't checked, as required
+ * fields are checked on their own.  Each error has the `field` and `rule` it
+ * was reported for.
+ *
+ * @method
+ * @private
+ *
+ * @param {Object[]} fields - The field configurations.
+ * @param {Object} data - The submitted data.
+ * @param {validateFieldsCallback} callback - The callback to run.
+ */
+module.exports = function(fields, data, callback) {
+  var errors = [];
+
+  async.eachSeries(fields, function(field, next) {
+    var value = data[field.name];
+
+    function report(rule, message) {
+      var err = new Error(message);
+      err.field = field.name;
+      err.rule = rule;
+      errors.push(err);
+    }
+
+    if (value === undefined || value === null || value === '') {
+      return next();
+    }
+
+    var broken = checkRules(field, value);
+
+    if (broken) {
+      report(broken.rule, broken.message);
+      return next();
+    }
+
+    if (typeof field.validator !== 'function') {
+      return next();
+    }
+
+    field.validator(value, data, function(err) {
+      if (err) {
+        report('validator', err.userMessage || err.message);
+      }
+
+      next();
+    });
+  }, function() {
+    callback(errors.length ? errors : null);
+  });
+};
@@ -0,0 +1,46 @@
+'use strict';
+
+var getProfileFields = require('./get-profile-fields');
+var validateFields = require('./validate-fields');
+
+/**
+ * @private
+ * @callback validateProfileCallback
+ * @param {Error[]} errors - An array of profile validation errors (if there
+ *  are any).  Will be null if no errors are present and the profile is valid.
+ */
+
+/**
+ * Validate that all required profile fields are present, and that the values
+ * follow the rules of their fields (see `helpers.validateFields`), before
+ * attempting to update an Account on Stormpath.  If any required fields are
+ * missing or invalid, an array of errors will be returned.
+ *
+ * @param {Object} profileData - The user supplied profile data.
+ * @param {Object} stormpathConfig - The Stormpath configuration object.
+ * @param {Object} options - The validation options.
+ * @param {Boolean} options.partial - Whether or not the update is partial (a
+ *   `PATCH`), in which case missing fields are left as they are.  Required
+ *   fields still can't be emptied.
+ * @param {validateProfileCallback} callback - The callback to run.
+ */
+module.exports = function(profileData, stormpathConfig, options, callback) {
+  var errors = [];
+  var fields = getProfileFields(stormpathConfig);
+
+  fields.forEach(function(field) {
+    var present = Object.prototype.hasOwnProperty.call(profileData, field.name);
+
+    if (field.required && (present ? !profileData[field.name] : !options.partial)) {
+      var err = new Error(field.name + ' required.');
+      err.field = field.name;
+      errors.push(err);
+    }
+  });
+
+  validateFields(fields, profileData, function(fieldErrors) {
+    errors = errors.concat(fieldErrors || []);
+
+    return errors.length ? callback(errors) : callback(null);
+  });
+};
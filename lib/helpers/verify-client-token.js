@@ -0,0 +1,120 @@
+'use strict';
+
+var crypto = require('crypto');
+var njwt = require('njwt');
+
+/**
+ * Read the header of a JWT, without verifying it.
+ *
+ * @method
+ * @private
+ *
+ * @param {String} token - The compacted token.
+ *
+ * @return {Object} The JWT header, or an empty object if it can't be read.
+ */
+function decodeJwtHeader(token) {
+  try {
+    return JSON.parse(new Buffer(String(token).split('.')[0], 'base64').toString('utf8'));
+  } catch (err) {
+    return {};
+  }
+}
+
+/**
+ * Tell whether a token was issued by the client credentials exchange (see
+ * `controllers.getToken`), rather than by the Stormpath API.
+ *
+ * The SDK signs these tokens locally with the API key secret of the client,
+ * so they have no `kid` header (nor a `jti`), and their subject is the ID of
+ * the API key which requested them.
+ *
+ * @method
+ * @private
+ *
+ * @param {String} token - The compacted token.
+ *
+ * @return {Boolean} Whether it's a client credentials token.
+ */
+function isClientToken(token) {
+  return String(token).split('.').length === 3 && !decodeJwtHeader(token).kid;
+}
+
+/**
+ * Build the store key which marks a client credentials token as revoked.  As
+ * these tokens have no ID, they're identified by their hash.
+ *
+ * @method
+ * @private
+ *
+ * @param {String} token - The compacted token.
+ *
+ * @return {String} The store key.
+ */
+function getRevocationKey(token) {
+  return 'stormpath:revoked:' + crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Verify an access token issued by the client credentials exchange.
+ *
+ * The Stormpath API doesn't know about these tokens, so they're verified
+ * locally: their signature and expiration, that they weren't revoked (see
+ * `helpers.revokeTokens`, which records revocations in the store), and that
+ * the API key in their subject and its account are enabled.
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} app - The express application.
+ * @param {String} token - The compacted token.
+ * @param {Function} callback - Called with `(err, result)`, where `result` is
+ *   `null` if the token isn't active, or an object with the verified `jwt`,
+ *   the `apiKey` and its `account` otherwise.
+ */
+module.exports = function(app, token, callback) {
+  var application = app.get('stormpathApplication');
+  var client = app.get('stormpathClient');
+  var store = app.get('stormpathStore');
+
+  if (!isClientToken(token)) {
+    return callback(null, null);
+  }
+
+  njwt.verify(String(token), client.config.client.apiKey.secret, function(err, jwt) {
+    if (err || !jwt.body.sub) {
+      return callback(null, null);
+    }
+
+    store.get(getRevocationKey(token), function(err, revoked) {
+      if (err || revoked) {
+        return callback(err, null);
+      }
+
+      application.getApiKey(jwt.body.sub, function(err, apiKey) {
+        if (err) {
+          return err.status === 404 ? callback(null, null) : callback(err);
+        }
+
+        if (apiKey.status !== 'ENABLED') {
+          return callback(null, null);
+        }
+
+        apiKey.getAccount(function(err, account) {
+          if (err) {
+            return callback(err);
+          }
+
+          if (account.status !== 'ENABLED') {
+            return callback(null, null);
+          }
+
+          callback(null, { jwt: jwt, apiKey: apiKey, account: account });
+        });
+      });
+    });
+  });
+};
+
+module.exports.getRevocationKey = getRevocationKey;
+module.exports.isClientToken = isClientToken;
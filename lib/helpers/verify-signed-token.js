@@ -0,0 +1,30 @@
+'use strict';
+
+var njwt = require('njwt');
+
+var getSigningKey = require('./get-signing-key');
+
+/**
+ * Verify a token created by `helpers.createSignedToken`: its signature, its
+ * purpose and its expiration.
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} app - The express application.
+ * @param {String} purpose - The expected purpose of the token.
+ * @param {String} token - The compacted token.
+ * @param {Function} callback - Called with `(err, claims)`.  The error has a
+ *   `userMessage` which can be shown to the user.
+ */
+module.exports = function(app, purpose, token, callback) {
+  njwt.verify(String(token || ''), getSigningKey(app, purpose), function(err, jwt) {
+    if (err) {
+      err = new Error('This link is invalid or has expired.');
+      err.userMessage = err.message;
+      return callback(err);
+    }
+
+    callback(null, jwt.body);
+  });
+};
@@ -0,0 +1,62 @@
+'use strict';
+
+var totp = require('./totp');
+
+/**
+ * Verify a one-time password (or a recovery code) against the TOTP settings
+ * stored in an account's custom data (`config.web.totp.customDataField`).
+ *
+ * Codes can only be used once: the time step of the last accepted code is
+ * remembered (RFC 6238, section 5.2), and recovery codes are removed when
+ * they're used.
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} app - The express application.
+ * @param {Object} account - The Stormpath account.
+ * @param {String} code - The one-time password or recovery code.
+ * @param {Function} callback - Called with `(err, method)`, where `method` is
+ *   `totp` or `recovery` if the code is valid, or `null` otherwise.
+ */
+module.exports = function(app, account, code, callback) {
+  var totpConfig = app.get('stormpathConfig').web.totp;
+
+  account.getCustomData(function(err, customData) {
+    if (err) {
+      return callback(err);
+    }
+
+    var settings = customData[totpConfig.customDataField];
+
+    if (!settings || !settings.enabled || !code) {
+      return callback(null, null);
+    }
+
+    var counter = totp.verifyCode(settings.secret, code, totpConfig.window);
+
+    if (counter > -1) {
+      if (typeof settings.lastCounter === 'number' && counter <= settings.lastCounter) {
+        return callback(null, null);
+      }
+
+      settings.lastCounter = counter;
+
+      return customData.save(function(err) {
+        callback(err, err ? null : 'totp');
+      });
+    }
+
+    var index = (settings.recoveryCodes || []).indexOf(totp.hashRecoveryCode(code));
+
+    if (index === -1) {
+      return callback(null, null);
+    }
+
+    settings.recoveryCodes.splice(index, 1);
+
+    customData.save(function(err) {
+      callback(err, err ? null : 'recovery');
+    });
+  });
+};
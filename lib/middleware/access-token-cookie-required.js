@@ -0,0 +1,17 @@
+'use strict';
+
+var authenticate = require('./authenticate');
+
+/**
+ * Assert that a user is logged in with the access token (or refresh token)
+ * session cookies before allowing them to continue.  Any other credentials
+ * are ignored.
+ *
+ * @method
+ *
+ * @param {Object} req - The http request.
+ * @param {Object} res - The http response.
+ * @param {nextCallback} next - The callback which is called to continue
+ *   processing the request if the user is authenticated.
+ */
+module.exports = authenticate({ methods: ['cookie'] });
@@ -2,6 +2,30 @@
 
 var helpers = require('../helpers');
 
+/**
+ * Check whether the request carries a client credentials access token which
+ * was revoked.  The SDK verifies these tokens locally, and doesn't know about
+ * revocations, which are recorded in the store (see `helpers.revokeTokens`).
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} req - The http request.
+ * @param {Function} callback - Called with `(err, revoked)`.
+ */
+function isRevokedClientToken(req, callback) {
+  var match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  var token = match ? match[1] : req.body && req.body.access_token;
+
+  if (!token || !helpers.verifyClientToken.isClientToken(token)) {
+    return callback(null, false);
+  }
+
+  req.app.get('stormpathStore').get(helpers.verifyClientToken.getRevocationKey(token), function(err, revoked) {
+    callback(err, Boolean(revoked));
+  });
+}
+
 /**
  * Assert that a user has specified valid API credentials before allowing them
  * to continue.  If the user's credentials are invalid, a 401 will be returned
@@ -24,30 +48,37 @@ module.exports = function(req, res, next) {
   res.locals.user = undefined;
   res.locals.permissions = undefined;
 
-  application.authenticateApiRequest({ request: req }, function(err, authResult) {
-    if (err) {
-      logger.info('Attempted to authenticate a user via the HTTP authorization header, but invalid credentials were supplied.');
+  isRevokedClientToken(req, function(err, revoked) {
+    if (err || revoked) {
+      logger.info('Attempted to authenticate a user via the HTTP authorization header, but a revoked token was supplied.');
       return res.status(401).json({ error: 'Invalid API credentials.' });
     }
 
-    authResult.getAccount(function(err, account) {
+    application.authenticateApiRequest({ request: req }, function(err, authResult) {
       if (err) {
-        logger.info('Attempted to retrieve a user\'s account, but this operation failed.');
+        logger.info('Attempted to authenticate a user via the HTTP authorization header, but invalid credentials were supplied.');
         return res.status(401).json({ error: 'Invalid API credentials.' });
       }
 
-      helpers.expandAccount(req.app, account, function(err, expandedAccount) {
+      authResult.getAccount(function(err, account) {
         if (err) {
-          logger.info('Attempted to expand a user\'s account, but this operation failed.');
+          logger.info('Attempted to retrieve a user\'s account, but this operation failed.');
           return res.status(401).json({ error: 'Invalid API credentials.' });
         }
 
-        res.locals.user = expandedAccount;
-        res.locals.permissions = authResult.grantedScopes;
-        req.user = expandedAccount;
-        req.permissions = authResult.grantedScopes;
+        helpers.expandAccount(req.app, account, function(err, expandedAccount) {
+          if (err) {
+            logger.info('Attempted to expand a user\'s account, but this operation failed.');
+            return res.status(401).json({ error: 'Invalid API credentials.' });
+          }
+
+          res.locals.user = expandedAccount;
+          res.locals.permissions = authResult.grantedScopes;
+          req.user = expandedAccount;
+          req.permissions = authResult.grantedScopes;
 
-        next();
+          next();
+        });
       });
     });
   });
@@ -0,0 +1,99 @@
+'use strict';
+
+var helpers = require('../helpers');
+
+/**
+ * The supported credential sources (see `helpers.authenticateRequest`).
+ *
+ * @private
+ */
+var METHODS = helpers.authenticateRequest.METHODS;
+
+/**
+ * Build a middleware which authenticates a request with a restricted set of
+ * credential sources, eg: only API keys for a machine-to-machine endpoint, or
+ * only the session cookies for a page.
+ *
+ * The supported methods are:
+ *
+ *  - `cookie` -- the access token (or refresh token) session cookies.
+ *  - `bearer` -- an OAuth access token in the `Authorization: Bearer` header.
+ *  - `basic` -- API key credentials in the `Authorization: Basic` header.
+ *  - `idSite` -- an ID Site session cookie.
+ *
+ * If the request is authenticated, `req.user`, `req.permissions` and
+ * `req.authenticationMethod` (the method which authenticated the request) are
+ * set.  A user found by any other method is ignored.
+ *
+ * If the request isn't authenticated and authentication is required, browsers
+ * are redirected to the login page (when `cookie` or `idSite` are allowed),
+ * and other clients receive a 401 (see `helpers.sendUnauthorized`).
+ *
+ * @method
+ *
+ * @param {Object} [options] - The options.
+ * @param {String[]} [options.methods] - The accepted methods (all of them by
+ *   default).
+ * @param {Boolean} [options.required=true] - Whether or not to reject requests
+ *   which aren't authenticated.  If `false`, the request always continues.
+ *
+ * @return {Function} Returns an express middleware.
+ */
+module.exports = function(options) {
+  options = options || {};
+
+  var methods = options.methods || METHODS;
+  var required = options.required !== false;
+
+  methods.forEach(function(method) {
+    if (METHODS.indexOf(method) === -1) {
+      throw new Error('Unknown authentication method: "' + method + '".  Expected one of: ' + METHODS.join(', ') + '.');
+    }
+  });
+
+  return function(req, res, next) {
+    var logger = req.app.get('stormpathLogger');
+
+    function unauthenticated() {
+      if (!required) {
+        return next();
+      }
+
+      logger.info('User attempted to access a protected endpoint without valid ' + methods.join(' / ') + ' credentials.');
+
+      var challenges = [];
+
+      if (methods.indexOf('bearer') > -1) {
+        challenges.push('Bearer realm="' + req.hostname + '"');
+      }
+
+      if (methods.indexOf('basic') > -1) {
+        challenges.push('Basic realm="' + req.hostname + '"');
+      }
+
+      if (challenges.length) {
+        res.set('WWW-Authenticate', challenges.join(', '));
+      }
+
+      // Browsers can only log in to get the session cookies.
+      helpers.sendUnauthorized(req, res, { json: methods.indexOf('cookie') === -1 && methods.indexOf('idSite') === -1 });
+    }
+
+    // If a previous middleware already authenticated the request with an
+    // accepted method, there's nothing left to do.
+    if (req.user && methods.indexOf(req.authenticationMethod) > -1) {
+      return next();
+    }
+
+    // Otherwise, wipe any user found by another method.
+    req.user = undefined;
+    req.permissions = undefined;
+    req.authenticationMethod = undefined;
+    res.locals.user = undefined;
+    res.locals.permissions = undefined;
+
+    helpers.authenticateRequest(req, res, methods, function(method) {
+      return method ? next() : unauthenticated();
+    });
+  };
+};
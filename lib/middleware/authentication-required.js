@@ -1,6 +1,7 @@
 'use strict';
 
 var deleteCookies = require('./delete-cookies');
+var helpers = require('../helpers');
 
 /**
  * Assert that a user is logged into an account before allowing the user to
@@ -25,11 +26,5 @@ module.exports = function(req, res, next) {
 
   logger.info('User attempted to access a protected endpoint with invalid credentials.');
   deleteCookies(req, res);
-
-  if (req.accepts(['html', 'json']) === 'html') {
-    var url = req.app.get('stormpathConfig').web.login.uri + '?next=' + encodeURIComponent(req.originalUrl);
-    return res.redirect(302, url);
-  }
-
-  res.status(401).json({ error: 'Invalid API credentials.' });
+  helpers.sendUnauthorized(req, res);
 };
@@ -0,0 +1,17 @@
+'use strict';
+
+var authenticate = require('./authenticate');
+
+/**
+ * Attempt to authenticate the request with any credentials (session cookies,
+ * ID Site session, OAuth bearer token or API keys), making the user available
+ * as `req.user` if one is found.  The request always continues.
+ *
+ * @method
+ *
+ * @param {Object} req - The http request.
+ * @param {Object} res - The http response.
+ * @param {nextCallback} next - The callback which is called to continue
+ *   processing the request.
+ */
+module.exports = authenticate({ required: false });
@@ -5,9 +5,10 @@ var helpers = require('../helpers');
 /**
  * Assert that a user is a member of one or more groups before allowing the user
  * to continue.  If the user is not logged in, they will be redirected to the
- * login page.  If the user does not meet the group requirements, they will be
- * shown an unauthorized page letting them know they do not have the required
- * permissions.
+ * login page (API clients receive a 401).  If the user does not meet the group
+ * requirements, they will be shown an unauthorized page letting them know they
+ * do not have the required permissions (API clients receive a 403).  See
+ * `helpers.sendUnauthorized` and `helpers.sendForbidden`.
  *
  * @param {String[]} groups - A list of groups to assert membership in.  Groups
  *   must be specified by group name.
@@ -22,13 +23,11 @@ module.exports = function(groups, all) {
   all = all === false ? false : true;
 
   return function(req, res, next) {
-    var config = req.app.get('stormpathConfig');
     var logger = req.app.get('stormpathLogger');
-    var view = 'unauthorized';
+    var message = 'You are not a member of the required groups.';
 
     if (!req.user) {
-      var url = config.web.login.uri + '?next=' + encodeURIComponent(req.originalUrl);
-      return res.redirect(302, url);
+      return helpers.sendUnauthorized(req, res);
     }
 
     // If this user must be a member of all groups, we'll ensure that is the
@@ -39,7 +38,7 @@ module.exports = function(groups, all) {
     req.user.getGroups(function(err, grps) {
       if (err) {
         logger.info('Could not fetch user ' + req.user.email + '\'s groups.');
-        return helpers.render(req, res, view);
+        return helpers.sendForbidden(req, res, { message: message });
       }
 
       // Iterate through each group on the user's account, checking to see
@@ -58,7 +57,7 @@ module.exports = function(groups, all) {
       function() {
         if (!safe) {
           logger.info('User ' + req.user.email + ' attempted to access a protected endpoint but did not meet the group check requirements.');
-          helpers.render(req, res, view);
+          helpers.sendForbidden(req, res, { message: message });
         }
       });
     });
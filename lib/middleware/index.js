@@ -1,9 +1,16 @@
 'use strict';
 
 module.exports = {
+  accessTokenCookieRequired: require('./access-token-cookie-required'),
   apiAuthenticationRequired: require('./api-authentication-required'),
+  authenticate: require('./authenticate'),
   authenticationRequired: require('./authentication-required'),
+  basicAuthenticationRequired: require('./basic-authentication-required'),
   deleteCookies: require('./delete-cookies'),
+  getUser: require('./get-user'),
   groupsRequired: require('./groups-required'),
-  loginRequired: require('./login-required')
+  loginRequired: require('./login-required'),
+  oauthBearerAuthenticationRequired: require('./oauth-bearer-authentication-required'),
+  permissionsRequired: require('./permissions-required'),
+  scopesRequired: require('./scopes-required')
 };
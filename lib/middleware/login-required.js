@@ -1,5 +1,7 @@
 'use strict';
 
+var helpers = require('../helpers');
+
 /**
  * This callback, when called, will simply continue processing the HTTP
  * request.
@@ -10,7 +12,7 @@
 /**
  * Assert that a user is logged into an account before allowing the user to
  * continue.  If the user is not logged in, they will be redirected to the login
- * page.
+ * page (see `helpers.sendUnauthorized`), and API clients will receive a 401.
  *
  * @method
  *
@@ -20,16 +22,9 @@
  *   processing the request if the user is authenticated.
  */
 module.exports = function(req, res, next) {
-  var config = req.app.get('stormpathConfig');
-
   if (req.user) {
     return next();
   }
 
-  if (req.accepts(['html', 'json']) === 'html') {
-    var url = config.web.login.uri + '?next=' + encodeURIComponent(req.originalUrl);
-    return res.redirect(302, url);
-  }
-
-  res.status(401).end();
+  helpers.sendUnauthorized(req, res);
 };
@@ -0,0 +1,63 @@
+'use strict';
+
+var helpers = require('../helpers');
+
+/**
+ * Assert that a user has been granted one or more permissions before allowing
+ * the user to continue.  Permissions are collected from the custom data of the
+ * user's account and groups (see `helpers.getAccountPermissions`), and may
+ * contain wildcards, eg: `billing:invoices:*`.
+ *
+ * If the user is not logged in, they will be redirected to the login page (API
+ * clients receive a 401).  If the user does not have the required permissions,
+ * they will be shown an unauthorized page letting them know they do not have
+ * the required permissions (API clients receive a 403).  See
+ * `helpers.sendUnauthorized` and `helpers.sendForbidden`.
+ *
+ * @param {String[]} permissions - A list of permissions to assert, eg:
+ *   `['billing:invoices:read']`.
+ * @param {Object} [options] - The options.
+ * @param {Boolean} [options.all=true] - Should we assert the user has all
+ *   permissions, or just one?
+ *
+ * @returns {Function} Returns an express middleware which asserts a user's
+ *   permissions, and only allows the user to continue if the assertions are
+ *   true.
+ */
+module.exports = function(permissions, options) {
+  options = options || {};
+
+  var all = options.all === false ? false : true;
+
+  return function(req, res, next) {
+    var logger = req.app.get('stormpathLogger');
+
+    if (!req.user) {
+      return helpers.sendUnauthorized(req, res);
+    }
+
+    function forbidden() {
+      helpers.sendForbidden(req, res, { message: 'You do not have the required permissions.' });
+    }
+
+    helpers.getAccountPermissions(req, function(err, grantedPermissions) {
+      if (err) {
+        logger.info('Could not fetch user ' + req.user.email + '\'s permissions.');
+        return forbidden();
+      }
+
+      var matched = permissions.filter(function(required) {
+        return grantedPermissions.some(function(granted) {
+          return helpers.permissionImplies(granted, required);
+        });
+      });
+
+      if (all ? matched.length === permissions.length : matched.length > 0) {
+        return next();
+      }
+
+      logger.info('User ' + req.user.email + ' attempted to access a protected endpoint but did not meet the permission check requirements.');
+      forbidden();
+    });
+  };
+};
@@ -0,0 +1,50 @@
+'use strict';
+
+var helpers = require('../helpers');
+
+/**
+ * Assert that a request was authenticated with an OAuth access token which was
+ * granted one or more scopes before allowing it to continue.  The granted
+ * scopes are read from `req.permissions`.
+ *
+ * If the request isn't authenticated, a 401 is returned.  If the access token
+ * wasn't granted the required scopes, a 403 is returned along with an
+ * `insufficient_scope` error in the `WWW-Authenticate` header (as described in
+ * RFC 6750).
+ *
+ * @param {String[]} scopes - A list of scopes to assert, eg: `['read:orders']`.
+ * @param {Object} [options] - The options.
+ * @param {Boolean} [options.all=true] - Should we assert the access token was
+ *   granted all scopes, or just one?
+ *
+ * @returns {Function} Returns an express middleware which asserts the granted
+ *   scopes, and only allows the request to continue if the assertions are true.
+ */
+module.exports = function(scopes, options) {
+  options = options || {};
+
+  var all = options.all === false ? false : true;
+
+  return function(req, res, next) {
+    var grantedScopes = req.permissions || [];
+    var logger = req.app.get('stormpathLogger');
+
+    if (!req.user) {
+      logger.info('User attempted to access a scope protected endpoint without credentials.');
+      res.set('WWW-Authenticate', 'Bearer realm="' + req.hostname + '"');
+      return helpers.sendUnauthorized(req, res, { json: true });
+    }
+
+    var granted = scopes.filter(function(scope) {
+      return grantedScopes.indexOf(scope) > -1;
+    });
+
+    if (all ? granted.length === scopes.length : granted.length > 0) {
+      return next();
+    }
+
+    logger.info('User ' + req.user.email + ' attempted to access a protected endpoint but was not granted the required scopes.');
+    res.set('WWW-Authenticate', 'Bearer realm="' + req.hostname + '", error="insufficient_scope", scope="' + scopes.join(' ') + '"');
+    helpers.sendForbidden(req, res, { json: true, message: 'The access token was not granted the required scopes: ' + scopes.join(' ') + '.' });
+  };
+};
@@ -52,6 +52,32 @@ module.exports = {
     return oauthStateToken;
   },
 
+  /**
+   * Build the scopes to request from a provider: the scopes it always needs,
+   * followed by the scopes of its settings (a comma separated string, or an
+   * array), without duplicates.
+   *
+   * @method
+   * @private
+   *
+   * @param {Array} requiredScopes - The scopes the provider always needs.
+   * @param {String|Array} [scopes] - The scopes of the provider settings.
+   * @return {Array} The scopes.
+   */
+  resolveScopes: function(requiredScopes, scopes) {
+    var extraScopes = Array.isArray(scopes) ? scopes : (scopes || '').split(',');
+
+    return extraScopes.reduce(function(result, scope) {
+      scope = scope.trim();
+
+      if (scope && result.indexOf(scope) === -1) {
+        result.push(scope);
+      }
+
+      return result;
+    }, requiredScopes.slice());
+  },
+
   /**
    * Consume a redirect uri cookie.
    *
@@ -0,0 +1,80 @@
+'use strict';
+
+var querystring = require('querystring');
+var request = require('request');
+
+var common = require('./common');
+
+module.exports = {
+  _getBaseUrl: function(req) {
+    return req.protocol + '://' + req.get('host');
+  },
+
+  /**
+   * Build the URL of the Facebook login dialog, which sends the user back to
+   * the Facebook callback with a code.
+   *
+   * @method
+   * @private
+   *
+   * @param {Object} req - The http request.
+   * @param {Object} config - The Stormpath express config object.
+   * @param {String} state - The state token of the login.
+   * @return {String} The authorization URL.
+   */
+  buildAuthorizationUrl: function(req, config, state) {
+    var facebookProvider = config.socialProviders.facebook;
+
+    return 'https://www.facebook.com/v2.3/dialog/oauth?' + querystring.stringify({
+      response_type: 'code',
+      client_id: facebookProvider.clientId,
+      scope: common.resolveScopes(['email'], facebookProvider.scopes).join(','),
+      redirect_uri: this._getBaseUrl(req) + facebookProvider.callbackUri,
+      state: state
+    });
+  },
+
+  /**
+   * Exchange a Facebook authentication code for a OAuth access token.
+   *
+   * @method
+   * @private
+   *
+   * @param {Object} req - The http request.
+   * @param {string} config - The Stormpath express config object.
+   * @param {string} callback - The callback to call once a response has been resolved.
+   */
+  exchangeAuthCodeForAccessToken: function(req, config, callback) {
+    var facebookAuthUrl = 'https://graph.facebook.com/v2.3/oauth/access_token';
+    var facebookProvider = config.socialProviders.facebook;
+
+    var options = {
+      qs: {
+        code: req.query.code,
+        redirect_uri: this._getBaseUrl(req) + facebookProvider.callbackUri,
+        client_id: facebookProvider.clientId,
+        client_secret: facebookProvider.clientSecret
+      }
+    };
+
+    request.get(facebookAuthUrl, options, function(err, result, body) {
+      var parsedBody;
+
+      if (err) {
+        return callback(err);
+      }
+
+      try {
+        parsedBody = JSON.parse(body);
+      } catch (err) {
+        return callback(err);
+      }
+
+      if (parsedBody.error) {
+        return callback(new Error(parsedBody.error.message || parsedBody.error));
+      }
+
+      callback(null, parsedBody.access_token);
+    });
+  }
+};
@@ -0,0 +1,85 @@
+'use strict';
+
+var querystring = require('querystring');
+var request = require('request');
+
+var common = require('./common');
+
+module.exports = {
+  _getBaseUrl: function(req) {
+    return req.protocol + '://' + req.get('host');
+  },
+
+  /**
+   * Build the URL of the GitHub authorization page, which sends the user back
+   * to the GitHub callback with a code.
+   *
+   * @method
+   * @private
+   *
+   * @param {Object} req - The http request.
+   * @param {Object} config - The Stormpath express config object.
+   * @param {String} state - The state token of the login.
+   * @return {String} The authorization URL.
+   */
+  buildAuthorizationUrl: function(req, config, state) {
+    var gitHubProvider = config.socialProviders.github;
+
+    return 'https://github.com/login/oauth/authorize?' + querystring.stringify({
+      client_id: gitHubProvider.clientId,
+      scope: common.resolveScopes(['user:email'], gitHubProvider.scopes).join(' '),
+      redirect_uri: this._getBaseUrl(req) + gitHubProvider.callbackUri,
+      state: state
+    });
+  },
+
+  /**
+   * Exchange a GitHub authentication code for a OAuth access token.
+   *
+   * @method
+   * @private
+   *
+   * @param {Object} req - The http request.
+   * @param {string} config - The Stormpath express config object.
+   * @param {string} callback - The callback to call once a response has been resolved.
+   */
+  exchangeAuthCodeForAccessToken: function(req, config, callback) {
+    var gitHubAuthUrl = 'https://github.com/login/oauth/access_token';
+    var gitHubProvider = config.socialProviders.github;
+
+    var options = {
+      // GitHub responds with a form encoded body, unless JSON is asked for.
+      headers: {
+        Accept: 'application/json'
+      },
+      form: {
+        code: req.query.code,
+        redirect_uri: this._getBaseUrl(req) + gitHubProvider.callbackUri,
+        client_id: gitHubProvider.clientId,
+        client_secret: gitHubProvider.clientSecret,
+        state: req.query.state
+      }
+    };
+
+    request.post(gitHubAuthUrl, options, function(err, result, body) {
+      var parsedBody;
+
+      if (err) {
+        return callback(err);
+      }
+
+      try {
+        parsedBody = JSON.parse(body);
+      } catch (err) {
+        return callback(err);
+      }
+
+      // GitHub reports errors (eg: an expired code) with a 200 response.
+      if (parsedBody.error) {
+        return callback(new Error(parsedBody.error_description || parsedBody.error));
+      }
+
+      callback(null, parsedBody.access_token);
+    });
+  }
+};
@@ -0,0 +1,43 @@
+'use strict';
+
+var querystring = require('querystring');
+
+var common = require('./common');
+
+module.exports = {
+  _getBaseUrl: function(req) {
+    return req.protocol + '://' + req.get('host');
+  },
+
+  /**
+   * Build the URL of the Google authorization page, which sends the user back
+   * to the Google callback with a code.  Stormpath exchanges the code itself,
+   * so the callback URL must be the redirect URI of the Google Directory.
+   *
+   * @method
+   * @private
+   *
+   * @param {Object} req - The http request.
+   * @param {Object} config - The Stormpath express config object.
+   * @param {String} state - The state token of the login.
+   * @return {String} The authorization URL.
+   */
+  buildAuthorizationUrl: function(req, config, state) {
+    var googleProvider = config.socialProviders.google;
+    var query = {
+      response_type: 'code',
+      client_id: googleProvider.clientId,
+      scope: common.resolveScopes(['email'], googleProvider.scopes).join(' '),
+      include_granted_scopes: 'true',
+      redirect_uri: this._getBaseUrl(req) + googleProvider.callbackUri,
+      state: state
+    };
+
+    // Only let users of this Google Apps domain log in.
+    if (googleProvider.hd) {
+      query.hd = googleProvider.hd;
+    }
+
+    return 'https://accounts.google.com/o/oauth2/auth?' + querystring.stringify(query);
+  }
+};
@@ -0,0 +1,292 @@
+'use strict';
+
+var helpers = require('../helpers');
+var common = require('./common');
+var identities = require('./identities');
+
+/**
+ * Handle the callback of a social (or OpenID Connect) login.  Every provider
+ * goes through this pipeline, so they all behave the same way:
+ *
+ *  - The code (or access token) the provider sent is required, and the state
+ *    token is checked against the cookie set by the login page.
+ *  - The provider finds (or creates) the account of the user.  When
+ *    registration is invite-only, new accounts are deleted and refused.  If the
+ *    connected accounts page is enabled, the user is logged into the account
+ *    the social account is connected to instead -- or, when they came from
+ *    that page, the social account is connected to their account (see
+ *    `oauth.identities`).
+ *  - OpenID Connect providers give the identity of the user instead, which
+ *    logs into the account it's connected to.  If there is no account with its
+ *    email address, one is created (unless registration is disabled or
+ *    invite-only).  An account it isn't connected to is a conflict.
+ *  - The user is logged in with a session, just like after a password login:
+ *    we get OAuth tokens for the account, and store them in cookies.  Accounts
+ *    which enabled two-factor authentication are first sent to the one-time
+ *    password challenge (see `helpers.createTotpChallenge`).
+ *  - The `postRegistrationHandler` (for new accounts) or the
+ *    `postLoginHandler` is called.
+ *  - The user is redirected to the page they logged in from, to `?next`, or
+ *    to the `nextUri` of the registration or login.
+ *
+ * Failures are sent as JSON to JSON clients, and browsers are shown the
+ * `web.socialLoginFailed.view` view.
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} req - The http request.
+ * @param {Object} res - The http response.
+ * @param {Object} options - The options.
+ * @param {String} options.provider - The name of the provider, eg: `GitHub`.
+ * @param {String} [options.providerId] - The Stormpath id of the provider, eg:
+ *   `github`, or the name of an OpenID Connect provider.  Only the accounts of
+ *   these providers can be connected to other accounts.
+ * @param {String} options.param - The query parameter the provider sends,
+ *   eg: `code`.
+ * @param {Boolean} [options.checkState=true] - Whether to check the state
+ *   token.  Providers which keep their own state (eg: OpenID Connect) check it
+ *   in `getAccount` or `getIdentity`.
+ * @param {Function} [options.getAccount] - Called with `(callback)` to find or
+ *   create the account of the user.  The callback takes `(err, account,
+ *   created)`, and the `userMessage` of the error is shown to the user.
+ * @param {Function} [options.getIdentity] - For OpenID Connect providers,
+ *   instead of `getAccount`: called with `(callback)` to get the identity of
+ *   the user.  The callback takes `(err, identity)`, where the identity has
+ *   the `sub` and `email` of the user at the provider.
+ * @param {Function} [options.createAccount] - With `getIdentity`, called with
+ *   `(callback)` to create an account for the identity.  The callback takes
+ *   `(err, account)`.
+ */
+module.exports = function(req, res, options) {
+  var accepts = req.accepts(['html', 'json']);
+  var config = req.app.get('stormpathConfig');
+  var logger = req.app.get('stormpathLogger');
+  var failureMessage = 'Unable to log in with ' + options.provider + '.';
+
+  function fail(status, message, reason) {
+    logger.info('A ' + options.provider + ' login attempt failed: ' + reason);
+    res.status(status);
+
+    if (accepts === 'json') {
+      return res.json({ message: message });
+    }
+
+    helpers.render(req, res, config.web.socialLoginFailed.view, { provider: options.provider, error: message });
+  }
+
+  if (req.query.error) {
+    return fail(400, failureMessage, req.query.error_description || req.query.error);
+  }
+
+  if (!req.query[options.param]) {
+    return fail(400, options.param + ' parameter required.', 'no ' + options.param + ' parameter was specified.');
+  }
+
+  if (options.checkState !== false && !common.consumeStateToken(req, res)) {
+    return fail(400, 'Invalid state token provided.', 'the state token is invalid.');
+  }
+
+  // Accounts which enabled two-factor authentication have to submit a
+  // one-time password before the session is created, like after a password
+  // login (see `helpers.loginResponder`).
+  function isSecondFactorRequired(account, callback) {
+    if (!config.web.totp.enabled) {
+      return callback(null, false);
+    }
+
+    account.getCustomData(function(err, customData) {
+      if (err) {
+        return callback(err);
+      }
+
+      var settings = customData[config.web.totp.customDataField];
+
+      callback(null, !!(settings && settings.enabled));
+    });
+  }
+
+  function login(account, created) {
+    // Social logins can't redeem invitations, so they can't create accounts
+    // when registration is invite-only.
+    if (created && config.web.register.invite.enabled) {
+      return account.delete(function(err) {
+        if (err) {
+          logger.info('Unable to delete the new account of ' + account.email + ': ' + err.message);
+        }
+
+        fail(403, 'An invitation is required to create an account.', 'registration is invite-only.');
+      });
+    }
+
+    helpers.exchangeStormpathToken(req, account, function(err, authenticationResult) {
+      if (err) {
+        return fail(err.status || 400, err.userMessage || failureMessage, 'we were unable to get tokens for ' + account.email + ': ' + err.message);
+      }
+
+      isSecondFactorRequired(account, function(err, secondFactorRequired) {
+        if (err) {
+          return fail(400, failureMessage, 'we were unable to retrieve the two-factor authentication settings of ' + account.email + ': ' + err.message);
+        }
+
+        var nextUrl = common.consumeRedirectUri(req, res) || req.query.next || (created ? config.web.register.nextUri : config.web.login.nextUri);
+
+        if (secondFactorRequired) {
+          return helpers.createTotpChallenge(authenticationResult, account, req, res, nextUrl);
+        }
+
+        helpers.expandAccount(req.app, account, function(err, expandedAccount) {
+          var handler = created ? config.postRegistrationHandler : config.postLoginHandler;
+
+          helpers.createSession(authenticationResult, expandedAccount, req, res);
+
+          if (handler) {
+            return handler(req.user, req, res, function() {
+              res.redirect(302, nextUrl);
+            });
+          }
+
+          res.redirect(302, nextUrl);
+        });
+      });
+    });
+  }
+
+  // The email address of the user belongs to an account they haven't proven
+  // they own: they have to log into it, and connect their provider account
+  // from there.
+  function conflict(email) {
+    var connectedAccounts = config.web.connectedAccounts;
+    var message = 'An account already exists with the email address ' + email + '.';
+    var locals = { provider: options.provider };
+
+    if (connectedAccounts.enabled) {
+      message += '  Log into it, then connect your ' + options.provider + ' account from your connected accounts.';
+      locals.loginUri = config.web.login.uri + '?next=' + encodeURIComponent(connectedAccounts.uri);
+    }
+
+    logger.info('A ' + options.provider + ' login attempt failed: the email address ' + email + ' belongs to another account.');
+    res.status(409);
+
+    if (accepts === 'json') {
+      return res.json({ message: message, conflict: { email: email, provider: options.providerId } });
+    }
+
+    locals.error = message;
+    helpers.render(req, res, config.web.socialLoginFailed.view, locals);
+  }
+
+  // Log the user into the account their social account is connected to.
+  function resolve(account, created) {
+    identities.resolve(req, account, function(err, primaryAccount, isConflict) {
+      if (err) {
+        return fail(err.status || 400, err.userMessage || failureMessage, err.message);
+      }
+
+      if (isConflict) {
+        return conflict(account.email);
+      }
+
+      login(primaryAccount, created && primaryAccount.href === account.href);
+    });
+  }
+
+  // Log the user into the account their OpenID Connect identity is connected
+  // to, or create an account for them.
+  function resolveOidc(identity) {
+    identities.resolveOidc(req, options.providerId, identity, function(err, account, isConflict) {
+      if (err) {
+        return fail(err.status || 400, err.userMessage || failureMessage, err.message);
+      }
+
+      if (isConflict) {
+        return conflict(identity.email);
+      }
+
+      if (account) {
+        return login(account, false);
+      }
+
+      if (config.web.register.invite.enabled) {
+        return fail(403, 'An invitation is required to create an account.', 'registration is invite-only.');
+      }
+
+      if (!config.web.register.enabled) {
+        return fail(403, 'Registration is disabled.', 'registration is disabled.');
+      }
+
+      options.createAccount(function(err, account) {
+        if (err) {
+          return fail(err.status || 400, err.userMessage || failureMessage, err.message);
+        }
+
+        login(account, true);
+      });
+    });
+  }
+
+  // The user came from the connected accounts page, with the cookie it sets.
+  // The cookie is only honored for the user it was issued to: anyone else
+  // (eg: after a logout) just logs in.
+  function getConnectingUser(callback) {
+    var token = req.cookies.oauthConnectToken;
+
+    if (!token || !config.web.connectedAccounts.enabled) {
+      return callback(null);
+    }
+
+    res.clearCookie('oauthConnectToken');
+
+    helpers.verifySignedToken(req.app, 'connect', token, function(err, claims) {
+      callback(!err && req.user && claims.sub === req.user.href ? req.user : null);
+    });
+  }
+
+  // Connect the provider account of the user (with `link`), and send them back
+  // to the connected accounts page.
+  function connect(user, link) {
+    link(function(err) {
+      if (err) {
+        return fail(err.status || 400, err.userMessage || failureMessage, err.message);
+      }
+
+      logger.info('User ' + user.email + ' connected their ' + options.provider + ' account.');
+      common.consumeRedirectUri(req, res);
+      res.redirect(302, config.web.connectedAccounts.uri);
+    });
+  }
+
+  if (options.getIdentity) {
+    return options.getIdentity(function(err, identity) {
+      if (err) {
+        return fail(err.status || 400, err.userMessage || failureMessage, err.message);
+      }
+
+      getConnectingUser(function(user) {
+        if (user) {
+          return connect(user, identities.linkOidc.bind(identities, req, user, options.providerId, identity));
+        }
+
+        resolveOidc(identity);
+      });
+    });
+  }
+
+  options.getAccount(function(err, account, created) {
+    if (err) {
+      return fail(err.status || 400, err.userMessage || failureMessage, err.message);
+    }
+
+    if (!options.providerId || !config.web.connectedAccounts.enabled) {
+      return login(account, created);
+    }
+
+    getConnectingUser(function(user) {
+      if (user) {
+        return connect(user, identities.link.bind(identities, user, options.providerId, account));
+      }
+
+      resolve(account, created);
+    });
+  });
+};
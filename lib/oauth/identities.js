@@ -0,0 +1,347 @@
+'use strict';
+
+var async = require('async');
+
+/**
+ * The custom data field of a primary account, which lists the social
+ * identities connected to it, by provider: `{ google: { href, email,
+ * linkedAt } }`.  OpenID Connect identities have the `sub` of the user at the
+ * provider instead of the `href` of a social account, as there is no social
+ * directory for them.
+ *
+ * @private
+ */
+var IDENTITIES_FIELD = 'socialIdentities';
+
+/**
+ * The custom data field of a social account, which holds the href of the
+ * primary account it's connected to.
+ *
+ * @private
+ */
+var PRIMARY_FIELD = 'linkedAccountHref';
+
+/**
+ * Build an error which can be shown to the user.
+ *
+ * @method
+ * @private
+ *
+ * @param {Number} status - The HTTP status of the error.
+ * @param {String} message - The message of the error.
+ *
+ * @return {Error} The error.
+ */
+function createError(status, message) {
+  var err = new Error(message);
+  err.status = status;
+  err.userMessage = message;
+  return err;
+}
+
+/**
+ * Find the account an OpenID Connect identity is connected to, by searching
+ * the custom data of the accounts for its `sub`.
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} application - The Stormpath application.
+ * @param {String} providerId - The name of the provider, eg: `okta`.
+ * @param {String} sub - The `sub` of the user at the provider.
+ * @param {Function} callback - Called with `(err, account)`, where `account`
+ *   is `null` if the identity isn't connected to any account.
+ */
+function findOidcAccount(application, providerId, sub, callback) {
+  var query = {};
+  query['customData.' + IDENTITIES_FIELD + '.' + providerId + '.sub'] = sub;
+
+  application.getAccounts(query, function(err, accounts) {
+    callback(err, accounts && accounts.items[0] || null);
+  });
+}
+
+module.exports = {
+  /**
+   * List the social identities connected to an account.
+   *
+   * @method
+   * @private
+   *
+   * @param {Object} account - The primary account.
+   * @param {Function} callback - Called with `(err, identities)`, an object of
+   *   `{ email, linkedAt }` by provider.
+   */
+  list: function(account, callback) {
+    account.getCustomData(function(err, customData) {
+      if (err) {
+        return callback(err);
+      }
+
+      var identities = customData[IDENTITIES_FIELD] || {};
+
+      callback(null, Object.keys(identities).reduce(function(result, providerId) {
+        result[providerId] = { email: identities[providerId].email, linkedAt: identities[providerId].linkedAt };
+        return result;
+      }, {}));
+    });
+  },
+
+  /**
+   * Find the account a user logs into with a social account: the primary
+   * account it's connected to, or else the social account itself.
+   *
+   * An unconnected social account whose email address belongs to another
+   * account is a conflict: the user has to log into that other account, and
+   * connect the social account from there.  Otherwise anyone who controls a
+   * social account with that email address would get a second account for it.
+   *
+   * @method
+   * @private
+   *
+   * @param {Object} req - The http request.
+   * @param {Object} account - The social account.
+   * @param {Function} callback - Called with `(err, account, conflict)`, where
+   *   `conflict` is `true` when the email address is taken.
+   */
+  resolve: function(req, account, callback) {
+    var application = req.app.get('stormpathApplication');
+    var client = req.app.get('stormpathClient');
+
+    account.getCustomData(function(err, customData) {
+      if (err) {
+        return callback(err);
+      }
+
+      if (customData[PRIMARY_FIELD]) {
+        return client.getAccount(customData[PRIMARY_FIELD], callback);
+      }
+
+      var connectedHrefs = Object.keys(customData[IDENTITIES_FIELD] || {}).map(function(providerId) {
+        return customData[IDENTITIES_FIELD][providerId].href;
+      });
+
+      application.getAccounts({ email: account.email }, function(err, accounts) {
+        if (err) {
+          return callback(err);
+        }
+
+        var conflict = accounts.items.some(function(other) {
+          return other.href !== account.href && connectedHrefs.indexOf(other.href) === -1;
+        });
+
+        callback(null, account, conflict);
+      });
+    });
+  },
+
+  /**
+   * Find the account a user logs into with an OpenID Connect identity: the
+   * account the identity (its provider and `sub`) is connected to.
+   *
+   * Unlike social accounts, OpenID Connect users don't get accounts of their
+   * own, so an identity which isn't connected to any account, but has the
+   * email address of an account, is a conflict: its owner has to log in, and
+   * connect the identity from there.  An email claim isn't proof enough of who
+   * they are.
+   *
+   * @method
+   * @private
+   *
+   * @param {Object} req - The http request.
+   * @param {String} providerId - The name of the provider, eg: `okta`.
+   * @param {Object} identity - The `sub` and `email` of the user at the
+   *   provider.
+   * @param {Function} callback - Called with `(err, account, conflict)`, where
+   *   `account` is `null` if the identity isn't connected to any account, and
+   *   `conflict` is `true` when its email address is taken.
+   */
+  resolveOidc: function(req, providerId, identity, callback) {
+    var application = req.app.get('stormpathApplication');
+
+    findOidcAccount(application, providerId, identity.sub, function(err, account) {
+      if (err || account) {
+        return callback(err, account, false);
+      }
+
+      application.getAccounts({ email: identity.email }, function(err, accounts) {
+        if (err) {
+          return callback(err);
+        }
+
+        callback(null, null, accounts.items.length > 0);
+      });
+    });
+  },
+
+  /**
+   * Connect an OpenID Connect identity to an account.  Logins find the account
+   * by the provider and `sub` of the identity, so its email address doesn't
+   * have to match the email address of the account.  An identity can only be
+   * connected to one account, and an account to one identity per provider.
+   *
+   * @method
+   * @private
+   *
+   * @param {Object} req - The http request.
+   * @param {Object} account - The account.
+   * @param {String} providerId - The name of the provider, eg: `okta`.
+   * @param {Object} identity - The `sub` and `email` of the user at the
+   *   provider.
+   * @param {Function} callback - Called with `(err)`.  The error has a
+   *   `userMessage` which can be shown to the user.
+   */
+  linkOidc: function(req, account, providerId, identity, callback) {
+    findOidcAccount(req.app.get('stormpathApplication'), providerId, identity.sub, function(err, connectedAccount) {
+      if (err) {
+        return callback(err);
+      }
+
+      if (connectedAccount && connectedAccount.href !== account.href) {
+        return callback(createError(409, 'This account is already connected to another account.'));
+      }
+
+      account.getCustomData(function(err, customData) {
+        if (err) {
+          return callback(err);
+        }
+
+        var identities = customData[IDENTITIES_FIELD] || {};
+        var current = identities[providerId];
+
+        if (current && current.sub !== identity.sub) {
+          return callback(createError(409, 'You already connected another account of this provider.  Disconnect it first.'));
+        }
+
+        identities[providerId] = { sub: identity.sub, email: identity.email, linkedAt: new Date().toISOString() };
+        customData[IDENTITIES_FIELD] = identities;
+
+        customData.save(function(err) {
+          callback(err);
+        });
+      });
+    });
+  },
+
+  /**
+   * Connect a social account to a primary account.  A social account can only
+   * be connected to one account, and an account to one social account per
+   * provider.
+   *
+   * @method
+   * @private
+   *
+   * @param {Object} account - The primary account.
+   * @param {String} providerId - The provider, eg: `google`.
+   * @param {Object} socialAccount - The social account.
+   * @param {Function} callback - Called with `(err)`.  The error has a
+   *   `userMessage` which can be shown to the user.
+   */
+  link: function(account, providerId, socialAccount, callback) {
+    if (socialAccount.href === account.href) {
+      return callback(createError(409, 'You can\'t connect your account to itself.'));
+    }
+
+    async.parallel([
+      account.getCustomData.bind(account),
+      socialAccount.getCustomData.bind(socialAccount)
+    ], function(err, results) {
+      if (err) {
+        return callback(err);
+      }
+
+      var customData = results[0];
+      var socialCustomData = results[1];
+      var identities = customData[IDENTITIES_FIELD] || {};
+      var current = identities[providerId];
+
+      if (socialCustomData[PRIMARY_FIELD] && socialCustomData[PRIMARY_FIELD] !== account.href) {
+        return callback(createError(409, 'This account is already connected to another account.'));
+      }
+
+      if (current && current.href !== socialAccount.href) {
+        return callback(createError(409, 'You already connected another account of this provider.  Disconnect it first.'));
+      }
+
+      identities[providerId] = { href: socialAccount.href, email: socialAccount.email, linkedAt: new Date().toISOString() };
+      customData[IDENTITIES_FIELD] = identities;
+      socialCustomData[PRIMARY_FIELD] = account.href;
+
+      async.parallel([
+        socialCustomData.save.bind(socialCustomData),
+        customData.save.bind(customData)
+      ], function(err) {
+        callback(err);
+      });
+    });
+  },
+
+  /**
+   * Disconnect the social account of a provider from a primary account.  The
+   * social account is left as is, but logging in with it isn't possible
+   * anymore, as its email address belongs to the primary account.
+   *
+   * @method
+   * @private
+   *
+   * @param {Object} req - The http request.
+   * @param {Object} account - The primary account.
+   * @param {String} providerId - The provider, eg: `google`.
+   * @param {Function} callback - Called with `(err)`.  The error has a
+   *   `userMessage` which can be shown to the user.
+   */
+  unlink: function(req, account, providerId, callback) {
+    var client = req.app.get('stormpathClient');
+
+    account.getCustomData(function(err, customData) {
+      if (err) {
+        return callback(err);
+      }
+
+      var identities = customData[IDENTITIES_FIELD] || {};
+      var identity = identities[providerId];
+
+      if (!identity) {
+        return callback(createError(404, 'This provider isn\'t connected to your account.'));
+      }
+
+      // OpenID Connect identities have no social account.
+      if (!identity.href) {
+        delete identities[providerId];
+        customData[IDENTITIES_FIELD] = identities;
+
+        return customData.save(function(err) {
+          callback(err);
+        });
+      }
+
+      client.getAccount(identity.href, function(err, socialAccount) {
+        // If the social account is gone, there's nothing left to disconnect
+        // on its side.
+        if (err && err.status !== 404) {
+          return callback(err);
+        }
+
+        delete identities[providerId];
+        customData[IDENTITIES_FIELD] = identities;
+
+        customData.save(function(err) {
+          if (err || !socialAccount) {
+            return callback(err);
+          }
+
+          socialAccount.getCustomData(function(err, socialCustomData) {
+            if (err) {
+              return callback(err);
+            }
+
+            socialCustomData.remove(PRIMARY_FIELD);
+            socialCustomData.save(function(err) {
+              callback(err);
+            });
+          });
+        });
+      });
+    });
+  }
+};
@@ -2,5 +2,11 @@
 
 module.exports = {
   common: require('./common'),
-  linkedIn: require('./linkedin')
+  facebook: require('./facebook'),
+  gitHub: require('./github'),
+  google: require('./google'),
+  handleCallback: require('./handle-callback'),
+  identities: require('./identities'),
+  linkedIn: require('./linkedin'),
+  oidc: require('./oidc')
 };
@@ -1,12 +1,39 @@
 'use strict';
 
+var querystring = require('querystring');
 var request = require('request');
 
+var common = require('./common');
+
 module.exports = {
   _getBaseUrl: function(req) {
     return req.protocol + '://' + req.get('host');
   },
 
+  /**
+   * Build the URL of the LinkedIn authorization page, which sends the user back
+   * to the LinkedIn callback with a code.
+   *
+   * @method
+   * @private
+   *
+   * @param {Object} req - The http request.
+   * @param {Object} config - The Stormpath express config object.
+   * @param {String} state - The state token of the login.
+   * @return {String} The authorization URL.
+   */
+  buildAuthorizationUrl: function(req, config, state) {
+    var linkedInProvider = config.socialProviders.linkedin;
+
+    return 'https://www.linkedin.com/uas/oauth2/authorization?' + querystring.stringify({
+      response_type: 'code',
+      client_id: linkedInProvider.clientId,
+      scope: common.resolveScopes(['r_basicprofile', 'r_emailaddress'], linkedInProvider.scopes).join(' '),
+      redirect_uri: this._getBaseUrl(req) + linkedInProvider.callbackUri,
+      state: state
+    });
+  },
+
   /**
    * Exchange a LinkedIn authentication code for a OAuth access token.
    *
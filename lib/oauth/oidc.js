@@ -0,0 +1,643 @@
+'use strict';
+
+var crypto = require('crypto');
+var request = require('request');
+var uuid = require('uuid');
+
+/**
+ * The ID token signature algorithms we support, with their node digest.
+ *
+ * @private
+ */
+var ALGORITHMS = {
+  RS256: 'RSA-SHA256',
+  RS384: 'RSA-SHA384',
+  RS512: 'RSA-SHA512'
+};
+
+/**
+ * How long (in seconds) the clocks of the provider and ours may drift apart
+ * when checking the times of an ID token.
+ *
+ * @private
+ */
+var CLOCK_SKEW = 60;
+
+/**
+ * How long (in seconds) discovery documents and key sets are cached, when
+ * their response has no `Cache-Control` max age.
+ *
+ * @private
+ */
+var CACHE_TTL = 3600;
+
+/**
+ * The discovery documents and key sets we fetched, by URL, along with the
+ * time they expire at: `{ value, expiresAt }`.
+ *
+ * @private
+ */
+var cache = {};
+
+/**
+ * Encode a buffer as base64url, without padding.
+ *
+ * @method
+ * @private
+ *
+ * @param {Buffer} buffer - The buffer to encode.
+ *
+ * @return {String} The encoded string.
+ */
+function base64UrlEncode(buffer) {
+  return buffer.toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+/**
+ * Decode a base64url string.
+ *
+ * @method
+ * @private
+ *
+ * @param {String} string - The string to decode.
+ *
+ * @return {Buffer} The decoded buffer.
+ */
+function base64UrlDecode(string) {
+  return new Buffer(String(string).replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+/**
+ * Build a DER element.
+ *
+ * @method
+ * @private
+ *
+ * @param {Number} tag - The tag of the element.
+ * @param {Buffer} content - The content of the element.
+ *
+ * @return {Buffer} The element.
+ */
+function derElement(tag, content) {
+  var length = content.length;
+  var header;
+
+  if (length < 0x80) {
+    header = new Buffer([tag, length]);
+  } else {
+    var bytes = [];
+
+    while (length > 0) {
+      bytes.unshift(length & 0xff);
+      length = length >> 8;
+    }
+
+    header = new Buffer([tag, 0x80 | bytes.length].concat(bytes));
+  }
+
+  return Buffer.concat([header, content]);
+}
+
+/**
+ * Build a DER integer from its unsigned big endian bytes.
+ *
+ * @method
+ * @private
+ *
+ * @param {Buffer} bytes - The bytes of the integer.
+ *
+ * @return {Buffer} The integer.
+ */
+function derInteger(bytes) {
+  // A leading 0 keeps the integer positive.
+  if (bytes[0] & 0x80) {
+    bytes = Buffer.concat([new Buffer([0]), bytes]);
+  }
+
+  return derElement(0x02, bytes);
+}
+
+/**
+ * Convert an RSA JSON Web Key into a PEM encoded public key, which the crypto
+ * module can verify signatures with.
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} jwk - The key, with its `n` (modulus) and `e` (exponent).
+ *
+ * @return {String} The PEM encoded key.
+ */
+function jwkToPem(jwk) {
+  var rsaPublicKey = derElement(0x30, Buffer.concat([
+    derInteger(base64UrlDecode(jwk.n)),
+    derInteger(base64UrlDecode(jwk.e))
+  ]));
+  var algorithm = derElement(0x30, Buffer.concat([
+    // The OID of rsaEncryption (1.2.840.113549.1.1.1), and no parameters.
+    new Buffer([0x06, 0x09, 0x2a, 0x86, 0x48, 0x86, 0xf7, 0x0d, 0x01, 0x01, 0x01]),
+    new Buffer([0x05, 0x00])
+  ]));
+  var subjectPublicKeyInfo = derElement(0x30, Buffer.concat([
+    algorithm,
+    derElement(0x03, Buffer.concat([new Buffer([0]), rsaPublicKey]))
+  ]));
+
+  return '-----BEGIN PUBLIC KEY-----\n' +
+    subjectPublicKeyInfo.toString('base64').match(/.{1,64}/g).join('\n') +
+    '\n-----END PUBLIC KEY-----\n';
+}
+
+/**
+ * Read how long (in seconds) a response may be cached, from its
+ * `Cache-Control` header.
+ *
+ * @method
+ * @private
+ *
+ * @param {Object} response - The http response.
+ *
+ * @return {Number} The number of seconds, `0` if it can't be cached.
+ */
+function getCacheTtl(response) {
+  var cacheControl = String(response.headers['cache-control'] || '').toLowerCase();
+  var maxAge = /(?:^|,)\s*max-age\s*=\s*(\d+)/.exec(cacheControl);
+
+  if (/(?:^|,)\s*no-(?:cache|store)\b/.test(cacheControl)) {
+    return 0;
+  }
+
+  return maxAge ? parseInt(maxAge[1], 10) : CACHE_TTL;
+}
+
+/**
+ * Get a cached document, unless it expired.
+ *
+ * @method
+ * @private
+ *
+ * @param {String} url - The URL of the document.
+ *
+ * @return {Object} The document, or `null`.
+ */
+function getCached(url) {
+  var entry = cache[url];
+
+  if (!entry || entry.expiresAt <= Date.now()) {
+    delete cache[url];
+    return null;
+  }
+
+  return entry.value;
+}
+
+/**
+ * Cache a document for `ttl` seconds.
+ *
+ * @method
+ * @private
+ *
+ * @param {String} url - The URL of the document.
+ * @param {Object} value - The document.
+ * @param {Number} ttl - How long (in seconds) the document may be cached.
+ */
+function setCached(url, value, ttl) {
+  if (ttl > 0) {
+    cache[url] = { value: value, expiresAt: Date.now() + ttl * 1000 };
+  }
+}
+
+/**
+ * Fetch a JSON document, eg: a discovery document.
+ *
+ * @method
+ * @private
+ *
+ * @param {String} url - The URL of the document.
+ * @param {Function} callback - Called with `(err, document, ttl)`, where
+ *   `ttl` is how long (in seconds) the document may be cached.
+ */
+function getJson(url, callback) {
+  request.get(url, { headers: { Accept: 'application/json' } }, function(err, result, body) {
+    var parsedBody;
+
+    if (err) {
+      return callback(err);
+    }
+
+    if (result.statusCode !== 200) {
+      return callback(new Error('Unable to fetch ' + url + ' (' + result.statusCode + ').'));
+    }
+
+    try {
+      parsedBody = JSON.parse(body);
+    } catch (err) {
+      return callback(err);
+    }
+
+    callback(null, parsedBody, getCacheTtl(result));
+  });
+}
+
+/**
+ * Build an error for an invalid ID token.
+ *
+ * @method
+ * @private
+ *
+ * @param {String} reason - Why the token is invalid.
+ *
+ * @return {Error} The error.
+ */
+function createTokenError(reason) {
+  return new Error('The ID token is invalid: ' + reason);
+}
+
+module.exports = {
+  _getBaseUrl: function(req) {
+    return req.protocol + '://' + req.get('host');
+  },
+
+  /**
+   * Find the OpenID Connect provider whose authorize or callback route is
+   * handling a request.
+   *
+   * @method
+   * @private
+   *
+   * @param {Object} req - The http request.
+   * @return {Object} The `name` and `settings` of the provider, or `null`.
+   */
+  findProvider: function(req) {
+    var providers = req.app.get('stormpathConfig').oidcProviders || {};
+    var path = req.route && req.route.path;
+
+    var name = Object.keys(providers).filter(function(name) {
+      return providers[name].authorizeUri === path || providers[name].callbackUri === path;
+    })[0];
+
+    return name ? { name: name, settings: providers[name] } : null;
+  },
+
+  /**
+   * Fetch (and cache) the discovery document of a provider, from its
+   * `discoveryUrl`, or from the well-known location below its `issuer`.  The
+   * document is cached as long as its `Cache-Control` header allows, or an
+   * hour by default.
+   *
+   * @method
+   * @private
+   *
+   * @param {Object} provider - The provider settings.
+   * @param {Function} callback - Called with `(err, configuration)`.
+   */
+  getConfiguration: function(provider, callback) {
+    var url = provider.discoveryUrl || String(provider.issuer).replace(/\/$/, '') + '/.well-known/openid-configuration';
+
+    var configuration = getCached(url);
+
+    if (configuration) {
+      return callback(null, configuration);
+    }
+
+    getJson(url, function(err, configuration, ttl) {
+      if (err) {
+        return callback(err);
+      }
+
+      if (provider.issuer && configuration.issuer !== provider.issuer) {
+        return callback(new Error('The discovery document of ' + provider.issuer + ' is for another issuer (' + configuration.issuer + ').'));
+      }
+
+      setCached(url, configuration, ttl);
+      callback(null, configuration);
+    });
+  },
+
+  /**
+   * Get the key an ID token was signed with, from the key set of the provider.
+   * The key set is cached like the discovery document, and fetched again when
+   * the key isn't in it (or `refresh` is set), as providers rotate their keys.
+   *
+   * @method
+   * @private
+   *
+   * @param {Object} configuration - The discovery document of the provider.
+   * @param {String} [kid] - The id of the key.
+   * @param {Boolean} refresh - Whether to fetch the key set again, even if it's
+   *   cached.
+   * @param {Function} callback - Called with `(err, pem, cached)`, where
+   *   `cached` tells whether the key came from the cached key set.
+   */
+  getSigningKey: function(configuration, kid, refresh, callback) {
+    var url = configuration.jwks_uri;
+
+    function findKey(jwks) {
+      return (jwks.keys || []).filter(function(key) {
+        return key.kty === 'RSA' && (!key.use || key.use === 'sig') && (!kid || key.kid === kid);
+      })[0];
+    }
+
+    var jwks = !refresh && getCached(url);
+    var key = jwks && findKey(jwks);
+
+    if (key) {
+      return callback(null, jwkToPem(key), true);
+    }
+
+    getJson(url, function(err, jwks, ttl) {
+      if (err) {
+        return callback(err);
+      }
+
+      setCached(url, jwks, ttl);
+      key = findKey(jwks);
+
+      if (!key) {
+        return callback(createTokenError('it was signed with an unknown key.'));
+      }
+
+      callback(null, jwkToPem(key), false);
+    });
+  },
+
+  /**
+   * Start an authorization request: create the `state`, `nonce` and PKCE code
+   * verifier of the request, and build the URL of the authorization endpoint.
+   *
+   * @method
+   * @private
+   *
+   * @param {Object} req - The http request.
+   * @param {Object} provider - The provider settings.
+   * @param {Function} callback - Called with `(err, url, transaction)`, where
+   *   `transaction` holds the `state`, `nonce` and `verifier` to check the
+   *   callback with.
+   */
+  createAuthorizationRequest: function(req, provider, callback) {
+    var self = this;
+
+    this.getConfiguration(provider, function(err, configuration) {
+      if (err) {
+        return callback(err);
+      }
+
+      var transaction = {
+        state: uuid.v4(),
+        nonce: uuid.v4(),
+        verifier: base64UrlEncode(crypto.randomBytes(32))
+      };
+
+      var query = {
+        response_type: 'code',
+        client_id: provider.clientId,
+        redirect_uri: self._getBaseUrl(req) + provider.callbackUri,
+        scope: provider.scopes,
+        state: transaction.state,
+        nonce: transaction.nonce,
+        code_challenge: base64UrlEncode(crypto.createHash('sha256').update(transaction.verifier).digest()),
+        code_challenge_method: 'S256'
+      };
+
+      var url = configuration.authorization_endpoint + (configuration.authorization_endpoint.indexOf('?') === -1 ? '?' : '&') +
+        Object.keys(query).map(function(key) {
+          return key + '=' + encodeURIComponent(query[key]);
+        }).join('&');
+
+      callback(null, url, transaction);
+    });
+  },
+
+  /**
+   * Exchange an authorization code for the tokens of the user.  The client
+   * authenticates with HTTP basic authentication if it has a secret (as a
+   * public client otherwise), and proves it started the request with the PKCE
+   * code verifier.
+   *
+   * @method
+   * @private
+   *
+   * @param {Object} req - The http request.
+   * @param {Object} provider - The provider settings.
+   * @param {String} verifier - The PKCE code verifier.
+   * @param {Function} callback - Called with `(err, tokens)`.
+   */
+  exchangeAuthCode: function(req, provider, verifier, callback) {
+    var self = this;
+
+    this.getConfiguration(provider, function(err, configuration) {
+      if (err) {
+        return callback(err);
+      }
+
+      var options = {
+        headers: {
+          Accept: 'application/json'
+        },
+        form: {
+          grant_type: 'authorization_code',
+          code: req.query.code,
+          redirect_uri: self._getBaseUrl(req) + provider.callbackUri,
+          code_verifier: verifier
+        }
+      };
+
+      if (provider.clientSecret) {
+        options.auth = { user: encodeURIComponent(provider.clientId), pass: encodeURIComponent(provider.clientSecret) };
+      } else {
+        options.form.client_id = provider.clientId;
+      }
+
+      request.post(configuration.token_endpoint, options, function(err, result, body) {
+        var parsedBody;
+
+        if (err) {
+          return callback(err);
+        }
+
+        try {
+          parsedBody = JSON.parse(body);
+        } catch (err) {
+          return callback(err);
+        }
+
+        if (parsedBody.error || !parsedBody.id_token) {
+          return callback(new Error(parsedBody.error_description || parsedBody.error || 'The provider didn\'t return an ID token.'));
+        }
+
+        callback(null, parsedBody);
+      });
+    });
+  },
+
+  /**
+   * Verify an ID token: its signature (against the key set of the provider),
+   * its issuer, audience, times and nonce.  If the signature doesn't match the
+   * cached key set, the key set is fetched again before giving up, in case the
+   * provider replaced a key.
+   *
+   * @method
+   * @private
+   *
+   * @param {Object} provider - The provider settings.
+   * @param {String} idToken - The compacted ID token.
+   * @param {String} nonce - The nonce of the authorization request.
+   * @param {Function} callback - Called with `(err, claims)`.
+   */
+  verifyIdToken: function(provider, idToken, nonce, callback) {
+    var self = this;
+    var parts = String(idToken).split('.');
+    var header;
+    var claims;
+
+    try {
+      header = JSON.parse(base64UrlDecode(parts[0]).toString());
+      claims = JSON.parse(base64UrlDecode(parts[1]).toString());
+    } catch (err) {
+      return callback(createTokenError('it can\'t be decoded.'));
+    }
+
+    if (parts.length !== 3 || !ALGORITHMS[header.alg]) {
+      return callback(createTokenError('it isn\'t signed with a supported algorithm.'));
+    }
+
+    this.getConfiguration(provider, function(err, configuration) {
+      if (err) {
+        return callback(err);
+      }
+
+      function verifySignature(refresh, next) {
+        self.getSigningKey(configuration, header.kid, refresh, function(err, pem, cached) {
+          if (err) {
+            return callback(err);
+          }
+
+          var verified = crypto.createVerify(ALGORITHMS[header.alg])
+            .update(parts[0] + '.' + parts[1])
+            .verify(pem, base64UrlDecode(parts[2]));
+
+          if (!verified) {
+            return cached ? verifySignature(true, next) : callback(createTokenError('its signature doesn\'t match.'));
+          }
+
+          next();
+        });
+      }
+
+      verifySignature(false, function() {
+        var audiences = [].concat(claims.aud);
+        var now = Math.floor(Date.now() / 1000);
+
+        if (claims.iss !== configuration.issuer) {
+          return callback(createTokenError('it was issued by ' + claims.iss + '.'));
+        }
+
+        if (audiences.indexOf(provider.clientId) === -1 || (audiences.length > 1 && claims.azp !== provider.clientId)) {
+          return callback(createTokenError('it was issued for another client.'));
+        }
+
+        if (typeof claims.exp !== 'number' || claims.exp + CLOCK_SKEW < now) {
+          return callback(createTokenError('it has expired.'));
+        }
+
+        if (typeof claims.iat === 'number' && claims.iat - CLOCK_SKEW > now) {
+          return callback(createTokenError('it was issued in the future.'));
+        }
+
+        if (claims.nonce !== nonce) {
+          return callback(createTokenError('its nonce doesn\'t match.'));
+        }
+
+        if (!claims.sub) {
+          return callback(createTokenError('it has no subject.'));
+        }
+
+        callback(null, claims);
+      });
+    });
+  },
+
+  /**
+   * Map the claims of an ID token onto account fields, with the `claims`
+   * setting of the provider, eg: `{ givenName: 'given_name' }`.
+   *
+   * @method
+   * @private
+   *
+   * @param {Object} provider - The provider settings.
+   * @param {Object} claims - The claims of the ID token.
+   *
+   * @return {Object} The account fields.
+   */
+  mapClaims: function(provider, claims) {
+    var data = {};
+
+    Object.keys(provider.claims).forEach(function(field) {
+      var value = claims[provider.claims[field]];
+
+      if (value !== undefined && value !== null && value !== '') {
+        data[field] = String(value);
+      }
+    });
+
+    return data;
+  },
+
+  /**
+   * Get the identity of a user who logged in with a provider: their subject
+   * (`sub`) and email address.  The email address is required, and it must be
+   * verified by the provider (unless the `trustEmail` setting is set).
+   *
+   * @method
+   * @private
+   *
+   * @param {Object} provider - The name and settings of the provider.
+   * @param {Object} claims - The verified claims of the ID token.
+   * @param {Function} callback - Called with `(err, identity)`.  The error has
+   *   a `userMessage` which can be shown to the user.
+   */
+  getIdentity: function(provider, claims, callback) {
+    var data = this.mapClaims(provider.settings, claims);
+
+    function fail(message) {
+      var err = new Error(message);
+      err.status = 400;
+      err.userMessage = message;
+      callback(err);
+    }
+
+    if (!data.email) {
+      return fail(provider.settings.name + ' didn\'t share your email address.');
+    }
+
+    if (!provider.settings.trustEmail && claims.email_verified !== true && claims.email_verified !== 'true') {
+      return fail('Your email address isn\'t verified by ' + provider.settings.name + '.');
+    }
+
+    callback(null, { sub: claims.sub, email: data.email });
+  },
+
+  /**
+   * Create the account of a user who logged in with a provider.  Their
+   * identity still has to be connected to it (see `oauth.identities`).
+   *
+   * @method
+   * @private
+   *
+   * @param {Object} application - The Stormpath application.
+   * @param {Object} provider - The name and settings of the provider.
+   * @param {Object} claims - The verified claims of the ID token.
+   * @param {Function} callback - Called with `(err, account)`.
+   */
+  createAccount: function(application, provider, claims, callback) {
+    var data = this.mapClaims(provider.settings, claims);
+
+    // The account can only be logged into through the provider until its
+    // owner resets the password.
+    data.password = uuid.v4() + 'Aa1!';
+    data.givenName = data.givenName || 'Anonymous';
+    data.surname = data.surname || 'Anonymous';
+
+    application.createAccount(data, { registrationWorkflowEnabled: false }, callback);
+  }
+};
@@ -0,0 +1,25 @@
+'use strict';
+
+/**
+ * Stores which can be supplied to `init()` (via the `store` option) to keep
+ * track of failed login attempts, rate limited requests and pending two-factor
+ * logins.
+ *
+ * A store implements the subset of Redis commands this library relies on,
+ * with node_redis style callbacks, so a `redis` (or `ioredis`) client can be
+ * used as is:
+ *
+ *  - `get(key, callback)` -- calls back with the value of a key, or `null`.
+ *  - `incr(key, callback)` -- increments a counter, and calls back with the
+ *    new value.
+ *  - `expire(key, seconds, callback)` -- sets the time to live of a key.
+ *  - `setex(key, seconds, value, callback)` -- sets a key which expires.
+ *  - `ttl(key, callback)` -- calls back with the remaining time to live of a
+ *    key in seconds (`-2` if the key doesn't exist, `-1` if it never expires).
+ *  - `del(key, callback)` -- deletes a key.
+ *
+ * @property stores
+ */
+module.exports = {
+  MemoryStore: require('./memory')
+};
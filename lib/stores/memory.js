@@ -0,0 +1,133 @@
+'use strict';
+
+/**
+ * The number of writes after which expired keys are swept.
+ *
+ * @private
+ */
+var SWEEP_INTERVAL = 1000;
+
+/**
+ * Run a callback on the next tick, mimicking the asynchronous behavior of a
+ * remote store.
+ *
+ * @method
+ * @private
+ *
+ * @param {Function} [callback] - The callback to run.
+ * @param {*} result - The result to pass to the callback.
+ */
+function respond(callback, result) {
+  if (callback) {
+    process.nextTick(function() {
+      callback(null, result);
+    });
+  }
+}
+
+/**
+ * A store which keeps its keys in memory.  It implements the Redis commands
+ * listed in `lib/stores`, and is the default store.
+ *
+ * As keys aren't shared between processes, apps which run more than one
+ * process should use a Redis client instead.
+ *
+ * @class
+ */
+function MemoryStore() {
+  this.data = {};
+  this.writes = 0;
+}
+
+/**
+ * Look up the entry of a key, dropping it if it has expired.
+ *
+ * @method
+ * @private
+ *
+ * @param {String} key - The key.
+ *
+ * @return {Object} The entry (with `value` and `expiresAt` properties), or
+ *   `undefined`.
+ */
+MemoryStore.prototype._entry = function(key) {
+  var entry = this.data[key];
+
+  if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+    delete this.data[key];
+    return undefined;
+  }
+
+  return entry;
+};
+
+/**
+ * Write the entry of a key, sweeping expired keys every so often so the store
+ * doesn't grow without bounds.
+ *
+ * @method
+ * @private
+ *
+ * @param {String} key - The key.
+ * @param {Object} entry - The entry.
+ */
+MemoryStore.prototype._write = function(key, entry) {
+  var self = this;
+
+  this.data[key] = entry;
+
+  if (++this.writes % SWEEP_INTERVAL === 0) {
+    Object.keys(this.data).forEach(function(key) {
+      self._entry(key);
+    });
+  }
+};
+
+MemoryStore.prototype.get = function(key, callback) {
+  var entry = this._entry(key);
+  respond(callback, entry ? entry.value : null);
+};
+
+MemoryStore.prototype.incr = function(key, callback) {
+  var entry = this._entry(key) || { value: '0', expiresAt: null };
+  var value = (parseInt(entry.value, 10) || 0) + 1;
+
+  entry.value = String(value);
+  this._write(key, entry);
+
+  respond(callback, value);
+};
+
+MemoryStore.prototype.expire = function(key, seconds, callback) {
+  var entry = this._entry(key);
+
+  if (entry) {
+    entry.expiresAt = Date.now() + seconds * 1000;
+  }
+
+  respond(callback, entry ? 1 : 0);
+};
+
+MemoryStore.prototype.setex = function(key, seconds, value, callback) {
+  this._write(key, { value: String(value), expiresAt: Date.now() + seconds * 1000 });
+  respond(callback, 'OK');
+};
+
+MemoryStore.prototype.ttl = function(key, callback) {
+  var entry = this._entry(key);
+
+  if (!entry) {
+    return respond(callback, -2);
+  }
+
+  respond(callback, entry.expiresAt === null ? -1 : Math.ceil((entry.expiresAt - Date.now()) / 1000));
+};
+
+MemoryStore.prototype.del = function(key, callback) {
+  var existed = !!this._entry(key);
+
+  delete this.data[key];
+  respond(callback, existed ? 1 : 0);
+};
+
+module.exports = MemoryStore;
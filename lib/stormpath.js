@@ -9,14 +9,21 @@ var expressVersion = require('express/package.json').version;
 var stormpath = require('stormpath');
 var winston = require('winston');
 
+var backends = require('./backends');
 var controllers = require('./controllers');
 var helpers = require('./helpers');
 var middleware = require('./middleware');
+var stores = require('./stores');
 var version = require('../package.json').version;
 
 /**
  * Initialize the Stormpath client.
  *
+ * If a `backend` option is supplied (see `lib/backends`), it is used in place
+ * of the Stormpath client.  Likewise, a `store` option (see `lib/stores`)
+ * replaces the in-memory store of failed login attempts and pending two-factor
+ * logins.
+ *
  * @method
  * @private
  *
@@ -26,13 +33,28 @@ var version = require('../package.json').version;
  * @return {Function} A function which accepts a callback.
  */
 function initClient(app, opts) {
+  var backend = opts.backend;
+  var client;
+  var store = opts.store;
   var userAgent = 'stormpath-express/' + version + ' ' + 'express/' + expressVersion;
   opts.userAgent = userAgent;
 
-  // If the options aren't valid for any reason, we'll throw a nice
-  // human-readable error so the developer can quickly fix the configuration
-  // issue(s) that may be present.
-  var client = new stormpath.Client(opts);
+  // The backend and store aren't configuration options, so keep them out of
+  // the config.
+  delete opts.backend;
+  delete opts.store;
+
+  app.set('stormpathStore', store || new stores.MemoryStore());
+
+  if (backend) {
+    client = backend;
+    client.init(opts);
+  } else {
+    // If the options aren't valid for any reason, we'll throw a nice
+    // human-readable error so the developer can quickly fix the configuration
+    // issue(s) that may be present.
+    client = new stormpath.Client(opts);
+  }
 
   if (!app.get('stormpathLogger')) {
     app.set('stormpathLogger', new winston.Logger({
@@ -46,14 +68,18 @@ function initClient(app, opts) {
   }
 
   client.on('ready', function() {
-    new ExpressStormpathConfig(client.config).validate(function(err) {
-      if (err) {
-        throw err;
-      }
-    });
+    // Only the Stormpath client needs its credentials validated; other
+    // backends load (and check) their own configuration.
+    if (!backend) {
+      new ExpressStormpathConfig(client.config).validate(function(err) {
+        if (err) {
+          throw err;
+        }
+      });
+    }
 
     app.set('stormpathClient', client);
-    app.set('stormpathConfig', client.config);
+    app.set('stormpathConfig', helpers.applyConfigDefaults(client.config));
   });
 
   return client;
@@ -146,20 +172,44 @@ module.exports.init = function(app, opts) {
       }
     }
 
-    // Iterate all social providers and set-up controller routes for them.
-    for (var providerName in config.socialProviders) {
+    if (config.web.totp.enabled) {
+      router.get(config.web.totp.uri, stormpathMiddleware, middleware.loginRequired, controllers.totpEnroll);
+      router.post(config.web.totp.uri, bodyParser.json({ limit: '200kb' }), stormpathMiddleware, middleware.loginRequired, controllers.totpEnroll);
+      router.get(config.web.totp.challengeUri, controllers.totpChallenge);
+      router.post(config.web.totp.challengeUri, bodyParser.json({ limit: '200kb' }), controllers.totpChallenge);
+    }
+
+    // Iterate all social providers and set-up controller routes for them.  The
+    // controller names aren't always cased like the providers (eg:
+    // `linkedInLogin` for `linkedin`).
+    Object.keys(config.socialProviders || {}).forEach(function(providerName) {
       var provider = config.socialProviders[providerName];
+      var controllerName = Object.keys(controllers).filter(function(name) {
+        return name.toLowerCase() === providerName.toLowerCase() + 'login';
+      })[0];
+
+      // The user is needed to connect social accounts to their account.
+      if (provider.enabled && controllerName) {
+        router.get(provider.authorizeUri, controllers.socialAuthorize);
+        router.get(provider.callbackUri, stormpathMiddleware, controllers[controllerName]);
+      }
+    });
 
-      if (provider.enabled) {
-        var controllerName = providerName + 'Login';
-        if (controllerName in controllers) {
-          router.get(provider.callbackUri, controllers[controllerName]);
-        }
+    // OpenID Connect providers share their controllers, which look the
+    // provider up by the route.  Like for social providers, the user is
+    // needed to connect accounts.
+    for (var oidcProviderName in config.oidcProviders) {
+      var oidcProvider = config.oidcProviders[oidcProviderName];
+
+      if (oidcProvider.enabled) {
+        router.get(oidcProvider.authorizeUri, controllers.oidcAuthorize);
+        router.get(oidcProvider.callbackUri, stormpathMiddleware, controllers.oidcLogin);
       }
     }
 
     if (config.web.logout.enabled) {
       router.get(config.web.logout.uri, controllers.logout);
+      router.post(config.web.logout.uri, bodyParser.json({ limit: '200kb' }), controllers.logout);
     }
 
     if (config.web.forgotPassword.enabled) {
@@ -176,6 +226,29 @@ module.exports.init = function(app, opts) {
       router.post(config.web.changePassword.uri, bodyParser.json({ limit: '200kb' }), bodyParser.urlencoded({ extended: false }), controllers.changePassword);
     }
 
+    if (config.web.changeEmail.enabled) {
+      router.get(config.web.changeEmail.uri, stormpathMiddleware, middleware.loginRequired, controllers.changeEmail);
+      router.post(config.web.changeEmail.uri, bodyParser.json({ limit: '200kb' }), stormpathMiddleware, middleware.loginRequired, controllers.changeEmail);
+      router.get(config.web.changeEmail.confirmUri, controllers.confirmEmailChange);
+      router.post(config.web.changeEmail.confirmUri, bodyParser.json({ limit: '200kb' }), controllers.confirmEmailChange);
+      router.get(config.web.changeEmail.cancelUri, controllers.cancelEmailChange);
+      router.post(config.web.changeEmail.cancelUri, bodyParser.json({ limit: '200kb' }), controllers.cancelEmailChange);
+    }
+
+    if (config.web.exportAccount.enabled) {
+      router.get(config.web.exportAccount.uri, stormpathMiddleware, middleware.loginRequired, controllers.exportAccount);
+    }
+
+    if (config.web.deleteAccount.enabled) {
+      router.get(config.web.deleteAccount.uri, stormpathMiddleware, middleware.loginRequired, controllers.deleteAccount);
+      router.post(config.web.deleteAccount.uri, bodyParser.json({ limit: '200kb' }), stormpathMiddleware, middleware.loginRequired, controllers.deleteAccount);
+    }
+
+    if (config.web.updatePassword.enabled) {
+      router.get(config.web.updatePassword.uri, stormpathMiddleware, middleware.loginRequired, controllers.updatePassword);
+      router.post(config.web.updatePassword.uri, bodyParser.json({ limit: '200kb' }), stormpathMiddleware, middleware.loginRequired, controllers.updatePassword);
+    }
+
     if (config.web.verifyEmail.enabled) {
       router.get(config.web.verifyEmail.uri, controllers.verifyEmail);
       router.post(config.web.verifyEmail.uri, bodyParser.json({ limit: '200kb' }), bodyParser.urlencoded({ extended: false }), controllers.verifyEmail);
@@ -183,12 +256,61 @@ module.exports.init = function(app, opts) {
 
     if (config.web.angularPath || config.web.me.enabled) {
       router.get(config.web.me.uri, stormpathMiddleware, middleware.loginRequired, function(req, res) {
-        res.json(req.user);
+        helpers.serializeAccount(req, req.user, function(err, json) {
+          if (err) {
+            req.app.get('stormpathLogger').info('Unable to serialize the account of ' + req.user.email + ': ' + err.message);
+            return res.status(500).json({ error: err.userMessage || err.message });
+          }
+
+          res.json(json);
+        });
+      });
+
+      if (config.web.me.update.enabled) {
+        router.post(config.web.me.uri, bodyParser.json({ limit: '200kb' }), stormpathMiddleware, middleware.loginRequired, controllers.profile);
+        router.patch(config.web.me.uri, bodyParser.json({ limit: '200kb' }), stormpathMiddleware, middleware.loginRequired, controllers.profile);
+      }
+    }
+
+    if (config.web.passwordPolicy.enabled) {
+      // The policy is public, so the registration and password forms of a SPA
+      // can show it as hints.
+      router.get(config.web.passwordPolicy.uri, function(req, res) {
+        res.json(helpers.getPasswordPolicy(config));
       });
     }
 
+    if (config.web.profile.enabled) {
+      router.get(config.web.profile.uri, stormpathMiddleware, middleware.loginRequired, controllers.profile);
+      router.post(config.web.profile.uri, stormpathMiddleware, middleware.loginRequired, controllers.profile);
+    }
+
+    if (config.web.connectedAccounts.enabled) {
+      router.get(config.web.connectedAccounts.uri, stormpathMiddleware, middleware.loginRequired, controllers.connectedAccounts);
+      router.post(config.web.connectedAccounts.uri, bodyParser.json({ limit: '200kb' }), stormpathMiddleware, middleware.loginRequired, controllers.connectedAccounts);
+    }
+
+    if (config.web.apiKeys.enabled) {
+      // API keys can only be managed from a session, so a leaked API key
+      // can't be used to create more of them.
+      var sessionRequired = middleware.authenticate({ methods: ['cookie', 'idSite'] });
+
+      router.get(config.web.apiKeys.uri, sessionRequired, controllers.apiKeys);
+      router.post(config.web.apiKeys.uri, bodyParser.json({ limit: '200kb' }), sessionRequired, controllers.apiKeys);
+      router.patch(config.web.apiKeys.uri + '/:id', bodyParser.json({ limit: '200kb' }), sessionRequired, controllers.apiKeys);
+      router.delete(config.web.apiKeys.uri + '/:id', sessionRequired, controllers.apiKeys);
+    }
+
     if (config.web.oauth2.enabled) {
       router.post(config.web.oauth2.uri, stormpathMiddleware, controllers.getToken);
+
+      if (config.web.oauth2.revoke.enabled) {
+        router.post(config.web.oauth2.revoke.uri, bodyParser.json({ limit: '200kb' }), controllers.revokeToken);
+      }
+
+      if (config.web.oauth2.introspect.enabled) {
+        router.post(config.web.oauth2.introspect.uri, bodyParser.json({ limit: '200kb' }), middleware.apiAuthenticationRequired, controllers.introspectToken);
+      }
     }
 
     client.getApplication(config.application.href, function(err, application) {
@@ -207,6 +329,30 @@ module.exports.init = function(app, opts) {
   return stormpathMiddleware;
 };
 
+/**
+ * Expose the bundled backends, which can be supplied to `init()` in place of
+ * the Stormpath client.
+ *
+ * @property backends
+ */
+module.exports.backends = backends;
+
+/**
+ * Expose the bundled stores, which can be supplied to `init()` via the `store`
+ * option.
+ *
+ * @property stores
+ */
+module.exports.stores = stores;
+
+/**
+ * Expose the `createInvitation` helper, which creates the invitation tokens
+ * required to register when registration is invite-only.
+ *
+ * @property createInvitation
+ */
+module.exports.createInvitation = helpers.createInvitation;
+
 /**
  * Expose the `loginRequired` middleware.
  *
@@ -221,6 +367,20 @@ module.exports.loginRequired = middleware.loginRequired;
  */
 module.exports.groupsRequired = middleware.groupsRequired;
 
+/**
+ * Expose the `permissionsRequired` middleware.
+ *
+ * @property permissionsRequired
+ */
+module.exports.permissionsRequired = middleware.permissionsRequired;
+
+/**
+ * Expose the `scopesRequired` middleware.
+ *
+ * @property scopesRequired
+ */
+module.exports.scopesRequired = middleware.scopesRequired;
+
 /**
  * Expose the `apiAuthenticationRequired` middleware.
  *
@@ -234,3 +394,39 @@ module.exports.apiAuthenticationRequired = middleware.apiAuthenticationRequired;
  * @property authenticationRequired
  */
 module.exports.authenticationRequired = middleware.authenticationRequired;
+
+/**
+ * Expose the `authenticate` middleware factory, which restricts the accepted
+ * credential sources.
+ *
+ * @property authenticate
+ */
+module.exports.authenticate = middleware.authenticate;
+
+/**
+ * Expose the `accessTokenCookieRequired` middleware.
+ *
+ * @property accessTokenCookieRequired
+ */
+module.exports.accessTokenCookieRequired = middleware.accessTokenCookieRequired;
+
+/**
+ * Expose the `basicAuthenticationRequired` middleware.
+ *
+ * @property basicAuthenticationRequired
+ */
+module.exports.basicAuthenticationRequired = middleware.basicAuthenticationRequired;
+
+/**
+ * Expose the `oauthBearerAuthenticationRequired` middleware.
+ *
+ * @property oauthBearerAuthenticationRequired
+ */
+module.exports.oauthBearerAuthenticationRequired = middleware.oauthBearerAuthenticationRequired;
+
+/**
+ * Expose the `getUser` middleware.
+ *
+ * @property getUser
+ */
+module.exports.getUser = middleware.getUser;
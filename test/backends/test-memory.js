@@ -0,0 +1,463 @@
+'use strict';
+
+var assert = require('assert');
+
+var uuid = require('uuid');
+
+var MemoryBackend = require('../../lib/backends').MemoryBackend;
+
+describe('MemoryBackend', function() {
+  var accountData;
+  var application;
+  var backend;
+
+  beforeEach(function(done) {
+    accountData = {
+      givenName: uuid.v4(),
+      surname: uuid.v4(),
+      email: uuid.v4() + '@test.com',
+      password: uuid.v4()
+    };
+
+    backend = new MemoryBackend({ groups: [{ name: 'admins' }] });
+    backend.on('ready', function() {
+      backend.getApplication(backend.config.application.href, function(err, app) {
+        application = app;
+        done(err);
+      });
+    });
+    backend.init({});
+  });
+
+  it('should load the default configuration', function() {
+    assert(backend.config.web.login);
+    assert.equal(backend.config.web.forgotPassword.enabled, true);
+    assert.equal(backend.config.web.verifyEmail.enabled, false);
+  });
+
+  it('should create accounts with custom data', function(done) {
+    accountData.customData = { color: 'blue' };
+
+    application.createAccount(accountData, function(err, account) {
+      if (err) {
+        return done(err);
+      }
+
+      assert.equal(account.email, accountData.email);
+      assert.equal(account.status, 'ENABLED');
+      assert.equal(account.password, undefined);
+      assert.equal(JSON.stringify(account).indexOf(accountData.password), -1);
+
+      account.getCustomData(function(err, customData) {
+        assert.equal(customData.color, 'blue');
+        done(err);
+      });
+    });
+  });
+
+  it('should not create accounts with a duplicate email', function(done) {
+    application.createAccount(accountData, function(err) {
+      if (err) {
+        return done(err);
+      }
+
+      application.createAccount(accountData, function(err) {
+        assert.equal(err.status, 409);
+        assert(err.userMessage);
+        done();
+      });
+    });
+  });
+
+  it('should keep emails unique per directory, like social directories', function(done) {
+    backend.options.socialProviders = {
+      google: function(providerData, callback) {
+        callback(null, { id: 1, email: accountData.email, givenName: 'Jane', surname: 'Doe' });
+      }
+    };
+
+    application.createAccount(accountData, function(err, account) {
+      if (err) {
+        return done(err);
+      }
+
+      application.getAccount({ providerData: { providerId: 'google', accessToken: 'token' } }, function(err, result) {
+        if (err) {
+          return done(err);
+        }
+
+        assert.equal(result.created, true);
+        assert.notEqual(result.account.href, account.href);
+
+        application.getAccounts({ email: accountData.email }, function(err, accounts) {
+          assert.equal(accounts.items.length, 2);
+          done(err);
+        });
+      });
+    });
+  });
+
+  it('should authenticate accounts with the password authenticator', function(done) {
+    application.createAccount(accountData, function(err) {
+      if (err) {
+        return done(err);
+      }
+
+      backend.createAuthenticator('password').authenticate({
+        username: accountData.email,
+        password: accountData.password
+      }, function(err, result) {
+        if (err) {
+          return done(err);
+        }
+
+        assert(result.accessToken.body.exp);
+        assert(result.refreshToken.body.exp);
+
+        backend.createAuthenticator('jwt').authenticate(result.accessToken.toString(), function(err, jwtResult) {
+          if (err) {
+            return done(err);
+          }
+
+          jwtResult.getAccount(function(err, account) {
+            assert.equal(account.email, accountData.email);
+            done(err);
+          });
+        });
+      });
+    });
+  });
+
+  it('should reject invalid passwords', function(done) {
+    application.createAccount(accountData, function(err) {
+      if (err) {
+        return done(err);
+      }
+
+      backend.createAuthenticator('password').authenticate({
+        username: accountData.email,
+        password: 'wrong'
+      }, function(err) {
+        assert.equal(err.code, 7100);
+        done();
+      });
+    });
+  });
+
+  it('should issue new access tokens with the refresh token authenticator', function(done) {
+    application.createAccount(accountData, function(err) {
+      if (err) {
+        return done(err);
+      }
+
+      backend.createAuthenticator('password').authenticate({
+        username: accountData.email,
+        password: accountData.password
+      }, function(err, result) {
+        if (err) {
+          return done(err);
+        }
+
+        backend.createAuthenticator('refresh_token').authenticate({
+          refresh_token: result.refreshToken.toString()
+        }, function(err, refreshResult) {
+          if (err) {
+            return done(err);
+          }
+
+          assert.notEqual(refreshResult.accessToken.toString(), result.accessToken.toString());
+          assert.equal(refreshResult.refreshToken.toString(), result.refreshToken.toString());
+          done();
+        });
+      });
+    });
+  });
+
+  it('should not issue new access tokens to disabled accounts', function(done) {
+    application.createAccount(accountData, function(err, account) {
+      if (err) {
+        return done(err);
+      }
+
+      backend.createAuthenticator('password').authenticate({
+        username: accountData.email,
+        password: accountData.password
+      }, function(err, result) {
+        if (err) {
+          return done(err);
+        }
+
+        account.status = 'DISABLED';
+        account.save(function(err) {
+          if (err) {
+            return done(err);
+          }
+
+          backend.createAuthenticator('refresh_token').authenticate({
+            refresh_token: result.refreshToken.toString()
+          }, function(err) {
+            assert.equal(err && err.code, 7101);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('should forget expired tokens when issuing new ones', function(done) {
+    application.createAccount(accountData, function(err) {
+      if (err) {
+        return done(err);
+      }
+
+      var authenticator = backend.createAuthenticator('password');
+      var credentials = { username: accountData.email, password: accountData.password };
+
+      authenticator.authenticate(credentials, function(err, result) {
+        if (err) {
+          return done(err);
+        }
+
+        var expiredIds = [result.accessToken.body.jti, result.refreshToken.body.jti];
+
+        expiredIds.forEach(function(jti) {
+          backend.store.oauthTokens[jti].expiresAt = new Date().getTime() - 1000;
+        });
+
+        authenticator.authenticate(credentials, function(err) {
+          if (err) {
+            return done(err);
+          }
+
+          assert.equal(Object.keys(backend.store.oauthTokens).length, 2);
+          expiredIds.forEach(function(jti) {
+            assert(!backend.store.oauthTokens[jti]);
+          });
+          done();
+        });
+      });
+    });
+  });
+
+  it('should reset passwords with the token from the outbox', function(done) {
+    application.createAccount(accountData, function(err) {
+      if (err) {
+        return done(err);
+      }
+
+      application.sendPasswordResetEmail(accountData.email, function(err) {
+        if (err) {
+          return done(err);
+        }
+
+        var email = backend.outbox.pop();
+        assert.equal(email.type, 'passwordReset');
+        assert.equal(email.to, accountData.email);
+
+        application.verifyPasswordResetToken(email.token, function(err, result) {
+          if (err) {
+            return done(err);
+          }
+
+          result.password = 'newPassword1';
+          result.save(function(err) {
+            if (err) {
+              return done(err);
+            }
+
+            application.authenticateAccount({ username: accountData.email, password: 'newPassword1' }, function(err) {
+              if (err) {
+                return done(err);
+              }
+
+              application.verifyPasswordResetToken(email.token, function(err) {
+                assert.equal(err.status, 404);
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('should verify account emails when email verification is enabled', function(done) {
+    backend.options.verifyEmail = true;
+
+    application.createAccount(accountData, function(err, account) {
+      if (err) {
+        return done(err);
+      }
+
+      assert.equal(account.status, 'UNVERIFIED');
+
+      backend.getCurrentTenant(function(err, tenant) {
+        tenant.verifyAccountEmail(backend.outbox.pop().token, function(err) {
+          if (err) {
+            return done(err);
+          }
+
+          backend.getAccount(account.href, function(err, account) {
+            assert.equal(account.status, 'ENABLED');
+            done(err);
+          });
+        });
+      });
+    });
+  });
+
+  it('should manage group membership', function(done) {
+    application.createAccount(accountData, function(err, account) {
+      if (err) {
+        return done(err);
+      }
+
+      application.getGroups({ name: 'admins' }, function(err, groups) {
+        if (err) {
+          return done(err);
+        }
+
+        account.addToGroup(groups.items[0], function(err) {
+          if (err) {
+            return done(err);
+          }
+
+          account.getGroups(function(err, groups) {
+            assert.equal(groups.size, 1);
+            assert.equal(groups.items[0].name, 'admins');
+            done(err);
+          });
+        });
+      });
+    });
+  });
+
+  it('should authenticate requests with API keys', function(done) {
+    application.createAccount(accountData, function(err, account) {
+      if (err) {
+        return done(err);
+      }
+
+      account.createApiKey(function(err, apiKey) {
+        if (err) {
+          return done(err);
+        }
+
+        var request = {
+          body: { grant_type: 'client_credentials' },
+          headers: { authorization: 'Basic ' + new Buffer(apiKey.id + ':' + apiKey.secret).toString('base64') }
+        };
+
+        application.authenticateApiRequest({ request: request }, function(err, result) {
+          if (err) {
+            return done(err);
+          }
+
+          assert(result.tokenResponse.access_token);
+
+          var claims = JSON.parse(new Buffer(result.tokenResponse.access_token.split('.')[1], 'base64').toString());
+          assert.equal(claims.sub, apiKey.id);
+          assert.equal(claims.jti, undefined);
+
+          request = { headers: { authorization: 'Bearer ' + result.tokenResponse.access_token } };
+          application.authenticateApiRequest({ request: request }, function(err, result) {
+            if (err) {
+              return done(err);
+            }
+
+            result.getAccount(function(err, account) {
+              assert.equal(account.email, accountData.email);
+              done(err);
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('should revoke tokens', function(done) {
+    application.createAccount(accountData, function(err) {
+      if (err) {
+        return done(err);
+      }
+
+      backend.createAuthenticator('password').authenticate({
+        username: accountData.email,
+        password: accountData.password
+      }, function(err, result) {
+        if (err) {
+          return done(err);
+        }
+
+        backend.revokeToken(result.refreshToken.toString(), function(err) {
+          if (err) {
+            return done(err);
+          }
+
+          backend.createAuthenticator('jwt').authenticate(result.accessToken.toString(), function(err) {
+            assert.equal(err.status, 401);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('should revoke every token of an account', function(done) {
+    application.createAccount(accountData, function(err, account) {
+      if (err) {
+        return done(err);
+      }
+
+      backend.createAuthenticator('password').authenticate({
+        username: accountData.email,
+        password: accountData.password
+      }, function(err) {
+        if (err) {
+          return done(err);
+        }
+
+        backend.revokeAccountTokens(account, function(err) {
+          assert.equal(Object.keys(backend.store.oauthTokens).length, 0);
+          done(err);
+        });
+      });
+    });
+  });
+
+  it('should introspect tokens', function(done) {
+    application.createAccount(accountData, function(err) {
+      if (err) {
+        return done(err);
+      }
+
+      backend.createAuthenticator('password').authenticate({
+        username: accountData.email,
+        password: accountData.password
+      }, function(err, result) {
+        if (err) {
+          return done(err);
+        }
+
+        backend.introspectToken(result.accessToken.toString(), function(err, jwt) {
+          if (err) {
+            return done(err);
+          }
+
+          assert.equal(jwt.body.jti, result.accessToken.body.jti);
+
+          backend.revokeToken(result.accessToken.toString(), function(err) {
+            if (err) {
+              return done(err);
+            }
+
+            backend.introspectToken(result.accessToken.toString(), function(err, jwt) {
+              assert.equal(jwt, null);
+              done(err);
+            });
+          });
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,233 @@
+'use strict';
+
+var assert = require('assert');
+var request = require('supertest');
+var uuid = require('uuid');
+
+var helpers = require('../helpers');
+
+describe('apiKeys', function() {
+  var accounts;
+  var agent;
+  var app;
+
+  function login(accountData, done) {
+    var agent = request.agent(app);
+
+    agent
+      .post('/login')
+      .set('Accept', 'application/json')
+      .send({ username: accountData.email, password: accountData.password })
+      .expect(200)
+      .end(function(err) {
+        done(err, agent);
+      });
+  }
+
+  function createApiKey(agent, data, done) {
+    agent
+      .post('/api-keys')
+      .set('Accept', 'application/json')
+      .send(data)
+      .expect(201)
+      .end(function(err, res) {
+        done(err, res && res.body);
+      });
+  }
+
+  beforeEach(function(done) {
+    accounts = [1, 2].map(function() {
+      return {
+        email: uuid.v4() + '@test.com',
+        password: uuid.v4(),
+        givenName: 'Jane',
+        surname: 'Doe'
+      };
+    });
+
+    app = helpers.createMemoryExpressApp({
+      web: {
+        apiKeys: {
+          enabled: true,
+          maxKeys: 2
+        },
+        login: {
+          enabled: true
+        }
+      }
+    }, { accounts: accounts });
+
+    app.on('stormpath.ready', function() {
+      login(accounts[0], function(err, loggedInAgent) {
+        agent = loggedInAgent;
+        done(err);
+      });
+    });
+  });
+
+  it('should require a session', function(done) {
+    createApiKey(agent, {}, function(err, apiKey) {
+      if (err) {
+        return done(err);
+      }
+
+      request(app)
+        .get('/api-keys')
+        .set('Accept', 'application/json')
+        .auth(apiKey.id, apiKey.secret)
+        .expect(401)
+        .end(done);
+    });
+  });
+
+  it('should create an API key and only show the secret once', function(done) {
+    createApiKey(agent, { name: 'CI', description: 'Deploys' }, function(err, apiKey) {
+      if (err) {
+        return done(err);
+      }
+
+      assert(apiKey.id);
+      assert(apiKey.secret);
+      assert.equal(apiKey.name, 'CI');
+      assert.equal(apiKey.status, 'ENABLED');
+
+      agent
+        .get('/api-keys')
+        .set('Accept', 'application/json')
+        .expect(200)
+        .end(function(err, res) {
+          if (err) {
+            return done(err);
+          }
+
+          assert.deepEqual(res.body.apiKeys, [{ id: apiKey.id, name: 'CI', description: 'Deploys', status: 'ENABLED' }]);
+          done();
+        });
+    });
+  });
+
+  it('should limit the number of API keys', function(done) {
+    createApiKey(agent, {}, function(err) {
+      if (err) {
+        return done(err);
+      }
+
+      createApiKey(agent, {}, function(err) {
+        if (err) {
+          return done(err);
+        }
+
+        agent
+          .post('/api-keys')
+          .set('Accept', 'application/json')
+          .send({})
+          .expect(400)
+          .end(done);
+      });
+    });
+  });
+
+  it('should disable, then delete an API key', function(done) {
+    createApiKey(agent, {}, function(err, apiKey) {
+      if (err) {
+        return done(err);
+      }
+
+      agent
+        .patch('/api-keys/' + apiKey.id)
+        .set('Accept', 'application/json')
+        .send({ status: 'DISABLED', name: 'Old' })
+        .expect(200)
+        .end(function(err, res) {
+          if (err) {
+            return done(err);
+          }
+
+          assert.equal(res.body.status, 'DISABLED');
+          assert.equal(res.body.name, 'Old');
+          assert.equal(res.body.secret, undefined);
+
+          agent
+            .delete('/api-keys/' + apiKey.id)
+            .set('Accept', 'application/json')
+            .expect(204)
+            .end(function(err) {
+              if (err) {
+                return done(err);
+              }
+
+              agent
+                .delete('/api-keys/' + apiKey.id)
+                .set('Accept', 'application/json')
+                .expect(404)
+                .end(done);
+            });
+        });
+    });
+  });
+
+  it('should reject an invalid status', function(done) {
+    createApiKey(agent, {}, function(err, apiKey) {
+      if (err) {
+        return done(err);
+      }
+
+      agent
+        .patch('/api-keys/' + apiKey.id)
+        .set('Accept', 'application/json')
+        .send({ status: 'DELETED' })
+        .expect(400)
+        .end(done);
+    });
+  });
+
+  it('should not touch the API keys of other accounts', function(done) {
+    login(accounts[1], function(err, otherAgent) {
+      if (err) {
+        return done(err);
+      }
+
+      createApiKey(otherAgent, {}, function(err, apiKey) {
+        if (err) {
+          return done(err);
+        }
+
+        agent
+          .patch('/api-keys/' + apiKey.id)
+          .set('Accept', 'application/json')
+          .send({ status: 'DISABLED' })
+          .expect(404)
+          .end(done);
+      });
+    });
+  });
+
+  it('should render the page and create an API key from it', function(done) {
+    agent
+      .get('/api-keys')
+      .expect(200)
+      .end(function(err, res) {
+        if (err) {
+          return done(err);
+        }
+
+        assert(res.text.indexOf('You don\'t have any API keys yet.') > -1);
+
+        agent
+          .post('/api-keys')
+          .type('form')
+          .send({ action: 'create', name: 'Laptop' })
+          .expect(200)
+          .expect('Cache-Control', 'no-store')
+          .end(function(err, res) {
+            if (err) {
+              return done(err);
+            }
+
+            assert(res.text.indexOf('new-api-key') > -1);
+            assert(res.text.indexOf('Laptop') > -1);
+            done();
+          });
+      });
+  });
+});
@@ -0,0 +1,318 @@
+'use strict';
+
+var assert = require('assert');
+var request = require('supertest');
+var url = require('url');
+var uuid = require('uuid');
+
+var helpers = require('../helpers');
+
+describe('changeEmail', function() {
+  var accountData;
+  var agent;
+  var app;
+  var backend;
+  var newEmail;
+
+  function requestChange(data, status, done) {
+    agent
+      .post('/change-email')
+      .set('Accept', 'application/json')
+      .send(data)
+      .expect(status)
+      .end(done);
+  }
+
+  function getConfirmationPath() {
+    var email = backend.outbox.filter(function(email) {
+      return email.type === 'changeEmail';
+    }).pop();
+
+    return url.parse(email.link).path;
+  }
+
+  beforeEach(function(done) {
+    accountData = {
+      email: uuid.v4() + '@test.com',
+      password: uuid.v4(),
+      givenName: 'Jane',
+      surname: 'Doe'
+    };
+    newEmail = uuid.v4() + '@test.com';
+
+    app = helpers.createMemoryExpressApp({
+      web: {
+        changeEmail: {
+          enabled: true
+        },
+        login: {
+          enabled: true
+        },
+        me: {
+          enabled: true
+        }
+      }
+    }, { accounts: [accountData] });
+
+    app.on('stormpath.ready', function() {
+      backend = app.get('stormpathClient');
+      agent = request.agent(app);
+      agent
+        .post('/login')
+        .set('Accept', 'application/json')
+        .send({ username: accountData.email, password: accountData.password })
+        .expect(200)
+        .end(done);
+    });
+  });
+
+  it('should require the current password', function(done) {
+    requestChange({ email: newEmail, password: 'wrong' }, 400, function(err) {
+      assert.equal(backend.outbox.length, 0);
+      done(err);
+    });
+  });
+
+  it('should only change the email once the link is followed', function(done) {
+    requestChange({ email: newEmail, password: accountData.password }, 200, function(err) {
+      if (err) {
+        return done(err);
+      }
+
+      var email = backend.outbox.pop();
+
+      assert.equal(email.type, 'changeEmail');
+      assert.equal(email.to, newEmail);
+      backend.outbox.push(email);
+
+      agent
+        .get('/me')
+        .set('Accept', 'application/json')
+        .end(function(err, res) {
+          if (err) {
+            return done(err);
+          }
+
+          assert.equal(res.body.email, accountData.email);
+
+          request(app)
+            .get(getConfirmationPath())
+            .set('Accept', 'application/json')
+            .expect(200)
+            .end(function(err) {
+              if (err) {
+                return done(err);
+              }
+
+              var notice = backend.outbox.pop();
+
+              assert.equal(notice.type, 'changeEmailNotice');
+              assert.equal(notice.to, accountData.email);
+
+              request(app)
+                .post('/login')
+                .set('Accept', 'application/json')
+                .send({ username: newEmail, password: accountData.password })
+                .expect(200)
+                .end(done);
+            });
+        });
+    });
+  });
+
+  it('should only accept each link once', function(done) {
+    requestChange({ email: newEmail, password: accountData.password }, 200, function(err) {
+      if (err) {
+        return done(err);
+      }
+
+      var path = getConfirmationPath();
+
+      request(app)
+        .get(path)
+        .set('Accept', 'application/json')
+        .expect(200)
+        .end(function(err) {
+          if (err) {
+            return done(err);
+          }
+
+          request(app)
+            .get(path)
+            .set('Accept', 'application/json')
+            .expect(400)
+            .end(done);
+        });
+    });
+  });
+
+  it('should reject a tampered token', function(done) {
+    requestChange({ email: newEmail, password: accountData.password }, 200, function(err) {
+      if (err) {
+        return done(err);
+      }
+
+      request(app)
+        .get(getConfirmationPath() + 'x')
+        .expect(200)
+        .end(function(err, res) {
+          if (err) {
+            return done(err);
+          }
+
+          assert(res.text.indexOf('This link is invalid or has expired.') > -1);
+          done();
+        });
+    });
+  });
+
+  it('should cancel the pending change when another one is requested', function(done) {
+    requestChange({ email: newEmail, password: accountData.password }, 200, function(err) {
+      if (err) {
+        return done(err);
+      }
+
+      var path = getConfirmationPath();
+
+      requestChange({ email: uuid.v4() + '@test.com', password: accountData.password }, 200, function(err) {
+        if (err) {
+          return done(err);
+        }
+
+        request(app)
+          .get(path)
+          .set('Accept', 'application/json')
+          .expect(400)
+          .end(done);
+      });
+    });
+  });
+
+  it('should notify the current address, which can cancel the change', function(done) {
+    requestChange({ email: newEmail, password: accountData.password }, 200, function(err) {
+      if (err) {
+        return done(err);
+      }
+
+      var notice = backend.outbox.filter(function(email) {
+        return email.type === 'changeEmailRequested';
+      }).pop();
+
+      assert.equal(notice.to, accountData.email);
+      assert(notice.text.indexOf(newEmail) > -1);
+
+      var cancelPath = url.parse(notice.link).path;
+
+      request(app)
+        .get(cancelPath)
+        .set('Accept', 'application/json')
+        .expect(200)
+        .end(function(err) {
+          if (err) {
+            return done(err);
+          }
+
+          request(app)
+            .get(getConfirmationPath())
+            .set('Accept', 'application/json')
+            .expect(400)
+            .end(function(err) {
+              if (err) {
+                return done(err);
+              }
+
+              request(app)
+                .get(cancelPath)
+                .expect(200)
+                .end(function(err, res) {
+                  if (err) {
+                    return done(err);
+                  }
+
+                  assert(res.text.indexOf('This link is invalid or has expired.') > -1);
+                  done();
+                });
+            });
+        });
+    });
+  });
+
+  it('should not cancel the change with the confirmation token', function(done) {
+    requestChange({ email: newEmail, password: accountData.password }, 200, function(err) {
+      if (err) {
+        return done(err);
+      }
+
+      var path = getConfirmationPath();
+
+      request(app)
+        .get(path.replace('/change-email/confirm', '/change-email/cancel'))
+        .set('Accept', 'application/json')
+        .expect(400)
+        .end(function(err) {
+          if (err) {
+            return done(err);
+          }
+
+          request(app)
+            .get(path)
+            .set('Accept', 'application/json')
+            .expect(200)
+            .end(done);
+        });
+    });
+  });
+
+  it('should only store a hash of the token', function(done) {
+    requestChange({ email: newEmail, password: accountData.password }, 200, function(err) {
+      if (err) {
+        return done(err);
+      }
+
+      var token = url.parse(getConfirmationPath(), true).query.sptoken;
+      var account = backend.findAccountRecord({ email: accountData.email });
+      var change = backend.store.customData[account.href].emailChange;
+
+      assert.equal(change.email, newEmail);
+      assert(JSON.stringify(change).indexOf(token.split('.')[1]) === -1);
+      done();
+    });
+  });
+
+  it('should render the page and send the confirmation from it', function(done) {
+    agent
+      .get('/change-email')
+      .expect(200)
+      .end(function(err, res) {
+        if (err) {
+          return done(err);
+        }
+
+        assert(res.text.indexOf('name="email"') > -1);
+
+        agent
+          .post('/change-email')
+          .type('form')
+          .send({ email: newEmail, password: accountData.password })
+          .expect(302)
+          .expect('Location', '/change-email?status=sent')
+          .end(function(err) {
+            if (err) {
+              return done(err);
+            }
+
+            request(app)
+              .get(getConfirmationPath())
+              .expect(200)
+              .end(function(err, res) {
+                if (err) {
+                  return done(err);
+                }
+
+                assert(res.text.indexOf('Your email address has been changed.') > -1);
+                done();
+              });
+          });
+      });
+  });
+});
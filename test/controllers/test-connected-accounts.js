@@ -0,0 +1,293 @@
+'use strict';
+
+var assert = require('assert');
+var cheerio = require('cheerio');
+var request = require('supertest');
+
+var helpers = require('../helpers');
+
+describe('connected accounts', function() {
+  var accountData;
+  var agent;
+  var app;
+
+  // Go through the Facebook login, with the state token of the agent's
+  // cookies (set by the login or connected accounts page).
+  function facebookCallback(agent, accessToken, stateToken) {
+    return agent
+      .get('/callbacks/facebook?access_token=' + accessToken + '&state=' + stateToken)
+      .set('Accept', 'application/json');
+  }
+
+  function getStateToken(res) {
+    var cookie = res.headers['set-cookie'].filter(function(cookie) {
+      return cookie.indexOf('oauthStateToken=') === 0;
+    })[0];
+
+    return cookie.split(';')[0].split('=')[1];
+  }
+
+  // Open the connected accounts page, then connect a Facebook account.
+  function connect(accessToken, callback) {
+    agent
+      .get('/connected-accounts')
+      .set('Accept', 'text/html')
+      .expect(200)
+      .end(function(err, res) {
+        if (err) {
+          return callback(err);
+        }
+
+        facebookCallback(agent, accessToken, getStateToken(res)).end(callback);
+      });
+  }
+
+  beforeEach(function(done) {
+    accountData = {
+      email: 'jane@test.com',
+      password: 'Passw0rd!Passw0rd',
+      givenName: 'Jane',
+      surname: 'Doe'
+    };
+
+    app = helpers.createMemoryExpressApp({
+      socialProviders: {
+        facebook: { enabled: true, clientId: 'facebook-client-id', callbackUri: '/callbacks/facebook' },
+        google: { enabled: false },
+        linkedin: { enabled: false }
+      },
+      web: {
+        connectedAccounts: {
+          enabled: true
+        },
+        login: {
+          enabled: true
+        },
+        me: {
+          enabled: true
+        }
+      }
+    }, {
+      accounts: [accountData, { email: 'john@test.com', password: 'Passw0rd!Passw0rd', givenName: 'John', surname: 'Doe' }],
+      socialProviders: {
+        facebook: function(providerData, callback) {
+          callback(null, { id: providerData.accessToken, email: providerData.accessToken + '@test.com', givenName: 'Social', surname: 'Account' });
+        }
+      }
+    });
+
+    app.on('stormpath.ready', function() {
+      agent = request.agent(app);
+      agent
+        .post('/login')
+        .set('Accept', 'application/json')
+        .send({ username: accountData.email, password: accountData.password })
+        .expect(200)
+        .end(done);
+    });
+  });
+
+  it('should refuse a social login with the email address of another account', function(done) {
+    facebookCallback(request(app), 'jane', 'xyz')
+      .set('Cookie', 'oauthStateToken=xyz')
+      .expect(409)
+      .end(function(err, res) {
+        if (err) {
+          return done(err);
+        }
+
+        assert.deepEqual(res.body.conflict, { email: 'jane@test.com', provider: 'facebook' });
+
+        request(app)
+          .get('/callbacks/facebook?access_token=jane&state=xyz')
+          .set('Cookie', 'oauthStateToken=xyz')
+          .set('Accept', 'text/html')
+          .expect(409)
+          .end(function(err, res) {
+            if (err) {
+              return done(err);
+            }
+
+            var $ = cheerio.load(res.text);
+
+            assert.equal($('a[href="/login?next=%2Fconnected-accounts"]').length, 1);
+            done();
+          });
+      });
+  });
+
+  it('should connect a social account, then log into the account with it', function(done) {
+    connect('jane', function(err, res) {
+      if (err) {
+        return done(err);
+      }
+
+      assert.equal(res.status, 302);
+      assert.equal(res.headers.location, '/connected-accounts');
+
+      agent
+        .get('/connected-accounts')
+        .set('Accept', 'application/json')
+        .expect(200)
+        .end(function(err, res) {
+          if (err) {
+            return done(err);
+          }
+
+          assert.equal(res.body.identities.facebook.email, 'jane@test.com');
+
+          var socialAgent = request.agent(app);
+
+          facebookCallback(socialAgent, 'jane', 'xyz')
+            .set('Cookie', 'oauthStateToken=xyz')
+            .expect(302)
+            .end(function(err) {
+              if (err) {
+                return done(err);
+              }
+
+              socialAgent
+                .get('/me')
+                .set('Accept', 'application/json')
+                .expect(200)
+                .end(function(err, res) {
+                  assert.equal(res.body.givenName, 'Jane');
+                  done(err);
+                });
+            });
+        });
+    });
+  });
+
+  it('should connect a social account with another email address', function(done) {
+    connect('jane.doe', function(err, res) {
+      if (err) {
+        return done(err);
+      }
+
+      assert.equal(res.status, 302);
+
+      facebookCallback(request(app), 'jane.doe', 'xyz')
+        .set('Cookie', 'oauthStateToken=xyz')
+        .expect(302, done);
+    });
+  });
+
+  it('should not connect a social account to two accounts', function(done) {
+    connect('jane.doe', function(err) {
+      if (err) {
+        return done(err);
+      }
+
+      var johnAgent = request.agent(app);
+
+      johnAgent
+        .post('/login')
+        .set('Accept', 'application/json')
+        .send({ username: 'john@test.com', password: 'Passw0rd!Passw0rd' })
+        .expect(200)
+        .end(function(err) {
+          if (err) {
+            return done(err);
+          }
+
+          johnAgent
+            .get('/connected-accounts')
+            .set('Accept', 'text/html')
+            .expect(200)
+            .end(function(err, res) {
+              if (err) {
+                return done(err);
+              }
+
+              facebookCallback(johnAgent, 'jane.doe', getStateToken(res))
+                .expect(409)
+                .end(function(err, res) {
+                  assert.equal(res.body.message, 'This account is already connected to another account.');
+                  done(err);
+                });
+            });
+        });
+    });
+  });
+
+  it('should disconnect a social account', function(done) {
+    connect('jane', function(err) {
+      if (err) {
+        return done(err);
+      }
+
+      agent
+        .post('/connected-accounts')
+        .set('Accept', 'application/json')
+        .send({ disconnect: 'facebook' })
+        .expect(200)
+        .end(function(err, res) {
+          if (err) {
+            return done(err);
+          }
+
+          assert.deepEqual(res.body.identities, {});
+
+          facebookCallback(request(app), 'jane', 'xyz')
+            .set('Cookie', 'oauthStateToken=xyz')
+            .expect(409, done);
+        });
+    });
+  });
+
+  it('should reject unknown providers', function(done) {
+    agent
+      .post('/connected-accounts')
+      .set('Accept', 'application/json')
+      .send({ disconnect: 'myspace' })
+      .expect(400)
+      .end(function(err, res) {
+        assert.equal(res.body.error, 'Unknown provider.');
+        done(err);
+      });
+  });
+
+  it('should show a connect button for each provider which isn\'t connected', function(done) {
+    agent
+      .get('/connected-accounts')
+      .set('Accept', 'text/html')
+      .expect(200)
+      .end(function(err, res) {
+        if (err) {
+          return done(err);
+        }
+
+        var $ = cheerio.load(res.text);
+
+        assert.equal($('.provider-facebook .btn-facebook').length, 1);
+        done();
+      });
+  });
+
+  it('should only connect the account of the user the page was shown to', function(done) {
+    agent
+      .get('/connected-accounts')
+      .set('Accept', 'text/html')
+      .expect(200)
+      .end(function(err, res) {
+        if (err) {
+          return done(err);
+        }
+
+        var connectCookie = res.headers['set-cookie'].filter(function(cookie) {
+          return cookie.indexOf('oauthConnectToken=') === 0;
+        })[0].split(';')[0];
+
+        // Without the session of the user, it's an ordinary social login.
+        request(app)
+          .get('/callbacks/facebook?access_token=someone&state=xyz')
+          .set('Cookie', 'oauthStateToken=xyz; ' + connectCookie)
+          .expect(302)
+          .end(function(err, res) {
+            assert.notEqual(res.headers.location, '/connected-accounts');
+            done(err);
+          });
+      });
+  });
+});
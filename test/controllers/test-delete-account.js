@@ -0,0 +1,167 @@
+'use strict';
+
+var assert = require('assert');
+var request = require('supertest');
+var uuid = require('uuid');
+
+var helpers = require('../helpers');
+
+describe('deleteAccount', function() {
+  var accountData;
+  var agent;
+  var app;
+
+  function login(agent, status, done) {
+    agent
+      .post('/login')
+      .set('Accept', 'application/json')
+      .send({ username: accountData.email, password: accountData.password })
+      .expect(status)
+      .end(done);
+  }
+
+  function createApp(deleteAccountConfig, preDeleteAccountHandler, done) {
+    app = helpers.createMemoryExpressApp({
+      preDeleteAccountHandler: preDeleteAccountHandler,
+      web: {
+        deleteAccount: deleteAccountConfig,
+        login: {
+          enabled: true
+        }
+      }
+    }, { accounts: [accountData] });
+
+    app.on('stormpath.ready', function() {
+      agent = request.agent(app);
+      login(agent, 200, done);
+    });
+  }
+
+  function deleteAccount(password, status, done) {
+    agent
+      .post('/delete-account')
+      .set('Accept', 'application/json')
+      .send({ password: password })
+      .expect(status)
+      .end(done);
+  }
+
+  beforeEach(function() {
+    accountData = {
+      email: uuid.v4() + '@test.com',
+      password: uuid.v4(),
+      givenName: 'Jane',
+      surname: 'Doe'
+    };
+  });
+
+  it('should require the password', function(done) {
+    createApp({ enabled: true }, undefined, function(err) {
+      if (err) {
+        return done(err);
+      }
+
+      deleteAccount('wrong', 400, function(err) {
+        if (err) {
+          return done(err);
+        }
+
+        login(request.agent(app), 200, done);
+      });
+    });
+  });
+
+  it('should delete the account and clear the session', function(done) {
+    createApp({ enabled: true }, undefined, function(err) {
+      if (err) {
+        return done(err);
+      }
+
+      deleteAccount(accountData.password, 204, function(err, res) {
+        if (err) {
+          return done(err);
+        }
+
+        assert(res.headers['set-cookie'].some(function(cookie) {
+          return cookie.indexOf('access_token=;') === 0;
+        }));
+
+        assert(!app.get('stormpathClient').findAccountRecord({ email: accountData.email }));
+        login(request.agent(app), 400, done);
+      });
+    });
+  });
+
+  it('should only disable the account if configured to', function(done) {
+    createApp({ enabled: true, mode: 'disable' }, undefined, function(err) {
+      if (err) {
+        return done(err);
+      }
+
+      deleteAccount(accountData.password, 204, function(err) {
+        if (err) {
+          return done(err);
+        }
+
+        assert.equal(app.get('stormpathClient').findAccountRecord({ email: accountData.email }).status, 'DISABLED');
+        done();
+      });
+    });
+  });
+
+  it('should let the preDeleteAccountHandler abort the deletion', function(done) {
+    var handler = function(account, req, res, next) {
+      assert.equal(account.email, accountData.email);
+      next(new Error('Please cancel your subscription first.'));
+    };
+
+    createApp({ enabled: true }, handler, function(err) {
+      if (err) {
+        return done(err);
+      }
+
+      agent
+        .post('/delete-account')
+        .set('Accept', 'application/json')
+        .send({ password: accountData.password })
+        .expect(400)
+        .end(function(err, res) {
+          if (err) {
+            return done(err);
+          }
+
+          assert.equal(res.body.error, 'Please cancel your subscription first.');
+          login(request.agent(app), 200, done);
+        });
+    });
+  });
+
+  it('should render the page and require a confirmation', function(done) {
+    createApp({ enabled: true }, undefined, function(err) {
+      if (err) {
+        return done(err);
+      }
+
+      agent
+        .post('/delete-account')
+        .type('form')
+        .send({ password: accountData.password })
+        .expect(200)
+        .end(function(err, res) {
+          if (err) {
+            return done(err);
+          }
+
+          assert(res.text.indexOf('Please confirm that you want to delete your account.') > -1);
+
+          agent
+            .post('/delete-account')
+            .type('form')
+            .send({ password: accountData.password, confirm: 'true' })
+            .expect(302)
+            .expect('Location', '/')
+            .end(done);
+        });
+    });
+  });
+});
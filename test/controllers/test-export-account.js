@@ -0,0 +1,97 @@
+'use strict';
+
+var assert = require('assert');
+var request = require('supertest');
+var uuid = require('uuid');
+
+var helpers = require('../helpers');
+
+describe('exportAccount', function() {
+  var accountData;
+  var agent;
+  var app;
+
+  beforeEach(function(done) {
+    accountData = {
+      email: uuid.v4() + '@test.com',
+      password: uuid.v4(),
+      givenName: 'Jane',
+      surname: 'Doe',
+      groups: ['admins'],
+      customData: {
+        color: 'blue',
+        emailChange: {
+          email: 'new@test.com'
+        },
+        linkedAccountHref: 'memory://accounts/other',
+        socialIdentities: {
+          google: {
+            href: 'memory://accounts/social',
+            email: 'jane@gmail.com'
+          }
+        },
+        totp: {
+          enabled: true,
+          secret: 'JBSWY3DPEHPK3PXP'
+        }
+      }
+    };
+
+    app = helpers.createMemoryExpressApp({
+      web: {
+        exportAccount: {
+          enabled: true
+        },
+        login: {
+          enabled: true
+        }
+      }
+    }, { accounts: [accountData], groups: [{ name: 'admins', description: 'Administrators' }] });
+
+    app.on('stormpath.ready', function() {
+      agent = request.agent(app);
+      agent
+        .post('/login')
+        .set('Accept', 'application/json')
+        .send({ username: accountData.email, password: accountData.password })
+        .expect(200)
+        .end(done);
+    });
+  });
+
+  it('should require a login', function(done) {
+    request(app)
+      .get('/me/export')
+      .set('Accept', 'application/json')
+      .expect(401)
+      .end(done);
+  });
+
+  it('should export the account data as a download', function(done) {
+    agent
+      .get('/me/export')
+      .expect(200)
+      .expect('Content-Disposition', 'attachment; filename="account-data.json"')
+      .expect('Cache-Control', 'no-store')
+      .end(function(err, res) {
+        if (err) {
+          return done(err);
+        }
+
+        var data = JSON.parse(res.text);
+
+        assert.equal(data.account.email, accountData.email);
+        assert.equal(data.account.givenName, 'Jane');
+        assert.equal(data.account.href, undefined);
+        assert.equal(data.customData.color, 'blue');
+        assert.equal(data.customData.totp, undefined);
+        assert.equal(data.customData.emailChange, undefined);
+        assert.equal(data.customData.linkedAccountHref, undefined);
+        assert.equal(data.customData.socialIdentities, undefined);
+        assert.equal(data.customData.href, undefined);
+        assert.deepEqual(data.groups, [{ name: 'admins', description: 'Administrators' }]);
+        assert.equal(data.providerData.providerId, 'stormpath');
+        done();
+      });
+  });
+});
@@ -203,3 +203,136 @@ describe('getToken', function() {
     });
   });
 });
+
+describe('getToken password and refresh_token grants', function() {
+  var memoryAccountData;
+
+  function createApp(oauth2Config, callback) {
+    memoryAccountData = {
+      email: uuid.v4() + '@test.com',
+      password: uuid.v4()
+    };
+
+    oauth2Config.enabled = true;
+    oauth2Config.uri = '/oauth/token';
+
+    var app = helpers.createMemoryExpressApp({
+      web: {
+        oauth2: oauth2Config
+      }
+    }, { accounts: [memoryAccountData] });
+
+    app.on('stormpath.ready', function() {
+      callback(app);
+    });
+  }
+
+  it('should return an access token and refresh token for valid credentials', function(done) {
+    createApp({}, function(app) {
+      request(app)
+        .post('/oauth/token')
+        .type('form')
+        .send({ grant_type: 'password', username: memoryAccountData.email, password: memoryAccountData.password })
+        .expect(200)
+        .expect('Cache-Control', 'no-store')
+        .end(function(err, res) {
+          if (err) {
+            return done(err);
+          }
+
+          assert(res.body.access_token);
+          assert(res.body.refresh_token);
+          assert.equal(res.body.token_type, 'Bearer');
+          assert(res.body.expires_in);
+          done();
+        });
+    });
+  });
+
+  it('should return an invalid_grant error for invalid credentials', function(done) {
+    createApp({}, function(app) {
+      request(app)
+        .post('/oauth/token')
+        .type('form')
+        .send({ grant_type: 'password', username: memoryAccountData.email, password: 'wrong' })
+        .expect(400)
+        .end(function(err, res) {
+          assert.equal(res.body.error, 'invalid_grant');
+          assert(res.body.error_description);
+          done(err);
+        });
+    });
+  });
+
+  it('should return an invalid_request error if the password is missing', function(done) {
+    createApp({}, function(app) {
+      request(app)
+        .post('/oauth/token')
+        .type('form')
+        .send({ grant_type: 'password', username: memoryAccountData.email })
+        .expect(400)
+        .end(function(err, res) {
+          assert.equal(res.body.error, 'invalid_request');
+          done(err);
+        });
+    });
+  });
+
+  it('should exchange a refresh token for a new access token', function(done) {
+    createApp({}, function(app) {
+      request(app)
+        .post('/oauth/token')
+        .type('form')
+        .send({ grant_type: 'password', username: memoryAccountData.email, password: memoryAccountData.password })
+        .expect(200)
+        .end(function(err, res) {
+          if (err) {
+            return done(err);
+          }
+
+          request(app)
+            .post('/oauth/token')
+            .type('form')
+            .send({ grant_type: 'refresh_token', refresh_token: res.body.refresh_token })
+            .expect(200)
+            .end(function(err, refreshRes) {
+              if (err) {
+                return done(err);
+              }
+
+              assert(refreshRes.body.access_token);
+              assert.notEqual(refreshRes.body.access_token, res.body.access_token);
+              done();
+            });
+        });
+    });
+  });
+
+  it('should return an invalid_grant error for an invalid refresh token', function(done) {
+    createApp({}, function(app) {
+      request(app)
+        .post('/oauth/token')
+        .type('form')
+        .send({ grant_type: 'refresh_token', refresh_token: 'invalid' })
+        .expect(400)
+        .end(function(err, res) {
+          assert.equal(res.body.error, 'invalid_grant');
+          done(err);
+        });
+    });
+  });
+
+  it('should return an unsupported_grant_type error if the grant type is disabled', function(done) {
+    createApp({ password: { enabled: false } }, function(app) {
+      request(app)
+        .post('/oauth/token')
+        .type('form')
+        .send({ grant_type: 'password', username: memoryAccountData.email, password: memoryAccountData.password })
+        .expect(400)
+        .end(function(err, res) {
+          assert.equal(res.body.error, 'unsupported_grant_type');
+          done(err);
+        });
+    });
+  });
+});
@@ -0,0 +1,137 @@
+'use strict';
+
+var assert = require('assert');
+var cheerio = require('cheerio');
+var request = require('supertest');
+
+var helpers = require('../helpers');
+var oauth = require('../../lib/oauth');
+
+describe('githubLogin', function() {
+  var app;
+  var exchangeAuthCodeForAccessToken = oauth.gitHub.exchangeAuthCodeForAccessToken;
+
+  function callback(query, stateCookie) {
+    var req = request(app)
+      .get('/callbacks/github' + query)
+      .set('Accept', 'application/json');
+
+    if (stateCookie) {
+      req.set('Cookie', 'oauthStateToken=' + stateCookie);
+    }
+
+    return req;
+  }
+
+  beforeEach(function(done) {
+    // The code exchange is a request to GitHub, so it's replaced with a fake
+    // one which turns the code into an access token.
+    oauth.gitHub.exchangeAuthCodeForAccessToken = function(req, config, callback) {
+      if (req.query.code === 'expired') {
+        return callback(new Error('The code passed is incorrect or expired.'));
+      }
+
+      callback(null, 'token-' + req.query.code);
+    };
+
+    app = helpers.createMemoryExpressApp({
+      socialProviders: {
+        facebook: { enabled: false },
+        google: { enabled: false },
+        linkedin: { enabled: false },
+        // No URIs: the SDK has no defaults for GitHub, so these tests use
+        // ours (`/authorize/github` and `/callbacks/github`).
+        github: {
+          enabled: true,
+          clientId: 'github-client-id',
+          clientSecret: 'github-client-secret'
+        }
+      },
+      web: {
+        login: {
+          enabled: true
+        },
+        me: {
+          enabled: true
+        }
+      }
+    }, {
+      socialProviders: {
+        github: function(providerData, callback) {
+          assert.equal(providerData.accessToken, 'token-abc');
+          callback(null, { id: 42, email: 'octocat@test.com', givenName: 'Mona', surname: 'Lisa' });
+        }
+      }
+    });
+
+    app.on('stormpath.ready', function() {
+      done();
+    });
+  });
+
+  afterEach(function() {
+    oauth.gitHub.exchangeAuthCodeForAccessToken = exchangeAuthCodeForAccessToken;
+  });
+
+  it('should render a GitHub button on the login page', function(done) {
+    request(app)
+      .get('/login')
+      .set('Accept', 'text/html')
+      .expect(200)
+      .end(function(err, res) {
+        if (err) {
+          return done(err);
+        }
+
+        var $ = cheerio.load(res.text);
+
+        assert.equal($('.btn-github').attr('href'), '/authorize/github');
+        done();
+      });
+  });
+
+  it('should require a code', function(done) {
+    callback('?state=xyz', 'xyz').expect(400, done);
+  });
+
+  it('should require a matching state token', function(done) {
+    callback('?code=abc&state=xyz', 'other')
+      .expect(400)
+      .end(function(err, res) {
+        assert.equal(res.body.message, 'Invalid state token provided.');
+        done(err);
+      });
+  });
+
+  it('should reject a code which can\'t be exchanged', function(done) {
+    callback('?code=expired&state=xyz', 'xyz')
+      .expect(400)
+      .end(function(err, res) {
+        assert.equal(res.body.message, 'Unable to log in with GitHub.');
+        done(err);
+      });
+  });
+
+  it('should log the user in', function(done) {
+    var agent = request.agent(app);
+
+    agent
+      .get('/callbacks/github?code=abc&state=xyz')
+      .set('Cookie', 'oauthStateToken=xyz')
+      .expect(302)
+      .end(function(err) {
+        if (err) {
+          return done(err);
+        }
+
+        agent
+          .get('/me')
+          .set('Accept', 'application/json')
+          .expect(200)
+          .end(function(err, res) {
+            assert.equal(res.body.email, 'octocat@test.com');
+            done(err);
+          });
+      });
+  });
+});
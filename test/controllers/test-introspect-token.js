@@ -0,0 +1,172 @@
+'use strict';
+
+var assert = require('assert');
+var request = require('supertest');
+var uuid = require('uuid');
+
+var helpers = require('../helpers');
+
+describe('introspectToken', function() {
+  var accountData;
+  var apiKey;
+  var app;
+
+  before(function(done) {
+    accountData = {
+      email: uuid.v4() + '@test.com',
+      password: uuid.v4()
+    };
+
+    app = helpers.createMemoryExpressApp({
+      web: {
+        oauth2: {
+          enabled: true
+        }
+      }
+    }, { accounts: [accountData] });
+
+    app.on('stormpath.ready', function() {
+      var application = app.get('stormpathApplication');
+
+      application.getAccounts({ email: accountData.email }, function(err, accounts) {
+        if (err) {
+          return done(err);
+        }
+
+        accounts.items[0].createApiKey(function(err, key) {
+          apiKey = key;
+          done(err);
+        });
+      });
+    });
+  });
+
+  function getTokens(callback) {
+    request(app)
+      .post('/oauth/token')
+      .type('form')
+      .send({ grant_type: 'password', username: accountData.email, password: accountData.password })
+      .expect(200)
+      .end(function(err, res) {
+        callback(err, res && res.body);
+      });
+  }
+
+  it('should return a 401 if no API credentials are supplied', function(done) {
+    request(app)
+      .post('/oauth/introspect')
+      .type('form')
+      .send({ token: 'invalid' })
+      .expect(401)
+      .end(done);
+  });
+
+  it('should return a 400 if no token is supplied', function(done) {
+    request(app)
+      .post('/oauth/introspect')
+      .auth(apiKey.id, apiKey.secret)
+      .type('form')
+      .expect(400)
+      .end(function(err, res) {
+        assert.equal(res.body.error, 'invalid_request');
+        done(err);
+      });
+  });
+
+  it('should report invalid tokens as inactive', function(done) {
+    request(app)
+      .post('/oauth/introspect')
+      .auth(apiKey.id, apiKey.secret)
+      .type('form')
+      .send({ token: 'invalid' })
+      .expect(200, { active: false })
+      .end(done);
+  });
+
+  it('should report valid access tokens as active', function(done) {
+    getTokens(function(err, tokens) {
+      if (err) {
+        return done(err);
+      }
+
+      request(app)
+        .post('/oauth/introspect')
+        .auth(apiKey.id, apiKey.secret)
+        .type('form')
+        .send({ token: tokens.access_token })
+        .expect(200)
+        .end(function(err, res) {
+          if (err) {
+            return done(err);
+          }
+
+          assert.equal(res.body.active, true);
+          assert.equal(res.body.token_type, 'Bearer');
+          assert.equal(res.body.username, accountData.email);
+          assert(res.body.sub);
+          assert(res.body.exp);
+          done();
+        });
+    });
+  });
+
+  it('should report client credentials tokens as active', function(done) {
+    request(app)
+      .post('/oauth/token')
+      .auth(apiKey.id, apiKey.secret)
+      .type('form')
+      .send({ grant_type: 'client_credentials' })
+      .expect(200)
+      .end(function(err, res) {
+        if (err) {
+          return done(err);
+        }
+
+        request(app)
+          .post('/oauth/introspect')
+          .auth(apiKey.id, apiKey.secret)
+          .type('form')
+          .send({ token: res.body.access_token })
+          .expect(200)
+          .end(function(err, res) {
+            if (err) {
+              return done(err);
+            }
+
+            assert.equal(res.body.active, true);
+            assert.equal(res.body.token_type, 'Bearer');
+            assert.equal(res.body.username, accountData.email);
+            assert.equal(res.body.sub, apiKey.id);
+            assert.equal(res.body.jti, undefined);
+            done();
+          });
+      });
+  });
+
+  it('should report revoked tokens as inactive', function(done) {
+    getTokens(function(err, tokens) {
+      if (err) {
+        return done(err);
+      }
+
+      request(app)
+        .post('/oauth/revoke')
+        .type('form')
+        .send({ token: tokens.access_token })
+        .expect(200)
+        .end(function(err) {
+          if (err) {
+            return done(err);
+          }
+
+          request(app)
+            .post('/oauth/introspect')
+            .auth(apiKey.id, apiKey.secret)
+            .type('form')
+            .send({ token: tokens.access_token })
+            .expect(200, { active: false })
+            .end(done);
+        });
+    });
+  });
+});
@@ -0,0 +1,220 @@
+'use strict';
+
+var assert = require('assert');
+var request = require('supertest');
+var uuid = require('uuid');
+
+var helpers = require('../helpers');
+var stormpath = require('../../index');
+
+describe('invite-only registration', function() {
+  var app;
+  var accountData;
+
+  function register(data) {
+    return request(app)
+      .post('/register')
+      .set('Accept', 'application/json')
+      .send(data);
+  }
+
+  function getGroupNames(email, callback) {
+    app.get('stormpathApplication').getAccounts({ email: email }, function(err, accounts) {
+      if (err) {
+        return callback(err);
+      }
+
+      accounts.items[0].getGroups(function(err, groups) {
+        callback(err, groups && groups.items.map(function(group) {
+          return group.name;
+        }));
+      });
+    });
+  }
+
+  beforeEach(function(done) {
+    accountData = {
+      email: uuid.v4() + '@test.com',
+      password: 'Passw0rd!' + uuid.v4(),
+      givenName: 'Jane',
+      surname: 'Doe'
+    };
+
+    app = helpers.createMemoryExpressApp({
+      web: {
+        register: {
+          enabled: true,
+          invite: {
+            enabled: true
+          }
+        }
+      }
+    }, { groups: [{ name: 'beta', description: 'Beta testers' }] });
+
+    app.on('stormpath.ready', function() {
+      done();
+    });
+  });
+
+  it('should require an invitation', function(done) {
+    register(accountData)
+      .expect(400)
+      .end(function(err, res) {
+        assert.equal(res.body.error, 'An invitation is required to create an account.');
+        done(err);
+      });
+  });
+
+  it('should reject an invalid invitation', function(done) {
+    accountData.invite = 'not-a-token';
+
+    register(accountData)
+      .expect(400)
+      .end(function(err, res) {
+        assert.equal(res.body.error, 'This invitation is invalid or has expired.');
+        done(err);
+      });
+  });
+
+  it('should create the account and add it to the groups of the invitation', function(done) {
+    accountData.invite = stormpath.createInvitation(app, { groups: ['beta'] });
+
+    register(accountData)
+      .expect(200)
+      .end(function(err, res) {
+        if (err) {
+          return done(err);
+        }
+
+        assert.equal(res.body.email, accountData.email);
+        assert.equal(res.body.customData.invite, undefined);
+
+        getGroupNames(accountData.email, function(err, names) {
+          assert.deepEqual(names, ['beta']);
+          done(err);
+        });
+      });
+  });
+
+  it('should only accept an invitation once', function(done) {
+    var invite = stormpath.createInvitation(app);
+
+    accountData.invite = invite;
+
+    register(accountData)
+      .expect(200)
+      .end(function(err) {
+        if (err) {
+          return done(err);
+        }
+
+        register({ email: uuid.v4() + '@test.com', password: accountData.password, givenName: 'John', surname: 'Doe', invite: invite })
+          .expect(400)
+          .end(function(err, res) {
+            assert.equal(res.body.error, 'This invitation has already been used.');
+            done(err);
+          });
+      });
+  });
+
+  it('should release the invitation if the account can\'t be created', function(done) {
+    var invite = stormpath.createInvitation(app);
+
+    accountData.invite = stormpath.createInvitation(app);
+
+    register(accountData)
+      .expect(200)
+      .end(function(err) {
+        if (err) {
+          return done(err);
+        }
+
+        // The email address is taken now, so this fails.
+        accountData.invite = invite;
+
+        register(accountData)
+          .expect(400)
+          .end(function(err) {
+            if (err) {
+              return done(err);
+            }
+
+            accountData.email = uuid.v4() + '@test.com';
+            register(accountData).expect(200, done);
+          });
+      });
+  });
+
+  it('should only accept an invitation bound to an email for that email', function(done) {
+    accountData.invite = stormpath.createInvitation(app, { email: 'someone.else@test.com' });
+
+    register(accountData)
+      .expect(400)
+      .end(function(err, res) {
+        if (err) {
+          return done(err);
+        }
+
+        assert.equal(res.body.error, 'This invitation was sent to another email address.');
+
+        accountData.invite = stormpath.createInvitation(app, { email: accountData.email.toUpperCase() });
+        register(accountData).expect(200, done);
+      });
+  });
+
+  it('should not create accounts through social login', function(done) {
+    var socialApp = helpers.createMemoryExpressApp({
+      socialProviders: {
+        facebook: { enabled: true, clientId: 'facebook-client-id', callbackUri: '/callbacks/facebook' },
+        google: { enabled: false },
+        linkedin: { enabled: false }
+      },
+      web: {
+        register: {
+          invite: {
+            enabled: true
+          }
+        }
+      }
+    }, {
+      socialProviders: {
+        facebook: function(providerData, callback) {
+          callback(null, { id: 1, email: accountData.email, givenName: 'Jane', surname: 'Doe' });
+        }
+      }
+    });
+
+    socialApp.on('stormpath.ready', function() {
+      request(socialApp)
+        .get('/callbacks/facebook?access_token=abc&state=xyz')
+        .set('Cookie', 'oauthStateToken=xyz')
+        .set('Accept', 'application/json')
+        .expect(403)
+        .end(function(err, res) {
+          if (err) {
+            return done(err);
+          }
+
+          assert.equal(res.body.message, 'An invitation is required to create an account.');
+
+          socialApp.get('stormpathApplication').getAccounts({ email: accountData.email }, function(err, accounts) {
+            assert.equal(accounts.items.length, 0);
+            done(err);
+          });
+        });
+    });
+  });
+
+  it('should put the invitation of the link in the registration form', function(done) {
+    var invite = stormpath.createInvitation(app);
+
+    request(app)
+      .get('/register?invite=' + encodeURIComponent(invite))
+      .set('Accept', 'text/html')
+      .expect(200)
+      .end(function(err, res) {
+        assert.notEqual(res.text.indexOf('name="invite" value="' + invite + '"'), -1);
+        done(err);
+      });
+  });
+});
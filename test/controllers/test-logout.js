@@ -1,7 +1,10 @@
 'use strict';
 
+var assert = require('assert');
+
 var express = require('express');
 var request = require('supertest');
+var uuid = require('uuid');
 
 var helpers = require('../helpers');
 var stormpath = require('../../index');
@@ -53,3 +56,149 @@ describe('logout', function() {
       .end(done);
   });
 });
+
+describe('logout token revocation', function() {
+  var accountData;
+  var memoryApp;
+
+  before(function(done) {
+    accountData = {
+      email: uuid.v4() + '@test.com',
+      password: uuid.v4()
+    };
+
+    memoryApp = helpers.createMemoryExpressApp({
+      web: {
+        login: {
+          enabled: true
+        },
+        logout: {
+          enabled: true
+        }
+      }
+    }, { accounts: [accountData] });
+
+    memoryApp.on('stormpath.ready', done);
+  });
+
+  function login(callback) {
+    request(memoryApp)
+      .post('/login')
+      .set('Accept', 'application/json')
+      .send({ username: accountData.email, password: accountData.password })
+      .expect(200)
+      .end(function(err, res) {
+        if (err) {
+          return callback(err);
+        }
+
+        callback(null, res.headers['set-cookie'].map(function(cookie) {
+          return cookie.split(';')[0];
+        }).join('; '));
+      });
+  }
+
+  it('should revoke the session tokens', function(done) {
+    var backend = memoryApp.get('stormpathClient');
+
+    login(function(err, cookies) {
+      if (err) {
+        return done(err);
+      }
+
+      var issued = Object.keys(backend.store.oauthTokens).length;
+
+      request(memoryApp)
+        .get('/logout')
+        .set('Cookie', cookies)
+        .expect(302)
+        .end(function(err) {
+          if (err) {
+            return done(err);
+          }
+
+          assert.equal(Object.keys(backend.store.oauthTokens).length, issued - 2);
+          done();
+        });
+    });
+  });
+
+  it('should return a 200 for JSON POST requests', function(done) {
+    login(function(err, cookies) {
+      if (err) {
+        return done(err);
+      }
+
+      request(memoryApp)
+        .post('/logout')
+        .set('Accept', 'application/json')
+        .set('Cookie', cookies)
+        .expect(200)
+        .expect('Set-Cookie', /access_token=;/)
+        .end(done);
+    });
+  });
+
+  it('should revoke every token of the account when logging out everywhere', function(done) {
+    var backend = memoryApp.get('stormpathClient');
+
+    login(function(err) {
+      if (err) {
+        return done(err);
+      }
+
+      login(function(err, cookies) {
+        if (err) {
+          return done(err);
+        }
+
+        request(memoryApp)
+          .post('/logout')
+          .set('Accept', 'application/json')
+          .set('Cookie', cookies)
+          .send({ everywhere: true })
+          .expect(200)
+          .end(function(err) {
+            if (err) {
+              return done(err);
+            }
+
+            assert.equal(Object.keys(backend.store.oauthTokens).length, 0);
+            done();
+          });
+      });
+    });
+  });
+
+  it('should not log out everywhere on GET requests', function(done) {
+    var backend = memoryApp.get('stormpathClient');
+
+    login(function(err) {
+      if (err) {
+        return done(err);
+      }
+
+      var issued = Object.keys(backend.store.oauthTokens).length;
+
+      login(function(err, cookies) {
+        if (err) {
+          return done(err);
+        }
+
+        request(memoryApp)
+          .get('/logout?everywhere=true')
+          .set('Cookie', cookies)
+          .expect(302)
+          .end(function(err) {
+            if (err) {
+              return done(err);
+            }
+
+            // Only the tokens of this session are revoked.
+            assert.equal(Object.keys(backend.store.oauthTokens).length, issued);
+            done();
+          });
+      });
+    });
+  });
+});
@@ -0,0 +1,153 @@
+'use strict';
+
+var assert = require('assert');
+var request = require('supertest');
+var uuid = require('uuid');
+
+var helpers = require('../helpers');
+
+describe('me', function() {
+  var accountData;
+
+  function getMe(meConfig, done) {
+    var app = helpers.createMemoryExpressApp({
+      web: {
+        login: {
+          enabled: true
+        },
+        me: meConfig
+      }
+    }, { accounts: [accountData] });
+
+    app.on('stormpath.ready', function() {
+      var agent = request.agent(app);
+
+      agent
+        .post('/login')
+        .set('Accept', 'application/json')
+        .send({ username: accountData.email, password: accountData.password })
+        .expect(200)
+        .end(function(err) {
+          if (err) {
+            return done(err);
+          }
+
+          agent
+            .get('/me')
+            .set('Accept', 'application/json')
+            .expect(200)
+            .end(function(err, res) {
+              done(err, res && res.body);
+            });
+        });
+    });
+  }
+
+  beforeEach(function() {
+    accountData = {
+      email: uuid.v4() + '@test.com',
+      password: uuid.v4(),
+      givenName: 'Jane',
+      surname: 'Doe',
+      customData: {
+        color: 'blue',
+        socialIdentities: {
+          github: {
+            href: 'memory://accounts/github',
+            email: 'jane@github.com'
+          }
+        },
+        totp: {
+          enabled: true,
+          secret: 'JBSWY3DPEHPK3PXP'
+        }
+      }
+    };
+  });
+
+  it('should return the whole account by default', function(done) {
+    getMe({ enabled: true }, function(err, body) {
+      if (err) {
+        return done(err);
+      }
+
+      assert.equal(body.givenName, 'Jane');
+      assert(body.href);
+      assert(body.customData.href);
+      assert(body.directory);
+      done();
+    });
+  });
+
+  it('should only return the configured fields and expansions', function(done) {
+    getMe({ enabled: true, fields: ['email', 'givenName'], expand: { customData: true } }, function(err, body) {
+      if (err) {
+        return done(err);
+      }
+
+      assert.deepEqual(Object.keys(body).sort(), ['customData', 'email', 'givenName']);
+      assert.equal(body.customData.color, 'blue');
+      assert.equal(body.customData.totp, undefined);
+      done();
+    });
+  });
+
+  it('should leave out the hidden fields', function(done) {
+    getMe({ enabled: true, expand: { customData: true } }, function(err, body) {
+      if (err) {
+        return done(err);
+      }
+
+      assert.equal(body.customData.color, 'blue');
+      assert.equal(body.customData.socialIdentities, undefined);
+      assert.equal(body.customData.totp, undefined);
+      done();
+    });
+  });
+
+  it('should leave out the configured hidden fields', function(done) {
+    getMe({ enabled: true, expand: { customData: true }, hiddenFields: ['status', 'customData.color'] }, function(err, body) {
+      if (err) {
+        return done(err);
+      }
+
+      assert.equal(body.status, undefined);
+      assert.equal(body.customData.color, undefined);
+      assert.equal(body.customData.totp, undefined);
+      done();
+    });
+  });
+
+  it('should leave out the hrefs if requested', function(done) {
+    getMe({ enabled: true, expand: { customData: true }, hrefs: false }, function(err, body) {
+      if (err) {
+        return done(err);
+      }
+
+      assert.equal(body.href, undefined);
+      assert.equal(body.customData.href, undefined);
+      assert.equal(body.customData.color, 'blue');
+      assert.equal(body.directory, undefined);
+      done();
+    });
+  });
+
+  it('should use the serializer if provided', function(done) {
+    var serializer = function(account, req) {
+      assert(req.user);
+      assert.equal(account.customData.color, 'blue');
+      assert.equal(account.customData.socialIdentities, undefined);
+      assert.equal(account.customData.totp, undefined);
+      return { name: account.givenName + ' ' + account.surname };
+    };
+
+    getMe({ enabled: true, expand: { customData: true }, serializer: serializer }, function(err, body) {
+      if (err) {
+        return done(err);
+      }
+
+      assert.deepEqual(body, { name: 'Jane Doe' });
+      done();
+    });
+  });
+});
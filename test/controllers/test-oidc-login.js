@@ -0,0 +1,521 @@
+'use strict';
+
+var assert = require('assert');
+var bodyParser = require('body-parser');
+var cheerio = require('cheerio');
+var crypto = require('crypto');
+var express = require('express');
+var request = require('supertest');
+var url = require('url');
+var uuid = require('uuid');
+
+var helpers = require('../helpers');
+var totp = require('../../lib/helpers').totp;
+
+function base64UrlEncode(value) {
+  return new Buffer(value).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+describe('OpenID Connect login', function() {
+  var app;
+  var codes = {};
+  var issuer;
+  var johnPassword = uuid.v4() + 'Aa1!';
+  var keys = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  var otherKeys = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  var server;
+
+  function signIdToken(claims, privateKey) {
+    var input = base64UrlEncode(JSON.stringify({ alg: 'RS256', kid: 'key-1' })) + '.' + base64UrlEncode(JSON.stringify(claims));
+    var signature = crypto.createSign('RSA-SHA256').update(input).sign(privateKey || keys.privateKey);
+
+    return input + '.' + base64UrlEncode(signature);
+  }
+
+  // Start a login, and have the issuer issue a code for the authorization
+  // request.  The claims can be altered with `options.claims`, and the ID token
+  // signed with another key with `options.privateKey`.
+  function authorize(agent, options, callback) {
+    agent
+      .get('/authorize/acme')
+      .expect(302)
+      .end(function(err, res) {
+        if (err) {
+          return callback(err);
+        }
+
+        var query = url.parse(res.headers.location, true).query;
+        var code = uuid.v4();
+        var claims = {
+          iss: issuer,
+          aud: 'acme-client-id',
+          sub: 'user-1',
+          exp: Math.floor(Date.now() / 1000) + 300,
+          iat: Math.floor(Date.now() / 1000),
+          nonce: query.nonce,
+          email: 'jane@acme.com',
+          email_verified: true,
+          given_name: 'Jane',
+          family_name: 'Doe'
+        };
+
+        Object.keys(options.claims || {}).forEach(function(key) {
+          claims[key] = options.claims[key];
+        });
+
+        codes[code] = {
+          challenge: query.code_challenge,
+          idToken: signIdToken(claims, options.privateKey)
+        };
+
+        callback(null, query, code);
+      });
+  }
+
+  function login(agent, options, callback) {
+    authorize(agent, options, function(err, query, code) {
+      if (err) {
+        return callback(err);
+      }
+
+      agent
+        .get('/callbacks/acme?code=' + code + '&state=' + query.state)
+        .set('Accept', 'application/json')
+        .end(callback);
+    });
+  }
+
+  function getCustomData(email, callback) {
+    app.get('stormpathApplication').getAccounts({ email: email }, function(err, accounts) {
+      if (err) {
+        return callback(err);
+      }
+
+      accounts.items[0].getCustomData(callback);
+    });
+  }
+
+  before(function(done) {
+    var provider = express();
+
+    provider.get('/.well-known/openid-configuration', function(req, res) {
+      res.json({
+        issuer: issuer,
+        authorization_endpoint: issuer + '/authorize',
+        token_endpoint: issuer + '/token',
+        jwks_uri: issuer + '/jwks'
+      });
+    });
+
+    provider.get('/jwks', function(req, res) {
+      var jwk = keys.publicKey.export({ format: 'jwk' });
+
+      jwk.kid = 'key-1';
+      jwk.use = 'sig';
+      res.json({ keys: [jwk] });
+    });
+
+    provider.post('/token', bodyParser.urlencoded({ extended: false }), function(req, res) {
+      var grant = codes[req.body.code];
+      var challenge = crypto.createHash('sha256').update(req.body.code_verifier || '').digest('base64')
+        .replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+
+      delete codes[req.body.code];
+
+      if (req.headers.authorization !== 'Basic ' + new Buffer('acme-client-id:acme-client-secret').toString('base64')) {
+        return res.status(401).json({ error: 'invalid_client' });
+      }
+
+      if (!grant || grant.challenge !== challenge) {
+        return res.status(400).json({ error: 'invalid_grant' });
+      }
+
+      res.json({ access_token: uuid.v4(), token_type: 'Bearer', id_token: grant.idToken });
+    });
+
+    server = provider.listen(0, '127.0.0.1', function() {
+      issuer = 'http://127.0.0.1:' + server.address().port;
+      done();
+    });
+  });
+
+  after(function(done) {
+    server.close(done);
+  });
+
+  function createApp(registerConfig, done) {
+    app = helpers.createMemoryExpressApp({
+      oidcProviders: {
+        acme: {
+          name: 'Acme SSO',
+          issuer: issuer,
+          clientId: 'acme-client-id',
+          clientSecret: 'acme-client-secret'
+        }
+      },
+      socialProviders: {
+        facebook: { enabled: false },
+        google: { enabled: false },
+        linkedin: { enabled: false }
+      },
+      web: {
+        connectedAccounts: {
+          enabled: true
+        },
+        login: {
+          enabled: true
+        },
+        me: {
+          enabled: true
+        },
+        register: registerConfig,
+        totp: {
+          enabled: true
+        }
+      }
+    }, {
+      accounts: [{ email: 'john@acme.com', password: johnPassword, givenName: 'John', surname: 'Doe' }]
+    });
+
+    app.on('stormpath.ready', function() {
+      done();
+    });
+  }
+
+  beforeEach(function(done) {
+    createApp({ enabled: true }, done);
+  });
+
+  it('should render a button for each provider on the login page', function(done) {
+    request(app)
+      .get('/login')
+      .set('Accept', 'text/html')
+      .expect(200)
+      .end(function(err, res) {
+        if (err) {
+          return done(err);
+        }
+
+        var $ = cheerio.load(res.text);
+
+        assert.equal($('a.btn-oidc').attr('href'), '/authorize/acme');
+        assert.equal($('a.btn-oidc').text(), 'Acme SSO');
+        done();
+      });
+  });
+
+  it('should redirect to the provider with a state, a nonce and a PKCE challenge', function(done) {
+    authorize(request.agent(app), {}, function(err, query) {
+      if (err) {
+        return done(err);
+      }
+
+      assert.equal(query.response_type, 'code');
+      assert.equal(query.client_id, 'acme-client-id');
+      assert.equal(query.scope, 'openid email profile');
+      assert.equal(query.code_challenge_method, 'S256');
+      assert(query.state);
+      assert(query.nonce);
+      assert(query.code_challenge);
+      assert(/\/callbacks\/acme$/.test(query.redirect_uri));
+      done();
+    });
+  });
+
+  it('should create an account and log the user in', function(done) {
+    var agent = request.agent(app);
+
+    login(agent, {}, function(err, res) {
+      if (err) {
+        return done(err);
+      }
+
+      assert.equal(res.status, 302);
+
+      agent
+        .get('/me')
+        .set('Accept', 'application/json')
+        .expect(200)
+        .end(function(err, res) {
+          if (err) {
+            return done(err);
+          }
+
+          assert.equal(res.body.email, 'jane@acme.com');
+          assert.equal(res.body.givenName, 'Jane');
+
+          getCustomData('jane@acme.com', function(err, customData) {
+            if (err) {
+              return done(err);
+            }
+
+            assert.equal(customData.socialIdentities.acme.sub, 'user-1');
+            assert.equal(customData.socialIdentities.acme.email, 'jane@acme.com');
+            done();
+          });
+        });
+    });
+  });
+
+  it('should not create accounts when registration is disabled or invite-only', function(done) {
+    createApp({ enabled: false }, function() {
+      login(request.agent(app), {}, function(err, res) {
+        if (err) {
+          return done(err);
+        }
+
+        assert.equal(res.status, 403);
+        assert.equal(res.body.message, 'Registration is disabled.');
+
+        createApp({ enabled: true, invite: { enabled: true } }, function() {
+          login(request.agent(app), {}, function(err, res) {
+            if (err) {
+              return done(err);
+            }
+
+            assert.equal(res.status, 403);
+            assert.equal(res.body.message, 'An invitation is required to create an account.');
+
+            app.get('stormpathApplication').getAccounts({ email: 'jane@acme.com' }, function(err, accounts) {
+              assert.equal(accounts.items.length, 0);
+              done(err);
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('should not log into an account with the same email address it isn\'t connected to', function(done) {
+    login(request.agent(app), { claims: { email: 'john@acme.com', sub: 'user-2' } }, function(err, res) {
+      if (err) {
+        return done(err);
+      }
+
+      assert.equal(res.status, 409);
+      assert.deepEqual(res.body.conflict, { email: 'john@acme.com', provider: 'acme' });
+
+      getCustomData('john@acme.com', function(err, customData) {
+        assert.equal(customData.socialIdentities, undefined);
+        done(err);
+      });
+    });
+  });
+
+  it('should connect the provider from the connected accounts page, then log in with it', function(done) {
+    var agent = request.agent(app);
+
+    agent
+      .post('/login')
+      .set('Accept', 'application/json')
+      .send({ username: 'john@acme.com', password: johnPassword })
+      .expect(200)
+      .end(function(err) {
+        if (err) {
+          return done(err);
+        }
+
+        agent
+          .get('/connected-accounts')
+          .set('Accept', 'text/html')
+          .expect(200)
+          .end(function(err, res) {
+            if (err) {
+              return done(err);
+            }
+
+            assert.equal(cheerio.load(res.text)('.provider-acme a.btn-oidc').attr('href'), '/authorize/acme');
+
+            // The email address of the identity doesn't have to match.
+            login(agent, { claims: { email: 'john@example.com', sub: 'user-2' } }, function(err, res) {
+              if (err) {
+                return done(err);
+              }
+
+              assert.equal(res.status, 302);
+              assert.equal(res.headers.location, '/connected-accounts');
+
+              var otherAgent = request.agent(app);
+
+              // Logins find the account by the `sub` of the identity, whatever
+              // its email address.
+              login(otherAgent, { claims: { email: 'john.doe@example.com', sub: 'user-2' } }, function(err, res) {
+                if (err) {
+                  return done(err);
+                }
+
+                assert.equal(res.status, 302);
+
+                otherAgent
+                  .get('/me')
+                  .set('Accept', 'application/json')
+                  .expect(200)
+                  .end(function(err, res) {
+                    if (err) {
+                      return done(err);
+                    }
+
+                    assert.equal(res.body.givenName, 'John');
+
+                    login(request.agent(app), { claims: { email: 'john@acme.com', sub: 'user-3' } }, function(err, res) {
+                      if (err) {
+                        return done(err);
+                      }
+
+                      assert.equal(res.status, 409);
+                      assert.deepEqual(res.body.conflict, { email: 'john@acme.com', provider: 'acme' });
+
+                      agent
+                        .post('/connected-accounts')
+                        .set('Accept', 'application/json')
+                        .send({ disconnect: 'acme' })
+                        .expect(200)
+                        .end(function(err, res) {
+                          assert.deepEqual(res.body.identities, {});
+                          done(err);
+                        });
+                    });
+                  });
+              });
+            });
+          });
+      });
+  });
+
+  it('should require the one-time password of the account', function(done) {
+    var secret = totp.generateSecret();
+
+    login(request.agent(app), {}, function(err) {
+      if (err) {
+        return done(err);
+      }
+
+      getCustomData('jane@acme.com', function(err, customData) {
+        if (err) {
+          return done(err);
+        }
+
+        customData.totp = { enabled: true, secret: secret, recoveryCodes: [] };
+        customData.save(function(err) {
+          if (err) {
+            return done(err);
+          }
+
+          login(request.agent(app), {}, function(err, res) {
+            assert.equal(res.status, 401);
+            assert.equal(res.body.totpRequired, true);
+            done(err);
+          });
+        });
+      });
+    });
+  });
+
+  it('should reject an unverified email address', function(done) {
+    login(request.agent(app), { claims: { email_verified: false } }, function(err, res) {
+      assert.equal(res.status, 400);
+      assert.equal(res.body.message, 'Your email address isn\'t verified by Acme SSO.');
+      done(err);
+    });
+  });
+
+  it('should reject a mismatched state', function(done) {
+    var agent = request.agent(app);
+
+    authorize(agent, {}, function(err, query, code) {
+      if (err) {
+        return done(err);
+      }
+
+      agent
+        .get('/callbacks/acme?code=' + code + '&state=other')
+        .set('Accept', 'application/json')
+        .expect(400)
+        .end(function(err, res) {
+          assert.equal(res.body.message, 'Invalid state token provided.');
+          done(err);
+        });
+    });
+  });
+
+  it('should reject a callback without the transaction cookie', function(done) {
+    authorize(request.agent(app), {}, function(err, query, code) {
+      if (err) {
+        return done(err);
+      }
+
+      request(app)
+        .get('/callbacks/acme?code=' + code + '&state=' + query.state)
+        .expect(400, done);
+    });
+  });
+
+  it('should reject an ID token signed with another key', function(done) {
+    login(request.agent(app), { privateKey: otherKeys.privateKey }, function(err, res) {
+      assert.equal(res.status, 400);
+      assert.equal(res.body.message, 'Unable to log in with Acme SSO.');
+      done(err);
+    });
+  });
+
+  it('should fetch the key set again when the signature doesn\'t match', function(done) {
+    var previousKeys = keys;
+
+    function finish(err) {
+      keys = previousKeys;
+      done(err);
+    }
+
+    login(request.agent(app), {}, function(err, res) {
+      if (err) {
+        return finish(err);
+      }
+
+      assert.equal(res.status, 302);
+
+      // The provider replaces its key, and keeps its id.
+      keys = otherKeys;
+
+      login(request.agent(app), {}, function(err, res) {
+        if (err) {
+          return finish(err);
+        }
+
+        assert.equal(res.status, 302);
+        finish();
+      });
+    });
+  });
+
+  it('should reject an ID token with another nonce, audience or issuer', function(done) {
+    var agent = request.agent(app);
+
+    login(agent, { claims: { nonce: 'other' } }, function(err, res) {
+      if (err) {
+        return done(err);
+      }
+
+      assert.equal(res.status, 400);
+
+      login(agent, { claims: { aud: 'other-client-id' } }, function(err, res) {
+        if (err) {
+          return done(err);
+        }
+
+        assert.equal(res.status, 400);
+
+        login(agent, { claims: { iss: 'https://evil.example.com' } }, function(err, res) {
+          assert.equal(res.status, 400);
+          done(err);
+        });
+      });
+    });
+  });
+
+  it('should reject an expired ID token', function(done) {
+    login(request.agent(app), { claims: { exp: Math.floor(Date.now() / 1000) - 3600 } }, function(err, res) {
+      assert.equal(res.status, 400);
+      done(err);
+    });
+  });
+});
@@ -0,0 +1,176 @@
+'use strict';
+
+var assert = require('assert');
+var cheerio = require('cheerio');
+var request = require('supertest');
+var uuid = require('uuid');
+
+var helpers = require('../helpers');
+
+describe('password policy', function() {
+  var accountData;
+  var agent;
+  var app;
+
+  function getRules(res) {
+    return res.body.errors.map(function(error) {
+      return error.rule;
+    });
+  }
+
+  beforeEach(function(done) {
+    accountData = {
+      email: uuid.v4() + '@test.com',
+      password: 'Current-Passw0rd',
+      givenName: 'Jane',
+      surname: 'Doe'
+    };
+
+    app = helpers.createMemoryExpressApp({
+      web: {
+        changePassword: {
+          enabled: true
+        },
+        forgotPassword: {
+          enabled: true
+        },
+        login: {
+          enabled: true
+        },
+        passwordPolicy: {
+          enabled: true,
+          minLength: 10,
+          requireNumber: true,
+          bannedPasswords: ['Acme-Rocks-1']
+        },
+        register: {
+          enabled: true
+        },
+        updatePassword: {
+          enabled: true
+        }
+      }
+    }, { accounts: [accountData] });
+
+    app.on('stormpath.ready', function() {
+      agent = request.agent(app);
+      agent
+        .post('/login')
+        .set('Accept', 'application/json')
+        .send({ username: accountData.email, password: accountData.password })
+        .expect(200)
+        .end(done);
+    });
+  });
+
+  it('should serve the policy to JSON clients', function(done) {
+    request(app)
+      .get('/password-policy')
+      .set('Accept', 'application/json')
+      .expect(200)
+      .end(function(err, res) {
+        if (err) {
+          return done(err);
+        }
+
+        assert.equal(res.body.enabled, true);
+        assert.equal(res.body.minLength, 10);
+        assert.equal(res.body.bannedPasswords, undefined);
+        assert.deepEqual(res.body.rules.map(function(rule) {
+          return rule.rule;
+        }), ['minLength', 'maxLength', 'requireNumber', 'rejectCommon', 'rejectEmail']);
+        done();
+      });
+  });
+
+  it('should reject a registration with every broken rule', function(done) {
+    request(app)
+      .post('/register')
+      .set('Accept', 'application/json')
+      .send({ email: 'john@test.com', password: 'john', givenName: 'John', surname: 'Doe' })
+      .expect(400)
+      .end(function(err, res) {
+        if (err) {
+          return done(err);
+        }
+
+        assert.equal(res.body.error, 'Your password must be at least 10 characters long.');
+        assert.deepEqual(getRules(res), ['minLength', 'requireNumber', 'rejectEmail']);
+        done();
+      });
+  });
+
+  it('should list the rules and the broken ones on the registration page', function(done) {
+    request(app)
+      .post('/register')
+      .set('Accept', 'text/html')
+      .type('form')
+      .send({ email: 'john@test.com', password: 'acme-rocks-1', givenName: 'John', surname: 'Doe' })
+      .expect(200)
+      .end(function(err, res) {
+        if (err) {
+          return done(err);
+        }
+
+        var $ = cheerio.load(res.text);
+
+        assert.equal($('.password-policy li').length, 5);
+        assert.equal($('.alert-danger p').text(), 'Your password is too common.  Please choose another one.');
+        done();
+      });
+  });
+
+  it('should reject a password change which breaks the policy', function(done) {
+    agent
+      .post('/password')
+      .set('Accept', 'application/json')
+      .send({ currentPassword: accountData.password, password: 'password1' })
+      .expect(400)
+      .end(function(err, res) {
+        if (err) {
+          return done(err);
+        }
+
+        assert.deepEqual(getRules(res), ['minLength', 'rejectCommon']);
+
+        agent
+          .post('/password')
+          .set('Accept', 'application/json')
+          .send({ currentPassword: accountData.password, password: 'Another-Passw0rd' })
+          .expect(200)
+          .end(done);
+      });
+  });
+
+  it('should reject a password reset which breaks the policy', function(done) {
+    var backend = app.get('stormpathClient');
+
+    app.get('stormpathApplication').sendPasswordResetEmail({ email: accountData.email }, function(err) {
+      if (err) {
+        return done(err);
+      }
+
+      var sptoken = backend.outbox.pop().token;
+
+      request(app)
+        .post('/change?sptoken=' + sptoken)
+        .set('Accept', 'application/json')
+        .send({ password: 'no-numbers-here' })
+        .expect(400)
+        .end(function(err, res) {
+          if (err) {
+            return done(err);
+          }
+
+          assert.deepEqual(getRules(res), ['requireNumber']);
+
+          request(app)
+            .post('/change?sptoken=' + sptoken)
+            .set('Accept', 'application/json')
+            .send({ password: 'With-Numbers-42' })
+            .expect(200)
+            .end(done);
+        });
+    });
+  });
+});
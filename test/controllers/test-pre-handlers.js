@@ -0,0 +1,196 @@
+'use strict';
+
+var assert = require('assert');
+var request = require('supertest');
+var uuid = require('uuid');
+
+var helpers = require('../helpers');
+
+describe('pre handlers', function() {
+  var accountData;
+
+  function createApp(config, done) {
+    config.web = {
+      login: {
+        enabled: true
+      },
+      oauth2: {
+        enabled: true
+      },
+      register: {
+        enabled: true
+      }
+    };
+
+    var app = helpers.createMemoryExpressApp(config, { accounts: [accountData] });
+
+    app.on('stormpath.ready', function() {
+      done(app);
+    });
+  }
+
+  beforeEach(function() {
+    accountData = {
+      email: uuid.v4() + '@test.com',
+      password: uuid.v4(),
+      givenName: 'Jane',
+      surname: 'Doe'
+    };
+  });
+
+  describe('preLoginHandler', function() {
+    var preLoginHandler = function(data, req, res, next) {
+      if (req.body.captcha !== 'ok') {
+        return next(new Error('Please complete the captcha.'));
+      }
+
+      data.username = data.username.replace(/^login:/, '');
+      next();
+    };
+
+    it('should reject a login before authenticating', function(done) {
+      createApp({ preLoginHandler: preLoginHandler }, function(app) {
+        request(app)
+          .post('/login')
+          .set('Accept', 'application/json')
+          .send({ username: accountData.email, password: accountData.password })
+          .expect(400)
+          .end(function(err, res) {
+            assert.equal(res.body.error, 'Please complete the captcha.');
+            done(err);
+          });
+      });
+    });
+
+    it('should let the handler change the credentials', function(done) {
+      createApp({ preLoginHandler: preLoginHandler }, function(app) {
+        request(app)
+          .post('/login')
+          .set('Accept', 'application/json')
+          .send({ username: 'login:' + accountData.email, password: accountData.password, captcha: 'ok' })
+          .expect(200)
+          .end(done);
+      });
+    });
+
+    it('should reject logins from the login page', function(done) {
+      createApp({ preLoginHandler: preLoginHandler }, function(app) {
+        request(app)
+          .post('/login')
+          .type('form')
+          .send({ login: accountData.email, password: accountData.password })
+          .expect(400)
+          .end(function(err, res) {
+            assert(res.text.indexOf('Please complete the captcha.') > -1);
+            done(err);
+          });
+      });
+    });
+
+    it('should reject the OAuth password grant', function(done) {
+      createApp({ preLoginHandler: preLoginHandler }, function(app) {
+        request(app)
+          .post('/oauth/token')
+          .type('form')
+          .send({ grant_type: 'password', username: accountData.email, password: accountData.password })
+          .expect(400)
+          .end(function(err, res) {
+            assert.equal(res.body.error_description, 'Please complete the captcha.');
+            done(err);
+          });
+      });
+    });
+  });
+
+  describe('preRegistrationHandler', function() {
+    var preRegistrationHandler = function(data, req, res, next) {
+      if (!/@example\.com$/.test(data.email)) {
+        var err = new Error('Only example.com addresses can register.');
+        err.status = 403;
+        return next(err);
+      }
+
+      data.givenName = 'Invited';
+      next();
+    };
+
+    function newUser(domain) {
+      return { email: uuid.v4() + '@' + domain, password: 'Password1', givenName: 'John', surname: 'Doe' };
+    }
+
+    it('should reject a registration before creating the account', function(done) {
+      createApp({ preRegistrationHandler: preRegistrationHandler }, function(app) {
+        var user = newUser('test.com');
+
+        request(app)
+          .post('/register')
+          .set('Accept', 'application/json')
+          .send(user)
+          .expect(403)
+          .end(function(err, res) {
+            if (err) {
+              return done(err);
+            }
+
+            assert.equal(res.body.error, 'Only example.com addresses can register.');
+            assert(!app.get('stormpathClient').findAccountRecord({ email: user.email }));
+            done();
+          });
+      });
+    });
+
+    it('should let the handler change the account data', function(done) {
+      createApp({ preRegistrationHandler: preRegistrationHandler }, function(app) {
+        request(app)
+          .post('/register')
+          .set('Accept', 'application/json')
+          .send(newUser('example.com'))
+          .expect(200)
+          .end(function(err, res) {
+            assert.equal(res.body.givenName, 'Invited');
+            done(err);
+          });
+      });
+    });
+
+    it('should validate the account data the handler changed', function(done) {
+      var blankPassword = function(data, req, res, next) {
+        data.password = '';
+        next();
+      };
+
+      createApp({ preRegistrationHandler: blankPassword }, function(app) {
+        var user = newUser('example.com');
+
+        request(app)
+          .post('/register')
+          .set('Accept', 'application/json')
+          .send(user)
+          .expect(400)
+          .end(function(err, res) {
+            if (err) {
+              return done(err);
+            }
+
+            assert.equal(res.body.errors[0].field, 'password');
+            assert(!app.get('stormpathClient').findAccountRecord({ email: user.email }));
+            done();
+          });
+      });
+    });
+
+    it('should reject registrations from the registration page', function(done) {
+      createApp({ preRegistrationHandler: preRegistrationHandler }, function(app) {
+        request(app)
+          .post('/register')
+          .type('form')
+          .send(newUser('test.com'))
+          .expect(403)
+          .end(function(err, res) {
+            assert(res.text.indexOf('Only example.com addresses can register.') > -1);
+            done(err);
+          });
+      });
+    });
+  });
+});
@@ -0,0 +1,210 @@
+'use strict';
+
+var assert = require('assert');
+var request = require('supertest');
+var uuid = require('uuid');
+
+var helpers = require('../helpers');
+
+describe('profile', function() {
+  var accountData;
+  var agent;
+  var app;
+
+  beforeEach(function(done) {
+    accountData = {
+      email: uuid.v4() + '@test.com',
+      password: uuid.v4(),
+      givenName: 'Jane',
+      surname: 'Doe',
+      customData: {
+        color: 'blue',
+        permissions: ['billing:read']
+      }
+    };
+
+    app = helpers.createMemoryExpressApp({
+      expand: {
+        customData: true
+      },
+      web: {
+        login: {
+          enabled: true
+        },
+        me: {
+          enabled: true,
+          update: {
+            enabled: true
+          }
+        },
+        profile: {
+          enabled: true
+        },
+        register: {
+          fields: {
+            color: {
+              name: 'color',
+              placeholder: 'Favorite Color',
+              required: false,
+              type: 'text'
+            }
+          }
+        }
+      }
+    }, { accounts: [accountData] });
+
+    app.on('stormpath.ready', function() {
+      agent = request.agent(app);
+      agent
+        .post('/login')
+        .set('Accept', 'application/json')
+        .send({ username: accountData.email, password: accountData.password })
+        .expect(200)
+        .end(done);
+    });
+  });
+
+  it('should require a login', function(done) {
+    request(app)
+      .patch('/me')
+      .set('Accept', 'application/json')
+      .send({ givenName: 'Janet' })
+      .expect(401)
+      .end(done);
+  });
+
+  it('should not update the profile at /me by default', function(done) {
+    var defaultApp = helpers.createMemoryExpressApp({
+      web: {
+        login: {
+          enabled: true
+        },
+        me: {
+          enabled: true
+        }
+      }
+    }, { accounts: [accountData] });
+
+    defaultApp.on('stormpath.ready', function() {
+      var defaultAgent = request.agent(defaultApp);
+
+      defaultAgent
+        .post('/login')
+        .set('Accept', 'application/json')
+        .send({ username: accountData.email, password: accountData.password })
+        .expect(200)
+        .end(function(err) {
+          if (err) {
+            return done(err);
+          }
+
+          defaultAgent
+            .patch('/me')
+            .set('Accept', 'application/json')
+            .send({ givenName: 'Janet' })
+            .expect(404, done);
+        });
+    });
+  });
+
+  it('should update the supplied fields with a PATCH', function(done) {
+    agent
+      .patch('/me')
+      .set('Accept', 'application/json')
+      .send({ givenName: 'Janet', color: 'green' })
+      .expect(200)
+      .end(function(err, res) {
+        if (err) {
+          return done(err);
+        }
+
+        assert.equal(res.body.givenName, 'Janet');
+        assert.equal(res.body.surname, 'Doe');
+        assert.equal(res.body.customData.color, 'green');
+        assert.deepEqual(res.body.customData.permissions, ['billing:read']);
+
+        agent
+          .get('/me')
+          .set('Accept', 'application/json')
+          .expect(200)
+          .end(function(err, res) {
+            assert.equal(res.body.givenName, 'Janet');
+            assert.equal(res.body.customData.color, 'green');
+            done(err);
+          });
+      });
+  });
+
+  it('should ignore fields which are not on the profile', function(done) {
+    agent
+      .patch('/me')
+      .set('Accept', 'application/json')
+      .send({ email: 'hijacked@test.com', status: 'ENABLED', permissions: ['*'], customData: { permissions: ['*'] } })
+      .expect(200)
+      .end(function(err, res) {
+        if (err) {
+          return done(err);
+        }
+
+        assert.equal(res.body.email, accountData.email);
+        assert.deepEqual(res.body.customData.permissions, ['billing:read']);
+        done();
+      });
+  });
+
+  it('should require every required field with a POST', function(done) {
+    agent
+      .post('/me')
+      .set('Accept', 'application/json')
+      .send({ givenName: 'Janet' })
+      .expect(400)
+      .end(function(err, res) {
+        assert.equal(res.body.error, 'surname required.');
+        done(err);
+      });
+  });
+
+  it('should not empty required fields with a PATCH', function(done) {
+    agent
+      .patch('/me')
+      .set('Accept', 'application/json')
+      .send({ surname: '' })
+      .expect(400)
+      .end(done);
+  });
+
+  it('should render and submit the profile page', function(done) {
+    agent
+      .get('/profile')
+      .expect(200)
+      .end(function(err, res) {
+        if (err) {
+          return done(err);
+        }
+
+        assert(res.text.indexOf('Favorite Color') > -1);
+        assert(res.text.indexOf('value="blue"') > -1);
+
+        agent
+          .post('/profile')
+          .type('form')
+          .send({ givenName: 'Janet', middleName: '', surname: 'Doe', username: accountData.email, color: 'red' })
+          .expect(302)
+          .expect('Location', '/profile?status=updated')
+          .end(function(err) {
+            if (err) {
+              return done(err);
+            }
+
+            agent
+              .get('/me')
+              .set('Accept', 'application/json')
+              .end(function(err, res) {
+                assert.equal(res.body.givenName, 'Janet');
+                assert.equal(res.body.customData.color, 'red');
+                done(err);
+              });
+          });
+      });
+  });
+});
@@ -0,0 +1,182 @@
+'use strict';
+
+var assert = require('assert');
+var cheerio = require('cheerio');
+var request = require('supertest');
+var uuid = require('uuid');
+
+var helpers = require('../helpers');
+
+describe('registration fields', function() {
+  var accountData;
+  var app;
+
+  beforeEach(function(done) {
+    accountData = {
+      email: uuid.v4() + '@test.com',
+      password: uuid.v4() + 'Aa1!',
+      givenName: 'Jane',
+      surname: 'Doe',
+      nickname: 'jane',
+      color: 'blue',
+      birthday: '1985-10-26',
+      terms: true
+    };
+
+    app = helpers.createMemoryExpressApp({
+      expand: {
+        customData: true
+      },
+      web: {
+        register: {
+          enabled: true,
+          fieldOrder: ['givenName', 'surname', 'email', 'password', 'nickname', 'color', 'birthday', 'terms'],
+          fields: {
+            nickname: {
+              enabled: true,
+              name: 'nickname',
+              placeholder: 'Nickname',
+              type: 'text',
+              pattern: '[a-z]+',
+              patternMessage: 'Your nickname can only contain lowercase letters.',
+              validator: function(value, data, callback) {
+                callback(value === 'admin' ? new Error('This nickname is reserved.') : null);
+              }
+            },
+            color: {
+              enabled: true,
+              name: 'color',
+              placeholder: 'Favorite Color',
+              type: 'select',
+              options: [{ value: 'red', label: 'Red' }, { value: 'blue', label: 'Blue' }]
+            },
+            birthday: {
+              enabled: true,
+              name: 'birthday',
+              placeholder: 'Birthday',
+              type: 'date',
+              max: '2010-12-31'
+            },
+            terms: {
+              enabled: true,
+              name: 'terms',
+              placeholder: 'I accept the terms',
+              required: true,
+              type: 'checkbox'
+            }
+          }
+        }
+      }
+    });
+
+    app.on('stormpath.ready', function() {
+      done();
+    });
+  });
+
+  it('should report every invalid field', function(done) {
+    accountData.nickname = 'Jane';
+    accountData.color = 'green';
+    accountData.birthday = '2015-01-01';
+    delete accountData.terms;
+
+    request(app)
+      .post('/register')
+      .set('Accept', 'application/json')
+      .send(accountData)
+      .expect(400)
+      .end(function(err, res) {
+        if (err) {
+          return done(err);
+        }
+
+        assert.equal(res.body.error, 'terms required.');
+        assert.deepEqual(res.body.errors, [
+          { field: 'terms', message: 'terms required.' },
+          { field: 'nickname', rule: 'pattern', message: 'Your nickname can only contain lowercase letters.' },
+          { field: 'color', rule: 'options', message: 'Favorite Color must be one of: red, blue.' },
+          { field: 'birthday', rule: 'max', message: 'Birthday must be on or before 2010-12-31.' }
+        ]);
+        done();
+      });
+  });
+
+  it('should run custom validators', function(done) {
+    accountData.nickname = 'admin';
+
+    request(app)
+      .post('/register')
+      .set('Accept', 'application/json')
+      .send(accountData)
+      .expect(400)
+      .end(function(err, res) {
+        assert.deepEqual(res.body.errors, [{ field: 'nickname', rule: 'validator', message: 'This nickname is reserved.' }]);
+        done(err);
+      });
+  });
+
+  it('should store checkbox values as booleans', function(done) {
+    accountData.terms = 'on';
+
+    request(app)
+      .post('/register')
+      .set('Accept', 'application/json')
+      .send(accountData)
+      .expect(200)
+      .end(function(err, res) {
+        if (err) {
+          return done(err);
+        }
+
+        assert.strictEqual(res.body.customData.terms, true);
+        assert.equal(res.body.customData.birthday, '1985-10-26');
+        done();
+      });
+  });
+
+  it('should render each field type', function(done) {
+    request(app)
+      .get('/register')
+      .set('Accept', 'text/html')
+      .expect(200)
+      .end(function(err, res) {
+        if (err) {
+          return done(err);
+        }
+
+        var $ = cheerio.load(res.text);
+
+        assert.equal($('input[name="nickname"]').attr('pattern'), '[a-z]+');
+        assert.equal($('select[name="color"] option[value="red"]').text(), 'Red');
+        assert.equal($('input[name="birthday"]').attr('type'), 'date');
+        assert.equal($('input[name="birthday"]').attr('max'), '2010-12-31');
+        assert.equal($('input[name="terms"]').attr('type'), 'checkbox');
+        done();
+      });
+  });
+
+  it('should highlight the invalid fields on the registration page', function(done) {
+    accountData.color = 'green';
+    delete accountData.terms;
+
+    request(app)
+      .post('/register')
+      .set('Accept', 'text/html')
+      .type('form')
+      .send(accountData)
+      .expect(200)
+      .end(function(err, res) {
+        if (err) {
+          return done(err);
+        }
+
+        var $ = cheerio.load(res.text);
+
+        assert.equal($('.has-error').length, 2);
+        assert.equal($('.group-color').hasClass('has-error'), true);
+        assert.equal($('select[name="color"] option[value="blue"]').attr('selected'), undefined);
+        assert.equal($('input[name="nickname"]').attr('value'), 'jane');
+        done();
+      });
+  });
+});
@@ -0,0 +1,258 @@
+'use strict';
+
+var assert = require('assert');
+var async = require('async');
+var request = require('supertest');
+var uuid = require('uuid');
+
+var apiAuthenticationRequired = require('../../lib/middleware/api-authentication-required');
+var helpers = require('../helpers');
+
+describe('revokeToken', function() {
+  var accountData;
+  var apiKeys = [];
+  var app;
+
+  before(function(done) {
+    accountData = {
+      email: uuid.v4() + '@test.com',
+      password: uuid.v4()
+    };
+
+    var otherAccountData = {
+      email: uuid.v4() + '@test.com',
+      password: uuid.v4()
+    };
+
+    app = helpers.createMemoryExpressApp({
+      web: {
+        oauth2: {
+          enabled: true
+        }
+      }
+    }, { accounts: [accountData, otherAccountData] });
+
+    app.get('/protected', apiAuthenticationRequired, function(req, res) {
+      res.end(req.user.email);
+    });
+
+    // The API keys of both accounts, to authenticate as confidential clients.
+    app.on('stormpath.ready', function() {
+      var application = app.get('stormpathApplication');
+
+      async.eachSeries([accountData, otherAccountData], function(data, next) {
+        application.getAccounts({ email: data.email }, function(err, accounts) {
+          if (err) {
+            return next(err);
+          }
+
+          accounts.items[0].createApiKey(function(err, key) {
+            apiKeys.push(key);
+            next(err);
+          });
+        });
+      }, done);
+    });
+  });
+
+  function getTokens(callback) {
+    request(app)
+      .post('/oauth/token')
+      .type('form')
+      .send({ grant_type: 'password', username: accountData.email, password: accountData.password })
+      .expect(200)
+      .end(function(err, res) {
+        callback(err, res && res.body);
+      });
+  }
+
+  it('should bind to POST /oauth/revoke by default', function(done) {
+    request(app)
+      .get('/oauth/revoke')
+      .expect(404)
+      .end(done);
+  });
+
+  it('should return a 400 if no token is supplied', function(done) {
+    request(app)
+      .post('/oauth/revoke')
+      .type('form')
+      .expect(400)
+      .end(function(err, res) {
+        assert.equal(res.body.error, 'invalid_request');
+        done(err);
+      });
+  });
+
+  it('should return a 200 for invalid tokens', function(done) {
+    request(app)
+      .post('/oauth/revoke')
+      .type('form')
+      .send({ token: 'invalid' })
+      .expect(200)
+      .end(done);
+  });
+
+  it('should revoke refresh tokens', function(done) {
+    getTokens(function(err, tokens) {
+      if (err) {
+        return done(err);
+      }
+
+      request(app)
+        .post('/oauth/revoke')
+        .type('form')
+        .send({ token: tokens.refresh_token, token_type_hint: 'refresh_token' })
+        .expect(200)
+        .end(function(err) {
+          if (err) {
+            return done(err);
+          }
+
+          request(app)
+            .post('/oauth/token')
+            .type('form')
+            .send({ grant_type: 'refresh_token', refresh_token: tokens.refresh_token })
+            .expect(400)
+            .end(done);
+        });
+    });
+  });
+
+  it('should return a 401 for invalid client credentials', function(done) {
+    request(app)
+      .post('/oauth/revoke')
+      .auth(apiKeys[0].id, 'invalid')
+      .type('form')
+      .send({ token: 'invalid' })
+      .expect('WWW-Authenticate', /^Basic /)
+      .expect(401)
+      .end(function(err, res) {
+        assert.equal(res.body.error, 'invalid_client');
+        done(err);
+      });
+  });
+
+  it('should only let confidential clients revoke their own tokens', function(done) {
+    getTokens(function(err, tokens) {
+      if (err) {
+        return done(err);
+      }
+
+      request(app)
+        .post('/oauth/revoke')
+        .auth(apiKeys[1].id, apiKeys[1].secret)
+        .type('form')
+        .send({ token: tokens.refresh_token })
+        .expect(400)
+        .end(function(err, res) {
+          if (err) {
+            return done(err);
+          }
+
+          assert.equal(res.body.error, 'unauthorized_client');
+
+          request(app)
+            .post('/oauth/revoke')
+            .auth(apiKeys[0].id, apiKeys[0].secret)
+            .type('form')
+            .send({ token: tokens.refresh_token })
+            .expect(200)
+            .end(function(err) {
+              if (err) {
+                return done(err);
+              }
+
+              request(app)
+                .post('/oauth/token')
+                .type('form')
+                .send({ grant_type: 'refresh_token', refresh_token: tokens.refresh_token })
+                .expect(400)
+                .end(done);
+            });
+        });
+    });
+  });
+
+  it('should revoke client credentials tokens', function(done) {
+    request(app)
+      .post('/oauth/token')
+      .auth(apiKeys[0].id, apiKeys[0].secret)
+      .type('form')
+      .send({ grant_type: 'client_credentials' })
+      .expect(200)
+      .end(function(err, res) {
+        if (err) {
+          return done(err);
+        }
+
+        var accessToken = res.body.access_token;
+
+        async.series([
+          function(next) {
+            request(app)
+              .get('/protected')
+              .set('Authorization', 'Bearer ' + accessToken)
+              .expect(200, accountData.email)
+              .end(next);
+          },
+          function(next) {
+            request(app)
+              .post('/oauth/revoke')
+              .auth(apiKeys[1].id, apiKeys[1].secret)
+              .type('form')
+              .send({ token: accessToken })
+              .expect(400)
+              .end(next);
+          },
+          function(next) {
+            request(app)
+              .post('/oauth/revoke')
+              .auth(apiKeys[0].id, apiKeys[0].secret)
+              .type('form')
+              .send({ token: accessToken })
+              .expect(200)
+              .end(next);
+          },
+          function(next) {
+            request(app)
+              .get('/protected')
+              .set('Authorization', 'Bearer ' + accessToken)
+              .expect(401)
+              .end(next);
+          },
+          function(next) {
+            request(app)
+              .post('/oauth/introspect')
+              .auth(apiKeys[0].id, apiKeys[0].secret)
+              .type('form')
+              .send({ token: accessToken })
+              .expect(200, { active: false })
+              .end(next);
+          }
+        ], done);
+      });
+  });
+
+  it('should not bind to POST /oauth/revoke if disabled', function(done) {
+    var disabledApp = helpers.createMemoryExpressApp({
+      web: {
+        oauth2: {
+          enabled: true,
+          revoke: {
+            enabled: false
+          }
+        }
+      }
+    });
+
+    disabledApp.on('stormpath.ready', function() {
+      request(disabledApp)
+        .post('/oauth/revoke')
+        .type('form')
+        .send({ token: 'invalid' })
+        .expect(404)
+        .end(done);
+    });
+  });
+});
@@ -0,0 +1,165 @@
+'use strict';
+
+var assert = require('assert');
+var cheerio = require('cheerio');
+var request = require('supertest');
+var url = require('url');
+
+var helpers = require('../helpers');
+var oauth = require('../../lib/oauth');
+
+describe('social authorize', function() {
+  var app;
+  var exchangeAuthCodeForAccessToken = oauth.facebook.exchangeAuthCodeForAccessToken;
+
+  function authorize(path, cookie) {
+    return request(app)
+      .get(path)
+      .set('Cookie', cookie || '')
+      .expect(302);
+  }
+
+  function getCookie(res, name) {
+    var cookie = (res.headers['set-cookie'] || []).filter(function(cookie) {
+      return cookie.indexOf(name + '=') === 0;
+    })[0];
+
+    return cookie && decodeURIComponent(cookie.split(';')[0].split('=')[1]);
+  }
+
+  beforeEach(function(done) {
+    oauth.facebook.exchangeAuthCodeForAccessToken = function(req, config, callback) {
+      callback(null, 'token-' + req.query.code);
+    };
+
+    app = helpers.createMemoryExpressApp({
+      socialProviders: {
+        facebook: { enabled: true, clientId: 'facebook-client-id', callbackUri: '/callbacks/facebook', scopes: 'user_friends' },
+        github: { enabled: true, clientId: 'github-client-id', callbackUri: '/callbacks/github', scopes: 'read:org,user:email' },
+        google: { enabled: true, clientId: 'google-client-id', callbackUri: '/callbacks/google', hd: 'test.com' },
+        linkedin: { enabled: true, clientId: 'linkedin-client-id', callbackUri: '/callbacks/linkedin', authorizeUri: '/auth/linkedin' }
+      },
+      web: {
+        login: {
+          enabled: true,
+          nextUri: '/dashboard'
+        }
+      }
+    }, {
+      socialProviders: {
+        facebook: function(providerData, callback) {
+          assert.equal(providerData.accessToken, 'token-abc');
+          callback(null, { id: 1, email: 'jane@test.com', givenName: 'Jane', surname: 'Doe' });
+        }
+      }
+    });
+
+    app.on('stormpath.ready', function() {
+      done();
+    });
+  });
+
+  afterEach(function() {
+    oauth.facebook.exchangeAuthCodeForAccessToken = exchangeAuthCodeForAccessToken;
+  });
+
+  it('should redirect to the provider with the scopes of the settings', function(done) {
+    authorize('/authorize/github').end(function(err, res) {
+      if (err) {
+        return done(err);
+      }
+
+      var location = url.parse(res.headers.location, true);
+
+      assert.equal(location.host, 'github.com');
+      assert.equal(location.query.client_id, 'github-client-id');
+      assert.equal(location.query.scope, 'user:email read:org');
+      assert(/^http:\/\/127\.0\.0\.1:\d+\/callbacks\/github$/.test(location.query.redirect_uri));
+      done();
+    });
+  });
+
+  it('should send the state token of the cookie, or set a new one', function(done) {
+    authorize('/authorize/google', 'oauthStateToken=xyz').end(function(err, res) {
+      if (err) {
+        return done(err);
+      }
+
+      var query = url.parse(res.headers.location, true).query;
+
+      assert.equal(query.state, 'xyz');
+      assert.equal(query.hd, 'test.com');
+      assert.equal(query.scope, 'email');
+
+      authorize('/authorize/google').end(function(err, res) {
+        if (err) {
+          return done(err);
+        }
+
+        var state = getCookie(res, 'oauthStateToken');
+
+        assert(state);
+        assert.equal(url.parse(res.headers.location, true).query.state, state);
+        done();
+      });
+    });
+  });
+
+  it('should keep ?next in the redirect cookie', function(done) {
+    authorize('/authorize/facebook?next=%2Fsettings').end(function(err, res) {
+      if (err) {
+        return done(err);
+      }
+
+      var query = url.parse(res.headers.location, true).query;
+
+      assert.equal(query.scope, 'email,user_friends');
+      assert.equal(getCookie(res, 'oauthRedirectUri'), '/settings');
+      done();
+    });
+  });
+
+  it('should use the authorizeUri of the settings', function(done) {
+    authorize('/auth/linkedin').end(function(err, res) {
+      if (err) {
+        return done(err);
+      }
+
+      var query = url.parse(res.headers.location, true).query;
+
+      assert.equal(query.response_type, 'code');
+      assert.equal(query.scope, 'r_basicprofile r_emailaddress');
+
+      request(app)
+        .get('/authorize/linkedin')
+        .expect(404, done);
+    });
+  });
+
+  it('should link the login buttons to the routes', function(done) {
+    request(app)
+      .get('/login')
+      .set('Accept', 'text/html')
+      .expect(200)
+      .end(function(err, res) {
+        if (err) {
+          return done(err);
+        }
+
+        var $ = cheerio.load(res.text);
+
+        assert.equal($('a.btn-facebook').attr('href'), '/authorize/facebook');
+        assert.equal($('a.btn-google').attr('href'), '/authorize/google');
+        assert.equal($('a.btn-linkedin').attr('href'), '/auth/linkedin');
+        done();
+      });
+  });
+
+  it('should log in with the Facebook code', function(done) {
+    request(app)
+      .get('/callbacks/facebook?code=abc&state=xyz')
+      .set('Cookie', 'oauthStateToken=xyz; oauthRedirectUri=%2Fsettings')
+      .expect('Location', '/settings')
+      .expect(302, done);
+  });
+});
@@ -0,0 +1,224 @@
+'use strict';
+
+var assert = require('assert');
+var cheerio = require('cheerio');
+var request = require('supertest');
+
+var helpers = require('../helpers');
+var oauth = require('../../lib/oauth');
+
+describe('social login', function() {
+  var app;
+  var calls;
+  var exchangeAuthCodeForAccessToken = oauth.linkedIn.exchangeAuthCodeForAccessToken;
+
+  function facebookCallback(query, cookie) {
+    return request(app)
+      .get('/callbacks/facebook' + query)
+      .set('Cookie', cookie || 'oauthStateToken=xyz');
+  }
+
+  beforeEach(function(done) {
+    calls = [];
+
+    oauth.linkedIn.exchangeAuthCodeForAccessToken = function(req, config, callback) {
+      callback(null, 'token-' + req.query.code);
+    };
+
+    app = helpers.createMemoryExpressApp({
+      postLoginHandler: function(account, req, res, next) {
+        calls.push('login:' + account.email);
+        next();
+      },
+      postRegistrationHandler: function(account, req, res, next) {
+        calls.push('registration:' + account.email);
+        next();
+      },
+      socialProviders: {
+        facebook: { enabled: true, clientId: 'facebook-client-id', callbackUri: '/callbacks/facebook' },
+        google: { enabled: false },
+        linkedin: { enabled: true, clientId: 'linkedin-client-id', callbackUri: '/callbacks/linkedin' }
+      },
+      web: {
+        login: {
+          enabled: true,
+          nextUri: '/dashboard'
+        },
+        me: {
+          enabled: true
+        },
+        register: {
+          nextUri: '/welcome'
+        }
+      }
+    }, {
+      socialProviders: {
+        facebook: function(providerData, callback) {
+          if (providerData.accessToken === 'invalid') {
+            var err = new Error('The access token is invalid.');
+            err.status = 400;
+            return callback(err);
+          }
+
+          callback(null, { id: providerData.accessToken, email: providerData.accessToken + '@test.com', givenName: 'Jane', surname: 'Doe' });
+        },
+        linkedin: function(providerData, callback) {
+          callback(null, { id: 1, email: 'linked@test.com', givenName: 'Linked', surname: 'In' });
+        }
+      }
+    });
+
+    app.on('stormpath.ready', function() {
+      done();
+    });
+  });
+
+  afterEach(function() {
+    oauth.linkedIn.exchangeAuthCodeForAccessToken = exchangeAuthCodeForAccessToken;
+  });
+
+  it('should require a state token', function(done) {
+    facebookCallback('?access_token=jane', 'other=1')
+      .set('Accept', 'application/json')
+      .expect(400)
+      .end(function(err, res) {
+        assert.equal(res.body.message, 'Invalid state token provided.');
+        done(err);
+      });
+  });
+
+  it('should log the user in with access and refresh token cookies', function(done) {
+    var agent = request.agent(app);
+
+    agent
+      .get('/callbacks/facebook?access_token=jane&state=xyz')
+      .set('Cookie', 'oauthStateToken=xyz')
+      .expect(302)
+      .end(function(err, res) {
+        if (err) {
+          return done(err);
+        }
+
+        var cookies = res.headers['set-cookie'].join('\n');
+
+        assert.notEqual(cookies.indexOf('access_token='), -1);
+        assert.notEqual(cookies.indexOf('refresh_token='), -1);
+        assert.equal(cookies.indexOf('idSiteSession='), -1);
+
+        agent
+          .get('/me')
+          .set('Accept', 'application/json')
+          .expect(200)
+          .end(function(err, res) {
+            assert.equal(res.body.email, 'jane@test.com');
+            done(err);
+          });
+      });
+  });
+
+  it('should call the registration handler, then the login handler', function(done) {
+    facebookCallback('?access_token=jane&state=xyz')
+      .expect(302)
+      .end(function(err, res) {
+        if (err) {
+          return done(err);
+        }
+
+        assert.equal(res.headers.location, '/welcome');
+
+        facebookCallback('?access_token=jane&state=xyz')
+          .expect(302)
+          .end(function(err, res) {
+            assert.equal(res.headers.location, '/dashboard');
+            assert.deepEqual(calls, ['registration:jane@test.com', 'login:jane@test.com']);
+            done(err);
+          });
+      });
+  });
+
+  it('should redirect to the redirect cookie, then to ?next', function(done) {
+    facebookCallback('?access_token=jane&state=xyz&next=%2Fnext', 'oauthStateToken=xyz; oauthRedirectUri=%2Flogin%3Fnext%3D%252Fsettings')
+      .expect(302)
+      .end(function(err, res) {
+        if (err) {
+          return done(err);
+        }
+
+        assert.equal(res.headers.location, '/login?next=%2Fsettings');
+
+        facebookCallback('?access_token=jane&state=xyz&next=%2Fnext')
+          .expect('Location', '/next')
+          .expect(302, done);
+      });
+  });
+
+  it('should show the failure view to browsers', function(done) {
+    facebookCallback('?access_token=invalid&state=xyz')
+      .set('Accept', 'text/html')
+      .expect(400)
+      .end(function(err, res) {
+        if (err) {
+          return done(err);
+        }
+
+        var $ = cheerio.load(res.text);
+
+        assert.equal($('title').text().trim(), 'Facebook Login Failed');
+        assert.equal($('.alert-danger p').text(), 'Unable to log in with Facebook.');
+        done();
+      });
+  });
+
+  it('should send the error of the provider to JSON clients', function(done) {
+    facebookCallback('?error=access_denied&state=xyz')
+      .set('Accept', 'application/json')
+      .expect(400)
+      .end(function(err, res) {
+        assert.equal(res.body.message, 'Unable to log in with Facebook.');
+        done(err);
+      });
+  });
+
+  it('should reject disabled accounts', function(done) {
+    facebookCallback('?access_token=mallory&state=xyz')
+      .expect(302)
+      .end(function(err) {
+        if (err) {
+          return done(err);
+        }
+
+        app.get('stormpathApplication').getAccounts({ email: 'mallory@test.com' }, function(err, accounts) {
+          if (err) {
+            return done(err);
+          }
+
+          accounts.items[0].status = 'DISABLED';
+          accounts.items[0].save(function(err) {
+            if (err) {
+              return done(err);
+            }
+
+            facebookCallback('?access_token=mallory&state=xyz')
+              .set('Accept', 'application/json')
+              .expect(400)
+              .end(function(err, res) {
+                assert.equal(res.body.message, 'Login attempt failed because the specified Account is disabled.');
+                done(err);
+              });
+          });
+        });
+      });
+  });
+
+  it('should route the LinkedIn callback', function(done) {
+    request(app)
+      .get('/callbacks/linkedin?code=abc&state=xyz')
+      .set('Cookie', 'oauthStateToken=xyz')
+      .expect(302)
+      .end(function(err, res) {
+        assert.equal(res.headers.location, '/welcome');
+        assert.deepEqual(calls, ['registration:linked@test.com']);
+        done(err);
+      });
+  });
+});
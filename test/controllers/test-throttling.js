@@ -0,0 +1,173 @@
+'use strict';
+
+var assert = require('assert');
+var request = require('supertest');
+var uuid = require('uuid');
+
+var helpers = require('../helpers');
+
+describe('throttling', function() {
+  var accountData;
+  var app;
+
+  beforeEach(function(done) {
+    accountData = {
+      email: uuid.v4() + '@test.com',
+      password: uuid.v4()
+    };
+
+    app = helpers.createMemoryExpressApp({
+      web: {
+        forgotPassword: {
+          enabled: true,
+          throttle: {
+            account: { freeAttempts: 1, lockoutAttempts: 3 }
+          }
+        },
+        login: {
+          enabled: true,
+          throttle: {
+            account: { freeAttempts: 2, lockoutAttempts: 3 }
+          }
+        },
+        oauth2: {
+          enabled: true
+        }
+      }
+    }, { accounts: [accountData] });
+
+    app.on('stormpath.ready', done);
+  });
+
+  function login(password, status, callback) {
+    request(app)
+      .post('/login')
+      .set('Accept', 'application/json')
+      .send({ username: accountData.email, password: password })
+      .expect(status)
+      .end(callback);
+  }
+
+  it('should lock accounts out after too many failed logins', function(done) {
+    login('wrong', 400, function(err) {
+      if (err) {
+        return done(err);
+      }
+
+      login('wrong', 400, function(err) {
+        if (err) {
+          return done(err);
+        }
+
+        login(accountData.password, 429, function(err, res) {
+          if (err) {
+            return done(err);
+          }
+
+          assert(res.body.error);
+          assert.equal(res.headers['retry-after'], '1');
+          done();
+        });
+      });
+    });
+  });
+
+  it('should throttle the html login form', function(done) {
+    login('wrong', 400, function(err) {
+      if (err) {
+        return done(err);
+      }
+
+      login('wrong', 400, function(err) {
+        if (err) {
+          return done(err);
+        }
+
+        request(app)
+          .post('/login')
+          .type('form')
+          .send({ login: accountData.email, password: accountData.password })
+          .expect(429)
+          .end(function(err, res) {
+            assert(res.text.indexOf('Too many attempts') > -1);
+            done(err);
+          });
+      });
+    });
+  });
+
+  it('should throttle the oauth password grant', function(done) {
+    login('wrong', 400, function(err) {
+      if (err) {
+        return done(err);
+      }
+
+      login('wrong', 400, function(err) {
+        if (err) {
+          return done(err);
+        }
+
+        request(app)
+          .post('/oauth/token')
+          .type('form')
+          .send({ grant_type: 'password', username: accountData.email, password: accountData.password })
+          .expect(429)
+          .end(function(err, res) {
+            assert.equal(res.body.error, 'invalid_grant');
+            done(err);
+          });
+      });
+    });
+  });
+
+  it('should reset the failed logins of an account after a successful login', function(done) {
+    login('wrong', 400, function(err) {
+      if (err) {
+        return done(err);
+      }
+
+      login(accountData.password, 200, function(err) {
+        if (err) {
+          return done(err);
+        }
+
+        login('wrong', 400, function(err) {
+          if (err) {
+            return done(err);
+          }
+
+          login(accountData.password, 200, done);
+        });
+      });
+    });
+  });
+
+  it('should rate limit password reset emails', function(done) {
+    var backend = app.get('stormpathClient');
+
+    function forgot(status, callback) {
+      request(app)
+        .post('/forgot')
+        .set('Accept', 'application/json')
+        .send({ email: accountData.email })
+        .expect(status)
+        .end(callback);
+    }
+
+    forgot(200, function(err) {
+      if (err) {
+        return done(err);
+      }
+
+      forgot(429, function(err, res) {
+        if (err) {
+          return done(err);
+        }
+
+        assert(res.headers['retry-after']);
+        assert.equal(backend.outbox.length, 1);
+        done();
+      });
+    });
+  });
+});
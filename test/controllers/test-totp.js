@@ -0,0 +1,600 @@
+'use strict';
+
+var assert = require('assert');
+var request = require('supertest');
+var uuid = require('uuid');
+
+var helpers = require('../helpers');
+var totp = require('../../lib/helpers').totp;
+
+describe('totp', function() {
+  var accountData;
+  var app;
+  var recoveryCode;
+  var secret;
+
+  beforeEach(function(done) {
+    secret = totp.generateSecret();
+    recoveryCode = totp.generateRecoveryCodes(1)[0];
+
+    accountData = {
+      email: uuid.v4() + '@test.com',
+      password: uuid.v4(),
+      customData: {
+        totp: {
+          enabled: true,
+          secret: secret,
+          recoveryCodes: [totp.hashRecoveryCode(recoveryCode)]
+        }
+      }
+    };
+
+    app = helpers.createMemoryExpressApp({
+      web: {
+        login: {
+          enabled: true
+        },
+        me: {
+          enabled: true
+        },
+        oauth2: {
+          enabled: true
+        },
+        totp: {
+          enabled: true
+        }
+      }
+    }, { accounts: [accountData] });
+
+    app.on('stormpath.ready', done);
+  });
+
+  function currentCode() {
+    return totp.generateCode(secret, totp.getCounter());
+  }
+
+  function login(agent, callback) {
+    agent
+      .post('/login')
+      .set('Accept', 'application/json')
+      .send({ username: accountData.email, password: accountData.password })
+      .expect(401)
+      .end(function(err, res) {
+        if (err) {
+          return callback(err);
+        }
+
+        assert.equal(res.body.totpRequired, true);
+        assert.equal(res.body.challengeUri, '/login/totp');
+        callback(null, res.body.challenge);
+      });
+  }
+
+  it('should hold the session until a valid code is submitted', function(done) {
+    var agent = request.agent(app);
+
+    login(agent, function(err) {
+      if (err) {
+        return done(err);
+      }
+
+      agent
+        .get('/me')
+        .set('Accept', 'application/json')
+        .expect(401)
+        .end(function(err) {
+          if (err) {
+            return done(err);
+          }
+
+          agent
+            .post('/login/totp')
+            .set('Accept', 'application/json')
+            .send({ code: currentCode() })
+            .expect(200)
+            .end(function(err) {
+              if (err) {
+                return done(err);
+              }
+
+              agent
+                .get('/me')
+                .set('Accept', 'application/json')
+                .expect(200)
+                .end(function(err, res) {
+                  assert.equal(res.body.email, accountData.email);
+                  assert.equal(res.body.customData.totp, undefined);
+                  done(err);
+                });
+            });
+        });
+    });
+  });
+
+  it('should accept the challenge id in the body', function(done) {
+    login(request(app), function(err, challenge) {
+      if (err) {
+        return done(err);
+      }
+
+      request(app)
+        .post('/login/totp')
+        .set('Accept', 'application/json')
+        .send({ challenge: challenge, code: currentCode() })
+        .expect(200)
+        .end(function(err, res) {
+          assert(res.headers['set-cookie'].join(';').indexOf('access_token=') > -1);
+          done(err);
+        });
+    });
+  });
+
+  it('should reject invalid and reused codes', function(done) {
+    var agent = request.agent(app);
+    var code = currentCode();
+
+    login(agent, function(err) {
+      if (err) {
+        return done(err);
+      }
+
+      agent
+        .post('/login/totp')
+        .set('Accept', 'application/json')
+        .send({ code: code === '000000' ? '111111' : '000000' })
+        .expect(400)
+        .end(function(err) {
+          if (err) {
+            return done(err);
+          }
+
+          agent
+            .post('/login/totp')
+            .set('Accept', 'application/json')
+            .send({ code: code })
+            .expect(200)
+            .end(function(err) {
+              if (err) {
+                return done(err);
+              }
+
+              // Log in again, from another browser.
+              agent = request.agent(app);
+
+              login(agent, function(err) {
+                if (err) {
+                  return done(err);
+                }
+
+                agent
+                  .post('/login/totp')
+                  .set('Accept', 'application/json')
+                  .send({ code: code })
+                  .expect(400)
+                  .end(done);
+              });
+            });
+        });
+    });
+  });
+
+  it('should accept each recovery code once', function(done) {
+    var agent = request.agent(app);
+
+    login(agent, function(err) {
+      if (err) {
+        return done(err);
+      }
+
+      agent
+        .post('/login/totp')
+        .set('Accept', 'application/json')
+        .send({ code: recoveryCode })
+        .expect(200)
+        .end(function(err) {
+          if (err) {
+            return done(err);
+          }
+
+          // Log in again, from another browser.
+          agent = request.agent(app);
+
+          login(agent, function(err) {
+            if (err) {
+              return done(err);
+            }
+
+            agent
+              .post('/login/totp')
+              .set('Accept', 'application/json')
+              .send({ code: recoveryCode })
+              .expect(400)
+              .end(done);
+          });
+        });
+    });
+  });
+
+  it('should redirect browsers to the challenge page', function(done) {
+    var agent = request.agent(app);
+
+    agent
+      .post('/login?next=%2Fdashboard')
+      .type('form')
+      .send({ login: accountData.email, password: accountData.password })
+      .expect(302)
+      .expect('Location', '/login/totp?next=%2Fdashboard')
+      .end(function(err) {
+        if (err) {
+          return done(err);
+        }
+
+        agent
+          .get('/login/totp?next=%2Fdashboard')
+          .expect(200)
+          .end(function(err, res) {
+            if (err) {
+              return done(err);
+            }
+
+            assert(res.text.indexOf('Two-Factor Authentication') > -1);
+
+            agent
+              .post('/login/totp?next=%2Fdashboard')
+              .type('form')
+              .send({ code: currentCode() })
+              .expect(302)
+              .expect('Location', '/dashboard')
+              .end(done);
+          });
+      });
+  });
+
+  it('should expire challenges which are unknown', function(done) {
+    request(app)
+      .post('/login/totp')
+      .set('Accept', 'application/json')
+      .send({ challenge: uuid.v4(), code: currentCode() })
+      .expect(400)
+      .end(done);
+  });
+
+  it('should require a code for the oauth password grant', function(done) {
+    request(app)
+      .post('/oauth/token')
+      .type('form')
+      .send({ grant_type: 'password', username: accountData.email, password: accountData.password })
+      .expect(400)
+      .end(function(err, res) {
+        if (err) {
+          return done(err);
+        }
+
+        assert.equal(res.body.error, 'invalid_grant');
+
+        request(app)
+          .post('/oauth/token')
+          .type('form')
+          .send({ grant_type: 'password', username: accountData.email, password: accountData.password, totp_code: currentCode() })
+          .expect(200)
+          .end(function(err, res) {
+            assert(res.body.access_token);
+            done(err);
+          });
+      });
+  });
+
+  it('should hold logins without a refresh token', function(done) {
+    var agent;
+
+    app = helpers.createMemoryExpressApp({
+      web: {
+        login: {
+          enabled: true
+        },
+        oauth2: {
+          enabled: true
+        },
+        totp: {
+          enabled: true
+        }
+      }
+    }, { accounts: [accountData], oAuthPolicy: { refreshTokenTtl: 'PT0S' } });
+
+    app.on('stormpath.ready', function() {
+      agent = request.agent(app);
+
+      login(agent, function(err) {
+        if (err) {
+          return done(err);
+        }
+
+        agent
+          .post('/login/totp')
+          .set('Accept', 'application/json')
+          .send({ code: currentCode() })
+          .expect(200)
+          .end(function(err, res) {
+            if (err) {
+              return done(err);
+            }
+
+            var cookies = res.headers['set-cookie'].join(';');
+
+            assert(cookies.indexOf('access_token=') > -1);
+            assert.equal(cookies.indexOf('refresh_token='), -1);
+
+            request(app)
+              .post('/oauth/token')
+              .type('form')
+              .send({ grant_type: 'password', username: accountData.email, password: accountData.password })
+              .expect(400)
+              .end(function(err, res) {
+                assert.equal(res.body.error, 'invalid_grant');
+                done(err);
+              });
+          });
+      });
+    });
+  });
+
+  it('should hold social logins until a valid code is submitted', function(done) {
+    var agent;
+
+    function facebookLogin(agent) {
+      return agent
+        .get('/callbacks/facebook?access_token=abc&state=xyz')
+        .set('Cookie', 'oauthStateToken=xyz')
+        .set('Accept', 'application/json');
+    }
+
+    app = helpers.createMemoryExpressApp({
+      socialProviders: {
+        facebook: { enabled: true, clientId: 'facebook-client-id', callbackUri: '/callbacks/facebook' },
+        google: { enabled: false },
+        linkedin: { enabled: false }
+      },
+      web: {
+        me: {
+          enabled: true
+        },
+        totp: {
+          enabled: true
+        }
+      }
+    }, {
+      socialProviders: {
+        facebook: function(providerData, callback) {
+          callback(null, { id: 1, email: 'social@test.com', givenName: 'Jane', surname: 'Doe' });
+        }
+      }
+    });
+
+    app.on('stormpath.ready', function() {
+      agent = request.agent(app);
+
+      // The first login creates the account, which then enables two-factor
+      // authentication.
+      facebookLogin(request(app)).expect(302).end(function(err) {
+        if (err) {
+          return done(err);
+        }
+
+        app.get('stormpathApplication').getAccounts({ email: 'social@test.com' }, function(err, accounts) {
+          if (err) {
+            return done(err);
+          }
+
+          accounts.items[0].getCustomData(function(err, customData) {
+            if (err) {
+              return done(err);
+            }
+
+            customData.totp = { enabled: true, secret: secret, recoveryCodes: [] };
+            customData.save(function(err) {
+              if (err) {
+                return done(err);
+              }
+
+              facebookLogin(agent).expect(401).end(function(err, res) {
+                if (err) {
+                  return done(err);
+                }
+
+                assert.equal(res.body.totpRequired, true);
+                assert.equal(res.headers['set-cookie'].join(';').indexOf('access_token='), -1);
+
+                agent
+                  .post('/login/totp')
+                  .set('Accept', 'application/json')
+                  .send({ code: currentCode() })
+                  .expect(200)
+                  .end(function(err) {
+                    if (err) {
+                      return done(err);
+                    }
+
+                    agent
+                      .get('/me')
+                      .set('Accept', 'application/json')
+                      .expect(200)
+                      .end(function(err, res) {
+                        assert.equal(res.body.email, 'social@test.com');
+                        done(err);
+                      });
+                  });
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+
+  describe('enrollment', function() {
+    var agent;
+
+    beforeEach(function(done) {
+      var backend = app.get('stormpathClient');
+
+      agent = request.agent(app);
+
+      backend.getApplication(backend.config.application.href, function(err, application) {
+        if (err) {
+          return done(err);
+        }
+
+        accountData = { email: uuid.v4() + '@test.com', password: uuid.v4(), givenName: 'Jane', surname: 'Doe' };
+
+        application.createAccount(accountData, function(err) {
+          if (err) {
+            return done(err);
+          }
+
+          agent
+            .post('/login')
+            .set('Accept', 'application/json')
+            .send({ username: accountData.email, password: accountData.password })
+            .expect(200)
+            .end(done);
+        });
+      });
+    });
+
+    it('should require a login', function(done) {
+      request(app)
+        .get('/totp')
+        .set('Accept', 'application/json')
+        .expect(401)
+        .end(done);
+    });
+
+    it('should enable and disable two-factor authentication', function(done) {
+      agent
+        .get('/totp')
+        .set('Accept', 'application/json')
+        .expect(200)
+        .end(function(err, res) {
+          if (err) {
+            return done(err);
+          }
+
+          assert.equal(res.body.enabled, false);
+          assert.equal(res.body.provisioningUri.indexOf('otpauth://totp/'), 0);
+          secret = res.body.secret;
+
+          agent
+            .post('/totp')
+            .set('Accept', 'application/json')
+            .send({ code: currentCode() })
+            .expect(200)
+            .end(function(err, res) {
+              if (err) {
+                return done(err);
+              }
+
+              assert.equal(res.body.enabled, true);
+              assert.equal(res.body.recoveryCodes.length, 10);
+
+              agent
+                .post('/totp')
+                .set('Accept', 'application/json')
+                .send({ code: res.body.recoveryCodes[0], disable: true })
+                .expect(200)
+                .end(function(err, res) {
+                  assert.equal(res.body.enabled, false);
+                  done(err);
+                });
+            });
+        });
+    });
+
+    it('should throttle invalid codes when disabling two-factor authentication', function(done) {
+      function disable(attempts, callback) {
+        agent
+          .post('/totp')
+          .set('Accept', 'application/json')
+          .send({ code: '000000', disable: true })
+          .end(function(err, res) {
+            if (err || !attempts) {
+              return callback(err, res);
+            }
+
+            assert.equal(res.status, 400);
+            disable(attempts - 1, callback);
+          });
+      }
+
+      agent
+        .get('/totp')
+        .set('Accept', 'application/json')
+        .expect(200)
+        .end(function(err, res) {
+          if (err) {
+            return done(err);
+          }
+
+          secret = res.body.secret;
+
+          agent
+            .post('/totp')
+            .set('Accept', 'application/json')
+            .send({ code: currentCode() })
+            .expect(200)
+            .end(function(err) {
+              if (err) {
+                return done(err);
+              }
+
+              // The first 5 failed codes of an account aren't delayed.
+              disable(5, function(err, res) {
+                if (err) {
+                  return done(err);
+                }
+
+                assert.equal(res.status, 429);
+                assert(res.headers['retry-after']);
+
+                agent
+                  .get('/totp')
+                  .set('Accept', 'application/json')
+                  .expect(200)
+                  .end(function(err, res) {
+                    assert.equal(res.body.enabled, true);
+                    done(err);
+                  });
+              });
+            });
+        });
+    });
+
+    it('should not enable two-factor authentication with an invalid code', function(done) {
+      agent
+        .get('/totp')
+        .set('Accept', 'application/json')
+        .expect(200)
+        .end(function(err) {
+          if (err) {
+            return done(err);
+          }
+
+          agent
+            .post('/totp')
+            .set('Accept', 'application/json')
+            .send({ code: 'nope' })
+            .expect(400)
+            .end(done);
+        });
+    });
+
+    it('should render the enrollment page', function(done) {
+      agent
+        .get('/totp')
+        .expect(200)
+        .end(function(err, res) {
+          assert(res.text.indexOf('otpauth://totp/') > -1);
+          done(err);
+        });
+    });
+  });
+});
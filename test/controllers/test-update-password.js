@@ -0,0 +1,190 @@
+'use strict';
+
+var assert = require('assert');
+var request = require('supertest');
+var uuid = require('uuid');
+
+var helpers = require('../helpers');
+
+describe('updatePassword', function() {
+  var accountData;
+  var agent;
+  var app;
+
+  function login(agent, password, status, done) {
+    agent
+      .post('/login')
+      .set('Accept', 'application/json')
+      .send({ username: accountData.email, password: password })
+      .expect(status)
+      .end(done);
+  }
+
+  beforeEach(function(done) {
+    accountData = {
+      email: uuid.v4() + '@test.com',
+      password: uuid.v4(),
+      givenName: 'Jane',
+      surname: 'Doe'
+    };
+
+    app = helpers.createMemoryExpressApp({
+      web: {
+        login: {
+          enabled: true
+        },
+        me: {
+          enabled: true
+        },
+        updatePassword: {
+          enabled: true
+        }
+      }
+    }, { accounts: [accountData] });
+
+    app.on('stormpath.ready', function() {
+      agent = request.agent(app);
+      login(agent, accountData.password, 200, done);
+    });
+  });
+
+  it('should require a login', function(done) {
+    request(app)
+      .post('/password')
+      .set('Accept', 'application/json')
+      .send({ currentPassword: accountData.password, password: 'NewPassword1' })
+      .expect(401)
+      .end(done);
+  });
+
+  it('should reject an invalid current password', function(done) {
+    agent
+      .post('/password')
+      .set('Accept', 'application/json')
+      .send({ currentPassword: 'wrong', password: 'NewPassword1' })
+      .expect(400)
+      .end(function(err, res) {
+        assert.equal(res.body.error, 'Your current password is incorrect.');
+        done(err);
+      });
+  });
+
+  it('should change the password', function(done) {
+    agent
+      .post('/password')
+      .set('Accept', 'application/json')
+      .send({ currentPassword: accountData.password, password: 'NewPassword1' })
+      .expect(200)
+      .end(function(err) {
+        if (err) {
+          return done(err);
+        }
+
+        login(request.agent(app), accountData.password, 400, function(err) {
+          if (err) {
+            return done(err);
+          }
+
+          login(request.agent(app), 'NewPassword1', 200, done);
+        });
+      });
+  });
+
+  it('should keep other sessions by default', function(done) {
+    var other = request.agent(app);
+
+    login(other, accountData.password, 200, function(err) {
+      if (err) {
+        return done(err);
+      }
+
+      agent
+        .post('/password')
+        .set('Accept', 'application/json')
+        .send({ currentPassword: accountData.password, password: 'NewPassword1' })
+        .expect(200)
+        .end(function(err) {
+          if (err) {
+            return done(err);
+          }
+
+          other
+            .get('/me')
+            .set('Accept', 'application/json')
+            .expect(200)
+            .end(done);
+        });
+    });
+  });
+
+  it('should revoke the other sessions if requested', function(done) {
+    var other = request.agent(app);
+
+    login(other, accountData.password, 200, function(err) {
+      if (err) {
+        return done(err);
+      }
+
+      agent
+        .post('/password')
+        .set('Accept', 'application/json')
+        .send({ currentPassword: accountData.password, password: 'NewPassword1', revokeSessions: true })
+        .expect(200)
+        .end(function(err) {
+          if (err) {
+            return done(err);
+          }
+
+          other
+            .get('/me')
+            .set('Accept', 'application/json')
+            .expect(401)
+            .end(function(err) {
+              if (err) {
+                return done(err);
+              }
+
+              agent
+                .get('/me')
+                .set('Accept', 'application/json')
+                .expect(200)
+                .end(done);
+            });
+        });
+    });
+  });
+
+  it('should render and submit the form', function(done) {
+    agent
+      .get('/password')
+      .expect(200)
+      .end(function(err, res) {
+        if (err) {
+          return done(err);
+        }
+
+        assert(res.text.indexOf('name="currentPassword"') > -1);
+
+        agent
+          .post('/password')
+          .type('form')
+          .send({ currentPassword: accountData.password, password: 'NewPassword1', passwordAgain: 'NewPassword2' })
+          .expect(200)
+          .end(function(err, res) {
+            if (err) {
+              return done(err);
+            }
+
+            assert(res.text.indexOf('Passwords do not match.') > -1);
+
+            agent
+              .post('/password')
+              .type('form')
+              .send({ currentPassword: accountData.password, password: 'NewPassword1', passwordAgain: 'NewPassword1' })
+              .expect(302)
+              .expect('Location', '/password?status=updated')
+              .end(done);
+          });
+      });
+  });
+});
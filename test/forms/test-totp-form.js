@@ -0,0 +1,15 @@
+'use strict';
+
+var assert = require('assert');
+
+var forms = require('../../lib/forms');
+
+describe('totpForm', function() {
+  it('should require a code', function() {
+    var form = forms.totpForm.bind({});
+
+    form.validate(function(err) {
+      assert.equal(err, 'Code is required.');
+    });
+  });
+});
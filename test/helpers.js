@@ -146,6 +146,27 @@ module.exports.createStormpathExpressApp = function(config){
   return app;
 };
 
+/**
+ * Build an Express application which uses the in-memory backend instead of the
+ * Stormpath API, so tests can run without network access.
+ *
+ * @function
+ *
+ * @param {Object} config - The express-stormpath configuration.
+ * @param {Object} [backendOptions] - Options for the memory backend.
+ *
+ * @return {Object} The Express application.  The backend is available as
+ *   `app.get('stormpathClient')` once the app is ready.
+ */
+module.exports.createMemoryExpressApp = function(config, backendOptions) {
+  config.backend = new stormpathExpress.backends.MemoryBackend(backendOptions);
+
+  var app = express();
+  app.use(stormpathExpress.init(app, config));
+
+  return app;
+};
+
 /**
  * Destroy an existing Stormpath Application and all of it's Account Stores for
  * cleanup in tests.
@@ -0,0 +1,42 @@
+'use strict';
+
+var assert = require('assert');
+
+var helpers = require('../../lib/helpers');
+
+describe('applyConfigDefaults', function() {
+  it('should fill in missing settings', function() {
+    var config = helpers.applyConfigDefaults({ web: { oauth2: { enabled: true } } });
+
+    assert.equal(config.web.oauth2.enabled, true);
+    assert.equal(config.web.oauth2.revoke.enabled, true);
+    assert.equal(config.web.oauth2.revoke.uri, '/oauth/revoke');
+  });
+
+  it('should not override user supplied settings', function() {
+    var config = helpers.applyConfigDefaults({ web: { oauth2: { revoke: { enabled: false } } } });
+
+    assert.equal(config.web.oauth2.revoke.enabled, false);
+    assert.equal(config.web.oauth2.revoke.uri, '/oauth/revoke');
+  });
+
+  it('should name the routes of social providers after them', function() {
+    var config = helpers.applyConfigDefaults({
+      socialProviders: {
+        github: { enabled: true },
+        google: { enabled: true, callbackUri: '/oauth/google' }
+      }
+    });
+
+    assert.equal(config.socialProviders.github.authorizeUri, '/authorize/github');
+    assert.equal(config.socialProviders.github.callbackUri, '/callbacks/github');
+    assert.equal(config.socialProviders.google.callbackUri, '/oauth/google');
+  });
+
+  it('should not share the defaults between configurations', function() {
+    var config = helpers.applyConfigDefaults({});
+    config.web.oauth2.revoke.uri = '/revoke';
+
+    assert.equal(helpers.applyConfigDefaults({}).web.oauth2.revoke.uri, '/oauth/revoke');
+  });
+});
@@ -0,0 +1,93 @@
+'use strict';
+
+var assert = require('assert');
+
+var helpers = require('../../lib/helpers');
+
+describe('checkPasswordPolicy', function() {
+  function createConfig(passwordPolicy) {
+    return { web: { passwordPolicy: passwordPolicy } };
+  }
+
+  function getRules(err) {
+    return err.errors.map(function(error) {
+      return error.rule;
+    });
+  }
+
+  it('should accept any password if the policy is disabled', function() {
+    assert.equal(helpers.checkPasswordPolicy(createConfig({ enabled: false, minLength: 8 }), 'a'), null);
+  });
+
+  it('should accept a password which follows every rule', function() {
+    var config = createConfig({
+      enabled: true,
+      minLength: 8,
+      requireLowercase: true,
+      requireUppercase: true,
+      requireNumber: true,
+      requireSymbol: true,
+      rejectCommon: true,
+      rejectEmail: true
+    });
+
+    assert.equal(helpers.checkPasswordPolicy(config, 'Correct-Horse-7', { email: 'jane@example.com' }), null);
+  });
+
+  it('should report every broken rule', function() {
+    var config = createConfig({
+      enabled: true,
+      minLength: 8,
+      requireUppercase: true,
+      requireNumber: true,
+      requireSymbol: true
+    });
+    var err = helpers.checkPasswordPolicy(config, 'short');
+
+    assert.equal(err.status, 400);
+    assert.equal(err.userMessage, 'Your password must be at least 8 characters long.');
+    assert.deepEqual(getRules(err), ['minLength', 'requireUppercase', 'requireNumber', 'requireSymbol']);
+  });
+
+  it('should enforce the maximum length', function() {
+    var err = helpers.checkPasswordPolicy(createConfig({ enabled: true, maxLength: 4 }), 'toolong');
+
+    assert.deepEqual(getRules(err), ['maxLength']);
+  });
+
+  it('should reject common and banned passwords, regardless of case', function() {
+    var config = createConfig({ enabled: true, rejectCommon: true, bannedPasswords: ['Acme2016'] });
+
+    assert.deepEqual(getRules(helpers.checkPasswordPolicy(config, 'Password1')), ['rejectCommon']);
+    assert.deepEqual(getRules(helpers.checkPasswordPolicy(config, 'acme2016')), ['rejectCommon']);
+  });
+
+  it('should reject banned passwords when common passwords are allowed', function() {
+    var config = createConfig({ enabled: true, rejectCommon: false, bannedPasswords: ['acme2016'] });
+
+    assert.equal(helpers.checkPasswordPolicy(config, 'password1'), null);
+    assert.deepEqual(getRules(helpers.checkPasswordPolicy(config, 'acme2016')), ['rejectCommon']);
+  });
+
+  it('should reject passwords containing the email address or username', function() {
+    var config = createConfig({ enabled: true, rejectEmail: true });
+    var account = { email: 'Jane.Doe@example.com', username: 'janedoe' };
+
+    assert.deepEqual(getRules(helpers.checkPasswordPolicy(config, 'jane.doe@example.com!', account)), ['rejectEmail']);
+    assert.deepEqual(getRules(helpers.checkPasswordPolicy(config, 'xJANE.DOEx', account)), ['rejectEmail']);
+    assert.deepEqual(getRules(helpers.checkPasswordPolicy(config, 'i-am-janedoe', account)), ['rejectEmail']);
+    assert.equal(helpers.checkPasswordPolicy(config, 'something-else', account), null);
+  });
+
+  it('should describe the enabled rules', function() {
+    var policy = helpers.getPasswordPolicy(createConfig({ enabled: true, minLength: 10, requireNumber: true, bannedPasswords: ['secret-list'] }));
+
+    assert.equal(policy.minLength, 10);
+    assert.equal(policy.bannedPasswords, undefined);
+    assert.deepEqual(policy.rules, [
+      { rule: 'minLength', message: 'Your password must be at least 10 characters long.' },
+      { rule: 'requireNumber', message: 'Your password must contain a number.' },
+      { rule: 'rejectCommon', message: 'Your password is too common.  Please choose another one.' }
+    ]);
+  });
+});
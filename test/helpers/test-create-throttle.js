@@ -0,0 +1,147 @@
+'use strict';
+
+var assert = require('assert');
+
+var helpers = require('../../lib/helpers');
+var MemoryStore = require('../../lib/stores').MemoryStore;
+
+describe('createThrottle', function() {
+  var app;
+  var settings;
+  var store;
+
+  beforeEach(function() {
+    settings = {};
+    store = new MemoryStore();
+
+    var config = helpers.applyConfigDefaults({ web: { login: { throttle: settings } } });
+
+    app = {
+      settings: {
+        stormpathConfig: config,
+        stormpathLogger: { info: function() {} },
+        stormpathStore: store
+      },
+      get: function(name) {
+        return this.settings[name];
+      }
+    };
+  });
+
+  function recordAttempts(throttle, keys, count, callback) {
+    if (!count) {
+      return callback();
+    }
+
+    throttle.record(keys, function() {
+      recordAttempts(throttle, keys, count - 1, callback);
+    });
+  }
+
+  it('should not block subjects within their free attempts', function(done) {
+    var throttle = helpers.createThrottle(app, 'login');
+    var keys = { account: 'jane@example.com', ip: '127.0.0.1' };
+
+    recordAttempts(throttle, keys, 4, function() {
+      throttle.check(keys, function(err) {
+        assert.ifError(err);
+        done();
+      });
+    });
+  });
+
+  it('should back off exponentially after the free attempts', function(done) {
+    var throttle = helpers.createThrottle(app, 'login');
+    var keys = { account: 'jane@example.com' };
+
+    recordAttempts(throttle, keys, 7, function() {
+      throttle.check(keys, function(err) {
+        assert.equal(err.status, 429);
+        assert.equal(err.retryAfter, 4);
+        assert(err.userMessage);
+        done();
+      });
+    });
+  });
+
+  it('should lock subjects out after too many attempts', function(done) {
+    var throttle = helpers.createThrottle(app, 'login');
+    var keys = { account: 'Jane@Example.com' };
+
+    recordAttempts(throttle, keys, 10, function() {
+      throttle.check({ account: 'jane@example.com' }, function(err) {
+        assert.equal(err.retryAfter, 900);
+        done();
+      });
+    });
+  });
+
+  it('should track subjects separately', function(done) {
+    var throttle = helpers.createThrottle(app, 'login');
+
+    recordAttempts(throttle, { account: 'jane@example.com', ip: '127.0.0.1' }, 10, function() {
+      throttle.check({ account: 'john@example.com', ip: '127.0.0.2' }, function(err) {
+        assert.ifError(err);
+        done();
+      });
+    });
+  });
+
+  it('should forget the attempts of reset subjects', function(done) {
+    settings.ip = { freeAttempts: 5, lockoutAttempts: 10 };
+
+    var throttle = helpers.createThrottle(app, 'login');
+    var keys = { account: 'jane@example.com', ip: '127.0.0.1' };
+
+    recordAttempts(throttle, keys, 5, function() {
+      throttle.reset({ account: 'jane@example.com' }, function() {
+        throttle.check({ account: 'jane@example.com' }, function(err) {
+          assert.ifError(err);
+
+          throttle.check(keys, function(err) {
+            assert.equal(err.status, 429);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('should rate limit attempts', function(done) {
+    var throttle = helpers.createThrottle(app, 'login');
+    var keys = { account: 'jane@example.com' };
+
+    recordAttempts(throttle, keys, 5, function() {
+      throttle.attempt(keys, function(err) {
+        assert.equal(err.retryAfter, 1);
+        done();
+      });
+    });
+  });
+
+  it('should do nothing if disabled', function(done) {
+    settings.enabled = false;
+
+    var throttle = helpers.createThrottle(app, 'login');
+    var keys = { account: 'jane@example.com' };
+
+    recordAttempts(throttle, keys, 10, function() {
+      throttle.check(keys, function(err) {
+        assert.ifError(err);
+        assert.equal(Object.keys(store.data).length, 0);
+        done();
+      });
+    });
+  });
+
+  it('should let requests through if the store fails', function(done) {
+    store.ttl = function(key, callback) {
+      callback(new Error('Connection refused.'));
+    };
+
+    helpers.createThrottle(app, 'login').check({ account: 'jane@example.com' }, function(err) {
+      assert.ifError(err);
+      done();
+    });
+  });
+});
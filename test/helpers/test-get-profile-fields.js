@@ -0,0 +1,30 @@
+'use strict';
+
+var assert = require('assert');
+
+var helpers = require('../../lib/helpers');
+
+describe('getProfileFields', function() {
+  it('should return the registration fields, except for the email and password', function() {
+    var fields = helpers.getProfileFields({
+      web: {
+        register: {
+          fields: {
+            email: { name: 'email', required: true },
+            password: { name: 'password', required: true },
+            passwordConfirm: { name: 'passwordConfirm' },
+            surname: { name: 'surname', required: true },
+            givenName: { name: 'givenName', required: true },
+            nickname: { name: 'nickname', enabled: false },
+            color: { name: 'color' }
+          },
+          fieldOrder: ['givenName', 'surname', 'email', 'password']
+        }
+      }
+    });
+
+    assert.deepEqual(fields.map(function(field) {
+      return field.name;
+    }), ['givenName', 'surname', 'color']);
+  });
+});
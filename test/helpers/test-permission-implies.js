@@ -0,0 +1,35 @@
+'use strict';
+
+var assert = require('assert');
+
+var helpers = require('../../lib/helpers');
+
+describe('permissionImplies', function() {
+  it('should match identical permissions', function() {
+    assert(helpers.permissionImplies('billing:invoices:read', 'billing:invoices:read'));
+    assert(!helpers.permissionImplies('billing:invoices:read', 'billing:invoices:delete'));
+  });
+
+  it('should match wildcard parts', function() {
+    assert(helpers.permissionImplies('billing:*:read', 'billing:invoices:read'));
+    assert(!helpers.permissionImplies('billing:*:read', 'billing:invoices:delete'));
+    assert(helpers.permissionImplies('*', 'billing:invoices:read'));
+  });
+
+  it('should imply every permission below a shorter permission', function() {
+    assert(helpers.permissionImplies('billing', 'billing:invoices:read'));
+    assert(helpers.permissionImplies('billing:*', 'billing:invoices:read'));
+    assert(!helpers.permissionImplies('billing', 'reports:read'));
+  });
+
+  it('should only imply a longer permission if the extra parts are wildcards', function() {
+    assert(helpers.permissionImplies('billing:*', 'billing'));
+    assert(!helpers.permissionImplies('billing:invoices', 'billing'));
+  });
+
+  it('should only imply a required wildcard with a granted wildcard', function() {
+    assert(helpers.permissionImplies('billing:invoices:*', 'billing:invoices:*'));
+    assert(helpers.permissionImplies('billing:*', 'billing:invoices:*'));
+    assert(!helpers.permissionImplies('billing:invoices:read', 'billing:invoices:*'));
+  });
+});
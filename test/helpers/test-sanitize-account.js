@@ -0,0 +1,61 @@
+'use strict';
+
+var assert = require('assert');
+
+var helpers = require('../../lib/helpers');
+
+describe('sanitizeAccount', function() {
+  var config = {
+    web: {
+      changeEmail: {
+        customDataField: 'emailChange'
+      },
+      me: {
+        hiddenFields: ['customData.socialIdentities', 'providerData.accessToken']
+      },
+      totp: {
+        customDataField: 'totp'
+      }
+    }
+  };
+
+  var app = {
+    get: function() {
+      return config;
+    }
+  };
+
+  var account = {
+    email: 'jane@example.com',
+    customData: {
+      color: 'blue',
+      emailChange: { email: 'jane@example.org' },
+      socialIdentities: { github: { email: 'jane@github.com' } },
+      totp: { secret: 'JBSWY3DPEHPK3PXP' }
+    },
+    providerData: {
+      providerId: 'github',
+      accessToken: 'token'
+    }
+  };
+
+  it('should remove the hidden fields and the secrets', function() {
+    var sanitized = helpers.sanitizeAccount(app, account);
+
+    assert.deepEqual(sanitized.customData, { color: 'blue' });
+    assert.deepEqual(sanitized.providerData, { providerId: 'github' });
+  });
+
+  it('should not change the account', function() {
+    helpers.sanitizeAccount(app, account);
+
+    assert.equal(account.customData.totp.secret, 'JBSWY3DPEHPK3PXP');
+    assert.equal(account.providerData.accessToken, 'token');
+  });
+
+  it('should ignore resources which are not expanded', function() {
+    var sanitized = helpers.sanitizeAccount(app, { email: 'jane@example.com' });
+
+    assert.deepEqual(sanitized, { email: 'jane@example.com' });
+  });
+});
@@ -0,0 +1,54 @@
+'use strict';
+
+var assert = require('assert');
+
+var totp = require('../../lib/helpers').totp;
+
+describe('totp', function() {
+  // The RFC 6238 test secret ("12345678901234567890"), base32 encoded.
+  var secret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+  it('should generate the RFC 6238 test vectors', function() {
+    assert.equal(totp.generateCode(secret, totp.getCounter(59 * 1000)), '287082');
+    assert.equal(totp.generateCode(secret, totp.getCounter(1111111109 * 1000)), '081804');
+    assert.equal(totp.generateCode(secret, totp.getCounter(20000000000 * 1000)), '353130');
+  });
+
+  it('should generate base32 secrets', function() {
+    var generated = totp.generateSecret();
+
+    assert.equal(generated.length, 32);
+    assert(/^[A-Z2-7]+$/.test(generated));
+    assert.notEqual(generated, totp.generateSecret());
+  });
+
+  it('should verify codes within the window', function() {
+    var counter = totp.getCounter();
+
+    assert.equal(totp.verifyCode(secret, totp.generateCode(secret, counter)), counter);
+    assert.equal(totp.verifyCode(secret, totp.generateCode(secret, counter - 1)), counter - 1);
+    assert.equal(totp.verifyCode(secret, totp.generateCode(secret, counter - 3)), -1);
+    assert.equal(totp.verifyCode(secret, totp.generateCode(secret, counter - 3), 3), counter - 3);
+  });
+
+  it('should reject malformed codes', function() {
+    assert.equal(totp.verifyCode(secret, ''), -1);
+    assert.equal(totp.verifyCode(secret, '12345'), -1);
+    assert.equal(totp.verifyCode(secret, 'abcdef'), -1);
+  });
+
+  it('should build provisioning URIs', function() {
+    assert.equal(
+      totp.getProvisioningUri(secret, 'jane@example.com', 'My App'),
+      'otpauth://totp/My%20App:jane%40example.com?secret=' + secret + '&issuer=My%20App&algorithm=SHA1&digits=6&period=30'
+    );
+  });
+
+  it('should hash recovery codes regardless of formatting', function() {
+    var codes = totp.generateRecoveryCodes(10);
+
+    assert.equal(codes.length, 10);
+    assert(/^[0-9a-f]{5}-[0-9a-f]{5}$/.test(codes[0]));
+    assert.equal(totp.hashRecoveryCode(codes[0]), totp.hashRecoveryCode(codes[0].toUpperCase().replace('-', '')));
+  });
+});
@@ -0,0 +1,85 @@
+'use strict';
+
+var assert = require('assert');
+
+var helpers = require('../../lib/helpers');
+
+describe('validateFields', function() {
+  function validate(field, value, done, callback) {
+    var data = {};
+
+    field.name = field.name || 'field';
+    data[field.name] = value;
+
+    helpers.validateFields([field], data, function(errors) {
+      callback(errors);
+      done();
+    });
+  }
+
+  it('should ignore empty values', function(done) {
+    validate({ minLength: 3, pattern: '[a-z]+' }, '', done, function(errors) {
+      assert.equal(errors, null);
+    });
+  });
+
+  it('should check the length of a value', function(done) {
+    validate({ name: 'nickname', placeholder: 'Nickname', minLength: 3, maxLength: 5 }, 'ab', done, function(errors) {
+      assert.equal(errors.length, 1);
+      assert.equal(errors[0].field, 'nickname');
+      assert.equal(errors[0].rule, 'minLength');
+      assert.equal(errors[0].message, 'Nickname must be at least 3 characters long.');
+    });
+  });
+
+  it('should match a string pattern against the whole value', function(done) {
+    validate({ pattern: '[a-z]+', patternMessage: 'Only lowercase letters.' }, 'abc1', done, function(errors) {
+      assert.equal(errors[0].rule, 'pattern');
+      assert.equal(errors[0].message, 'Only lowercase letters.');
+    });
+  });
+
+  it('should accept a regular expression as the pattern', function(done) {
+    validate({ pattern: /^\d+$/ }, '42', done, function(errors) {
+      assert.equal(errors, null);
+    });
+  });
+
+  it('should only accept the values of the options', function(done) {
+    validate({ type: 'select', options: ['red', { value: 'blue', label: 'Blue' }] }, 'green', done, function(errors) {
+      assert.equal(errors[0].rule, 'options');
+      assert.equal(errors[0].message, 'field must be one of: red, blue.');
+    });
+  });
+
+  it('should check dates and their range', function(done) {
+    var field = { name: 'field', type: 'date', min: '1900-01-01', max: '2010-12-31' };
+
+    helpers.validateFields([field], { field: '2016-02-30' }, function(errors) {
+      assert.equal(errors[0].rule, 'type');
+
+      helpers.validateFields([field], { field: '2011-01-01' }, function(errors) {
+        assert.equal(errors[0].rule, 'max');
+
+        validate(field, '1985-10-26', done, function(errors) {
+          assert.equal(errors, null);
+        });
+      });
+    });
+  });
+
+  it('should call custom validators with the value and the submitted data', function(done) {
+    var field = {
+      name: 'company',
+      validator: function(value, data, callback) {
+        assert.equal(data.company, value);
+        callback(value === 'Acme' ? new Error('Acme employees can\'t register.') : null);
+      }
+    };
+
+    validate(field, 'Acme', done, function(errors) {
+      assert.equal(errors[0].rule, 'validator');
+      assert.equal(errors[0].message, 'Acme employees can\'t register.');
+    });
+  });
+});
@@ -0,0 +1,40 @@
+'use strict';
+
+var assert = require('assert');
+
+var helpers = require('../../lib/helpers');
+
+describe('verifySignedToken', function() {
+  var app = {
+    get: function() {
+      return { config: { client: { apiKey: { secret: 'secret' } } } };
+    }
+  };
+
+  it('should return the claims of a valid token', function(done) {
+    var token = helpers.createSignedToken(app, 'invite', { email: 'jane@example.com' }, 60);
+
+    helpers.verifySignedToken(app, 'invite', token, function(err, claims) {
+      assert.equal(claims.email, 'jane@example.com');
+      done(err);
+    });
+  });
+
+  it('should reject a token issued for another purpose', function(done) {
+    var token = helpers.createSignedToken(app, 'connect', { email: 'jane@example.com' }, 60);
+
+    helpers.verifySignedToken(app, 'invite', token, function(err) {
+      assert.equal(err.userMessage, 'This link is invalid or has expired.');
+      done();
+    });
+  });
+
+  it('should reject an expired token', function(done) {
+    var token = helpers.createSignedToken(app, 'invite', { email: 'jane@example.com' }, -60);
+
+    helpers.verifySignedToken(app, 'invite', token, function(err) {
+      assert(err);
+      done();
+    });
+  });
+});
@@ -0,0 +1,219 @@
+'use strict';
+
+var assert = require('assert');
+
+var request = require('supertest');
+var uuid = require('uuid');
+
+var authenticate = require('../../lib/middleware/authenticate');
+var getUser = require('../../lib/helpers/get-user');
+var helpers = require('../helpers');
+
+describe('authenticate', function() {
+  var accessToken;
+  var accountApiKey;
+  var accountData = {
+    email: uuid.v4() + '@test.com',
+    password: uuid.v4()
+  };
+  var app;
+  var cookies;
+
+  function respond(req, res) {
+    res.json({ email: req.user.email, method: req.authenticationMethod });
+  }
+
+  before(function(done) {
+    app = helpers.createMemoryExpressApp({
+      web: {
+        login: {
+          enabled: true
+        },
+        oauth2: {
+          enabled: true
+        }
+      }
+    }, { accounts: [accountData] });
+
+    app.get('/any', authenticate(), respond);
+    app.get('/cookie', authenticate({ methods: ['cookie'] }), respond);
+    app.get('/bearer', authenticate({ methods: ['bearer'] }), respond);
+    app.get('/basic', authenticate({ methods: ['basic'] }), respond);
+    app.get('/user', getUser, function(req, res) {
+      res.json({ email: req.user && req.user.email, method: req.authenticationMethod });
+    });
+    app.get('/optional', authenticate({ methods: ['bearer'], required: false }), function(req, res) {
+      res.json({ user: !!req.user });
+    });
+
+    app.on('stormpath.ready', function() {
+      app.get('stormpathApplication').getAccounts({ email: accountData.email }, function(err, accounts) {
+        if (err) {
+          return done(err);
+        }
+
+        accounts.items[0].createApiKey(function(err, key) {
+          if (err) {
+            return done(err);
+          }
+
+          accountApiKey = key;
+
+          request(app)
+            .post('/oauth/token')
+            .type('form')
+            .send({ grant_type: 'password', username: accountData.email, password: accountData.password })
+            .expect(200)
+            .end(function(err, res) {
+              if (err) {
+                return done(err);
+              }
+
+              accessToken = res.body.access_token;
+
+              request(app)
+                .post('/login')
+                .set('Accept', 'application/json')
+                .send({ username: accountData.email, password: accountData.password })
+                .expect(200)
+                .end(function(err, res) {
+                  if (err) {
+                    return done(err);
+                  }
+
+                  cookies = res.headers['set-cookie'].map(function(cookie) {
+                    return cookie.split(';')[0];
+                  }).join('; ');
+
+                  done();
+                });
+            });
+        });
+      });
+    });
+  });
+
+  it('should throw an error for unknown methods', function() {
+    assert.throws(function() {
+      authenticate({ methods: ['password'] });
+    }, Error);
+  });
+
+  it('should accept any method by default', function(done) {
+    request(app)
+      .get('/any')
+      .set('Authorization', 'Bearer ' + accessToken)
+      .expect(200, { email: accountData.email, method: 'bearer' })
+      .end(done);
+  });
+
+  it('should accept the session cookies if allowed', function(done) {
+    request(app)
+      .get('/cookie')
+      .set('Accept', 'application/json')
+      .set('Cookie', cookies)
+      .expect(200, { email: accountData.email, method: 'cookie' })
+      .end(done);
+  });
+
+  it('should reject a bearer token if only cookies are allowed', function(done) {
+    request(app)
+      .get('/cookie')
+      .set('Accept', 'application/json')
+      .set('Authorization', 'Bearer ' + accessToken)
+      .expect(401)
+      .end(done);
+  });
+
+  it('should redirect browsers to the login page if cookies are allowed', function(done) {
+    request(app)
+      .get('/cookie')
+      .set('Accept', 'text/html')
+      .expect('Location', '/login?next=%2Fcookie')
+      .expect(302)
+      .end(done);
+  });
+
+  it('should accept a bearer token if allowed', function(done) {
+    request(app)
+      .get('/bearer')
+      .set('Authorization', 'Bearer ' + accessToken)
+      .expect(200, { email: accountData.email, method: 'bearer' })
+      .end(done);
+  });
+
+  it('should reject the session cookies if only bearer tokens are allowed', function(done) {
+    request(app)
+      .get('/bearer')
+      .set('Accept', 'text/html')
+      .set('Cookie', cookies)
+      .expect('WWW-Authenticate', /^Bearer/)
+      .expect(401)
+      .end(done);
+  });
+
+  it('should accept API keys if allowed', function(done) {
+    request(app)
+      .get('/basic')
+      .auth(accountApiKey.id, accountApiKey.secret)
+      .expect(200, { email: accountData.email, method: 'basic' })
+      .end(done);
+  });
+
+  it('should reject invalid API keys', function(done) {
+    request(app)
+      .get('/basic')
+      .auth(accountApiKey.id, 'invalid')
+      .expect('WWW-Authenticate', /^Basic/)
+      .expect(401)
+      .end(done);
+  });
+
+  it('should refresh the session if only the refresh token cookie is left', function(done) {
+    var refreshCookie = cookies.split('; ').filter(function(cookie) {
+      return cookie.indexOf('refresh_token=') === 0;
+    })[0];
+
+    request(app)
+      .get('/cookie')
+      .set('Accept', 'application/json')
+      .set('Cookie', refreshCookie)
+      .expect(200, { email: accountData.email, method: 'cookie' })
+      .end(function(err, res) {
+        if (err) {
+          return done(err);
+        }
+
+        assert(res.headers['set-cookie'].some(function(cookie) {
+          return cookie.indexOf('access_token=') === 0;
+        }));
+        done();
+      });
+  });
+
+  it('should resolve the user the same way in getUser', function(done) {
+    request(app)
+      .get('/user')
+      .auth(accountApiKey.id, accountApiKey.secret)
+      .expect(200, { email: accountData.email, method: 'basic' })
+      .end(function(err) {
+        if (err) {
+          return done(err);
+        }
+
+        request(app)
+          .get('/user')
+          .set('Cookie', cookies)
+          .expect(200, { email: accountData.email, method: 'cookie' })
+          .end(done);
+      });
+  });
+
+  it('should continue without a user if authentication is optional', function(done) {
+    request(app)
+      .get('/optional')
+      .set('Cookie', cookies)
+      .expect(200, { user: false })
+      .end(done);
+  });
+});
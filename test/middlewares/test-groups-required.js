@@ -99,7 +99,7 @@ describe('groupsRequired', function() {
         .end(function() {
           agent
             .get('/private')
-            .expect(200)
+            .expect(403)
             .end(done);
         });
     });
@@ -0,0 +1,93 @@
+'use strict';
+
+var assert = require('assert');
+
+var request = require('supertest');
+
+var helpers = require('../helpers');
+var loginRequired = require('../../lib/middleware/login-required');
+
+describe('loginRequired', function() {
+  function createApp(config, callback) {
+    config.web = config.web || {};
+    config.web.login = { enabled: true };
+
+    var app = helpers.createMemoryExpressApp(config);
+
+    app.get('/private', loginRequired, function(req, res) {
+      res.send('Ok!');
+    });
+
+    app.on('stormpath.ready', function() {
+      callback(app);
+    });
+  }
+
+  it('should redirect browsers to the login page', function(done) {
+    createApp({}, function(app) {
+      request(app)
+        .get('/private')
+        .set('Accept', 'text/html')
+        .expect('Location', '/login?next=%2Fprivate')
+        .expect(302)
+        .end(done);
+    });
+  });
+
+  it('should return a JSON 401 to API clients', function(done) {
+    createApp({}, function(app) {
+      request(app)
+        .get('/private')
+        .set('Accept', 'application/json')
+        .expect(401)
+        .end(function(err, res) {
+          if (err) {
+            return done(err);
+          }
+
+          assert.equal(res.body.status, 401);
+          assert(res.body.message);
+          done();
+        });
+    });
+  });
+
+  it('should render <config.web.unauthorized.view> for browsers if set', function(done) {
+    createApp({ web: { unauthorized: { view: 'unauthorized' } } }, function(app) {
+      request(app)
+        .get('/private')
+        .set('Accept', 'text/html')
+        .expect(401)
+        .expect(/Unauthorized/)
+        .end(done);
+    });
+  });
+
+  it('should call <config.web.unauthorized.handler> for browsers if set', function(done) {
+    var handler = function(req, res) {
+      res.status(401).send('Please log in!');
+    };
+
+    createApp({ web: { unauthorized: { handler: handler } } }, function(app) {
+      request(app)
+        .get('/private')
+        .set('Accept', 'text/html')
+        .expect(401, 'Please log in!')
+        .end(done);
+    });
+  });
+
+  it('should fall back to the default response if the handler calls next', function(done) {
+    var handler = function(req, res, next) {
+      next();
+    };
+
+    createApp({ web: { unauthorized: { handler: handler } } }, function(app) {
+      request(app)
+        .get('/private')
+        .set('Accept', 'text/html')
+        .expect(302)
+        .end(done);
+    });
+  });
+});
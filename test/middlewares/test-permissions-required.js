@@ -0,0 +1,166 @@
+'use strict';
+
+var assert = require('assert');
+
+var request = require('supertest');
+var uuid = require('uuid');
+
+var helpers = require('../helpers');
+var permissionsRequired = require('../../lib/middleware/permissions-required');
+
+describe('permissionsRequired', function() {
+  var accountData = {
+    email: uuid.v4() + '@test.com',
+    password: uuid.v4(),
+    customData: {
+      permissions: ['reports:read']
+    },
+    groups: ['accountants']
+  };
+  var app;
+  var cookies;
+
+  function respond(req, res) {
+    res.json(req.accountPermissions);
+  }
+
+  before(function(done) {
+    app = helpers.createMemoryExpressApp({
+      web: {
+        login: {
+          enabled: true
+        }
+      }
+    }, {
+      accounts: [accountData],
+      groups: [{ name: 'accountants', customData: { permissions: ['billing:invoices:*'] } }]
+    });
+
+    app.get('/invoices', permissionsRequired(['billing:invoices:read']), respond);
+    app.get('/invoices/all', permissionsRequired(['billing:invoices:*', 'reports:read']), respond);
+    app.get('/payments', permissionsRequired(['billing:payments:read']), respond);
+    app.get('/payments/any', permissionsRequired(['billing:payments:read', 'reports:read'], { all: false }), respond);
+
+    app.on('stormpath.ready', function() {
+      request(app)
+        .post('/login')
+        .set('Accept', 'application/json')
+        .send({ username: accountData.email, password: accountData.password })
+        .expect(200)
+        .end(function(err, res) {
+          if (err) {
+            return done(err);
+          }
+
+          cookies = res.headers['set-cookie'].map(function(cookie) {
+            return cookie.split(';')[0];
+          }).join('; ');
+
+          done();
+        });
+    });
+  });
+
+  it('should redirect unauthenticated users to the login url', function(done) {
+    request(app)
+      .get('/invoices')
+      .set('Accept', 'text/html')
+      .expect('Location', '/login?next=%2Finvoices')
+      .expect(302)
+      .end(done);
+  });
+
+  it('should return a 401 to unauthenticated JSON clients', function(done) {
+    request(app)
+      .get('/invoices')
+      .set('Accept', 'application/json')
+      .expect(401)
+      .end(done);
+  });
+
+  it('should collect permissions from the account and group custom data', function(done) {
+    request(app)
+      .get('/invoices/all')
+      .set('Accept', 'application/json')
+      .set('Cookie', cookies)
+      .expect(200)
+      .end(function(err, res) {
+        if (err) {
+          return done(err);
+        }
+
+        assert.deepEqual(res.body.sort(), ['billing:invoices:*', 'reports:read']);
+        done();
+      });
+  });
+
+  it('should match wildcard permissions', function(done) {
+    request(app)
+      .get('/invoices')
+      .set('Accept', 'application/json')
+      .set('Cookie', cookies)
+      .expect(200)
+      .end(done);
+  });
+
+  it('should return a 403 if the user does not have the permissions', function(done) {
+    request(app)
+      .get('/payments')
+      .set('Accept', 'application/json')
+      .set('Cookie', cookies)
+      .expect(403)
+      .end(done);
+  });
+
+  it('should render the unauthorized view for browsers', function(done) {
+    request(app)
+      .get('/payments')
+      .set('Accept', 'text/html')
+      .set('Cookie', cookies)
+      .expect(403)
+      .expect(/unauthorized|permission/i)
+      .end(done);
+  });
+
+  it('should continue if one of the permissions is granted and all is false', function(done) {
+    request(app)
+      .get('/payments/any')
+      .set('Accept', 'application/json')
+      .set('Cookie', cookies)
+      .expect(200)
+      .end(done);
+  });
+
+  it('should return a JSON 403 to API clients', function(done) {
+    request(app)
+      .get('/payments')
+      .set('Accept', 'application/json')
+      .set('Cookie', cookies)
+      .expect(403)
+      .end(function(err, res) {
+        if (err) {
+          return done(err);
+        }
+
+        assert.equal(res.body.status, 403);
+        assert(res.body.message);
+        done();
+      });
+  });
+
+  it('should call <config.web.forbidden.handler> for browsers if set', function(done) {
+    app.get('stormpathConfig').web.forbidden.handler = function(req, res) {
+      res.status(403).send('Nope!');
+    };
+
+    request(app)
+      .get('/payments')
+      .set('Accept', 'text/html')
+      .set('Cookie', cookies)
+      .expect(403, 'Nope!')
+      .end(function(err) {
+        app.get('stormpathConfig').web.forbidden.handler = null;
+        done(err);
+      });
+  });
+});
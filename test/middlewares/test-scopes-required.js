@@ -0,0 +1,163 @@
+'use strict';
+
+var assert = require('assert');
+
+var request = require('supertest');
+var uuid = require('uuid');
+
+var helpers = require('../helpers');
+var scopesRequired = require('../../lib/middleware/scopes-required');
+
+describe('scopesRequired', function() {
+  var accountApiKey;
+  var accountData = {
+    email: uuid.v4() + '@test.com',
+    password: uuid.v4(),
+    customData: {
+      scopes: ['read:reports']
+    },
+    groups: ['admins']
+  };
+  var app;
+
+  function respond(req, res) {
+    res.json(req.permissions);
+  }
+
+  function getToken(scope, callback) {
+    request(app)
+      .post('/oauth/token')
+      .auth(accountApiKey.id, accountApiKey.secret)
+      .type('form')
+      .send({ grant_type: 'client_credentials', scope: scope })
+      .end(callback);
+  }
+
+  before(function(done) {
+    app = helpers.createMemoryExpressApp({
+      web: {
+        oauth2: {
+          enabled: true,
+          client_credentials: {
+            scopes: {
+              groups: {
+                admins: ['read:orders']
+              },
+              customDataField: 'scopes'
+            }
+          }
+        }
+      }
+    }, {
+      accounts: [accountData],
+      groups: [{ name: 'admins' }]
+    });
+
+    app.get('/orders', scopesRequired(['read:orders']), respond);
+    app.get('/orders/edit', scopesRequired(['read:orders', 'write:orders']), respond);
+    app.get('/orders/any', scopesRequired(['read:orders', 'write:orders'], { all: false }), respond);
+
+    app.on('stormpath.ready', function() {
+      app.get('stormpathApplication').getAccounts({ email: accountData.email }, function(err, accounts) {
+        if (err) {
+          return done(err);
+        }
+
+        accounts.items[0].createApiKey(function(err, key) {
+          accountApiKey = key;
+          done(err);
+        });
+      });
+    });
+  });
+
+  it('should only grant the allowed scopes which were requested', function(done) {
+    getToken('read:orders write:orders', function(err, res) {
+      if (err) {
+        return done(err);
+      }
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.scope, 'read:orders');
+      done();
+    });
+  });
+
+  it('should grant every allowed scope if none were requested', function(done) {
+    getToken('', function(err, res) {
+      if (err) {
+        return done(err);
+      }
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.scope.split(' ').sort(), ['read:orders', 'read:reports']);
+      done();
+    });
+  });
+
+  it('should return an invalid_scope error if none of the requested scopes are allowed', function(done) {
+    getToken('write:orders', function(err, res) {
+      if (err) {
+        return done(err);
+      }
+
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error, 'invalid_scope');
+      done();
+    });
+  });
+
+  it('should return a 401 if the request is not authenticated', function(done) {
+    request(app)
+      .get('/orders')
+      .set('Accept', 'application/json')
+      .expect(401)
+      .end(done);
+  });
+
+  it('should continue if the required scopes were granted', function(done) {
+    getToken('read:orders', function(err, res) {
+      if (err) {
+        return done(err);
+      }
+
+      request(app)
+        .get('/orders')
+        .set('Authorization', 'Bearer ' + res.body.access_token)
+        .expect(200, ['read:orders'])
+        .end(done);
+    });
+  });
+
+  it('should return a 403 if one of the required scopes was not granted', function(done) {
+    getToken('read:orders', function(err, res) {
+      if (err) {
+        return done(err);
+      }
+
+      request(app)
+        .get('/orders/edit')
+        .set('Authorization', 'Bearer ' + res.body.access_token)
+        .expect('WWW-Authenticate', /error="insufficient_scope"/)
+        .expect(403)
+        .end(function(err, res) {
+          assert.equal(res.body.status, 403);
+          done(err);
+        });
+    });
+  });
+
+  it('should continue if one of the scopes was granted and all is false', function(done) {
+    getToken('read:orders', function(err, res) {
+      if (err) {
+        return done(err);
+      }
+
+      request(app)
+        .get('/orders/any')
+        .set('Authorization', 'Bearer ' + res.body.access_token)
+        .expect(200)
+        .end(done);
+    });
+  });
+});
@@ -0,0 +1,128 @@
+'use strict';
+
+var assert = require('assert');
+
+var MemoryStore = require('../../lib/stores').MemoryStore;
+
+describe('MemoryStore', function() {
+  var store;
+
+  beforeEach(function() {
+    store = new MemoryStore();
+  });
+
+  it('should get values', function(done) {
+    store.get('missing', function(err, value) {
+      if (err) {
+        return done(err);
+      }
+
+      assert.equal(value, null);
+
+      store.setex('key', 30, 'value', function(err) {
+        if (err) {
+          return done(err);
+        }
+
+        store.get('key', function(err, value) {
+          assert.equal(value, 'value');
+          done(err);
+        });
+      });
+    });
+  });
+
+  it('should increment counters', function(done) {
+    store.incr('counter', function(err, value) {
+      if (err) {
+        return done(err);
+      }
+
+      assert.equal(value, 1);
+
+      store.incr('counter', function(err, value) {
+        assert.equal(value, 2);
+        done(err);
+      });
+    });
+  });
+
+  it('should report the time to live of keys', function(done) {
+    store.ttl('missing', function(err, ttl) {
+      if (err) {
+        return done(err);
+      }
+
+      assert.equal(ttl, -2);
+
+      store.incr('counter', function(err) {
+        if (err) {
+          return done(err);
+        }
+
+        store.ttl('counter', function(err, ttl) {
+          if (err) {
+            return done(err);
+          }
+
+          assert.equal(ttl, -1);
+
+          store.setex('blocked', 30, '1', function(err) {
+            if (err) {
+              return done(err);
+            }
+
+            store.ttl('blocked', function(err, ttl) {
+              assert.equal(ttl, 30);
+              done(err);
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('should expire keys', function(done) {
+    store.incr('counter', function(err) {
+      if (err) {
+        return done(err);
+      }
+
+      store.expire('counter', 0.01, function(err, result) {
+        if (err) {
+          return done(err);
+        }
+
+        assert.equal(result, 1);
+
+        setTimeout(function() {
+          store.incr('counter', function(err, value) {
+            assert.equal(value, 1);
+            done(err);
+          });
+        }, 20);
+      });
+    });
+  });
+
+  it('should delete keys', function(done) {
+    store.setex('blocked', 30, '1', function(err) {
+      if (err) {
+        return done(err);
+      }
+
+      store.del('blocked', function(err, result) {
+        if (err) {
+          return done(err);
+        }
+
+        assert.equal(result, 1);
+
+        store.ttl('blocked', function(err, ttl) {
+          assert.equal(ttl, -2);
+          done(err);
+        });
+      });
+    });
+  });
+});
@@ -18,7 +18,16 @@ describe('exports stormpath', function() {
     assert(stormpath.init);
     assert(stormpath.loginRequired);
     assert(stormpath.groupsRequired);
+    assert(stormpath.scopesRequired);
+    assert(stormpath.permissionsRequired);
     assert(stormpath.apiAuthenticationRequired);
     assert(stormpath.authenticationRequired);
+    assert(stormpath.authenticate);
+    assert(stormpath.accessTokenCookieRequired);
+    assert(stormpath.basicAuthenticationRequired);
+    assert(stormpath.oauthBearerAuthenticationRequired);
+    assert(stormpath.getUser);
+    assert(stormpath.backends.MemoryBackend);
+    assert(stormpath.stores.MemoryStore);
   });
 });